@@ -0,0 +1,217 @@
+// app.js
+// Builds the Express application (middleware, routes, error handlers) without listening or touching
+// the database, so server.js and the test suite share the same app
+
+const config = require('./config');
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const { getFirebaseAdmin } = require('./services/firebaseAdmin');
+const { listEndpoints } = require('./openapi');
+const createOpenApiValidator = require('./middleware/openapiValidator');
+const createRequestContext = require('./middleware/requestContext');
+const createMetricsMiddleware = require('./middleware/metrics');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { formatError } = require('./utils/helpers');
+const { logger } = require('./services/logger');
+
+const createApp = () => {
+  // Firebase availability can change after start-up (tests swap in a fake), so read it per request
+  const isFirebaseEnabled = () => !!getFirebaseAdmin();
+
+  const app = express();
+
+  // Behind a reverse proxy, TRUST_PROXY makes req.ip the real client address (used by rate limits and lockouts)
+  if (config.server.trustProxy !== null) {
+    app.set('trust proxy', config.server.trustProxy);
+  }
+
+  // Request ID (X-Request-Id) on every log line and error response, and one log line per request
+  app.use(createRequestContext());
+
+  // Request latency by route for Prometheus (served at /metrics)
+  if (config.metrics.enabled) {
+    app.use(createMetricsMiddleware());
+  }
+
+  // CORS: allowed browser origins come from CORS_ORIGINS (comma-separated)
+  const corsOptions = {
+    origin: [...config.cors.origins],
+    credentials: true,
+    optionsSuccessStatus: 200,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: [
+      'Content-Type', 
+      'Authorization', 
+      'X-Requested-With',
+      'Accept',
+      'Origin',
+      'X-Request-Id'
+    ],
+    exposedHeaders: ['X-Request-Id']
+  };
+
+  app.use(cors(corsOptions));
+
+  // Handle preflight requests explicitly
+  app.options('*', cors(corsOptions));
+
+  // Middleware
+  app.use(bodyParser.json({ limit: '10mb' }));
+  app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Security headers
+  app.use((req, res, next) => {
+    res.header('X-Content-Type-Options', 'nosniff');
+    res.header('X-Frame-Options', 'DENY');
+    res.header('X-XSS-Protection', '1; mode=block');
+    if (req.secure || req.headers['x-forwarded-proto'] === 'https') {
+      res.header('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+    next();
+  });
+
+  // Validate requests and responses against the OpenAPI document (dev/test by default)
+  if (config.openapi.validate) {
+    app.use(createOpenApiValidator());
+  }
+
+  // OpenAPI document and docs page
+  app.use('/api', require('./routes/docs'));
+
+  // Enhanced auth routes with MySQL-first support
+  app.use('/api/auth', require('./routes/auth'));
+
+  // Onboarding routes
+  app.use('/api/onboarding', require('./routes/onboarding'));
+
+  // Property team invitation responses
+  app.use('/api/invitations', require('./routes/invitations'));
+
+  // Administration routes (roles & permissions)
+  app.use('/api/admin', require('./routes/admin'));
+
+  // API key management
+  app.use('/api/api-keys', require('./routes/apiKeys'));
+
+  // Organizations (tenants)
+  app.use('/api/organizations', require('./routes/organizations'));
+
+  // HubSpot integration routes (if available)
+  try {
+    app.use('/api/hubspot', require('./routes/hubspot'));
+    logger.info('HubSpot routes loaded');
+  } catch (error) {
+    logger.info('HubSpot routes not available - run setup to enable HubSpot integration');
+  }
+
+  // AI services routes
+  try {
+    app.use('/api/ai', require('./routes/ai'));
+    logger.info('AI services routes loaded');
+  } catch (error) {
+    logger.warn('AI services routes not available - check OpenAI configuration (OPENAI_API_KEY)', { err: error });
+  }
+
+  // Property routes (JWT, Firebase, OIDC or API key authentication)
+  app.use('/api/properties', require('./routes/properties'));
+
+  // Prometheus scrape endpoint (bearer METRICS_TOKEN when configured)
+  if (config.metrics.enabled) {
+    app.use('/metrics', require('./routes/metrics'));
+  }
+
+  // Liveness, readiness (dependency checks) and the summary health check
+  app.use('/api/health', require('./routes/health'));
+
+  // Enhanced test endpoint with comprehensive information
+  app.get('/api/test', (req, res) => {
+    res.json({
+      message: 'Nuvho HotelCRM Backend Server is running!',
+      timestamp: new Date().toISOString(),
+      authSystem: isFirebaseEnabled() ? 'MySQL-First + Firebase Backup' : 'MySQL-Only Authentication',
+      version: '2.1.0',
+      features: {
+        mysqlFirstRegistration: true,
+        firebaseBackup: isFirebaseEnabled(),
+        accountReconciliation: true,
+        dualDatabaseSupport: true,
+        hybridAuthentication: isFirebaseEnabled(),
+        aiServices: config.openai.enabled,
+        voiceFeatures: config.openai.enabled,
+        httpsSupport: config.ssl.enabled
+      },
+      // Generated from the OpenAPI document so the list cannot go stale
+      endpoints: listEndpoints().map(({ method, path, summary }) => `${method} ${path} - ${summary}`),
+      registrationFlow: isFirebaseEnabled() ? [
+        '1. Save user to MySQL database (primary)',
+        '2. Create Firebase authentication account (backup)',
+        '3. Update MySQL user with Firebase UID',
+        '4. Return success with JWT token'
+      ] : [
+        '1. Save user to MySQL database',
+        '2. Return success with JWT token',
+        'Note: Firebase backup not available'
+      ],
+      aiAssistants: config.openai.enabled ? {
+        analyst: {
+          id: config.openai.assistantId,
+          purpose: 'Hotel analytics and business intelligence',
+          voice: 'alloy'
+        },
+        manager: {
+          id: config.openai.managerAssistantId,
+          purpose: 'Task execution and management operations',
+          voice: 'echo'
+        }
+      } : null
+    });
+  });
+
+  // Debug endpoint for registration flow testing (development only)
+  if (config.isDevelopment) {
+    app.post('/api/debug/test-registration', async (req, res, next) => {
+      try {
+        const { email = 'test@nuvho.com', skipFirebase = false } = req.body;
+
+        const testData = {
+          email,
+          password: 'testpassword123',
+          firstName: 'Test',
+          lastName: 'User',
+          displayName: 'Test User',
+          hotelName: 'Test Hotel',
+          skipFirebase
+        };
+
+        // Test the registration flow
+        const authController = require('./controllers/authController');
+        const mockReq = { body: testData };
+        const mockRes = {
+          status: (code) => mockRes,
+          json: (data) => {
+            res.json({
+              message: 'Registration flow test completed',
+              testData,
+              result: data,
+              flow: isFirebaseEnabled() && !skipFirebase ? 'mysql-firebase-test' : 'mysql-only-test'
+            });
+            return mockRes;
+          }
+        };
+
+        await authController.register(mockReq, mockRes, (error) => mockRes.json(formatError(error)));
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  // Unmatched routes, then every error (typed errors from utils/errors, library errors, crashes)
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
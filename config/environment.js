@@ -0,0 +1,437 @@
+// config/environment.js
+// Loads settings from the environment (and optional .env files), validates them with joi
+// and shapes them into the config object exported by config/index.js
+//
+// File precedence (highest first; real environment variables always win):
+//   .env.<NODE_ENV>.local, .env.local (skipped in test), .env.<NODE_ENV>, .env
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const Joi = require('joi');
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Browser origins allowed outside production when CORS_ORIGINS is not set
+const DEVELOPMENT_CORS_ORIGINS = [
+  'http://localhost:3000',
+  'http://localhost:3001',
+  'http://127.0.0.1:3000',
+  'http://127.0.0.1:3001'
+];
+
+// Built-in Nuvho assistants, used when no assistant IDs are configured
+const DEFAULT_ANALYST_ASSISTANT_ID = 'asst_3kf3WzUfV5KmJlqKe8lLySPu';
+const DEFAULT_MANAGER_ASSISTANT_ID = 'asst_NS8hqSyzPQ0Hv3F7uOOuKJVk';
+
+// Config paths printed as [redacted]
+const SECRET_PATHS = [
+  'db.password',
+  'jwt.secret',
+  'dataEncryptionKey',
+  'openai.apiKey',
+  'hubspot.accessToken',
+  'metrics.token',
+  'mail.webhookToken',
+  'oidc.providers.*.clientSecret'
+];
+
+class ConfigError extends Error {
+  constructor(details) {
+    super(`Invalid configuration:\n${details.map(detail => `  - ${detail}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+const requiredInProduction = (schema, fallback) => schema.when('NODE_ENV', {
+  is: 'production',
+  then: Joi.required(),
+  otherwise: fallback === undefined ? Joi.optional() : schema.default(fallback)
+});
+
+const commaSeparated = Joi.string().allow('').custom(value =>
+  value.split(',').map(item => item.trim()).filter(Boolean)
+);
+
+// A JSON array in one variable, each item validated against itemSchema
+const jsonArray = (itemSchema) => Joi.string().custom((value, helpers) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    return helpers.error('json.invalid');
+  }
+
+  const { error, value: items } = Joi.array().items(itemSchema).unique('id').validate(parsed, { abortEarly: false });
+  if (error) {
+    return helpers.error('json.items', { reason: error.details.map(detail => detail.message).join('; ') });
+  }
+  return items;
+}).messages({
+  'json.invalid': '{#label} must be a JSON array',
+  'json.items': '{#label} is invalid: {#reason}'
+});
+
+// One single sign-on identity provider (services/oidc.js fills in the defaults)
+const oidcProvider = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9_-]+$/i).required(),
+  name: Joi.string(),
+  issuer: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  clientId: Joi.string().required(),
+  clientSecret: Joi.string(),
+  redirectUri: Joi.string().uri({ scheme: ['http', 'https'] }),
+  scopes: Joi.string(),
+  groupsClaim: Joi.string(),
+  roleMapping: Joi.array().items(Joi.object({ group: Joi.string().required(), role: Joi.string().required() })),
+  defaultRole: Joi.string().allow(null),
+  allowedDomains: Joi.array().items(Joi.string().domain()),
+  syncRoles: Joi.boolean()
+});
+
+const positiveInteger = (fallback) => Joi.number().integer().min(1).default(fallback);
+
+// Per-IP limits on the public auth endpoints (middleware/rateLimit.js): RATE_LIMIT_<NAME>_WINDOW_MINUTES and _MAX
+const RATE_LIMITS = {
+  login: { name: 'LOGIN', windowMinutes: 15, max: 20 },
+  register: { name: 'REGISTER', windowMinutes: 60, max: 10 },
+  forgotPassword: { name: 'FORGOT_PASSWORD', windowMinutes: 60, max: 5 },
+  magicLink: { name: 'MAGIC_LINK', windowMinutes: 60, max: 5 }
+};
+
+const rateLimitKeys = Object.fromEntries(Object.values(RATE_LIMITS).flatMap(({ name, windowMinutes, max }) => [
+  [`RATE_LIMIT_${name}_WINDOW_MINUTES`, positiveInteger(windowMinutes)],
+  [`RATE_LIMIT_${name}_MAX`, positiveInteger(max)]
+]));
+
+const schema = Joi.object({
+  NODE_ENV: Joi.string().valid(...ENVIRONMENTS).default('development'),
+
+  // Server
+  PORT: Joi.number().port().default(4000),
+  HTTPS_PORT: Joi.number().port().default(4443),
+  PUBLIC_URL: Joi.string().uri({ scheme: ['http', 'https'] }),
+  TRUST_PROXY: Joi.string(),
+  FRONTEND_URL: Joi.string().uri({ scheme: ['http', 'https'] }).default('http://localhost:3000'),
+
+  // Database
+  DB_HOST: requiredInProduction(Joi.string().hostname(), 'localhost'),
+  DB_PORT: Joi.number().port().default(3306),
+  DB_USER: requiredInProduction(Joi.string(), 'root'),
+  DB_PASSWORD: requiredInProduction(Joi.string().allow(''), ''),
+  DB_NAME: Joi.string().pattern(/^[A-Za-z0-9_]+$/).default('the_hotel_collective')
+    .messages({ 'string.pattern.base': '"DB_NAME" may only contain letters, numbers and underscores' }),
+  DB_CONNECTION_LIMIT: Joi.number().integer().min(1).default(10),
+  DB_AUTO_MIGRATE: Joi.boolean().default(true),
+
+  // JWT
+  JWT_SECRET: Joi.string().when('NODE_ENV', {
+    is: 'production',
+    then: Joi.string().min(32).required(),
+    otherwise: Joi.string()
+  }).messages({ 'string.min': '"JWT_SECRET" must be at least {#limit} characters' }),
+  ACCESS_TOKEN_TTL: Joi.string().pattern(/^\d+[smhd]?$/).default('15m'),
+  REFRESH_TOKEN_TTL_DAYS: Joi.number().integer().min(1).default(30),
+  DATA_ENCRYPTION_KEY: Joi.string().min(16),
+
+  // CORS
+  CORS_ORIGINS: requiredInProduction(commaSeparated, DEVELOPMENT_CORS_ORIGINS),
+
+  // SSL (paths to PEM files; both or neither)
+  SSL_CERT: Joi.string(),
+  SSL_KEY: Joi.string(),
+
+  // OpenAI
+  OPENAI_API_KEY: Joi.string(),
+  OPENAI_API_URL: Joi.string().uri({ scheme: ['http', 'https'] }).default('https://api.openai.com/v1'),
+  OPENAI_ASSISTANT_ID: Joi.string().default(DEFAULT_ANALYST_ASSISTANT_ID),
+  OPENAI_MANAGER_ASSISTANT_ID: Joi.string().default(DEFAULT_MANAGER_ASSISTANT_ID),
+
+  // HubSpot
+  HUBSPOT_ACCESS_TOKEN: Joi.string(),
+  HUBSPOT_PORTAL_ID: Joi.string().pattern(/^\d+$/),
+
+  // Logging (defaults: debug and readable lines in development, info everywhere else, JSON in production)
+  LOG_LEVEL: Joi.string().lowercase().valid(...LOG_LEVELS),
+  LOG_FORMAT: Joi.string().lowercase().valid('json', 'pretty'),
+
+  // OpenAPI request/response validation (defaults to on outside production)
+  OPENAPI_VALIDATION: Joi.boolean(),
+
+  // Prometheus metrics at /metrics (METRICS_TOKEN, when set, must be sent as a bearer token)
+  METRICS_ENABLED: Joi.boolean().default(true),
+  METRICS_TOKEN: Joi.string().min(16),
+
+  // Readiness checks (/api/health/ready): time limit per check, and whether OpenAI, Firebase and HubSpot are called
+  HEALTH_CHECK_TIMEOUT_MS: Joi.number().integer().min(100).default(2000),
+  HEALTH_PROBE_EXTERNAL: Joi.boolean().default(false),
+
+  // Rate limits (RATE_LIMIT_ENABLED=false turns every limiter off, e.g. for load tests)
+  RATE_LIMIT_ENABLED: Joi.boolean().default(true),
+  ...rateLimitKeys,
+
+  // Brute-force protection for password logins
+  LOGIN_LOCKOUT_THRESHOLD: positiveInteger(5),
+  LOGIN_IP_LOCKOUT_THRESHOLD: positiveInteger(20),
+  LOGIN_ATTEMPT_WINDOW_MINUTES: positiveInteger(15),
+  LOGIN_LOCKOUT_DURATION_MINUTES: positiveInteger(15),
+  LOGIN_LOCKOUT_MAX_DURATION_MINUTES: positiveInteger(24 * 60),
+  LOGIN_DELAY_BASE_MS: Joi.number().integer().min(0).default(250),
+  LOGIN_DELAY_MAX_MS: Joi.number().integer().min(0).default(5000),
+
+  // Two-factor authentication
+  TWO_FACTOR_REQUIRED: Joi.boolean().default(false),
+  TWO_FACTOR_ISSUER: Joi.string().default('Nuvho HotelHub'),
+  TWO_FACTOR_CHALLENGE_TTL: Joi.string().pattern(/^\d+[smhd]?$/).default('5m'),
+
+  // Mail (custom transports can be registered at runtime, so MAIL_TRANSPORT is not limited to the built-in ones)
+  // The console transport prints reset, sign-in and invitation links, so production must choose a real one
+  MAIL_TRANSPORT: Joi.string().when('NODE_ENV', {
+    is: 'production',
+    then: Joi.string().invalid('console').required(),
+    otherwise: Joi.string().default('console')
+  }).messages({ 'any.invalid': '"MAIL_TRANSPORT" cannot be console in production (it prints email links to the log)' }),
+  MAIL_FROM: Joi.string().default('Nuvho HotelHub <no-reply@nuvho.com>'),
+  MAIL_OUTBOX_DIR: Joi.string().default('tmp/mail'),
+  MAIL_WEBHOOK_URL: Joi.string().uri({ scheme: ['http', 'https'] }).when('MAIL_TRANSPORT', {
+    is: 'webhook',
+    then: Joi.required()
+  }),
+  MAIL_WEBHOOK_TOKEN: Joi.string(),
+
+  // Single sign-on identity providers (JSON array, see README "Single sign-on")
+  OIDC_PROVIDERS: jsonArray(oidcProvider).default([]),
+
+  // Magic links: optionally only valid from the requesting IP address and browser
+  MAGIC_LINK_BIND_IP: Joi.boolean().default(false),
+  MAGIC_LINK_BIND_DEVICE: Joi.boolean().default(false),
+
+  // Token and link lifetimes
+  MAGIC_LINK_TTL_MINUTES: positiveInteger(15),
+  PASSWORD_RESET_TOKEN_TTL_MINUTES: positiveInteger(60),
+  EMAIL_VERIFICATION_TOKEN_TTL_HOURS: positiveInteger(48),
+  PROPERTY_INVITATION_TTL_DAYS: positiveInteger(7),
+  ORGANIZATION_INVITATION_TTL_DAYS: positiveInteger(7),
+  IMPERSONATION_TTL_MINUTES: positiveInteger(15),
+  OIDC_LOGIN_STATE_TTL_MINUTES: positiveInteger(10),
+  API_KEY_DEFAULT_TTL_DAYS: positiveInteger(90).max(Joi.ref('API_KEY_MAX_TTL_DAYS'))
+    .messages({ 'number.max': '"API_KEY_DEFAULT_TTL_DAYS" must not be greater than API_KEY_MAX_TTL_DAYS' }),
+  API_KEY_MAX_TTL_DAYS: positiveInteger(365)
+})
+  .and('SSL_CERT', 'SSL_KEY')
+  .messages({ 'object.and': 'SSL_CERT and SSL_KEY must be set together' })
+  .unknown(true);
+
+// Read .env files for an environment into `env` without overwriting variables already set
+const loadEnvFiles = (env = process.env, directory = process.cwd()) => {
+  const baseFile = path.join(directory, '.env');
+  const baseValues = fs.existsSync(baseFile) ? dotenv.parse(fs.readFileSync(baseFile)) : {};
+  const nodeEnv = env.NODE_ENV || baseValues.NODE_ENV || 'development';
+
+  const files = [
+    `.env.${nodeEnv}.local`,
+    ...(nodeEnv === 'test' ? [] : ['.env.local']),
+    `.env.${nodeEnv}`,
+    '.env'
+  ];
+
+  const loaded = [];
+  files.forEach(file => {
+    const filePath = path.join(directory, file);
+    if (!fs.existsSync(filePath)) return;
+
+    const values = dotenv.parse(fs.readFileSync(filePath));
+    Object.entries(values).forEach(([key, value]) => {
+      if (env[key] === undefined) env[key] = value;
+    });
+    loaded.push(file);
+  });
+
+  return loaded;
+};
+
+// Validate environment variables and build the config object; throws ConfigError listing every problem
+const loadConfig = (env = process.env) => {
+  // Blank values mean "not set" so an empty line in a .env file falls back to the default
+  const values = Object.fromEntries(Object.entries(env).filter(([, value]) => value !== ''));
+
+  const { error, value } = schema.validate(values, { abortEarly: false, convert: true });
+  if (error) {
+    throw new ConfigError(error.details.map(detail => detail.message));
+  }
+
+  const isProduction = value.NODE_ENV === 'production';
+  const warnings = [];
+
+  let jwtSecret = value.JWT_SECRET;
+  if (!jwtSecret) {
+    // Outside production a throwaway secret keeps the server usable (sessions end on restart)
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    warnings.push('JWT_SECRET is not set; using a random secret (tokens stop working on restart)');
+  }
+
+  if (isProduction && value.METRICS_ENABLED && !value.METRICS_TOKEN) {
+    warnings.push('METRICS_TOKEN is not set; /metrics is open to anyone who can reach the server');
+  }
+
+  // TRUST_PROXY accepts a hop count (e.g. 1), true, or a list of proxy addresses
+  let trustProxy = null;
+  if (value.TRUST_PROXY) {
+    trustProxy = /^\d+$/.test(value.TRUST_PROXY) ? parseInt(value.TRUST_PROXY) : value.TRUST_PROXY === 'true' || value.TRUST_PROXY;
+  }
+
+  return {
+    env: value.NODE_ENV,
+    isProduction,
+    isDevelopment: value.NODE_ENV === 'development',
+    isTest: value.NODE_ENV === 'test',
+    server: {
+      port: value.PORT,
+      httpsPort: value.HTTPS_PORT,
+      publicUrl: value.PUBLIC_URL ? value.PUBLIC_URL.replace(/\/+$/, '') : null,
+      trustProxy
+    },
+    frontendUrl: value.FRONTEND_URL.replace(/\/+$/, ''),
+    db: {
+      host: value.DB_HOST,
+      port: value.DB_PORT,
+      user: value.DB_USER,
+      password: value.DB_PASSWORD,
+      database: value.DB_NAME,
+      connectionLimit: value.DB_CONNECTION_LIMIT,
+      autoMigrate: value.DB_AUTO_MIGRATE
+    },
+    jwt: {
+      secret: jwtSecret,
+      accessTokenTtl: value.ACCESS_TOKEN_TTL,
+      refreshTokenTtlDays: value.REFRESH_TOKEN_TTL_DAYS
+    },
+    // Falls back to an explicitly set JWT_SECRET, never the throwaway one (encrypted data must survive restarts)
+    dataEncryptionKey: value.DATA_ENCRYPTION_KEY || value.JWT_SECRET || null,
+    cors: {
+      origins: value.CORS_ORIGINS
+    },
+    ssl: {
+      enabled: !!(value.SSL_CERT && value.SSL_KEY),
+      cert: value.SSL_CERT || null,
+      key: value.SSL_KEY || null
+    },
+    openai: {
+      enabled: !!value.OPENAI_API_KEY,
+      apiKey: value.OPENAI_API_KEY || null,
+      apiUrl: value.OPENAI_API_URL.replace(/\/+$/, ''),
+      assistantId: value.OPENAI_ASSISTANT_ID,
+      managerAssistantId: value.OPENAI_MANAGER_ASSISTANT_ID
+    },
+    hubspot: {
+      enabled: !!value.HUBSPOT_ACCESS_TOKEN,
+      accessToken: value.HUBSPOT_ACCESS_TOKEN || null,
+      portalId: value.HUBSPOT_PORTAL_ID || null
+    },
+    logging: {
+      level: value.LOG_LEVEL || (value.NODE_ENV === 'development' ? 'debug' : 'info'),
+      format: value.LOG_FORMAT || (isProduction ? 'json' : 'pretty')
+    },
+    openapi: {
+      validate: value.OPENAPI_VALIDATION !== undefined ? value.OPENAPI_VALIDATION : !isProduction
+    },
+    metrics: {
+      enabled: value.METRICS_ENABLED,
+      token: value.METRICS_TOKEN || null
+    },
+    health: {
+      checkTimeoutMs: value.HEALTH_CHECK_TIMEOUT_MS,
+      probeExternal: value.HEALTH_PROBE_EXTERNAL
+    },
+    rateLimit: {
+      enabled: value.RATE_LIMIT_ENABLED,
+      ...Object.fromEntries(Object.entries(RATE_LIMITS).map(([key, { name }]) => [key, {
+        windowMinutes: value[`RATE_LIMIT_${name}_WINDOW_MINUTES`],
+        max: value[`RATE_LIMIT_${name}_MAX`]
+      }]))
+    },
+    loginProtection: {
+      accountThreshold: value.LOGIN_LOCKOUT_THRESHOLD,
+      ipThreshold: value.LOGIN_IP_LOCKOUT_THRESHOLD,
+      windowMinutes: value.LOGIN_ATTEMPT_WINDOW_MINUTES,
+      lockoutMinutes: value.LOGIN_LOCKOUT_DURATION_MINUTES,
+      maxLockoutMinutes: value.LOGIN_LOCKOUT_MAX_DURATION_MINUTES,
+      delayBaseMs: value.LOGIN_DELAY_BASE_MS,
+      delayMaxMs: value.LOGIN_DELAY_MAX_MS
+    },
+    twoFactor: {
+      required: value.TWO_FACTOR_REQUIRED,
+      issuer: value.TWO_FACTOR_ISSUER,
+      challengeTtl: value.TWO_FACTOR_CHALLENGE_TTL
+    },
+    mail: {
+      transport: value.MAIL_TRANSPORT,
+      from: value.MAIL_FROM,
+      outboxDir: value.MAIL_OUTBOX_DIR,
+      webhookUrl: value.MAIL_WEBHOOK_URL || null,
+      webhookToken: value.MAIL_WEBHOOK_TOKEN || null
+    },
+    oidc: {
+      providers: value.OIDC_PROVIDERS
+    },
+    magicLink: {
+      bindIp: value.MAGIC_LINK_BIND_IP,
+      bindDevice: value.MAGIC_LINK_BIND_DEVICE
+    },
+    tokenTtl: {
+      magicLinkMinutes: value.MAGIC_LINK_TTL_MINUTES,
+      passwordResetMinutes: value.PASSWORD_RESET_TOKEN_TTL_MINUTES,
+      emailVerificationHours: value.EMAIL_VERIFICATION_TOKEN_TTL_HOURS,
+      propertyInvitationDays: value.PROPERTY_INVITATION_TTL_DAYS,
+      organizationInvitationDays: value.ORGANIZATION_INVITATION_TTL_DAYS,
+      impersonationMinutes: value.IMPERSONATION_TTL_MINUTES,
+      oidcLoginStateMinutes: value.OIDC_LOGIN_STATE_TTL_MINUTES
+    },
+    apiKeys: {
+      defaultTtlDays: value.API_KEY_DEFAULT_TTL_DAYS,
+      maxTtlDays: value.API_KEY_MAX_TTL_DAYS
+    },
+    warnings
+  };
+};
+
+// Copy of the config safe to print: secrets that are set become '[redacted]' ('*' matches every array item)
+const redactConfig = (config) => {
+  const copy = JSON.parse(JSON.stringify(config));
+
+  const redact = (node, keys) => {
+    if (!node) return;
+    const [key, ...rest] = keys;
+
+    if (key === '*') {
+      (Array.isArray(node) ? node : []).forEach(item => redact(item, rest));
+    } else if (rest.length > 0) {
+      redact(node[key], rest);
+    } else if (node[key]) {
+      node[key] = '[redacted]';
+    }
+  };
+
+  SECRET_PATHS.forEach(secretPath => redact(copy, secretPath.split('.')));
+
+  return copy;
+};
+
+// Deep-freeze so nothing mutates settings at runtime
+const freeze = (object) => {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') freeze(value);
+  });
+  return Object.freeze(object);
+};
+
+module.exports = {
+  ConfigError,
+  SECRET_PATHS,
+  loadEnvFiles,
+  loadConfig,
+  redactConfig,
+  freeze
+};
@@ -1,12 +1,18 @@
 // config/firebase.js
 const admin = require('firebase-admin');
 const path = require('path');
+const { logger } = require('../services/logger');
 
 let firebaseApp;
 
 const initializeFirebase = () => {
   try {
     if (!firebaseApp) {
+      if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        logger.info('GOOGLE_APPLICATION_CREDENTIALS not set - Firebase disabled');
+        return null;
+      }
+
       const serviceAccount = require(path.join(process.cwd(), process.env.GOOGLE_APPLICATION_CREDENTIALS));
       
       firebaseApp = admin.initializeApp({
@@ -14,11 +20,11 @@ const initializeFirebase = () => {
         projectId: process.env.FIREBASE_PROJECT_ID
       });
       
-      console.log('✅ Firebase Admin initialized successfully');
+      logger.info('Firebase Admin initialized successfully');
     }
     return firebaseApp;
   } catch (error) {
-    console.error('❌ Firebase initialization error:', error.message);
+    logger.error('Firebase initialization error', { error: error.message });
     return null;
   }
 };
@@ -36,7 +42,7 @@ const verifyFirebaseToken = async (idToken) => {
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     return decodedToken;
   } catch (error) {
-    console.error('Firebase token verification error:', error);
+    logger.error('Firebase token verification error', { err: error });
     throw error;
   }
 };
@@ -0,0 +1,24 @@
+// config/index.js
+// Validated application settings: require('./config') anywhere instead of reading process.env
+// Invalid settings stop the process at startup with one line per problem
+
+const { ConfigError, loadEnvFiles, loadConfig, freeze } = require('./environment');
+
+const loadedFiles = loadEnvFiles();
+
+// Problems are printed directly: the logger itself is configured from these settings
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+
+  console.error(`❌ ${error.message}`);
+  console.error('💡 Set these in the environment or a .env file (see README "Configuration")');
+  process.exit(1);
+}
+
+config.files = loadedFiles;
+config.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+module.exports = freeze(config);
@@ -0,0 +1,126 @@
+// config/permissions.js
+// Central registry of permissions and the default role -> permission mapping
+// The mapping is seeded into MySQL (roles / role_permissions) and can be edited via /api/admin/roles
+
+// Every permission the API checks. "own" = properties the user is a team member of
+// (further limited by their property role: owner, manager, viewer), "any" = all resources
+const PERMISSIONS = {
+  'property:create': 'Create properties',
+  'property:read:own': 'View own properties',
+  'property:read:any': 'View every property',
+  'property:update:own': 'Edit own properties',
+  'property:delete:own': 'Delete own properties',
+  'property:status:own': 'Change the status of own properties',
+  'property:status:any': 'Change the status of any property',
+  'property:stats': 'View portfolio-wide property statistics',
+  'property:members:manage': 'Invite and manage team members of own properties',
+
+  'onboarding:complete': 'Submit and save onboarding',
+  'onboarding:read:own': 'View own onboarding status and data',
+  'onboarding:review': 'Review all onboarding completions',
+
+  'roles:read': 'View roles and their permissions',
+  'roles:manage': 'Change role permissions',
+
+  'users:read': 'Search and view user accounts',
+  'users:manage': 'Change user roles, deactivate, restore and force password resets',
+  'users:unlock': 'View login lockouts and unlock accounts',
+  'users:impersonate': 'Sign in as another user (read-only) for support; only ever honoured for superadmins',
+
+  'apikeys:manage': 'Create and revoke API keys for your account',
+
+  'organizations:manage': 'Create organizations and assign users and properties to any organization',
+
+  'system:maintenance': 'Run maintenance utilities (e.g. account reconciliation)'
+};
+
+// Grants every permission
+const WILDCARD = '*';
+
+// Permissions that reach beyond the user's own hotels (other users, every property, the platform)
+// A role holding any of them is privileged: e.g. single sign-on never links such accounts automatically
+const PRIVILEGED_PERMISSIONS = [
+  'property:read:any',
+  'property:status:any',
+  'property:stats',
+  'onboarding:review',
+  'roles:read',
+  'roles:manage',
+  'users:read',
+  'users:manage',
+  'users:unlock',
+  'users:impersonate',
+  'organizations:manage',
+  'system:maintenance'
+];
+
+// What each role means
+const ROLES = {
+  superadmin: 'Nuvho platform owner - full access',
+  admin: 'Nuvho staff - manages all properties and onboarding reviews',
+  hoteladmin: 'Hotel administrator - manages their own hotels',
+  hoteluser: 'Hotel staff member - works on their own hotels and onboarding'
+};
+
+// Scopes an API key can carry, and the permissions each one unlocks
+// A key never gets more than its owner's role allows (the two sets are intersected)
+const API_KEY_SCOPES = {
+  'properties:read': {
+    description: 'Read properties and property statistics',
+    permissions: ['property:read:own', 'property:read:any', 'property:stats']
+  },
+  'properties:write': {
+    description: 'Create and update properties and their status',
+    permissions: ['property:create', 'property:update:own', 'property:status:own', 'property:status:any']
+  },
+  'onboarding:read': {
+    description: 'Read onboarding status and data',
+    permissions: ['onboarding:read:own', 'onboarding:review']
+  },
+  'onboarding:write': {
+    description: 'Submit and save onboarding',
+    permissions: ['onboarding:complete']
+  }
+};
+
+const HOTEL_USER_PERMISSIONS = [
+  'property:create',
+  'property:read:own',
+  'property:update:own',
+  'property:delete:own',
+  'property:status:own',
+  'property:members:manage',
+  'onboarding:complete',
+  'onboarding:read:own'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  superadmin: [WILDCARD],
+  admin: [
+    ...HOTEL_USER_PERMISSIONS,
+    'property:read:any',
+    'property:status:any',
+    'property:stats',
+    'onboarding:review',
+    'roles:read',
+    'users:read',
+    'users:manage',
+    'users:unlock',
+    'apikeys:manage',
+    'organizations:manage'
+  ],
+  hoteladmin: [...HOTEL_USER_PERMISSIONS, 'apikeys:manage'],
+  hoteluser: [...HOTEL_USER_PERMISSIONS]
+};
+
+const isKnownPermission = (permission) => permission === WILDCARD || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  WILDCARD,
+  PRIVILEGED_PERMISSIONS,
+  API_KEY_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission
+};
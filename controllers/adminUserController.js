@@ -0,0 +1,348 @@
+// controllers/adminUserController.js
+// Admin user management: search, role changes, activation, restore, forced password resets,
+// impersonation and MySQL <-> Firebase account reconciliation
+// Every change is written to the admin audit log with the acting admin's ID
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const UserSession = require('../models/UserSession');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const mailer = require('../services/mailer');
+const emailTemplates = require('../services/emailTemplates');
+const { getFirebaseAdmin } = require('../services/firebaseAdmin');
+const { reconcile } = require('../services/accountReconciliation');
+const { generateImpersonationToken } = require('../services/sessionTokens');
+const { formatSuccess, generateSecureToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+const { ValidationError, ForbiddenError, NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+
+const USER_STATUSES = ['active', 'inactive', 'deleted', 'all'];
+const MAX_PAGE_SIZE = 100;
+
+// Helper function to write an audit entry for a user
+const recordAction = (req, action, userId, details = null) => {
+  return AdminAuditLog.record({
+    adminId: req.user.id,
+    action,
+    targetType: 'user',
+    targetId: userId,
+    details,
+    ipAddress: req.ip || null
+  });
+};
+
+// Helper function to load the target user and apply the rules shared by every write action:
+// admins cannot act on themselves, and only superadmins can act on superadmins
+const loadTargetUser = async (req, userId = req.params.id) => {
+  const user = await User.findByIdIncludingInactive(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+  }
+
+  if (String(user.id) === String(req.user.id)) {
+    throw new ValidationError('Use the account endpoints to change your own account', { code: 'SELF_MANAGEMENT' });
+  }
+
+  if (user.role === 'superadmin' && req.user.role !== 'superadmin') {
+    throw new ForbiddenError('Only superadmins can manage superadmin accounts');
+  }
+
+  return user;
+};
+
+// Helper function to mirror the disabled flag to Firebase (failures are logged, never fatal)
+const syncFirebaseDisabled = async (user, disabled) => {
+  const firebaseAdmin = getFirebaseAdmin();
+  if (!user.firebaseUid || !firebaseAdmin) return null;
+
+  const firebaseResult = await firebaseAdmin.updateUser(user.firebaseUid, { disabled });
+  if (!firebaseResult.success) {
+    logger.warn('Firebase disabled flag sync failed', { userId: user.id, error: firebaseResult.error });
+  }
+  return firebaseResult.success;
+};
+
+// Search and filter users
+exports.listUsers = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 25, MAX_PAGE_SIZE);
+    const offset = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.search) filters.search = req.query.search;
+    if (req.query.role) filters.role = req.query.role;
+    if (req.query.authProvider) filters.authProvider = req.query.authProvider;
+    if (req.query.emailVerified !== undefined) filters.emailVerified = req.query.emailVerified === 'true';
+    filters.status = req.query.status || 'active';
+
+    if (!USER_STATUSES.includes(filters.status)) {
+      return next(new ValidationError('Invalid status. Must be one of: ' + USER_STATUSES.join(', ')));
+    }
+
+    const { users, total } = await User.search(filters, limit, offset);
+
+    res.json(formatSuccess({
+      users,
+      count: users.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      filters
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a user with their admin action history
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await User.findByIdIncludingInactive(req.params.id);
+
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+
+    const [sessions, history] = await Promise.all([
+      UserSession.findActiveByUserId(user.id),
+      AdminAuditLog.findByTarget('user', user.id)
+    ]);
+
+    res.json(formatSuccess({
+      user,
+      activeSessions: sessions.length,
+      history
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a user's role (their sessions are revoked so the new role applies immediately)
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!role || !(await Role.exists(role))) {
+      return next(new ValidationError('Invalid role'));
+    }
+
+    if (role === 'superadmin' && req.user.role !== 'superadmin') {
+      return next(new ForbiddenError('Only superadmins can grant the superadmin role'));
+    }
+
+    const user = await loadTargetUser(req);
+
+    if (user.role === role) {
+      return res.json(formatSuccess({ user }, 'User already has this role'));
+    }
+
+    await User.updateRole(user.id, role);
+    await UserSession.revokeAllForUser(user.id, 'role_changed');
+    await recordAction(req, 'user.role_changed', user.id, { from: user.role, to: role });
+
+    res.json(formatSuccess({ user: await User.findByIdIncludingInactive(user.id) }, 'Role updated'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate a user (signs them out everywhere and disables their Firebase account)
+exports.deactivateUser = async (req, res, next) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    if (!user.isActive) {
+      return res.json(formatSuccess({ user }, 'User is already inactive'));
+    }
+
+    await User.setActive(user.id, false);
+    await UserSession.revokeAllForUser(user.id, 'deactivated');
+    const firebaseSynced = await syncFirebaseDisabled(user, true);
+    await recordAction(req, 'user.deactivated', user.id, req.body.reason ? { reason: req.body.reason } : null);
+
+    res.json(formatSuccess({ user: await User.findByIdIncludingInactive(user.id), ...(firebaseSynced !== null && { firebaseSynced }) }, 'User deactivated'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reactivate a user
+exports.activateUser = async (req, res, next) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    if (user.isActive) {
+      return res.json(formatSuccess({ user }, 'User is already active'));
+    }
+
+    await User.setActive(user.id, true);
+    const firebaseSynced = await syncFirebaseDisabled(user, false);
+    await recordAction(req, 'user.activated', user.id);
+
+    res.json(formatSuccess({ user: await User.findByIdIncludingInactive(user.id), ...(firebaseSynced !== null && { firebaseSynced }) }, 'User activated'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore a soft-deleted user
+exports.restoreUser = async (req, res, next) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    if (!user.isDeleted) {
+      return next(new ValidationError('User is not deleted'));
+    }
+
+    await User.restore(user.id);
+    await recordAction(req, 'user.restored', user.id);
+
+    res.json(formatSuccess({ user: await User.findByIdIncludingInactive(user.id) }, 'User restored'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Force a password reset: the current password stops working, sessions are revoked
+// and the user is emailed a reset link
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    if (user.isDeleted || !user.isActive) {
+      return next(new ValidationError('User must be active to reset their password'));
+    }
+
+    await User.clearPassword(user.id);
+    await PasswordResetToken.invalidateAllForUser(user.id);
+    await UserSession.revokeAllForUser(user.id, 'forced_password_reset');
+
+    // Firebase keeps its own password; replace it with a random one so it cannot be used either
+    let firebaseSynced = null;
+    const firebaseAdmin = getFirebaseAdmin();
+    if (user.firebaseUid && firebaseAdmin) {
+      const firebaseResult = await firebaseAdmin.updateUser(user.firebaseUid, { password: generateSecureToken(24) });
+      firebaseSynced = firebaseResult.success;
+
+      if (!firebaseResult.success) {
+        logger.warn('Firebase password reset failed', { userId: user.id, error: firebaseResult.error });
+      }
+    }
+
+    const { token, expiresInMinutes } = await PasswordResetToken.create(user.id, {
+      requestedIp: req.ip || null
+    });
+
+    await mailer.sendMail({
+      to: user.email,
+      ...emailTemplates.passwordReset(user, { token, expiresInMinutes })
+    });
+
+    await recordAction(req, 'user.password_reset_forced', user.id, req.body.reason ? { reason: req.body.reason } : null);
+
+    res.json(formatSuccess({ ...(firebaseSynced !== null && { firebaseSynced }) }, 'Password reset forced and reset email sent'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start a read-only impersonation of a user. Body: { reason }
+// Returns a short-lived access token (no refresh token) bound to the admin's own session
+// Superadmins only, even if users:impersonate has been granted to another role
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'superadmin') {
+      return next(new ForbiddenError('Only superadmins can impersonate users', { code: 'SUPERADMIN_REQUIRED' }));
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return next(new ValidationError('A reason is required to impersonate a user'));
+    }
+
+    if (!req.user.sid) {
+      return next(new ValidationError('Impersonation requires a signed-in session (password, magic link or single sign-on)'));
+    }
+
+    const user = await loadTargetUser(req, req.params.userId);
+
+    if (user.role === 'superadmin') {
+      return next(new ForbiddenError('Superadmin accounts cannot be impersonated'));
+    }
+
+    if (user.isDeleted || !user.isActive) {
+      return next(new ValidationError('Only active users can be impersonated'));
+    }
+
+    const expiresInMinutes = ImpersonationSession.DEFAULT_TTL_MINUTES;
+    const impersonation = await ImpersonationSession.create({
+      adminId: req.user.id,
+      userId: user.id,
+      adminSessionId: req.user.sid,
+      reason: reason.substring(0, 255),
+      ipAddress: req.ip || null,
+      expiresInMinutes
+    });
+
+    await recordAction(req, 'user.impersonation_started', user.id, {
+      impersonationId: impersonation.id,
+      reason: impersonation.reason
+    });
+
+    res.status(201).json(formatSuccess({
+      token: generateImpersonationToken(user, req.user, impersonation, expiresInMinutes),
+      expiresIn: `${expiresInMinutes}m`,
+      impersonation: {
+        id: impersonation.id,
+        expiresAt: impersonation.expiresAt
+      },
+      user
+    }, 'Impersonation started - requests with this token are read-only and audited'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Compare MySQL users with Firebase accounts; body { apply: true } also repairs the drift
+exports.reconcileAccounts = async (req, res, next) => {
+  try {
+    const apply = req.body.apply === true;
+
+    if (!getFirebaseAdmin()) {
+      return next(new ServiceUnavailableError('Firebase is not configured', { code: 'FIREBASE_NOT_CONFIGURED' }));
+    }
+
+    const report = await reconcile({ apply });
+
+    if (apply) {
+      await AdminAuditLog.record({
+        adminId: req.user.id,
+        action: 'accounts.reconciled',
+        targetType: 'system',
+        targetId: null,
+        details: { summary: report.summary, applied: report.applied, failed: report.failed },
+        ipAddress: req.ip || null
+      });
+    }
+
+    res.json(formatSuccess({ report }));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,241 +1,138 @@
 // controllers/aiController.js
-const fetch = require('node-fetch');
-const FormData = require('form-data');
-
-// OpenAI configuration
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const ASSISTANT_ID = process.env.OPENAI_ASSISTANT_ID || "asst_3kf3WzUfV5KmJlqKe8lLySPu";
-
-// Helper function to make OpenAI API calls
-const makeOpenAIRequest = async (endpoint, options) => {
-  const response = await fetch(`https://api.openai.com/v1${endpoint}`, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-      'OpenAI-Beta': 'assistants=v2',
-      ...options.headers,
-    },
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API Error: ${response.status} - ${errorText}`);
-  }
+const config = require('../config');
+const { getOpenAI } = require('../services/openai');
+const { logger } = require('../services/logger');
+const { ValidationError, UpstreamServiceError, ServiceUnavailableError } = require('../utils/errors');
+const { formatSuccess } = require('../utils/helpers');
 
-  return response.json();
-};
+// OpenAI configuration (the client itself lives in services/openai.js)
+const ASSISTANT_ID = config.openai.assistantId;
+const MANAGER_ASSISTANT_ID = config.openai.managerAssistantId;
 
 // Chat with AI Assistant
-const chat = async (req, res) => {
+const chat = async (req, res, next) => {
   try {
-    const { message, assistantType = 'analyst' } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Message is required' 
-      });
-    }
+    const { message, assistantType } = req.body;
 
-    if (!OPENAI_API_KEY) {
-      return res.status(503).json({
-        success: false,
-        error: 'OpenAI API key not configured'
-      });
+    const openai = getOpenAI();
+    if (!openai) {
+      return next(new ServiceUnavailableError('OpenAI API key not configured', { code: 'AI_NOT_CONFIGURED' }));
     }
 
     // Select appropriate assistant based on type
     let selectedAssistantId = ASSISTANT_ID; // Default to Nuvho Analyst
     if (assistantType === 'manager') {
-      selectedAssistantId = process.env.OPENAI_MANAGER_ASSISTANT_ID || "asst_NS8hqSyzPQ0Hv3F7uOOuKJVk";
+      selectedAssistantId = MANAGER_ASSISTANT_ID;
     }
 
-    console.log(`🤖 Processing AI ${assistantType} request:`, message.substring(0, 50) + '...');
+    logger.info('Processing AI request', { assistantType, messageLength: message.length });
 
     // Create a new thread
-    const threadData = await makeOpenAIRequest('/threads', {
-      method: 'POST'
-    });
+    const threadData = await openai.createThread();
 
     const threadId = threadData.id;
 
     // Add message to thread
-    await makeOpenAIRequest(`/threads/${threadId}/messages`, {
-      method: 'POST',
-      body: JSON.stringify({
-        role: 'user',
-        content: message
-      })
-    });
+    await openai.addMessage(threadId, message);
 
     // Run the assistant
-    const runData = await makeOpenAIRequest(`/threads/${threadId}/runs`, {
-      method: 'POST',
-      body: JSON.stringify({
-        assistant_id: selectedAssistantId
-      })
-    });
+    const runData = await openai.createRun(threadId, selectedAssistantId);
 
     const runId = runData.id;
     if (!runId) {
-      throw new Error('Failed to create run');
+      throw new UpstreamServiceError('Failed to create run', { service: 'openai', code: 'AI_SERVICE_ERROR' });
     }
 
     // Poll for completion
-    let status = 'queued';
+    let status = runData.status || 'queued';
     let retries = 0;
     const maxRetries = 30;
     
     while (status !== 'completed' && retries < maxRetries) {
       await new Promise(resolve => setTimeout(resolve, 1000));
       
-      const checkData = await makeOpenAIRequest(`/threads/${threadId}/runs/${runId}`, {
-        method: 'GET'
-      });
+      const checkData = await openai.getRun(threadId, runId);
       
       status = checkData.status;
       
       if (status === 'failed' || status === 'cancelled' || status === 'expired') {
-        throw new Error(`Run ${status}: ${checkData.last_error?.message || 'Unknown error'}`);
+        throw new UpstreamServiceError(`Assistant run ${status}`, {
+          service: 'openai',
+          code: 'AI_RUN_FAILED',
+          cause: new Error(checkData.last_error?.message || 'Unknown error')
+        });
       }
       
       retries++;
     }
 
     if (status !== 'completed') {
-      throw new Error('Request timeout - assistant took too long to respond');
+      throw new UpstreamServiceError('Request timeout - assistant took too long to respond', { service: 'openai', code: 'AI_TIMEOUT' });
     }
 
     // Get the response
-    const messagesData = await makeOpenAIRequest(`/threads/${threadId}/messages`, {
-      method: 'GET'
-    });
+    const messagesData = await openai.listMessages(threadId);
 
     const assistantMessage = messagesData.data.find(m => m.role === 'assistant');
     const responseText = assistantMessage?.content?.[0]?.text?.value || 
                         'I apologize, but I couldn\'t generate a response. Please try again.';
 
-    console.log(`✅ AI ${assistantType} response generated successfully`);
+    logger.info('AI response generated successfully', { assistantType });
 
-    res.json({ 
-      success: true,
+    res.json(formatSuccess({
       response: responseText,
       assistantType,
       timestamp: new Date().toISOString()
-    });
+    }));
 
   } catch (error) {
-    console.error('❌ AI chat error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'I\'m experiencing technical difficulties. Please try again in a moment.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    next(error);
   }
 };
 
 // Transcribe audio to text
-const transcribe = async (req, res) => {
+const transcribe = async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No audio file provided' 
-      });
+      return next(new ValidationError('No audio file provided'));
     }
 
-    if (!OPENAI_API_KEY) {
-      return res.status(503).json({
-        success: false,
-        error: 'OpenAI API key not configured'
-      });
+    const openai = getOpenAI();
+    if (!openai) {
+      return next(new ServiceUnavailableError('OpenAI API key not configured', { code: 'AI_NOT_CONFIGURED' }));
     }
 
-    console.log('🎤 Processing audio transcription...');
+    logger.info('Processing audio transcription...');
 
-    const formData = new FormData();
-    formData.append('file', req.file.buffer, {
+    const text = await openai.transcribe(req.file.buffer, {
       filename: 'audio.webm',
       contentType: req.file.mimetype
     });
-    formData.append('model', 'whisper-1');
-
-    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        ...formData.getHeaders()
-      },
-      body: formData,
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Transcription failed: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
     
-    console.log('✅ Audio transcription completed');
+    logger.info('Audio transcription completed');
 
-    res.json({ 
-      success: true,
-      text: data.text || '',
-      timestamp: new Date().toISOString()
-    });
+    res.json(formatSuccess({ text, timestamp: new Date().toISOString() }));
 
   } catch (error) {
-    console.error('❌ Transcription error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to transcribe audio',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    next(error);
   }
 };
 
 // Convert text to speech
-const speak = async (req, res) => {
+const speak = async (req, res, next) => {
   try {
-    const { text, voice = 'alloy' } = req.body;
-    
-    if (!text) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Text is required' 
-      });
-    }
+    const { text, voice } = req.body;
 
-    if (!OPENAI_API_KEY) {
-      return res.status(503).json({
-        success: false,
-        error: 'OpenAI API key not configured'
-      });
+    const openai = getOpenAI();
+    if (!openai) {
+      return next(new ServiceUnavailableError('OpenAI API key not configured', { code: 'AI_NOT_CONFIGURED' }));
     }
 
-    console.log('🔊 Processing text-to-speech...');
+    logger.info('Processing text-to-speech...');
 
-    const response = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'tts-1',
-        input: text,
-        voice: voice,
-        response_format: 'mp3',
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`TTS failed: ${response.status} - ${errorText}`);
-    }
+    const audio = await openai.speech(text, voice);
 
-    console.log('✅ Text-to-speech completed');
+    logger.info('Text-to-speech completed');
 
     // Stream the audio response back to client
     res.set({
@@ -243,32 +140,26 @@ const speak = async (req, res) => {
       'Content-Disposition': 'attachment; filename="speech.mp3"'
     });
     
-    response.body.pipe(res);
+    audio.pipe(res);
 
   } catch (error) {
-    console.error('❌ Text-to-speech error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to generate speech',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    next(error);
   }
 };
 
 // Health check for AI services
-const healthCheck = async (req, res) => {
+const healthCheck = async (req, res, next) => {
   try {
-    const hasApiKey = !!OPENAI_API_KEY;
+    const hasApiKey = !!getOpenAI();
     const hasAnalystId = !!ASSISTANT_ID;
-    const hasManagerId = !!(process.env.OPENAI_MANAGER_ASSISTANT_ID || "asst_NS8hqSyzPQ0Hv3F7uOOuKJVk");
+    const hasManagerId = !!MANAGER_ASSISTANT_ID;
 
-    res.json({
-      success: true,
+    res.json(formatSuccess({
       status: 'AI services available',
       config: {
         apiKeyConfigured: hasApiKey,
         analystAssistantId: hasAnalystId ? ASSISTANT_ID : 'Not configured',
-        managerAssistantId: hasManagerId ? (process.env.OPENAI_MANAGER_ASSISTANT_ID || "asst_NS8hqSyzPQ0Hv3F7uOOuKJVk") : 'Not configured'
+        managerAssistantId: hasManagerId ? MANAGER_ASSISTANT_ID : 'Not configured'
       },
       features: {
         chat: hasApiKey && (hasAnalystId || hasManagerId),
@@ -278,15 +169,10 @@ const healthCheck = async (req, res) => {
         nuvhoManager: hasApiKey && hasManagerId
       },
       timestamp: new Date().toISOString()
-    });
+    }));
 
   } catch (error) {
-    console.error('❌ AI health check error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'AI services health check failed',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    next(error);
   }
 };
 
@@ -0,0 +1,111 @@
+// controllers/apiKeyController.js
+// Self-service API keys: create (the raw key is shown once), list and revoke
+
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES, WILDCARD } = require('../config/permissions');
+const { getPermissionsForRole } = require('../services/permissions');
+const tenancy = require('../services/tenancy');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { formatSuccess } = require('../utils/helpers');
+
+// Helper function to work out which scopes a role could actually use
+const getGrantableScopes = async (role) => {
+  const rolePermissions = await getPermissionsForRole(role);
+
+  return Object.keys(API_KEY_SCOPES).filter(scope =>
+    rolePermissions.has(WILDCARD) ||
+    API_KEY_SCOPES[scope].permissions.some(permission => rolePermissions.has(permission))
+  );
+};
+
+// List the scopes the signed-in user can put on a key
+exports.listScopes = async (req, res, next) => {
+  try {
+    const grantable = await getGrantableScopes(req.user.role);
+
+    res.json(formatSuccess({
+      scopes: grantable.map(scope => ({
+        scope,
+        description: API_KEY_SCOPES[scope].description
+      })),
+      defaultExpiresInDays: ApiKey.DEFAULT_TTL_DAYS,
+      maxExpiresInDays: ApiKey.MAX_TTL_DAYS
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the signed-in user's keys (prefix and metadata only)
+exports.listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.findByUserId(req.user.id);
+
+    res.json(formatSuccess({ apiKeys, count: apiKeys.length }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a key. Body: { name, scopes: ['properties:read', ...], expiresInDays }
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim() || String(name).length > 100) {
+      return next(new ValidationError('Name is required (max 100 characters)'));
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return next(new ValidationError('At least one scope is required'));
+    }
+
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknown.length > 0) {
+      return next(new ValidationError('Unknown scopes: ' + unknown.join(', ')));
+    }
+
+    const grantable = await getGrantableScopes(req.user.role);
+    const denied = scopes.filter(scope => !grantable.includes(scope));
+    if (denied.length > 0) {
+      return next(new ForbiddenError('Your role does not allow these scopes: ' + denied.join(', ')));
+    }
+
+    if (expiresInDays !== undefined) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > ApiKey.MAX_TTL_DAYS) {
+        return next(new ValidationError(`expiresInDays must be between 1 and ${ApiKey.MAX_TTL_DAYS}`));
+      }
+    }
+
+    const { apiKey, key } = await ApiKey.create(req.user.id, {
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      expiresInDays,
+      organizationId: await tenancy.getTenantId(req)
+    });
+
+    res.status(201).json(formatSuccess({ apiKey, key }, 'API key created - store it now, it will not be shown again'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke one of the signed-in user's keys
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const revoked = await ApiKey.revoke(req.params.id, req.user.id, req.user.id);
+
+    if (!revoked) {
+      return next(new NotFoundError('API key not found or already revoked', { code: 'API_KEY_NOT_FOUND' }));
+    }
+
+    res.json(formatSuccess({}, 'API key revoked'));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,105 +1,76 @@
 // controllers/authController.js
 // Updated to use proper Firebase admin service integration
 
-const jwt = require('jsonwebtoken');
+const config = require('../config');
 const User = require('../models/User');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const UserSession = require('../models/UserSession');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const MagicLinkToken = require('../models/MagicLinkToken');
+const TwoFactor = require('../models/TwoFactor');
+const PropertyMember = require('../models/PropertyMember');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const twoFactor = require('../services/twoFactor');
+const loginProtection = require('../services/loginProtection');
+const { getFirebaseAdmin } = require('../services/firebaseAdmin');
+const { ACCESS_TOKEN_TTL, generateToken, issueTokens } = require('../services/sessionTokens');
+const mailer = require('../services/mailer');
+const emailTemplates = require('../services/emailTemplates');
+const { formatSuccess, isValidEmail, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+const { registrations } = require('../services/metrics');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, LockedError, TooManyRequestsError, UpstreamServiceError, ServiceUnavailableError } = require('../utils/errors');
 
-// Helper function to generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
-  );
+// Helper function to describe the login attempt for brute-force tracking
+const getLoginAttempt = (req, email) => ({
+  email,
+  ipAddress: req.ip || null,
+  userAgent: (req.headers && req.headers['user-agent']) || null
+});
+
+// Helper function to build the error for a locked-out login (423 for a locked account, 429 for a locked IP)
+const lockoutError = (status) => {
+  const details = { locked: true, retryAfter: status.retryAfterSeconds };
+  
+  return status.scope === 'account'
+    ? new LockedError('Account temporarily locked due to too many failed login attempts. Try again later or contact support.', { details })
+    : new TooManyRequestsError('Too many failed login attempts from this network. Try again later.', { code: 'TOO_MANY_ATTEMPTS', details });
 };
 
-// Firebase admin service initialization (conditional)
-let firebaseAdmin = null;
-try {
-  // Use the proper Firebase admin service
-  const { initializeFirebase, admin } = require('../config/firebase');
+// Verification email resend throttle
+const RESEND_VERIFICATION_LIMIT = 3;
+const RESEND_VERIFICATION_WINDOW_MINUTES = 15;
+
+// Magic link throttle per account (the route also has a per-IP rate limit)
+const MAGIC_LINK_LIMIT = 3;
+const MAGIC_LINK_WINDOW_MINUTES = 15;
+
+// Helper function to email a verification link (failures are logged, never fatal)
+const sendVerificationEmail = async (user) => {
+  if (!user || user.emailVerified) return false;
   
-  // Initialize Firebase
-  const firebaseApp = initializeFirebase();
-  if (firebaseApp) {
-    firebaseAdmin = {
-      createUser: async (email, password, displayName) => {
-        try {
-          console.log('🔥 Creating Firebase user:', email);
-          
-          const userRecord = await admin.auth().createUser({
-            email: email,
-            password: password,
-            displayName: displayName,
-            emailVerified: false
-          });
-          
-          console.log('✅ Firebase user created successfully:', userRecord.uid);
-          return { success: true, uid: userRecord.uid };
-        } catch (error) {
-          console.error('❌ Firebase user creation failed:', error.code, error.message);
-          
-          // Handle specific Firebase errors
-          if (error.code === 'auth/email-already-exists') {
-            return { success: false, error: 'Email already exists in Firebase', code: 'email-exists' };
-          } else if (error.code === 'auth/weak-password') {
-            return { success: false, error: 'Password too weak for Firebase', code: 'weak-password' };
-          } else if (error.code === 'auth/invalid-email') {
-            return { success: false, error: 'Invalid email format for Firebase', code: 'invalid-email' };
-          }
-          
-          return { success: false, error: error.message, code: error.code };
-        }
-      },
-
-      deleteUser: async (uid) => {
-        try {
-          await admin.auth().deleteUser(uid);
-          console.log('🗑️ Firebase user deleted:', uid);
-          return { success: true };
-        } catch (error) {
-          console.error('❌ Firebase user deletion failed:', error);
-          return { success: false, error: error.message };
-        }
-      },
-
-      verifyIdToken: async (idToken) => {
-        try {
-          const decodedToken = await admin.auth().verifyIdToken(idToken);
-          return { success: true, uid: decodedToken.uid, email: decodedToken.email };
-        } catch (error) {
-          console.error('❌ Firebase token verification failed:', error);
-          return { success: false, error: error.message };
-        }
-      },
-
-      updateUser: async (uid, updates) => {
-        try {
-          await admin.auth().updateUser(uid, updates);
-          console.log('🔄 Firebase user updated:', uid);
-          return { success: true };
-        } catch (error) {
-          console.error('❌ Firebase user update failed:', error);
-          return { success: false, error: error.message };
-        }
-      }
-    };
+  try {
+    const { token, expiresInHours } = await EmailVerificationToken.create(user.id, user.email);
+    
+    await mailer.sendMail({
+      to: user.email,
+      ...emailTemplates.emailVerification(user, { token, expiresInHours })
+    });
     
-    console.log('🔥 Firebase Admin service initialized successfully');
-  } else {
-    console.log('⚠️ Firebase Admin initialization failed');
+    logger.info('Verification email sent', { userId: user.id });
+    return true;
+  } catch (error) {
+    logger.error('Failed to send verification email', { err: error });
+    return false;
   }
-} catch (error) {
-  console.log('ℹ️ Firebase Admin not available:', error.message);
-}
+};
 
 // Register a new user (ENHANCED FLOW: MySQL -> Firebase -> Update MySQL)
-exports.register = async (req, res) => {
+exports.register = async (req, res, next) => {
   try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
     const { 
       email, 
       password, 
@@ -107,27 +78,10 @@ exports.register = async (req, res) => {
       lastName, 
       displayName,
       hotelName,
-      role = 'hoteluser',
-      skipFirebase = false // Option to skip Firebase for testing
+      skipFirebase // Option to skip Firebase for testing
     } = req.body;
-    
-    // Validate required fields
-    if (!email || !firstName || !lastName) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Email, first name, and last name are required' 
-      });
-    }
 
-    // Validate password if not skipping Firebase
-    if (!skipFirebase && (!password || password.length < 6)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Password must be at least 6 characters long' 
-      });
-    }
-
-    console.log('🚀 Starting MySQL-first registration for:', email);
+    logger.info('Starting MySQL-first registration', { email });
     
     // STEP 1: Create user in MySQL first
     const userData = {
@@ -137,11 +91,12 @@ exports.register = async (req, res) => {
       lastName,
       displayName: displayName || `${firstName} ${lastName}`,
       hotelName,
-      role
+      role: 'hoteluser'
     };
     
     const mysqlUser = await User.create(userData);
-    console.log('✅ Step 1: MySQL user created with ID:', mysqlUser.id);
+    logger.info('Step 1: MySQL user created', { userId: mysqlUser.id });
+    registrations.inc({ method: 'password' });
     
     let firebaseUid = null;
     let registrationFlow = 'mysql-only';
@@ -149,7 +104,7 @@ exports.register = async (req, res) => {
     // STEP 2: Create Firebase user (if Firebase is available and not skipped)
     if (firebaseAdmin && !skipFirebase) {
       try {
-        console.log('🔥 Step 2: Creating Firebase user...');
+        logger.info('Step 2: Creating Firebase user...');
         
         const firebaseResult = await firebaseAdmin.createUser(
           email, 
@@ -159,63 +114,62 @@ exports.register = async (req, res) => {
         
         if (firebaseResult.success) {
           firebaseUid = firebaseResult.uid;
-          console.log('✅ Step 2: Firebase user created with UID:', firebaseUid);
+          logger.info('Step 2: Firebase user created', { firebaseUid });
           
           // STEP 3: Update MySQL user with Firebase UID
           try {
             const updatedUser = await User.updateFirebaseUid(mysqlUser.id, firebaseUid);
-            console.log('✅ Step 3: MySQL user updated with Firebase UID');
+            logger.info('Step 3: MySQL user updated with Firebase UID');
             registrationFlow = 'mysql-firebase-complete';
             
+            await sendVerificationEmail(updatedUser);
+            
             // Generate token for the updated user
-            const token = generateToken(updatedUser);
+            const tokens = await issueTokens(updatedUser, req);
             
-            return res.status(201).json({
-              success: true,
-              message: 'User registered successfully with complete authentication',
+            return res.status(201).json(formatSuccess({
               user: updatedUser,
-              token,
+              ...tokens,
               firebaseUid: firebaseUid,
               flow: registrationFlow
-            });
+            }, 'User registered successfully with complete authentication'));
           } catch (updateError) {
-            console.error('❌ Step 3: Failed to update MySQL with Firebase UID:', updateError);
+            logger.error('Step 3: Failed to update MySQL with Firebase UID', { err: updateError });
             
             // Rollback Firebase user if MySQL update fails
             await firebaseAdmin.deleteUser(firebaseUid);
-            console.log('🔄 Rolled back Firebase user due to MySQL update failure');
+            logger.info('Rolled back Firebase user due to MySQL update failure');
             
             // Continue with MySQL-only flow
             registrationFlow = 'mysql-only-firebase-rollback';
           }
         } else {
           // Firebase creation failed
-          console.warn('⚠️ Step 2: Firebase user creation failed:', firebaseResult.error);
+          logger.warn('Step 2: Firebase user creation failed', { error: firebaseResult.error });
           
           // Handle specific Firebase errors that should fail the entire registration
           if (firebaseResult.code === 'email-exists') {
             // Clean up MySQL user since email exists in Firebase
             await User.delete(mysqlUser.id);
-            return res.status(409).json({
-              success: false,
-              message: 'Email already exists in authentication system'
-            });
+            return next(new ConflictError('Email already exists in authentication system', { code: 'EMAIL_IN_USE' }));
           }
           
           // For other Firebase errors, continue with MySQL-only
           registrationFlow = 'mysql-only-firebase-failed';
         }
       } catch (firebaseError) {
-        console.error('❌ Step 2: Firebase registration error:', firebaseError);
+        logger.error('Step 2: Firebase registration error', { err: firebaseError });
         registrationFlow = 'mysql-only-firebase-error';
       }
     } else {
-      console.log('ℹ️ Firebase not available or skipped - using MySQL-only registration');
+      logger.info('Firebase not available or skipped - using MySQL-only registration');
       registrationFlow = 'mysql-only';
     }
     
     // Final response for MySQL-only flows
-    const token = generateToken(mysqlUser);
+    await sendVerificationEmail(mysqlUser);
+    
+    const tokens = await issueTokens(mysqlUser, req);
     
     const responseMessage = {
       'mysql-only': 'User registered successfully (MySQL only)',
@@ -224,281 +178,940 @@ exports.register = async (req, res) => {
       'mysql-only-firebase-rollback': 'User registered successfully (Firebase integration issue resolved)'
     };
     
-    return res.status(201).json({
-      success: true,
-      message: responseMessage[registrationFlow],
+    return res.status(201).json(formatSuccess({
       user: mysqlUser,
-      token,
+      ...tokens,
       firebaseUid: null,
       flow: registrationFlow,
       warning: registrationFlow !== 'mysql-only' ? 'Firebase authentication not available' : undefined
-    });
+    }, responseMessage[registrationFlow]));
     
   } catch (error) {
-    console.error('❌ Registration error:', error);
-    
-    if (error.message === 'User already exists') {
-      return res.status(409).json({ 
-        success: false,
-        message: 'User with this email already exists' 
-      });
+    if (error.code === 'USER_EXISTS') {
+      return next(new ConflictError('User with this email already exists', { code: 'EMAIL_IN_USE' }));
     }
     
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error during registration',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 };
 
 // Firebase user registration (for Firebase-initiated signups)
-exports.registerFirebaseUser = async (req, res) => {
+exports.registerFirebaseUser = async (req, res, next) => {
   try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
     const { idToken, additionalData = {} } = req.body;
     
     if (!idToken) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Firebase ID token is required' 
-      });
+      return next(new ValidationError('Firebase ID token is required'));
     }
 
     // Verify Firebase token
     if (!firebaseAdmin) {
-      return res.status(503).json({ 
-        success: false,
-        message: 'Firebase service not available' 
-      });
+      return next(new ServiceUnavailableError('Firebase service not available', { code: 'FIREBASE_NOT_CONFIGURED' }));
     }
 
     const tokenResult = await firebaseAdmin.verifyIdToken(idToken);
     if (!tokenResult.success) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid Firebase token' 
-      });
+      return next(new UnauthorizedError('Invalid Firebase token', { code: 'INVALID_TOKEN' }));
     }
 
-    const { uid: firebaseUid, email } = tokenResult;
+    const { uid: firebaseUid, email, emailVerified } = tokenResult;
     
     // Check if user already exists by Firebase UID
     let existingUser = await User.findByFirebaseUid(firebaseUid);
     
     if (existingUser) {
+      // Users with 2FA still have to pass the second step
+      const challenge = await twoFactor.getLoginChallenge(existingUser);
+      if (challenge) {
+        return res.json(formatSuccess({ ...challenge, flow: 'existing-firebase-user' }, 'Two-factor authentication required'));
+      }
+      
       // Update last login
       await User.updateLastLogin(existingUser.id);
       
-      const token = generateToken(existingUser);
+      const tokens = await issueTokens(existingUser, req);
       
-      return res.json({
-        success: true,
-        message: 'User already exists - signed in successfully',
+      return res.json(formatSuccess({
         user: existingUser,
-        token,
+        ...tokens,
         flow: 'existing-firebase-user'
-      });
+      }, 'User already exists - signed in successfully'));
     }
 
     // Check if user exists by email (might be orphaned MySQL user)
     existingUser = await User.findByEmail(email);
     
     if (existingUser && !existingUser.firebaseUid) {
-      // Update orphaned MySQL user with Firebase UID
-      const updatedUser = await User.updateFirebaseUid(existingUser.id, firebaseUid);
+      // Update orphaned MySQL user with Firebase UID (keep verification if either side has it)
+      const updatedUser = await User.updateFirebaseUid(existingUser.id, firebaseUid, {
+        emailVerified: existingUser.emailVerified || emailVerified
+      });
+      
+      if (updatedUser.emailVerified && !emailVerified) {
+        await firebaseAdmin.updateUser(firebaseUid, { emailVerified: true });
+      }
+      
+      const challenge = await twoFactor.getLoginChallenge(updatedUser);
+      if (challenge) {
+        return res.json(formatSuccess({ ...challenge, flow: 'mysql-firebase-link' }, 'Two-factor authentication required'));
+      }
       
-      const token = generateToken(updatedUser);
+      const tokens = await issueTokens(updatedUser, req);
       
-      return res.json({
-        success: true,
-        message: 'Existing user linked with Firebase authentication',
+      return res.json(formatSuccess({
         user: updatedUser,
-        token,
+        ...tokens,
         flow: 'mysql-firebase-link'
-      });
+      }, 'Existing user linked with Firebase authentication'));
     }
 
-    // Create new MySQL user with Firebase UID
+    // Create new MySQL user with Firebase UID (self-registration always gets the default role, never one from the request)
     const userData = {
       email,
       firstName: additionalData.firstName || email.split('@')[0],
       lastName: additionalData.lastName || '',
       displayName: additionalData.displayName || email.split('@')[0],
       hotelName: additionalData.hotelName || '',
-      role: additionalData.role || 'hoteluser'
+      role: 'hoteluser'
     };
     
     const newUser = await User.create(userData);
-    const updatedUser = await User.updateFirebaseUid(newUser.id, firebaseUid);
+    registrations.inc({ method: 'firebase' });
+    const updatedUser = await User.updateFirebaseUid(newUser.id, firebaseUid, { emailVerified });
+    
+    await sendVerificationEmail(updatedUser);
     
-    const token = generateToken(updatedUser);
+    const tokens = await issueTokens(updatedUser, req);
     
-    res.status(201).json({
-      success: true,
-      message: 'Firebase user registered successfully',
+    res.status(201).json(formatSuccess({
       user: updatedUser,
-      token,
+      ...tokens,
       flow: 'firebase-mysql-complete'
-    });
+    }, 'Firebase user registered successfully'));
     
   } catch (error) {
-    console.error('❌ Firebase user registration error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error during Firebase user registration',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 };
 
 // Login a user (maintains compatibility)
-exports.login = async (req, res) => {
+exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
     
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Email and password are required' 
-      });
+    // Brute-force protection: refuse locked accounts/IPs, slow down repeated failures
+    const attempt = getLoginAttempt(req, email);
+    const protection = await loginProtection.assess(attempt);
+    if (protection.locked) {
+      return next(lockoutError(protection));
     }
+    await loginProtection.delay(protection.delayMs);
     
-    // Find user by email
+    // Find user by email (unknown emails count as failures too, so lockouts don't reveal accounts)
     const user = await User.findByEmail(email);
     if (!user) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid credentials' 
-      });
+      await loginProtection.recordFailure(attempt);
+      return next(new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' }));
     }
     
     // Validate password
     const isPasswordValid = await User.validatePassword(user, password);
     if (!isPasswordValid) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid credentials' 
-      });
+      await loginProtection.recordFailure({ ...attempt, userId: user.id });
+      return next(new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' }));
+    }
+    
+    // Second factor: return a short-lived challenge instead of tokens
+    // (the attempt only counts as successful once the second factor is verified)
+    const challenge = await twoFactor.getLoginChallenge(user);
+    if (challenge) {
+      return res.json(formatSuccess(challenge, challenge.twoFactorRequired
+        ? 'Two-factor authentication required'
+        : 'Two-factor authentication must be set up for this account'));
     }
     
-    // Generate token
-    const token = generateToken(user);
+    await loginProtection.recordSuccess({ ...attempt, userId: user.id });
+    
+    // Start a session and generate tokens
+    const tokens = await issueTokens(user, req);
     
     // Update last login
     await User.updateLastLogin(user.id);
     
-    res.json({
-      success: true,
-      message: 'Login successful',
+    res.json(formatSuccess({ user, ...tokens }, 'Login successful'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Complete a two-step login with a TOTP code or recovery code
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return next(new ValidationError('Challenge token and a verification code or recovery code are required'));
+    }
+    
+    const challenge = twoFactor.verifyChallengeToken(challengeToken, twoFactor.CHALLENGE_LOGIN);
+    if (!challenge) {
+      return next(new UnauthorizedError('Invalid or expired challenge token', { code: 'INVALID_CHALLENGE_TOKEN' }));
+    }
+    
+    const user = await User.findById(challenge.id);
+    if (!user) {
+      return next(new UnauthorizedError('Invalid or expired challenge token', { code: 'INVALID_CHALLENGE_TOKEN' }));
+    }
+    
+    // Failed codes count against the same account lockout as failed passwords
+    const attempt = { ...getLoginAttempt(req, user.email), userId: user.id };
+    const protection = await loginProtection.assess(attempt);
+    if (protection.locked) {
+      return next(lockoutError(protection));
+    }
+    await loginProtection.delay(protection.delayMs);
+    
+    const result = await twoFactor.verifyUserCode(user.id, { code, recoveryCode });
+    if (!result.valid) {
+      await loginProtection.recordFailure(attempt);
+      return next(new UnauthorizedError('Invalid verification code', { code: 'INVALID_TWO_FACTOR_CODE' }));
+    }
+    
+    await loginProtection.recordSuccess(attempt);
+    
+    const tokens = await issueTokens(user, req);
+    await User.updateLastLogin(user.id);
+    
+    res.json(formatSuccess({
       user,
-      token
-    });
+      ...tokens,
+      twoFactorMethod: result.method,
+      ...(result.method === 'recovery_code' && {
+        recoveryCodesRemaining: await TwoFactor.countRemainingRecoveryCodes(user.id)
+      })
+    }, 'Login successful'));
   } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error during login',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
+  }
+};
+
+// Get two-factor status for the current user
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const record = await TwoFactor.findByUserId(req.user.id);
+    const enabled = !!(record && record.enabled);
+    
+    res.json(formatSuccess({
+      twoFactor: {
+        enabled,
+        enabledAt: enabled ? record.enabledAt : null,
+        required: twoFactor.isRequiredForRole(req.user.role),
+        recoveryCodesRemaining: enabled ? await TwoFactor.countRemainingRecoveryCodes(req.user.id) : 0
+      }
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start two-factor enrollment (returns secret + otpauth URI)
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+    
+    if (await TwoFactor.isEnabled(user.id)) {
+      return next(new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' }));
+    }
+    
+    const enrollment = await twoFactor.beginEnrollment(user);
+    
+    res.json(formatSuccess({ secret: enrollment.secret, otpauthUri: enrollment.otpauthUri }, 'Scan the QR code with your authenticator app, then confirm with a code'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirm enrollment with the first code and switch 2FA on
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return next(new ValidationError('Verification code is required'));
+    }
+    
+    const recoveryCodes = await twoFactor.completeEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return next(new ValidationError('Invalid verification code or no pending two-factor setup', { code: 'INVALID_TWO_FACTOR_CODE' }));
+    }
+    
+    const response = formatSuccess({ recoveryCodes }, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.');
+    
+    // Mandatory enrollment during login finishes the login as well
+    if (req.twoFactorEnrollment) {
+      const user = await User.findById(req.user.id);
+      Object.assign(response, { user }, await issueTokens(user, req));
+      await User.updateLastLogin(user.id);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Turn 2FA off (requires password and a current code)
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    if (twoFactor.isRequiredForRole(req.user.role)) {
+      return next(new ForbiddenError('Two-factor authentication is mandatory for your role', { code: 'TWO_FACTOR_ENROLLMENT_REQUIRED' }));
+    }
+    
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+    
+    if (user.password && !(await User.validatePassword(user, password))) {
+      return next(new UnauthorizedError('Invalid password', { code: 'INVALID_PASSWORD' }));
+    }
+    
+    const result = await twoFactor.verifyUserCode(user.id, { code, recoveryCode });
+    if (!result.valid) {
+      return next(new UnauthorizedError('Invalid verification code', { code: 'INVALID_TWO_FACTOR_CODE' }));
+    }
+    
+    await TwoFactor.disable(user.id);
+    
+    res.json(formatSuccess({}, 'Two-factor authentication disabled'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace recovery codes (requires a current TOTP code)
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const result = await twoFactor.verifyUserCode(req.user.id, { code });
+    if (!result.valid) {
+      return next(new UnauthorizedError('Invalid verification code', { code: 'INVALID_TWO_FACTOR_CODE' }));
+    }
+    
+    const recoveryCodes = twoFactor.generateRecoveryCodes();
+    await TwoFactor.replaceRecoveryCodes(req.user.id, recoveryCodes);
+    
+    res.json(formatSuccess({ recoveryCodes }, 'New recovery codes generated. Previous codes no longer work.'));
+  } catch (error) {
+    next(error);
   }
 };
 
 // Forgot password
-exports.forgotPassword = async (req, res) => {
+exports.forgotPassword = async (req, res, next) => {
+  // We don't want to reveal if a user exists or not for security reasons
+  // So we always return the same message
+  const genericResponse = formatSuccess({}, 'If your email is registered, you will receive password reset instructions');
+
   try {
     const { email } = req.body;
     
     if (!email) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Email is required' 
-      });
+      return next(new ValidationError('Email is required'));
     }
     
     // Find user by email
     const user = await User.findByEmail(email);
     
-    // We don't want to reveal if a user exists or not for security reasons
-    // So we always return the same message
-    
-    // In a real application, you would:
-    // 1. Generate a password reset token
-    // 2. Save it to the database with an expiry time
-    // 3. Send an email with a link containing the token
+    if (user) {
+      // Generate a reset token, store its hash with an expiry and email the link
+      const { token, expiresInMinutes } = await PasswordResetToken.create(user.id, {
+        requestedIp: req.ip || null
+      });
+      
+      await mailer.sendMail({
+        to: user.email,
+        ...emailTemplates.passwordReset(user, { token, expiresInMinutes })
+      });
+      
+      logger.info('Password reset email sent', { userId: user.id });
+    }
     
-    res.json({ 
-      success: true,
-      message: 'If your email is registered, you will receive password reset instructions' 
-    });
+    res.json(genericResponse);
   } catch (error) {
-    console.error('❌ Forgot password error:', error);
+    logger.error('Forgot password error', { err: error });
     // Still return the same message for security
-    res.json({ 
-      success: true,
-      message: 'If your email is registered, you will receive password reset instructions' 
+    res.json(genericResponse);
+  }
+};
+
+// Reset password using a token from the forgot-password email
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return next(new ValidationError('Reset token and new password are required'));
+    }
+    
+    if (password.length < 6) {
+      return next(new ValidationError('Password must be at least 6 characters long'));
+    }
+    
+    // Consume the token (single use, must not be expired)
+    const userId = await PasswordResetToken.consume(token);
+    if (!userId) {
+      return next(new ValidationError('Invalid or expired reset token', { code: 'INVALID_RESET_TOKEN' }));
+    }
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      return next(new ValidationError('Invalid or expired reset token', { code: 'INVALID_RESET_TOKEN' }));
+    }
+    
+    await User.updatePassword(user.id, password);
+    
+    // Invalidate any other outstanding reset tokens for this user
+    await PasswordResetToken.invalidateAllForUser(user.id);
+    
+    // Sign out every existing session, the old password may have been compromised
+    await UserSession.revokeAllForUser(user.id, 'password_reset');
+    
+    // The emailed token proves ownership, so a lockout from failed logins no longer applies (IP lockouts stay)
+    await loginProtection.unlock({ email: user.email }, user.id);
+    
+    logger.info('Password reset completed', { userId: user.id });
+    
+    // Keep Firebase credentials in sync for hybrid users
+    let firebaseSynced = null;
+    if (user.firebaseUid && firebaseAdmin) {
+      const firebaseResult = await firebaseAdmin.updateUser(user.firebaseUid, { password });
+      firebaseSynced = firebaseResult.success;
+      
+      if (!firebaseResult.success) {
+        logger.warn('Firebase password sync failed', { userId: user.id, error: firebaseResult.error });
+      }
+    }
+    
+    res.json(formatSuccess({ ...(firebaseSynced !== null && { firebaseSynced }) }, 'Password has been reset successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Email a passwordless sign-in link
+exports.requestMagicLink = async (req, res, next) => {
+  const genericResponse = formatSuccess({}, 'If an account exists for this email, a sign-in link has been sent');
+  
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return next(new ValidationError('Email is required'));
+    }
+    
+    const user = await User.findByEmail(email);
+    
+    // Single sign-on accounts must sign in through their identity provider
+    if (user && user.authProvider !== 'oidc') {
+      const recentCount = await MagicLinkToken.countRecent(user.id, MAGIC_LINK_WINDOW_MINUTES);
+      
+      if (recentCount >= MAGIC_LINK_LIMIT) {
+        logger.info('Magic link throttled', { userId: user.id });
+      } else {
+        const { token, expiresInMinutes } = await MagicLinkToken.create(user.id, {
+          requestedIp: req.ip || null,
+          userAgent: req.headers['user-agent'] || null
+        });
+        
+        await mailer.sendMail({
+          to: user.email,
+          ...emailTemplates.magicLink(user, { token, expiresInMinutes })
+        });
+        
+        logger.info('Magic link email sent', { userId: user.id });
+      }
+    }
+    
+    // Same response whether or not the email is registered
+    res.json(genericResponse);
+  } catch (error) {
+    logger.error('Magic link request error', { err: error });
+    res.json(genericResponse);
+  }
+};
+
+// Exchange a magic link token for a session (same tokens as a password login)
+exports.verifyMagicLink = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return next(new ValidationError('Sign-in token is required'));
+    }
+    
+    const link = await MagicLinkToken.findValid(token);
+    if (!link) {
+      return next(new ValidationError('Invalid or expired sign-in link', { code: 'INVALID_SIGN_IN_LINK' }));
+    }
+    
+    // A mismatch leaves the link unused so it still works from the right device
+    const userAgent = req.headers['user-agent'] || null;
+    // Optional binding (config.magicLink): only accept the link from the IP address / browser that requested it
+    if ((config.magicLink.bindIp && link.requestedIp !== (req.ip || null)) ||
+        (config.magicLink.bindDevice && link.userAgentHash !== (userAgent ? hashToken(userAgent) : null))) {
+      logger.info('Magic link opened from a different device or network', { userId: link.userId });
+      return next(new UnauthorizedError('Open this sign-in link on the device and network you requested it from', { code: 'SIGN_IN_LINK_MISMATCH' }));
+    }
+    
+    if (!(await MagicLinkToken.markUsed(link.id))) {
+      return next(new ValidationError('Invalid or expired sign-in link', { code: 'INVALID_SIGN_IN_LINK' }));
+    }
+    
+    const user = await User.findById(link.userId);
+    if (!user) {
+      return next(new UnauthorizedError('User account not found or inactive', { code: 'ACCOUNT_INACTIVE' }));
+    }
+    
+    // Receiving the link proves the user controls the address
+    if (!user.emailVerified) {
+      await User.markEmailVerified(user.id);
+      user.emailVerified = true;
+    }
+    
+    // The link replaces the password, not the second factor
+    const challenge = await twoFactor.getLoginChallenge(user);
+    if (challenge) {
+      return res.json(formatSuccess(challenge, challenge.twoFactorRequired
+        ? 'Two-factor authentication required'
+        : 'Two-factor authentication must be set up for this account'));
+    }
+    
+    const tokens = await issueTokens(user, req);
+    await User.updateLastLogin(user.id);
+    
+    res.json(formatSuccess({ user, ...tokens }, 'Login successful'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verify email address using the token from the verification email
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
+    const { token } = req.body;
+    
+    if (!token) {
+      return next(new ValidationError('Verification token is required'));
+    }
+    
+    const tokenData = await EmailVerificationToken.consume(token);
+    if (!tokenData) {
+      return next(new ValidationError('Invalid or expired verification token', { code: 'INVALID_VERIFICATION_TOKEN' }));
+    }
+    
+    const user = await User.findById(tokenData.userId);
+    
+    // The token only verifies the address it was sent to
+    if (!user || user.email !== tokenData.email) {
+      return next(new ValidationError('Invalid or expired verification token', { code: 'INVALID_VERIFICATION_TOKEN' }));
+    }
+    
+    const verifiedUser = user.emailVerified ? user : await User.markEmailVerified(user.id);
+    await EmailVerificationToken.invalidateAllForUser(user.id);
+    
+    // Mirror verification state to Firebase for hybrid users
+    if (verifiedUser.firebaseUid && firebaseAdmin) {
+      const firebaseResult = await firebaseAdmin.updateUser(verifiedUser.firebaseUid, { emailVerified: true });
+      if (!firebaseResult.success) {
+        logger.warn('Firebase email verification sync failed', { userId: user.id, error: firebaseResult.error });
+      }
+    }
+    
+    res.json(formatSuccess({ user: verifiedUser }, 'Email verified successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resend the verification email to the current user
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+    
+    if (user.emailVerified) {
+      return res.json(formatSuccess({ emailVerified: true }, 'Email is already verified'));
+    }
+    
+    // Throttle resends to avoid flooding the user's inbox
+    const recentCount = await EmailVerificationToken.countRecent(user.id, RESEND_VERIFICATION_WINDOW_MINUTES);
+    if (recentCount >= RESEND_VERIFICATION_LIMIT) {
+      return next(new TooManyRequestsError('Too many verification emails requested. Please try again later.'));
+    }
+    
+    const sent = await sendVerificationEmail(user);
+    if (!sent) {
+      return next(new UpstreamServiceError('Unable to send verification email'));
+    }
+    
+    res.json(formatSuccess({ emailVerified: false }, 'Verification email sent'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Exchange a refresh token for a new access token (refresh token is rotated)
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return next(new ValidationError('Refresh token is required'));
+    }
+    
+    const rotated = await UserSession.rotate(refreshToken, { ipAddress: req.ip || null });
+    if (!rotated) {
+      return next(new UnauthorizedError('Invalid or expired refresh token', { code: 'INVALID_REFRESH_TOKEN' }));
+    }
+    
+    // Make sure the account is still active before handing out a new access token
+    const user = await User.findById(rotated.session.userId);
+    if (!user) {
+      await UserSession.revoke(rotated.session.id, { reason: 'user_inactive' });
+      return next(new UnauthorizedError('User account not found or inactive', { code: 'ACCOUNT_INACTIVE' }));
+    }
+    
+    res.json(formatSuccess({
+      token: generateToken(user, rotated.session.id),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logout the current session
+exports.logout = async (req, res, next) => {
+  try {
+    if (req.user.sid) {
+      await UserSession.revoke(req.user.sid, { userId: req.user.id, reason: 'logout' });
+    }
+    
+    res.json(formatSuccess({}, 'Logged out successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logout every session for the current user (all devices)
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await UserSession.revokeAllForUser(req.user.id, 'logout_all');
+    
+    res.json(formatSuccess({ revokedCount }, `Logged out of ${revokedCount} sessions`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List active sessions for the current user
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await UserSession.findActiveByUserId(req.user.id);
+    
+    res.json(formatSuccess({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.user.sid
+      })),
+      count: sessions.length
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke one of the current user's sessions (e.g. a lost device)
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await UserSession.revoke(req.params.sessionId, {
+      userId: req.user.id,
+      reason: 'revoked_by_user'
     });
+    
+    if (!revoked) {
+      return next(new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' }));
+    }
+    
+    res.json(formatSuccess({}, 'Session revoked successfully'));
+  } catch (error) {
+    next(error);
   }
 };
 
 // Get current user
-exports.getCurrentUser = async (req, res) => {
+exports.getCurrentUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     
     if (!user) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'User not found' 
-      });
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
     }
     
-    res.json({
-      success: true,
-      user
-    });
+    res.json(formatSuccess({
+      user,
+      // Lets the frontend show who is really signed in
+      ...(req.impersonation && {
+        impersonation: {
+          id: req.impersonation.id,
+          adminId: req.impersonation.adminId,
+          adminEmail: req.impersonation.adminEmail,
+          expiresAt: req.impersonation.expiresAt
+        }
+      })
+    }));
   } catch (error) {
-    console.error('❌ Get current user error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 };
 
-// Cleanup orphaned users (utility endpoint)
-exports.cleanupOrphanedUsers = async (req, res) => {
+// End an impersonation early (the only write an impersonation token may make)
+exports.endImpersonation = async (req, res, next) => {
   try {
-    const olderThanMinutes = parseInt(req.query.olderThan) || 60;
-    const cleanedCount = await User.cleanupOrphanedUsers(olderThanMinutes);
+    if (!req.impersonation) {
+      return next(new ValidationError('This session is not impersonating a user'));
+    }
     
-    res.json({
-      success: true,
-      message: `Cleaned up ${cleanedCount} orphaned users`,
-      cleanedCount
+    await ImpersonationSession.end(req.impersonation.id);
+    await AdminAuditLog.record({
+      adminId: req.impersonation.adminId,
+      action: 'user.impersonation_ended',
+      targetType: 'user',
+      targetId: req.impersonation.userId,
+      details: { impersonationId: req.impersonation.id },
+      ipAddress: req.ip || null
     });
+    
+    res.json(formatSuccess({}, 'Impersonation ended'));
   } catch (error) {
-    console.error('❌ Cleanup orphaned users error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error during cleanup',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    next(error);
+  }
+};
+
+// Profile fields users may change themselves (email is handled separately)
+const PROFILE_FIELDS = ['firstName', 'lastName', 'displayName', 'phone', 'avatarUrl', 'timezone', 'language', 'hotelName'];
+
+// Update the current user's profile (email changes need the current password for password accounts)
+exports.updateCurrentUser = async (req, res, next) => {
+  try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+    
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      }
     });
+    
+    const newEmail = req.body.email ? String(req.body.email).toLowerCase().trim() : null;
+    const emailChanged = newEmail && newEmail !== user.email;
+    
+    if (Object.keys(updates).length === 0 && !emailChanged) {
+      return next(new ValidationError('No valid fields to update. Allowed: ' + [...PROFILE_FIELDS, 'email'].join(', ')));
+    }
+    
+    if (['firstName', 'lastName', 'displayName'].some(field => updates[field] === '')) {
+      return next(new ValidationError('Name fields cannot be empty'));
+    }
+    
+    if (emailChanged) {
+      if (!isValidEmail(newEmail)) {
+        return next(new ValidationError('Please provide a valid email address'));
+      }
+      
+      if (user.password && !(await User.validatePassword(user, req.body.currentPassword))) {
+        return next(new UnauthorizedError('Current password is required to change your email', { code: 'PASSWORD_REQUIRED' }));
+      }
+      
+      const existingUser = await User.findByEmail(newEmail);
+      if (existingUser) {
+        return next(new ConflictError('Email already in use', { code: 'EMAIL_IN_USE' }));
+      }
+      
+      // Change Firebase first: it also enforces uniqueness, and a mismatch would break Firebase sign-in
+      if (user.firebaseUid && firebaseAdmin) {
+        const firebaseResult = await firebaseAdmin.updateUser(user.firebaseUid, { email: newEmail, emailVerified: false });
+        if (!firebaseResult.success) {
+          logger.warn('Firebase rejected email change', { userId: user.id, error: firebaseResult.error });
+          return next(new ConflictError('Email could not be changed', { code: 'EMAIL_CHANGE_REJECTED' }));
+        }
+      }
+    }
+    
+    let updatedUser = user;
+    if (Object.keys(updates).length > 0) {
+      updatedUser = await User.updateProfile(user.id, updates);
+    }
+    if (emailChanged) {
+      try {
+        updatedUser = await User.updateEmail(user.id, newEmail);
+      } catch (error) {
+        // Put Firebase back so both stores keep the same address
+        if (user.firebaseUid && firebaseAdmin) {
+          await firebaseAdmin.updateUser(user.firebaseUid, { email: user.email, emailVerified: !!user.emailVerified });
+        }
+        throw error;
+      }
+      await EmailVerificationToken.invalidateAllForUser(user.id);
+      await sendVerificationEmail(updatedUser);
+    }
+    
+    // Mirror the display name to Firebase (failures are logged, MySQL stays the source of truth)
+    if (user.firebaseUid && firebaseAdmin && updatedUser.displayName !== user.displayName) {
+      const firebaseResult = await firebaseAdmin.updateUser(user.firebaseUid, { displayName: updatedUser.displayName });
+      if (!firebaseResult.success) {
+        logger.warn('Firebase display name sync failed', { userId: user.id, error: firebaseResult.error });
+      }
+    }
+    
+    logger.info('Profile updated', { userId: user.id });
+    
+    res.json(formatSuccess({ user: updatedUser }, emailChanged
+      ? 'Profile updated. Please verify your new email address.'
+      : 'Profile updated successfully'));
+  } catch (error) {
+    // User.updateEmail throws ConflictError (EMAIL_IN_USE) if the address was taken in the meantime
+    next(error);
+  }
+};
+
+// Change the current user's password (other sessions are signed out)
+exports.changePassword = async (req, res, next) => {
+  try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return next(new ValidationError('Current password and new password are required'));
+    }
+    
+    if (newPassword.length < 6) {
+      return next(new ValidationError('Password must be at least 6 characters long'));
+    }
+    
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+    
+    if (!user.password) {
+      return next(new ValidationError('This account has no password yet. Use forgot password to set one.'));
+    }
+    
+    if (!(await User.validatePassword(user, currentPassword))) {
+      return next(new UnauthorizedError('Current password is incorrect', { code: 'INVALID_PASSWORD' }));
+    }
+    
+    await User.updatePassword(user.id, newPassword);
+    await PasswordResetToken.invalidateAllForUser(user.id);
+    await UserSession.revokeAllForUser(user.id, 'password_change', { exceptSessionId: req.user.sid });
+    
+    logger.info('Password changed', { userId: user.id });
+    
+    // Keep Firebase credentials in sync for hybrid users
+    let firebaseSynced = null;
+    if (user.firebaseUid && firebaseAdmin) {
+      const firebaseResult = await firebaseAdmin.updateUser(user.firebaseUid, { password: newPassword });
+      firebaseSynced = firebaseResult.success;
+      
+      if (!firebaseResult.success) {
+        logger.warn('Firebase password sync failed', { userId: user.id, error: firebaseResult.error });
+      }
+    }
+    
+    res.json(formatSuccess({ ...(firebaseSynced !== null && { firebaseSynced }) }, 'Password changed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete the current user's account (soft delete in MySQL, Firebase account removed)
+exports.deleteCurrentUser = async (req, res, next) => {
+  try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+    
+    if (user.password && !(await User.validatePassword(user, req.body.password))) {
+      return next(new UnauthorizedError('Password is required to delete your account', { code: 'PASSWORD_REQUIRED' }));
+    }
+    
+    // Shared properties need another owner first
+    const soleOwnedProperties = await PropertyMember.findSoleOwnedSharedProperties(user.id);
+    if (soleOwnedProperties.length > 0) {
+      return next(new ConflictError('Transfer ownership of your shared properties before deleting your account', { details: { properties: soleOwnedProperties } }));
+    }
+    
+    await User.softDelete(user.id);
+    await UserSession.revokeAllForUser(user.id, 'account_deleted');
+    
+    let firebaseDeleted = null;
+    if (user.firebaseUid && firebaseAdmin) {
+      const firebaseResult = await firebaseAdmin.deleteUser(user.firebaseUid);
+      firebaseDeleted = firebaseResult.success;
+      
+      if (!firebaseResult.success) {
+        logger.warn('Firebase account deletion failed', { userId: user.id, error: firebaseResult.error });
+      }
+    }
+    
+    res.json(formatSuccess({ ...(firebaseDeleted !== null && { firebaseDeleted }) }, 'Account deleted'));
+  } catch (error) {
+    next(error);
   }
 };
 
 // Debug endpoint for Firebase connectivity (development only)
-exports.debugFirebase = async (req, res) => {
-  if (process.env.NODE_ENV !== 'development') {
-    return res.status(404).json({ message: 'Not found' });
+exports.debugFirebase = async (req, res, next) => {
+  if (!config.isDevelopment) {
+    return next(new NotFoundError('Not found'));
   }
   
   try {
+    const firebaseAdmin = getFirebaseAdmin();
+    
     const debugInfo = {
       firebaseAvailable: !!firebaseAdmin,
       timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV
+      environment: config.env
     };
     
     if (firebaseAdmin) {
@@ -522,18 +1135,8 @@ exports.debugFirebase = async (req, res) => {
       }
     }
     
-    res.json({
-      success: true,
-      debug: debugInfo
-    });
+    res.json(formatSuccess({ debug: debugInfo }));
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      debug: {
-        firebaseAvailable: !!firebaseAdmin,
-        timestamp: new Date().toISOString()
-      }
-    });
+    next(error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+// controllers/lockoutController.js
+// Admin view and release of login lockouts
+
+const LoginLockout = require('../models/LoginLockout');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const loginProtection = require('../services/loginProtection');
+const { ValidationError } = require('../utils/errors');
+const { formatSuccess } = require('../utils/helpers');
+
+// List lockouts currently in force
+exports.listLockouts = async (req, res, next) => {
+  try {
+    const lockouts = await LoginLockout.findAllActive();
+
+    res.json(formatSuccess({ lockouts, count: lockouts.length }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlock an account (by email) and/or an IP address
+exports.unlock = async (req, res, next) => {
+  try {
+    const { email, ipAddress } = req.body;
+
+    if (!email && !ipAddress) {
+      return next(new ValidationError('Email or IP address is required'));
+    }
+
+    const unlocked = await loginProtection.unlock({ email, ipAddress }, req.user.id);
+
+    if (unlocked > 0) {
+      await AdminAuditLog.record({
+        adminId: req.user.id,
+        action: 'login.unlocked',
+        targetType: email ? 'account' : 'ip',
+        targetId: email || ipAddress,
+        details: { email, ipAddress, unlocked },
+        ipAddress: req.ip || null
+      });
+    }
+
+    res.json(formatSuccess({ unlocked }, unlocked > 0 ? 'Lockout removed' : 'No active lockout found'));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,204 @@
+// controllers/oidcController.js
+// Single sign-on with corporate identity providers (OpenID Connect authorization code + PKCE)
+// Flow: GET /authorize -> user signs in at the IdP -> IdP redirects to the frontend with code + state
+// -> frontend POSTs them to /callback -> we validate the ID token, provision/link the user and start a session
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const UserIdentity = require('../models/UserIdentity');
+const UserSession = require('../models/UserSession');
+const oidc = require('../services/oidc');
+const twoFactor = require('../services/twoFactor');
+const { isPrivilegedRole } = require('../services/permissions');
+const { issueTokens } = require('../services/sessionTokens');
+const { logger } = require('../services/logger');
+const { registrations } = require('../services/metrics');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, UpstreamServiceError } = require('../utils/errors');
+const { formatSuccess } = require('../utils/helpers');
+
+// Helper function to split the IdP's name claims into the first/last name User.create requires
+const getNames = (claims, email) => {
+  const fullName = (claims.name || '').trim();
+  const [first, ...rest] = fullName.split(/\s+/);
+  const firstName = claims.given_name || first || email.split('@')[0];
+  const lastName = claims.family_name || rest.join(' ') || firstName;
+
+  return {
+    firstName,
+    lastName,
+    displayName: fullName || `${firstName} ${lastName}`
+  };
+};
+
+// Helper function to find the user for a validated ID token, linking or creating one when needed
+// Returns { user }; throws ConflictError / ForbiddenError / UnauthorizedError when sign-in must be refused
+const findOrProvisionUser = async (provider, claims, role) => {
+  const email = claims.email.toLowerCase().trim();
+  const identity = await UserIdentity.findByProviderSubject(provider.id, claims.sub);
+
+  if (identity) {
+    // The linked account may be gone (e.g. hard-deleted); refuse rather than link or provision another
+    const user = await User.findByIdIncludingInactive(identity.userId);
+    if (!user) {
+      logger.warn('Single sign-on identity belongs to a missing user', { provider: provider.id, userId: identity.userId });
+      throw new UnauthorizedError('Single sign-on failed', { code: 'SSO_FAILED' });
+    }
+
+    await UserIdentity.recordLogin(identity.id, email);
+    return { user };
+  }
+
+  // The IdP is configured per customer, so its email_verified claim alone never links an existing account:
+  // only providers with an explicit allowedDomains list are authoritative for those addresses
+  const domainTrusted = provider.allowedDomains.length > 0 && oidc.isAllowedDomain(provider, email);
+  const emailTrusted = claims.email_verified === true || domainTrusted;
+
+  const existingUser = await User.findByEmail(email);
+  if (existingUser) {
+    if (!domainTrusted) {
+      throw new ConflictError('An account with this email already exists. Sign in with your password instead.', { code: 'EMAIL_IN_USE' });
+    }
+
+    // Platform and admin accounts are never taken over by an identity provider
+    if (await isPrivilegedRole(existingUser.role)) {
+      throw new ConflictError('This account cannot be linked to single sign-on. Sign in with your password instead.', { code: 'SSO_LINK_NOT_ALLOWED' });
+    }
+
+    await UserIdentity.create(existingUser.id, { provider: provider.id, subject: claims.sub, email });
+    logger.info('Linked existing user to single sign-on', { userId: existingUser.id, provider: provider.id });
+    return { user: existingUser };
+  }
+
+  if (!role) {
+    throw new ForbiddenError(`Your ${provider.name} account has not been given access to Nuvho`, { code: 'SSO_ACCESS_DENIED' });
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      email,
+      ...getNames(claims, email),
+      role,
+      authProvider: 'oidc',
+      emailVerified: emailTrusted
+    });
+  } catch (error) {
+    // findByEmail skips deactivated accounts, which still own their address
+    if (error.code === 'USER_EXISTS') {
+      throw new ForbiddenError('This account has been deactivated', { code: 'ACCOUNT_DEACTIVATED' });
+    }
+    throw error;
+  }
+
+  await UserIdentity.create(user.id, { provider: provider.id, subject: claims.sub, email });
+  registrations.inc({ method: 'sso' });
+  logger.info('Provisioned user from single sign-on', { userId: user.id, role, provider: provider.id });
+
+  return { user, provisioned: true };
+};
+
+// List the identity providers available for single sign-on
+exports.listProviders = async (req, res) => {
+  res.json(formatSuccess({ providers: oidc.getProviders().map(provider => ({ id: provider.id, name: provider.name })) }));
+};
+
+// Start a sign-in: returns the provider's authorization URL (or redirects to it with ?redirect=true)
+exports.authorize = async (req, res, next) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider) {
+      return next(new NotFoundError('Unknown identity provider', { code: 'IDENTITY_PROVIDER_NOT_FOUND' }));
+    }
+
+    const { authorizationUrl } = await oidc.createAuthorizationRequest(provider);
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(authorizationUrl);
+    }
+
+    res.json(formatSuccess({ authorizationUrl }));
+
+  } catch (error) {
+    next(new UpstreamServiceError('Could not reach the identity provider', { service: 'oidc', cause: error }));
+  }
+};
+
+// Finish a sign-in. Body: { code, state } as received by the frontend callback page
+exports.callback = async (req, res, next) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider) {
+      return next(new NotFoundError('Unknown identity provider', { code: 'IDENTITY_PROVIDER_NOT_FOUND' }));
+    }
+
+    const { code, state } = req.body;
+    if (!code || !state) {
+      return next(new ValidationError('Authorization code and state are required'));
+    }
+
+    let claims;
+    try {
+      claims = await oidc.completeAuthorization(provider, { code, state });
+    } catch (error) {
+      logger.error('OIDC sign-in failed', { provider: provider.id, err: error });
+      return next(new UnauthorizedError('Single sign-on failed', { code: 'SSO_FAILED' }));
+    }
+
+    if (!claims.email) {
+      return next(new UnauthorizedError('The identity provider did not share an email address', { code: 'SSO_FAILED' }));
+    }
+
+    if (!oidc.isAllowedDomain(provider, claims.email)) {
+      return next(new ForbiddenError(`This email domain cannot sign in through ${provider.name}`, { code: 'SSO_DOMAIN_NOT_ALLOWED' }));
+    }
+
+    let role = oidc.resolveRole(provider, claims);
+    if (role && !(await Role.exists(role))) {
+      logger.error('OIDC provider maps to an unknown role', { provider: provider.id, role });
+      role = null;
+    }
+
+    const result = await findOrProvisionUser(provider, claims, role);
+
+    let user = result.user;
+    if (!user.isActive || user.isDeleted) {
+      return next(new ForbiddenError('This account has been deactivated', { code: 'ACCOUNT_DEACTIVATED' }));
+    }
+
+    // Users provisioned by the IdP follow its group membership on every sign-in
+    if (!result.provisioned && provider.syncRoles && user.authProvider === 'oidc' && role !== user.role) {
+      if (!role) {
+        await UserSession.revokeAllForUser(user.id, 'role_changed');
+        return next(new ForbiddenError(`Your ${provider.name} account no longer has access to Nuvho`, { code: 'SSO_ACCESS_DENIED' }));
+      }
+
+      await User.updateRole(user.id, role);
+      await UserSession.revokeAllForUser(user.id, 'role_changed');
+      logger.info('Role synced from single sign-on', { userId: user.id, provider: provider.id, from: user.role, to: role });
+      user = await User.findById(user.id);
+    }
+
+    // Our own second factor is skipped only when the IdP did multi-factor authentication and 2FA is optional for the role
+    if (!(oidc.isMultiFactor(claims) && twoFactor.acceptsIdentityProviderMfa(user.role))) {
+      const challenge = await twoFactor.getLoginChallenge(user);
+      if (challenge) {
+        return res.json(formatSuccess(challenge, challenge.twoFactorRequired
+          ? 'Two-factor authentication required'
+          : 'Two-factor authentication must be set up for this account'));
+      }
+    }
+
+    const tokens = await issueTokens(user, req);
+    await User.updateLastLogin(user.id);
+
+    res.json(formatSuccess({
+      user,
+      ...tokens,
+      provider: provider.id,
+      ...(result.provisioned && { provisioned: true })
+    }, 'Login successful'));
+
+  } catch (error) {
+    next(error);
+  }
+};
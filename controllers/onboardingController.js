@@ -1,31 +1,28 @@
 // controllers/onboardingController.js
 const Property = require('../models/Property');
+const tenancy = require('../services/tenancy');
+const { logger } = require('../services/logger');
+const { formatSuccess } = require('../utils/helpers');
+const { propertiesCreated, onboardingsCompleted } = require('../services/metrics');
 
 // Complete onboarding submission (handles all 3 steps)
-exports.completeOnboarding = async (req, res) => {
+exports.completeOnboarding = async (req, res, next) => {
   try {
     const userId = req.user.id;
+    // Shapes, defaults and numbers come from validate(schemas.complete) (validation/onboarding.js)
     const {
       property,
-      roomTypes = [],
-      systems = {},
-      amenities = [],
-      imagery = {},
-      taxConfiguration = {},
-      cancellationPolicies = {},
+      roomTypes,
+      systems,
+      amenities,
+      imagery,
+      taxConfiguration,
+      cancellationPolicies,
       completedAt,
-      source = 'onboarding-flow'
+      source
     } = req.body;
 
-    console.log('🎯 Processing complete onboarding for user:', userId);
-
-    // Validate required property data
-    if (!property || !property.contactName || !property.contactEmail) {
-      return res.status(400).json({
-        success: false,
-        message: 'Property contact information is required'
-      });
-    }
+    logger.info('Processing complete onboarding', { userId });
 
     // Start database transaction
     const { pool } = require('../config/database');
@@ -37,41 +34,42 @@ exports.completeOnboarding = async (req, res) => {
       // 1. Create the main property
       const propertyData = {
         ...property,
-        totalRooms: roomTypes.reduce((total, room) => total + (parseInt(room.totalRoomsInType) || 0), 0)
+        totalRooms: roomTypes.reduce((total, room) => total + room.totalRoomsInType, 0)
       };
 
-      const createdProperty = await Property.create(propertyData, userId);
+      // Owned by the caller's organization (if any), like POST /api/properties
+      const createdProperty = await Property.create(propertyData, userId, await tenancy.getTenantId(req));
       const propertyId = createdProperty.id;
 
-      console.log('✅ Property created with ID:', propertyId);
+      logger.info('Property created', { propertyId });
 
       // 2. Save room types
       if (roomTypes.length > 0) {
         await this.saveRoomTypes(connection, propertyId, roomTypes);
-        console.log('✅ Room types saved:', roomTypes.length);
+        logger.info('Room types saved', { count: roomTypes.length });
       }
 
       // 3. Save systems information
       await this.saveSystemsInfo(connection, propertyId, systems);
-      console.log('✅ Systems information saved');
+      logger.info('Systems information saved');
 
       // 4. Save amenities
       if (amenities.length > 0) {
         await this.saveAmenities(connection, propertyId, amenities);
-        console.log('✅ Amenities saved:', amenities.length);
+        logger.info('Amenities saved', { count: amenities.length });
       }
 
       // 5. Save tax configuration
       await this.saveTaxConfiguration(connection, propertyId, taxConfiguration);
-      console.log('✅ Tax configuration saved');
+      logger.info('Tax configuration saved');
 
       // 6. Save cancellation policies
       await this.saveCancellationPolicies(connection, propertyId, cancellationPolicies);
-      console.log('✅ Cancellation policies saved');
+      logger.info('Cancellation policies saved');
 
       // 7. Save imagery metadata (actual file upload would be separate)
       await this.saveImageryMetadata(connection, propertyId, imagery);
-      console.log('✅ Imagery metadata saved');
+      logger.info('Imagery metadata saved');
 
       // 8. Create onboarding completion record
       await this.saveOnboardingCompletion(connection, userId, propertyId, {
@@ -84,12 +82,12 @@ exports.completeOnboarding = async (req, res) => {
       });
 
       await connection.commit();
-      console.log('🎉 Onboarding completed successfully');
+      logger.info('Onboarding completed successfully');
+      propertiesCreated.inc({ source: 'onboarding' });
+      onboardingsCompleted.inc();
 
       // Return comprehensive response
-      res.status(201).json({
-        success: true,
-        message: 'Onboarding completed successfully',
+      res.status(201).json(formatSuccess({
         data: {
           propertyId: propertyId,
           property: createdProperty,
@@ -101,7 +99,7 @@ exports.completeOnboarding = async (req, res) => {
             imagesUploaded: Object.values(imagery).reduce((total, category) => total + category.length, 0)
           }
         }
-      });
+      }, 'Onboarding completed successfully'));
 
     } catch (error) {
       await connection.rollback();
@@ -111,16 +109,12 @@ exports.completeOnboarding = async (req, res) => {
     }
 
   } catch (error) {
-    console.error('❌ Complete onboarding error:', error);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error during onboarding completion',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 };
 
+// The save* helpers below take validated data (numbers converted, defaults applied); the seeder builds the same shapes
+
 // Save room types to database
 exports.saveRoomTypes = async (connection, propertyId, roomTypes) => {
   const insertRoomTypeQuery = `
@@ -136,17 +130,17 @@ exports.saveRoomTypes = async (connection, propertyId, roomTypes) => {
   for (const room of roomTypes) {
     const values = [
       propertyId,
-      room.name || '',
+      room.name,
       room.beddingConfig1 ? 1 : 0,
       room.beddingConfig2 ? 1 : 0,
-      parseFloat(room.minimumRate) || 0,
-      parseFloat(room.maximumRate) || 0,
-      parseInt(room.maxCapacity) || 2,
-      parseInt(room.guestsIncluded) || 2,
-      parseFloat(room.extraAdultRate) || 0,
-      parseInt(room.totalRoomsInType) || 1,
-      parseFloat(room.roomSize) || 0,
-      room.chargeType || 'per room',
+      room.minimumRate,
+      room.maximumRate,
+      room.maxCapacity,
+      room.guestsIncluded,
+      room.extraAdultRate,
+      room.totalRoomsInType,
+      room.roomSize,
+      room.chargeType,
       room.mealPlans?.roomOnly ? 1 : 0,
       room.mealPlans?.bedBreakfast ? 1 : 0,
       room.mealPlans?.halfBoard ? 1 : 0,
@@ -211,10 +205,10 @@ exports.saveTaxConfiguration = async (connection, propertyId, taxConfig) => {
   const values = [
     propertyId,
     taxConfig.federalChargeable ? 1 : 0,
-    parseFloat(taxConfig.taxRate) || 0,
-    taxConfig.taxConcessions || '',
-    parseFloat(taxConfig.localTax) || 0,
-    parseFloat(taxConfig.tourismTax) || 0
+    taxConfig.taxRate,
+    taxConfig.taxConcessions,
+    taxConfig.localTax,
+    taxConfig.tourismTax
   ];
 
   await connection.execute(insertTaxQuery, values);
@@ -256,8 +250,8 @@ exports.saveImageryMetadata = async (connection, propertyId, imagery) => {
         propertyId,
         category,
         image.name,
-        image.size || 0,
-        image.type || 'image/jpeg'
+        image.size,
+        image.type
       ];
 
       await connection.execute(insertImageQuery, values);
@@ -281,7 +275,7 @@ exports.saveOnboardingCompletion = async (connection, userId, propertyId, metada
     metadata.amenitiesCount || 0,
     metadata.systemsConfigured || 0,
     metadata.imagesUploaded || 0,
-    metadata.completedAt,
+    new Date(metadata.completedAt), // DATETIME column: MySQL rejects ISO strings with a 'Z'
     metadata.source
   ];
 
@@ -289,7 +283,7 @@ exports.saveOnboardingCompletion = async (connection, userId, propertyId, metada
 };
 
 // Get onboarding status
-exports.getOnboardingStatus = async (req, res) => {
+exports.getOnboardingStatus = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
@@ -309,8 +303,7 @@ exports.getOnboardingStatus = async (req, res) => {
 
       if (completionRows.length > 0) {
         const completion = completionRows[0];
-        res.json({
-          success: true,
+        res.json(formatSuccess({
           completed: true,
           completion: {
             propertyId: completion.property_id,
@@ -324,13 +317,9 @@ exports.getOnboardingStatus = async (req, res) => {
               imagesUploaded: completion.images_uploaded
             }
           }
-        });
+        }));
       } else {
-        res.json({
-          success: true,
-          completed: false,
-          message: 'Onboarding not completed'
-        });
+        res.json(formatSuccess({ completed: false }, 'Onboarding not completed'));
       }
 
     } finally {
@@ -338,12 +327,7 @@ exports.getOnboardingStatus = async (req, res) => {
     }
 
   } catch (error) {
-    console.error('❌ Get onboarding status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error checking onboarding status',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 };
 
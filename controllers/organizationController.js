@@ -0,0 +1,612 @@
+// controllers/organizationController.js
+// Organizations (ownership groups / management companies), their members and properties
+// Platform staff (organizations:manage, not in an organization themselves) manage every organization;
+// organization admins manage the members and properties of their own
+// Admins bring people in by email invitation: nobody joins an organization without accepting
+
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const Property = require('../models/Property');
+const PropertyMember = require('../models/PropertyMember');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const mailer = require('../services/mailer');
+const emailTemplates = require('../services/emailTemplates');
+const { can, roleHasPermission } = require('../services/permissions');
+const tenancy = require('../services/tenancy');
+const { formatSuccess, isValidEmail } = require('../utils/helpers');
+const { pool } = require('../config/database');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Helper function to tell whether the caller manages organizations platform-wide
+const isPlatformManager = async (req) => {
+  return (await can(req, 'organizations:manage')) && (await tenancy.getTenantId(req)) === null;
+};
+
+// Helper function to resolve the caller's access to an organization: 'platform', 'admin', 'member' or null
+const getAccess = async (req, organizationId) => {
+  if (await isPlatformManager(req)) return 'platform';
+
+  const membership = await tenancy.getMembership(req);
+  if (!membership || membership.organizationId !== Number(organizationId)) return null;
+
+  return await tenancy.isOrganizationAdmin(req, organizationId) ? 'admin' : 'member';
+};
+
+// Helper function to load the organization in req.params.id and check the caller's access
+// Throws NotFoundError / ForbiddenError when the caller may not continue
+const loadOrganization = async (req, allowed) => {
+  const access = await getAccess(req, req.params.id);
+  const organization = access ? await Organization.findById(req.params.id) : null;
+
+  // Other tenants' organizations are reported as missing
+  if (!organization) {
+    throw new NotFoundError('Organization not found', { code: 'ORGANIZATION_NOT_FOUND' });
+  }
+
+  if (!allowed.includes(access)) {
+    throw new ForbiddenError('Only organization admins can do this', { code: 'ORGANIZATION_ADMIN_REQUIRED' });
+  }
+
+  return { organization, access };
+};
+
+// Helper function to check a user can join an organization (null = one being created)
+// Throws ConflictError describing the conflict
+const assertCanJoin = async (user, organizationId, access) => {
+  const foreignProperties = await OrganizationMember.findForeignPropertyMemberships(user.id, organizationId);
+  if (foreignProperties.length > 0) {
+    throw new ConflictError('This user is on the team of another organization\'s properties', {
+      code: 'FOREIGN_PROPERTY_MEMBERSHIP',
+      details: { properties: foreignProperties }
+    });
+  }
+
+  // Organization admins cannot pull platform staff into their organization (it would narrow their access)
+  if (access !== 'platform' && await roleHasPermission(user.role, 'organizations:manage')) {
+    throw new ConflictError('Platform staff can only be added to an organization by Nuvho', { code: 'PLATFORM_STAFF' });
+  }
+};
+
+// The signed-in user's organization (null if they are not in one)
+exports.getMyOrganization = async (req, res, next) => {
+  try {
+    const membership = await tenancy.getMembership(req);
+    const organization = membership ? await Organization.findById(membership.organizationId) : null;
+
+    res.json(formatSuccess({ organization, role: membership ? membership.role : null }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List every organization (platform staff)
+exports.listOrganizations = async (req, res, next) => {
+  try {
+    if (!(await isPlatformManager(req))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const organizations = await Organization.getAll(limit, (page - 1) * limit);
+
+    res.json(formatSuccess({
+      organizations,
+      count: organizations.length,
+      page,
+      limit
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create an organization (platform staff). Body: { name, type?, slug?, adminEmail? }
+exports.createOrganization = async (req, res, next) => {
+  try {
+    if (!(await isPlatformManager(req))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const { name, type = 'management_company', slug, adminEmail } = req.body;
+
+    if (!name || !String(name).trim() || String(name).length > 255) {
+      return next(new ValidationError('Name is required (max 255 characters)'));
+    }
+
+    if (!Organization.TYPES.includes(type)) {
+      return next(new ValidationError('Invalid type. Must be one of: ' + Organization.TYPES.join(', ')));
+    }
+
+    if (!Organization.slugify(slug || name)) {
+      return next(new ValidationError('Name or slug must contain letters or numbers'));
+    }
+
+    // The first admin is optional but must be able to join before anything is created
+    let admin = null;
+    if (adminEmail) {
+      admin = isValidEmail(adminEmail) ? await User.findByEmail(adminEmail) : null;
+      if (!admin) {
+        return next(new NotFoundError('Admin user not found', { code: 'USER_NOT_FOUND' }));
+      }
+
+      if (await OrganizationMember.findByUserId(admin.id)) {
+        return next(new ConflictError('Admin user already belongs to an organization', { code: 'ALREADY_IN_ORGANIZATION' }));
+      }
+
+      await assertCanJoin(admin, null, 'platform');
+    }
+
+    const organization = await Organization.create({ name: String(name), slug, type }, req.user.id);
+
+    if (admin) {
+      await OrganizationMember.add(organization.id, admin.id, 'admin', req.user.id);
+    }
+
+    res.status(201).json(formatSuccess({ organization: await Organization.findById(organization.id) }, 'Organization created'));
+
+  } catch (error) {
+    // Organization.create throws ConflictError (ORGANIZATION_EXISTS) when the slug is taken
+    next(error);
+  }
+};
+
+// Get an organization (its members and platform staff)
+exports.getOrganization = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin', 'member']);
+
+    res.json(formatSuccess({ organization: loaded.organization, yourRole: loaded.access === 'platform' ? null : loaded.access }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rename or retype an organization (admins); only platform staff can (de)activate it
+exports.updateOrganization = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const { name, type, isActive } = req.body;
+
+    if (name !== undefined && (!String(name).trim() || String(name).length > 255)) {
+      return next(new ValidationError('Name cannot be empty (max 255 characters)'));
+    }
+
+    if (type !== undefined && !Organization.TYPES.includes(type)) {
+      return next(new ValidationError('Invalid type. Must be one of: ' + Organization.TYPES.join(', ')));
+    }
+
+    if (isActive !== undefined && loaded.access !== 'platform') {
+      return next(new ForbiddenError('Only Nuvho staff can activate or deactivate an organization'));
+    }
+
+    const organization = await Organization.update(loaded.organization.id, {
+      name: name === undefined ? undefined : String(name),
+      type,
+      isActive
+    });
+
+    res.json(formatSuccess({ organization }, 'Organization updated'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List organization members (admins)
+exports.listMembers = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const members = await OrganizationMember.findByOrganizationId(loaded.organization.id);
+
+    res.json(formatSuccess({ members, count: members.length }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add an existing user to the organization directly (platform staff). Body: { email, role? }
+// Organization admins invite instead, so users are never attached without their consent
+exports.addMember = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    if (loaded.access !== 'platform') {
+      return next(new ForbiddenError('Organization admins add members by invitation', { code: 'INVITATION_REQUIRED' }));
+    }
+
+    const { email, role = 'member' } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return next(new ValidationError('A valid email address is required'));
+    }
+
+    if (!OrganizationMember.ROLES.includes(role)) {
+      return next(new ValidationError('Invalid role. Must be one of: ' + OrganizationMember.ROLES.join(', ')));
+    }
+
+    const user = await User.findByEmail(email);
+    if (!user) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+
+    if (await OrganizationMember.findByUserId(user.id)) {
+      return next(new ConflictError('This user already belongs to an organization', { code: 'ALREADY_IN_ORGANIZATION' }));
+    }
+
+    await assertCanJoin(user, loaded.organization.id, loaded.access);
+
+    await OrganizationMember.add(loaded.organization.id, user.id, role, req.user.id);
+
+    res.status(201).json(formatSuccess({ member: { userId: user.id, email: user.email, role } }, 'Member added'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List pending invitations (admins)
+exports.listInvitations = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const invitations = await OrganizationInvitation.findPendingByOrganizationId(loaded.organization.id);
+
+    res.json(formatSuccess({ invitations, count: invitations.length }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite someone to the organization by email (admins). Body: { email, role? }
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const { email, role = 'member' } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return next(new ValidationError('A valid email address is required'));
+    }
+
+    if (!OrganizationMember.ROLES.includes(role)) {
+      return next(new ValidationError('Invalid role. Must be one of: ' + OrganizationMember.ROLES.join(', ')));
+    }
+
+    // Don't invite people who could not accept
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      if (await OrganizationMember.findByUserId(existingUser.id)) {
+        return next(new ConflictError('This user already belongs to an organization', { code: 'ALREADY_IN_ORGANIZATION' }));
+      }
+
+      await assertCanJoin(existingUser, loaded.organization.id, loaded.access);
+    }
+
+    const invitation = await OrganizationInvitation.create(loaded.organization.id, email, role, req.user.id);
+    const inviter = await User.findById(req.user.id);
+
+    await mailer.sendMail({
+      to: email,
+      ...emailTemplates.organizationInvitation({
+        inviterName: inviter ? inviter.displayName : null,
+        organizationName: loaded.organization.name,
+        role,
+        token: invitation.token,
+        expiresInDays: invitation.expiresInDays
+      })
+    });
+
+    res.status(201).json(formatSuccess({
+      invitation: {
+        id: invitation.id,
+        organizationId: loaded.organization.id,
+        email: email.toLowerCase().trim(),
+        role,
+        status: 'pending'
+      }
+    }, 'Invitation sent'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a pending invitation (admins)
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const revoked = await OrganizationInvitation.revoke(loaded.organization.id, req.params.invitationId);
+    if (!revoked) {
+      return next(new NotFoundError('Pending invitation not found', { code: 'INVITATION_NOT_FOUND' }));
+    }
+
+    res.json(formatSuccess({}, 'Invitation revoked'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a member's organization role (admins)
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!OrganizationMember.ROLES.includes(role)) {
+      return next(new ValidationError('Invalid role. Must be one of: ' + OrganizationMember.ROLES.join(', ')));
+    }
+
+    const membership = await OrganizationMember.findByUserId(userId);
+    if (!membership || membership.organizationId !== loaded.organization.id) {
+      return next(new NotFoundError('Member not found', { code: 'MEMBER_NOT_FOUND' }));
+    }
+
+    if (membership.role === 'admin' && role !== 'admin' && loaded.access !== 'platform' &&
+        await OrganizationMember.countAdmins(loaded.organization.id) <= 1) {
+      return next(new ValidationError('An organization must have at least one admin'));
+    }
+
+    await OrganizationMember.updateRole(loaded.organization.id, userId, role);
+
+    res.json(formatSuccess({ member: { userId: Number(userId), role } }, 'Member role updated'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a member (admins), or leave the organization (any member removing themselves)
+// They also leave the teams of the organization's properties, and the API keys they created for it are revoked
+exports.removeMember = async (req, res, next) => {
+  try {
+    const isSelf = String(req.params.userId) === String(req.user.id);
+    const loaded = await loadOrganization(req, isSelf ? ['platform', 'admin', 'member'] : ['platform', 'admin']);
+
+    const { userId } = req.params;
+
+    const membership = await OrganizationMember.findByUserId(userId);
+    if (!membership || membership.organizationId !== loaded.organization.id) {
+      return next(new NotFoundError('Member not found', { code: 'MEMBER_NOT_FOUND' }));
+    }
+
+    if (membership.role === 'admin' && loaded.access !== 'platform' &&
+        await OrganizationMember.countAdmins(loaded.organization.id) <= 1) {
+      return next(new ValidationError('An organization must have at least one admin'));
+    }
+
+    await OrganizationMember.remove(loaded.organization.id, userId, req.user.id);
+
+    res.json(formatSuccess({}, isSelf ? 'You have left the organization' : 'Member removed'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the API keys issued for the organization and who created them (admins)
+exports.listApiKeys = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const apiKeys = await ApiKey.findByOrganizationId(loaded.organization.id);
+
+    res.json(formatSuccess({ apiKeys, count: apiKeys.length }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke any API key issued for the organization (admins)
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const revoked = await ApiKey.revokeForOrganization(req.params.apiKeyId, loaded.organization.id, req.user.id);
+    if (!revoked) {
+      return next(new NotFoundError('API key not found or already revoked', { code: 'API_KEY_NOT_FOUND' }));
+    }
+
+    res.json(formatSuccess({}, 'API key revoked'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the organization's properties (admins)
+exports.listProperties = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const filters = { organizationId: loaded.organization.id };
+    if (req.query.status) filters.status = req.query.status;
+    if (req.query.country) filters.country = req.query.country;
+
+    const properties = await Property.getAll(limit, (page - 1) * limit, filters);
+
+    res.json(formatSuccess({
+      properties,
+      count: properties.length,
+      page,
+      limit
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach a property to the organization. Body: { propertyId }
+// Platform staff can attach any property; organization admins only unassigned properties they own
+exports.attachProperty = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform', 'admin']);
+
+    const { propertyId } = req.body;
+    const property = propertyId ? await Property.findById(propertyId) : null;
+
+    if (!property) {
+      return next(new NotFoundError('Property not found', { code: 'PROPERTY_NOT_FOUND' }));
+    }
+
+    if (property.organizationId === loaded.organization.id) {
+      return next(new ConflictError('The property already belongs to this organization'));
+    }
+
+    if (loaded.access !== 'platform' &&
+        (property.organizationId || await PropertyMember.findRole(property.id, req.user.id) !== 'owner')) {
+      return next(new ForbiddenError('Only owners of properties outside any organization can attach them'));
+    }
+
+    // Nobody on the property team may end up seeing another tenant's hotel
+    const foreignMembers = await OrganizationMember.findForeignTeamMembers(property.id, loaded.organization.id);
+    if (foreignMembers.length > 0) {
+      return next(new ConflictError('Members of the property team belong to another organization', { details: { members: foreignMembers } }));
+    }
+
+    await Organization.setPropertyOrganization(property.id, loaded.organization.id);
+
+    res.json(formatSuccess({ propertyId: property.id, organizationId: loaded.organization.id }, `${property.hotelName} now belongs to ${loaded.organization.name}`));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Detach a property from the organization (platform staff)
+exports.detachProperty = async (req, res, next) => {
+  try {
+    const loaded = await loadOrganization(req, ['platform']);
+
+    const property = await Property.findById(req.params.propertyId);
+    if (!property || property.organizationId !== loaded.organization.id) {
+      return next(new NotFoundError('Property not found in this organization', { code: 'PROPERTY_NOT_FOUND' }));
+    }
+
+    await Organization.setPropertyOrganization(property.id, null);
+
+    res.json(formatSuccess({}, `${property.hotelName} no longer belongs to ${loaded.organization.name}`));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Show an organization invitation by token (public, so the invite page works before sign-up)
+exports.getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await OrganizationInvitation.findByToken(req.params.token);
+
+    if (!invitation) {
+      return next(new NotFoundError('Invitation not found', { code: 'INVITATION_NOT_FOUND' }));
+    }
+
+    res.json(formatSuccess({ invitation }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pending organization invitations addressed to the current user
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await OrganizationInvitation.findPendingByEmail(req.user.email);
+
+    res.json(formatSuccess({ invitations, count: invitations.length }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept an organization invitation (must be signed in with the invited email)
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const invitation = await OrganizationInvitation.findByToken(token);
+
+    if (!invitation || invitation.status !== 'pending' || invitation.expired) {
+      return next(new ValidationError('Invalid or expired invitation', { code: 'INVALID_INVITATION' }));
+    }
+
+    if (invitation.email !== String(req.user.email).toLowerCase()) {
+      return next(new ForbiddenError('This invitation was sent to a different email address'));
+    }
+
+    const organization = await Organization.findById(invitation.organizationId);
+    if (!organization || !organization.isActive) {
+      return next(new ValidationError('This organization is no longer active', { code: 'INVALID_INVITATION' }));
+    }
+
+    if (await OrganizationMember.findByUserId(req.user.id)) {
+      return next(new ConflictError('You already belong to an organization', { code: 'ALREADY_IN_ORGANIZATION' }));
+    }
+
+    // Checked again here: the user's properties or role may have changed since the invitation was sent
+    await assertCanJoin(req.user, organization.id, 'invitation');
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const responded = await OrganizationInvitation.respond(invitation.id, 'accepted', connection);
+      if (!responded) {
+        await connection.rollback();
+        return next(new ValidationError('Invalid or expired invitation', { code: 'INVALID_INVITATION' }));
+      }
+
+      await OrganizationMember.add(organization.id, req.user.id, invitation.role, invitation.invitedBy, connection);
+      await connection.commit();
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json(formatSuccess({ organizationId: organization.id, role: invitation.role }, `You have joined ${organization.name}`));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline an organization invitation (token is enough, no account needed)
+exports.declineInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const invitation = await OrganizationInvitation.findByToken(token);
+
+    if (!invitation || invitation.status !== 'pending' || invitation.expired) {
+      return next(new ValidationError('Invalid or expired invitation', { code: 'INVALID_INVITATION' }));
+    }
+
+    await OrganizationInvitation.respond(invitation.id, 'declined');
+
+    res.json(formatSuccess({}, 'Invitation declined'));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,311 @@
+// controllers/propertyTeamController.js
+// Property team membership and email invitations
+
+const Property = require('../models/Property');
+const PropertyMember = require('../models/PropertyMember');
+const PropertyInvitation = require('../models/PropertyInvitation');
+const User = require('../models/User');
+const mailer = require('../services/mailer');
+const emailTemplates = require('../services/emailTemplates');
+const { can } = require('../services/permissions');
+const tenancy = require('../services/tenancy');
+const { formatSuccess, isValidEmail } = require('../utils/helpers');
+const { pool } = require('../config/database');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Roles each property role may hand out through invitations
+const INVITABLE_ROLES = {
+  owner: ['owner', 'manager', 'viewer'],
+  manager: ['manager', 'viewer']
+};
+
+// Helper function to resolve the caller's role on a property (null = no access)
+const getCallerRole = async (req, propertyId) => {
+  return PropertyMember.findRole(propertyId, req.user.id);
+};
+
+// List team members (and pending invitations for owners/managers)
+exports.listMembers = async (req, res, next) => {
+  try {
+    const propertyId = req.params.id;
+    const callerRole = await getCallerRole(req, propertyId);
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      return next(new NotFoundError('Property not found', { code: 'PROPERTY_NOT_FOUND' }));
+    }
+
+    const hasAccess = callerRole ||
+      await tenancy.isOrganizationAdmin(req, property.organizationId) ||
+      (await can(req, 'property:read:any') && await tenancy.canAccessOrganization(req, property.organizationId));
+
+    if (!hasAccess) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const members = await PropertyMember.findByPropertyId(propertyId);
+    const invitations = PropertyMember.EDITOR_ROLES.includes(callerRole)
+      ? await PropertyInvitation.findPendingByPropertyId(propertyId)
+      : [];
+
+    res.json(formatSuccess({
+      members,
+      invitations,
+      yourRole: callerRole
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite someone to the property team by email
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const propertyId = req.params.id;
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return next(new ValidationError('A valid email address is required'));
+    }
+
+    if (!PropertyMember.ROLES.includes(role)) {
+      return next(new ValidationError('Invalid role. Must be one of: ' + PropertyMember.ROLES.join(', ')));
+    }
+
+    const callerRole = await getCallerRole(req, propertyId);
+    if (!INVITABLE_ROLES[callerRole] || !INVITABLE_ROLES[callerRole].includes(role)) {
+      return next(new ForbiddenError(`Your property role cannot invite ${role}s`));
+    }
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      return next(new NotFoundError('Property not found', { code: 'PROPERTY_NOT_FOUND' }));
+    }
+
+    // Don't invite people who are already on the team
+    const existingUser = await User.findByEmail(email);
+    if (existingUser && await PropertyMember.findRole(propertyId, existingUser.id)) {
+      return next(new ConflictError('This user is already a member of the property', { code: 'ALREADY_A_MEMBER' }));
+    }
+
+    // Staff of another organization can never join this organization's hotels
+    if (existingUser && !(await tenancy.canJoinPropertyTeam(existingUser.id, property.organizationId))) {
+      return next(new ConflictError('This user belongs to another organization', { code: 'ALREADY_IN_ORGANIZATION' }));
+    }
+
+    const invitation = await PropertyInvitation.create(propertyId, email, role, req.user.id);
+    const inviter = await User.findById(req.user.id);
+
+    await mailer.sendMail({
+      to: email,
+      ...emailTemplates.propertyInvitation({
+        inviterName: inviter ? inviter.displayName : null,
+        hotelName: property.hotelName,
+        role,
+        token: invitation.token,
+        expiresInDays: invitation.expiresInDays
+      })
+    });
+
+    res.status(201).json(formatSuccess({
+      invitation: {
+        id: invitation.id,
+        propertyId: Number(propertyId),
+        email: email.toLowerCase().trim(),
+        role,
+        status: 'pending'
+      }
+    }, 'Invitation sent'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a pending invitation
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const { id: propertyId, invitationId } = req.params;
+    const callerRole = await getCallerRole(req, propertyId);
+
+    if (!PropertyMember.EDITOR_ROLES.includes(callerRole)) {
+      return next(new ForbiddenError('Only owners and managers can revoke invitations'));
+    }
+
+    const revoked = await PropertyInvitation.revoke(propertyId, invitationId);
+    if (!revoked) {
+      return next(new NotFoundError('Pending invitation not found', { code: 'INVITATION_NOT_FOUND' }));
+    }
+
+    res.json(formatSuccess({}, 'Invitation revoked'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a member's property role (owners only)
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const { id: propertyId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!PropertyMember.ROLES.includes(role)) {
+      return next(new ValidationError('Invalid role. Must be one of: ' + PropertyMember.ROLES.join(', ')));
+    }
+
+    if (await getCallerRole(req, propertyId) !== 'owner') {
+      return next(new ForbiddenError('Only property owners can change member roles'));
+    }
+
+    const currentRole = await PropertyMember.findRole(propertyId, userId);
+    if (!currentRole) {
+      return next(new NotFoundError('Member not found', { code: 'MEMBER_NOT_FOUND' }));
+    }
+
+    if (currentRole === 'owner' && role !== 'owner' && await PropertyMember.countOwners(propertyId) <= 1) {
+      return next(new ValidationError('A property must have at least one owner'));
+    }
+
+    await PropertyMember.updateRole(propertyId, userId, role);
+
+    res.json(formatSuccess({ member: { userId: Number(userId), role } }, 'Member role updated'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a member (owners), or leave a property (any member removing themselves)
+exports.removeMember = async (req, res, next) => {
+  try {
+    const { id: propertyId, userId } = req.params;
+    const isSelf = String(userId) === String(req.user.id);
+
+    // This route is guarded by a read permission (so members can leave), which API key scopes also grant
+    if (req.authMethod === 'api_key') {
+      return next(new ForbiddenError('Team membership cannot be changed with an API key', { code: 'API_KEY_NOT_ALLOWED' }));
+    }
+
+    if (!isSelf && await getCallerRole(req, propertyId) !== 'owner') {
+      return next(new ForbiddenError('Only property owners can remove members'));
+    }
+
+    const currentRole = await PropertyMember.findRole(propertyId, userId);
+    if (!currentRole) {
+      return next(new NotFoundError('Member not found', { code: 'MEMBER_NOT_FOUND' }));
+    }
+
+    if (currentRole === 'owner' && await PropertyMember.countOwners(propertyId) <= 1) {
+      return next(new ValidationError('A property must have at least one owner'));
+    }
+
+    await PropertyMember.remove(propertyId, userId);
+
+    res.json(formatSuccess({}, isSelf ? 'You have left the property' : 'Member removed'));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Show an invitation by token (public, so the invite page works before sign-up)
+exports.getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await PropertyInvitation.findByToken(req.params.token);
+
+    if (!invitation) {
+      return next(new NotFoundError('Invitation not found', { code: 'INVITATION_NOT_FOUND' }));
+    }
+
+    res.json(formatSuccess({ invitation }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pending invitations addressed to the current user
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await PropertyInvitation.findPendingByEmail(req.user.email);
+
+    res.json(formatSuccess({ invitations, count: invitations.length }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept an invitation (must be signed in with the invited email)
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const invitation = await PropertyInvitation.findByToken(token);
+
+    if (!invitation || invitation.status !== 'pending' || invitation.expired) {
+      return next(new ValidationError('Invalid or expired invitation', { code: 'INVALID_INVITATION' }));
+    }
+
+    if (invitation.email !== String(req.user.email).toLowerCase()) {
+      return next(new ForbiddenError('This invitation was sent to a different email address'));
+    }
+
+    const property = await Property.findById(invitation.propertyId);
+    if (!property || !(await tenancy.canJoinPropertyTeam(req.user.id, property.organizationId))) {
+      return next(new ForbiddenError('Your account belongs to another organization and cannot join this property'));
+    }
+
+    // Never downgrade someone who already has a higher role
+    const currentRole = await PropertyMember.findRole(invitation.propertyId, req.user.id);
+    const newRole = currentRole && PropertyMember.ROLES.indexOf(currentRole) < PropertyMember.ROLES.indexOf(invitation.role)
+      ? currentRole
+      : invitation.role;
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const responded = await PropertyInvitation.respond(invitation.id, 'accepted', connection);
+      if (!responded) {
+        await connection.rollback();
+        return next(new ValidationError('Invalid or expired invitation', { code: 'INVALID_INVITATION' }));
+      }
+
+      await PropertyMember.add(invitation.propertyId, req.user.id, newRole, invitation.invitedBy, connection);
+      await connection.commit();
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json(formatSuccess({ propertyId: invitation.propertyId, role: newRole }, `You have joined ${invitation.hotelName}`));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline an invitation (token is enough, no account needed)
+exports.declineInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const invitation = await PropertyInvitation.findByToken(token);
+
+    if (!invitation || invitation.status !== 'pending' || invitation.expired) {
+      return next(new ValidationError('Invalid or expired invitation', { code: 'INVALID_INVITATION' }));
+    }
+
+    await PropertyInvitation.respond(invitation.id, 'declined');
+
+    res.json(formatSuccess({}, 'Invitation declined'));
+
+  } catch (error) {
+    next(error);
+  }
+};
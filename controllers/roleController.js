@@ -0,0 +1,62 @@
+// controllers/roleController.js
+// Admin management of roles and their permissions
+
+const Role = require('../models/Role');
+const { PERMISSIONS, WILDCARD, isKnownPermission } = require('../config/permissions');
+const permissionService = require('../services/permissions');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { formatSuccess } = require('../utils/helpers');
+
+// List every permission in the registry
+exports.listPermissions = async (req, res, next) => {
+  try {
+    res.json(formatSuccess({ permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })), wildcard: WILDCARD }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List roles with their permissions
+exports.listRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.findAll();
+
+    res.json(formatSuccess({ roles, count: roles.length }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace the permissions granted to a role
+exports.updateRolePermissions = async (req, res, next) => {
+  try {
+    const roleName = req.params.role;
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return next(new ValidationError('Permissions must be an array'));
+    }
+
+    const unknownPermissions = permissions.filter(permission => !isKnownPermission(permission));
+    if (unknownPermissions.length > 0) {
+      return next(new ValidationError('Unknown permissions', { details: { unknownPermissions } }));
+    }
+
+    if (!(await Role.exists(roleName))) {
+      return next(new NotFoundError('Role not found', { code: 'ROLE_NOT_FOUND' }));
+    }
+
+    // Never let an admin lock everyone out of role management
+    if (roleName === req.user.role && !permissions.includes(WILDCARD) && !permissions.includes('roles:manage')) {
+      return next(new ValidationError('You cannot remove roles:manage from your own role'));
+    }
+
+    const uniquePermissions = [...new Set(permissions)];
+    await Role.setPermissions(roleName, uniquePermissions, req.user.id);
+    permissionService.invalidateCache();
+
+    res.json(formatSuccess({ role: roleName, permissions: uniquePermissions }, `Permissions updated for role ${roleName}`));
+  } catch (error) {
+    next(error);
+  }
+};
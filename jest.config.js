@@ -0,0 +1,26 @@
+// jest.config.js
+// unit: no database or network. integration: supertest against createApp() with a throwaway MySQL
+// database migrated from migrations/ (see tests/setup/database.js) and in-memory Firebase/OpenAI fakes
+
+const shared = {
+  testEnvironment: 'node',
+  setupFiles: ['<rootDir>/tests/setup/env.js']
+};
+
+module.exports = {
+  projects: [
+    {
+      ...shared,
+      displayName: 'unit',
+      testMatch: ['<rootDir>/tests/unit/**/*.test.js']
+    },
+    {
+      ...shared,
+      displayName: 'integration',
+      testMatch: ['<rootDir>/tests/integration/**/*.test.js'],
+      globalSetup: '<rootDir>/tests/setup/globalSetup.js',
+      globalTeardown: '<rootDir>/tests/setup/globalTeardown.js',
+      setupFilesAfterEnv: ['<rootDir>/tests/setup/integration.js']
+    }
+  ]
+};
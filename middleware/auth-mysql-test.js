@@ -1,24 +1,27 @@
 // middleware/auth-mysql-test.js
 // Ultra-simple auth for MySQL testing - accepts ANY Bearer token
 
+const { logger } = require('../services/logger');
+const { UnauthorizedError } = require('../utils/errors');
+
 module.exports = (req, res, next) => {
   const authHeader = req.headers.authorization;
   
-  console.log('🔐 MySQL Auth Check:', authHeader ? 'Token provided' : 'No token');
+  logger.debug('MySQL auth check', { tokenProvided: !!authHeader });
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    console.log('❌ No Bearer token provided');
-    return res.status(401).json({ message: 'Authorization header with Bearer token required' });
+    logger.debug('No Bearer token provided');
+    return next(new UnauthorizedError('Authorization header with Bearer token required', { code: 'AUTHENTICATION_REQUIRED' }));
   }
 
   const token = authHeader.split(' ')[1];
   
   if (!token || token.length < 5) {
-    console.log('❌ Invalid token format');
-    return res.status(401).json({ message: 'Invalid token format' });
+    logger.debug('Invalid token format');
+    return next(new UnauthorizedError('Invalid token format', { code: 'INVALID_TOKEN' }));
   }
 
-  console.log('✅ Token accepted for MySQL testing:', token.substring(0, 10) + '...');
+  logger.debug('Token accepted for MySQL testing');
   
   // Create a simple user object for MySQL storage
   req.user = {
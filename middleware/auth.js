@@ -1,34 +1,140 @@
 // middleware/auth.js
-// Authentication middleware supporting both JWT tokens and Firebase tokens
+// Authentication middleware supporting JWT tokens, Firebase tokens, OIDC ID tokens and API keys (X-API-Key)
 
 const jwt = require('jsonwebtoken');
+const config = require('../config');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const ApiKey = require('../models/ApiKey');
+const OrganizationMember = require('../models/OrganizationMember');
+const UserIdentity = require('../models/UserIdentity');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const TwoFactor = require('../models/TwoFactor');
+const twoFactor = require('../services/twoFactor');
+const oidc = require('../services/oidc');
+const { getFirebaseAdmin } = require('../services/firebaseAdmin');
+const { logger, setContext } = require('../services/logger');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-// Try to load Firebase admin for token verification
-let firebaseAdmin = null;
-try {
-  const { admin } = require('../config/firebase');
-  firebaseAdmin = admin;
-} catch (error) {
-  console.log('ℹ️ Firebase admin not available for token verification');
-}
+// API keys are only accepted by the data APIs - never for account, admin or key management
+const API_KEY_MOUNTS = ['/api/properties', '/api/onboarding'];
+
+// Authenticate a request carrying an X-API-Key header
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  if (!API_KEY_MOUNTS.includes(req.baseUrl)) {
+    return next(new ForbiddenError('API keys cannot be used for this endpoint', { code: 'API_KEY_NOT_ALLOWED' }));
+  }
+
+  const apiKey = await ApiKey.findActiveByKey(rawKey);
+  if (!apiKey) {
+    return next(new UnauthorizedError('Invalid, expired or revoked API key', { code: 'INVALID_API_KEY' }));
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user || !user.isActive) {
+    return next(new UnauthorizedError('API key owner not found or inactive', { code: 'INVALID_API_KEY' }));
+  }
+
+  // Keys stop working if their owner moves to (or leaves) an organization
+  const membership = await OrganizationMember.findByUserId(user.id);
+  if ((membership ? membership.organizationId : null) !== apiKey.organizationId) {
+    return next(new UnauthorizedError('API key was issued for a different organization', { code: 'INVALID_API_KEY' }));
+  }
+
+  ApiKey.touch(apiKey.id, req.ip || null);
+
+  req.user = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes
+  };
+  req.authMethod = 'api_key';
+  req.organizationMembership = membership;
+  setContext({ userId: user.id, apiKeyId: apiKey.id });
+
+  next();
+};
+
+// Impersonation is read-only; the only write allowed is ending it
+const IMPERSONATION_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const IMPERSONATION_END_PATH = '/api/auth/impersonation/end';
+
+// Write every request made while impersonating to the admin audit log once it completes
+const logImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    AdminAuditLog.record({
+      adminId: req.impersonation.adminId,
+      action: 'impersonation.request',
+      targetType: 'user',
+      targetId: req.impersonation.userId,
+      details: {
+        impersonationId: req.impersonation.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      },
+      ipAddress: req.ip || null
+    }).catch(() => {});
+  });
+};
+
+// Verify an ID token from a configured OIDC provider and map it to the linked user
+// Returns { user } or { message } when the token cannot be used
+const verifyOidcToken = async (provider, token) => {
+  let claims;
+  try {
+    claims = await oidc.verifyIdToken(provider, token);
+  } catch (error) {
+    logger.error('OIDC token verification failed', { provider: provider.id, error: error.message });
+    return { message: 'Invalid authentication token' };
+  }
+
+  // Bearer ID tokens never provision accounts; the first sign-in must go through the callback
+  const identity = await UserIdentity.findByProviderSubject(provider.id, claims.sub);
+  const user = identity ? await User.findById(identity.userId) : null;
+  if (!user) {
+    return { message: 'User account not found or inactive' };
+  }
+
+  // As with Firebase, our 2FA requirement stands unless the IdP did multi-factor authentication for a role
+  // where 2FA is optional (roles that require it always go through our own second step)
+  const idpMultiFactor = oidc.isMultiFactor(claims) && twoFactor.acceptsIdentityProviderMfa(user.role);
+  if (!idpMultiFactor && (twoFactor.isRequiredForRole(user.role) || await TwoFactor.isEnabled(user.id))) {
+    return { message: `Two-factor authentication required - sign in through /api/auth/oidc/${provider.id}/authorize` };
+  }
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      oidcProvider: provider.id,
+      oidcSubject: claims.sub
+    }
+  };
+};
 
 const authMiddleware = async (req, res, next) => {
   try {
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      return await authenticateApiKey(req, res, next, apiKeyHeader);
+    }
+
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token required'
-      });
+      return next(new UnauthorizedError('Access token required', { code: 'AUTHENTICATION_REQUIRED' }));
     }
     
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
     // Development mode: Allow test tokens
-    if (process.env.NODE_ENV === 'development' && token.startsWith('dev-test-token-')) {
-      console.log('🔧 Development mode: Using test token');
+    if (config.isDevelopment && token.startsWith('dev-test-token-')) {
+      logger.info('Development mode: Using test token');
       req.user = {
         id: 1, // Default to admin user for testing
         email: 'admin@nuvho.com',
@@ -42,46 +148,64 @@ const authMiddleware = async (req, res, next) => {
     
     // Try JWT verification first (for MySQL-first users)
     try {
-      decodedToken = jwt.verify(token, process.env.JWT_SECRET);
+      decodedToken = jwt.verify(token, config.jwt.secret);
       authMethod = 'jwt';
-      console.log('✅ JWT token verified for user:', decodedToken.id);
+      
+      // Challenge tokens (2FA) are signed with the same secret but are not access tokens
+      if (decodedToken.purpose) {
+        return next(new UnauthorizedError('Invalid authentication token', { code: 'INVALID_TOKEN' }));
+      }
+      logger.debug('JWT token verified', { userId: decodedToken.id });
     } catch (jwtError) {
-      console.log('📝 JWT verification failed, trying Firebase token...');
+      // ID tokens from a configured OIDC provider (picked by their unverified issuer, then fully validated)
+      const unverified = jwt.decode(token);
+      const oidcProvider = unverified && unverified.iss ? oidc.findProviderByIssuer(unverified.iss) : null;
       
-      // Try Firebase token verification (for Firebase users)
-      if (firebaseAdmin) {
+      if (oidcProvider) {
+        const result = await verifyOidcToken(oidcProvider, token);
+        if (!result.user) {
+          return next(new UnauthorizedError(result.message, { code: 'INVALID_TOKEN' }));
+        }
+        
+        decodedToken = result.user;
+        authMethod = 'oidc';
+        logger.debug('OIDC token verified', { userId: decodedToken.id });
+      } else if (getFirebaseAdmin()) {
+        logger.debug('JWT verification failed, trying Firebase token...');
+        
+        // Try Firebase token verification (for Firebase users)
         try {
-          const firebaseToken = await firebaseAdmin.auth().verifyIdToken(token);
+          const firebaseToken = await getFirebaseAdmin().verifyIdToken(token);
+          if (!firebaseToken.success) {
+            throw new Error(firebaseToken.error);
+          }
           authMethod = 'firebase';
-          console.log('🔥 Firebase token verified for user:', firebaseToken.uid);
+          logger.debug('Firebase token verified', { firebaseUid: firebaseToken.uid });
           
           // Find user by Firebase UID
           const user = await User.findByFirebaseUid(firebaseToken.uid);
           if (!user) {
-            return res.status(401).json({
-              success: false,
-              message: 'User not found for Firebase token'
-            });
+            return next(new UnauthorizedError('User not found for Firebase token', { code: 'INVALID_TOKEN' }));
+          }
+          
+          // Firebase sign-in alone cannot satisfy our 2FA requirement
+          if (twoFactor.isRequiredForRole(user.role) || await TwoFactor.isEnabled(user.id)) {
+            return next(new UnauthorizedError('Two-factor authentication required - sign in through /api/auth/login', { code: 'TWO_FACTOR_REQUIRED' }));
           }
           
           decodedToken = {
             id: user.id,
             email: user.email,
             role: user.role,
-            firebaseUid: firebaseToken.uid
+            firebaseUid: firebaseToken.uid,
+            firebaseEmailVerified: firebaseToken.emailVerified
           };
         } catch (firebaseError) {
-          console.error('❌ Firebase token verification failed:', firebaseError.message);
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid authentication token'
-          });
+          logger.error('Firebase token verification failed', { error: firebaseError.message });
+          return next(new UnauthorizedError('Invalid authentication token', { code: 'INVALID_TOKEN' }));
         }
       } else {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid authentication token'
-        });
+        return next(new UnauthorizedError('Invalid authentication token', { code: 'INVALID_TOKEN' }));
       }
     }
     
@@ -89,25 +213,55 @@ const authMiddleware = async (req, res, next) => {
     if (authMethod === 'jwt') {
       const user = await User.findById(decodedToken.id);
       if (!user || !user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'User account not found or inactive'
-        });
+        return next(new UnauthorizedError('User account not found or inactive', { code: 'ACCOUNT_INACTIVE' }));
+      }
+      
+      // Access tokens are bound to a server-side session that can be revoked
+      // (impersonation tokens to the impersonating admin's session)
+      const sessionOwnerId = decodedToken.act ? decodedToken.act.id : decodedToken.id;
+      const session = decodedToken.sid ? await UserSession.findActive(decodedToken.sid) : null;
+      if (!session || String(session.userId) !== String(sessionOwnerId)) {
+        return next(new UnauthorizedError('Session expired or revoked', { code: 'SESSION_EXPIRED' }));
+      }
+      
+      UserSession.touch(session.id);
+      
+      if (decodedToken.act) {
+        const impersonation = await ImpersonationSession.findActive(decodedToken.imp);
+        if (!impersonation ||
+            String(impersonation.userId) !== String(user.id) ||
+            String(impersonation.adminId) !== String(decodedToken.act.id)) {
+          return next(new UnauthorizedError('Impersonation ended or expired', { code: 'SESSION_EXPIRED' }));
+        }
+        
+        // The impersonated user's current role applies, not the one in the token
+        decodedToken = {
+          id: user.id,
+          email: user.email,
+          role: user.role,
+          sid: decodedToken.sid,
+          impersonatorId: impersonation.adminId
+        };
+        req.impersonation = impersonation;
+        logImpersonatedRequest(req, res);
+        
+        if (!IMPERSONATION_SAFE_METHODS.includes(req.method) && req.originalUrl.split('?')[0] !== IMPERSONATION_END_PATH) {
+          return next(new ForbiddenError('Impersonated sessions are read-only', { code: 'IMPERSONATION_READ_ONLY', details: { impersonating: true } }));
+        }
       }
     }
     
     // Attach user info to request
     req.user = decodedToken;
     req.authMethod = authMethod;
+    // Later log lines for this request carry the user (and the admin behind an impersonation)
+    setContext({ userId: decodedToken.id, ...(decodedToken.impersonatorId && { impersonatorId: decodedToken.impersonatorId }) });
     
     next();
     
   } catch (error) {
-    console.error('❌ Authentication middleware error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication failed'
-    });
+    logger.error('Authentication middleware error', { err: error });
+    return next(new UnauthorizedError('Authentication failed', { code: 'INVALID_TOKEN' }));
   }
 };
 
@@ -0,0 +1,93 @@
+// middleware/errorHandler.js
+// The one place error responses are built. Handlers throw (or next()) a typed error from
+// utils/errors; library errors are translated here; anything else is logged and hidden as a 500
+
+const {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  ServiceUnavailableError
+} = require('../utils/errors');
+const { formatError } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+// Map well-known library errors onto typed errors; returns the error untouched when unknown
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // body-parser
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body is too large');
+  }
+
+  // multer
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new PayloadTooLargeError('File size exceeds 25MB limit', { code: 'FILE_TOO_LARGE' });
+  }
+
+  // jsonwebtoken
+  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    return new UnauthorizedError('Invalid authentication token', { code: 'INVALID_TOKEN' });
+  }
+
+  // Joi (config and request schemas)
+  if (err.isJoi) {
+    return new ValidationError(err.message);
+  }
+
+  // Firebase Admin
+  if (typeof err.code === 'string' && err.code.startsWith('auth/')) {
+    return new ValidationError('Firebase authentication error', { code: 'FIREBASE_AUTH_ERROR' });
+  }
+
+  // MySQL
+  if (err.code === 'ER_DUP_ENTRY') {
+    return new ConflictError('Resource already exists', { code: 'DUPLICATE_ENTRY' });
+  }
+  if (err.code === 'ECONNREFUSED') {
+    return new ServiceUnavailableError('Service temporarily unavailable', { code: 'DATABASE_UNAVAILABLE' });
+  }
+
+  return err;
+};
+
+// Final error middleware: log, then answer with the standard envelope
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+  const status = error instanceof AppError ? error.status : 500;
+
+  if (status >= 500) {
+    logger.error('Unhandled error', { err, ...(error !== err && { code: error.code }) });
+  } else {
+    logger.debug('Request error', { code: error.code, message: error.message });
+  }
+
+  // Lockouts and rate limits tell clients when to come back
+  if (status < 500 && error.details.retryAfter && !res.get('Retry-After')) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+
+  res.status(status).json(formatError(error));
+};
+
+// 404 for unmatched routes
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Endpoint not found', {
+    code: 'ROUTE_NOT_FOUND',
+    details: { method: req.method, path: req.path }
+  }));
+};
+
+module.exports = { errorHandler, notFoundHandler, toAppError };
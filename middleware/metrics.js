@@ -0,0 +1,48 @@
+// middleware/metrics.js
+// Records every request in http_request_duration_seconds (services/metrics.js)
+// The route label is the documented path template (/api/properties/:id) taken from the OpenAPI document, so
+// requests rejected before reaching their handler (auth, validation) are counted against the right route and
+// unknown URLs cannot create a series each; they share route="unmatched"
+
+const { listEndpoints } = require('../openapi');
+const { httpRequestDuration } = require('../services/metrics');
+
+const UNMATCHED = 'unmatched';
+
+// Literal paths win over templated ones (/my-properties before /:id), as with the Express routes
+const compileRoutes = () => listEndpoints()
+  .map(({ method, path }) => {
+    const parameters = (path.match(/:\w+/g) || []).length;
+    const pattern = path
+      .split(/(:\w+)/)
+      .map(part => (part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('');
+
+    return { method, path, parameters, regex: new RegExp(`^${pattern}/?$`, 'i') };
+  })
+  .sort((a, b) => a.parameters - b.parameters);
+
+const createMetricsMiddleware = () => {
+  const routes = compileRoutes();
+
+  const routeOf = (req) => {
+    const path = req.originalUrl.split('?')[0];
+    // HEAD is answered by the GET route
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const route = routes.find(candidate => candidate.method === method && candidate.regex.test(path));
+    return route ? route.path : UNMATCHED;
+  };
+
+  return (req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer();
+
+    res.on('finish', () => {
+      endTimer({ method: req.method, route: routeOf(req), status: res.statusCode });
+    });
+
+    next();
+  };
+};
+
+module.exports = createMetricsMiddleware;
+module.exports.UNMATCHED = UNMATCHED;
@@ -0,0 +1,199 @@
+// middleware/openapiValidator.js
+// Validates requests and JSON responses against the OpenAPI document (openapi/index.js)
+// Mounted outside production (OPENAPI_VALIDATION) so the document cannot drift from the code:
+//   - invalid path/query parameters or JSON bodies are rejected with 400 before reaching the route
+//   - a JSON response that does not match its documented schema is replaced with a 500
+// Paths and methods the document does not describe pass through untouched
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { document: defaultDocument, METHODS } = require('../openapi');
+const { logger } = require('../services/logger');
+const { AppError, ValidationError } = require('../utils/errors');
+const { formatError } = require('../utils/helpers');
+
+// JSON pointer segment (RFC 6901)
+const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const createAjv = (options) => {
+  const ajv = new Ajv2020({ strict: false, allErrors: true, ...options });
+  addFormats(ajv);
+  // Documentation-only formats
+  ajv.addFormat('password', true);
+  ajv.addFormat('binary', true);
+  return ajv;
+};
+
+// Turn /api/properties/{id} into a regex capturing each parameter
+const compilePath = (path) => {
+  const names = [];
+  const pattern = path.split(/\{([^}]+)\}/).map((part, index) => {
+    if (index % 2 === 1) {
+      names.push(part);
+      return '([^/]+)';
+    }
+    return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+  }).join('');
+
+  return { regex: new RegExp(`^${pattern}/?$`, 'i'), names };
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const formatErrors = (errors, location) => errors.map(error => ({
+  location,
+  path: error.params && error.params.missingProperty
+    ? `${error.instancePath}/${error.params.missingProperty}`
+    : error.instancePath || '/',
+  message: error.message
+}));
+
+const createOpenApiValidator = (document = defaultDocument) => {
+  // Parameters are strings on the wire, so they are coerced (on a copy) before validation
+  const parameterAjv = createAjv({ coerceTypes: true });
+  const bodyAjv = createAjv();
+  parameterAjv.addSchema(document, 'openapi');
+  bodyAjv.addSchema(document, 'openapi');
+
+  const validators = new Map();
+  const getValidator = (ajv, key, schema) => {
+    if (!validators.has(key)) validators.set(key, ajv.compile(schema));
+    return validators.get(key);
+  };
+
+  // Validator for a schema inside the document, by JSON pointer
+  const schemaAt = (ajv, pointer) => getValidator(ajv, pointer, { $ref: `openapi#${pointer}` });
+
+  // Literal paths win over templated ones (/my-properties before /{id}), as with the Express routes
+  const routes = Object.entries(document.paths)
+    .map(([path, pathItem]) => ({ path, pathItem, ...compilePath(path) }))
+    .sort((a, b) => a.names.length - b.names.length);
+
+  const findOperation = (req) => {
+    const method = req.method.toLowerCase();
+    if (!METHODS.includes(method)) return null;
+
+    for (const route of routes) {
+      const operation = route.pathItem[method];
+      const match = operation && route.regex.exec(req.path);
+      if (!match) continue;
+
+      const pathValues = {};
+      route.names.forEach((name, index) => {
+        pathValues[name] = decode(match[index + 1]);
+      });
+
+      return { ...route, method, operation, pathValues };
+    }
+
+    return null;
+  };
+
+  // Build one object schema per parameter location so each is validated in a single pass
+  const validateParameters = (found, location, values) => {
+    const parameters = [...(found.pathItem.parameters || []), ...(found.operation.parameters || [])]
+      .filter(parameter => parameter.in === location);
+    if (parameters.length === 0) return [];
+
+    const validate = getValidator(parameterAjv, `${location} ${found.method} ${found.path}`, {
+      type: 'object',
+      properties: Object.fromEntries(parameters.map(({ name, schema = {} }) => [
+        name,
+        // Component refs resolve against the document
+        schema.$ref ? { $ref: `openapi${schema.$ref}` } : schema
+      ])),
+      required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+    });
+
+    return validate({ ...values }) ? [] : formatErrors(validate.errors, location);
+  };
+
+  const validateBody = (found, req) => {
+    const requestBody = found.operation.requestBody;
+    if (!requestBody || !requestBody.content || !requestBody.content['application/json']) return [];
+    // Multipart uploads are parsed inside the route, so only JSON bodies can be checked here
+    if (!req.is('application/json')) return [];
+
+    const pointer = `/paths/${escapePointer(found.path)}/${found.method}/requestBody/content/application~1json/schema`;
+    const validate = schemaAt(bodyAjv, pointer);
+
+    return validate(req.body) ? [] : validate.errors;
+  };
+
+  // Top-level body fields left out entirely, listed the same way as by middleware/validate.js
+  const missingFields = (bodyErrors) => bodyErrors
+    .filter(error => error.keyword === 'required' && error.instancePath === '')
+    .map(error => error.params.missingProperty);
+
+  // Pointer to the JSON schema documented for a status code (null when the response is not JSON)
+  const responseSchemaPointer = (found, statusCode) => {
+    const responses = found.operation.responses || {};
+    const status = String(statusCode);
+    const key = [status, `${status[0]}XX`, 'default'].find(candidate => responses[candidate]);
+    if (!key) return null;
+
+    let response = responses[key];
+    let pointer = `/paths/${escapePointer(found.path)}/${found.method}/responses/${key}`;
+    if (response.$ref) {
+      pointer = response.$ref.slice(1);
+      response = response.$ref.split('/').slice(1).reduce((node, segment) => node[segment], document);
+    }
+
+    if (!response.content || !response.content['application/json']) return null;
+    return `${pointer}/content/application~1json/schema`;
+  };
+
+  return (req, res, next) => {
+    const found = findOperation(req);
+    if (!found) return next();
+
+    const bodyErrors = validateBody(found, req);
+    const errors = [
+      ...validateParameters(found, 'path', found.pathValues),
+      ...validateParameters(found, 'query', req.query),
+      ...formatErrors(bodyErrors, 'body')
+    ];
+
+    if (errors.length > 0) {
+      const missing = missingFields(bodyErrors);
+      return next(new ValidationError('Request validation failed', {
+        details: { errors, ...(missing.length > 0 && { missingFields: missing }) }
+      }));
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const pointer = responseSchemaPointer(found, res.statusCode);
+      if (!pointer) return json(body);
+
+      const validate = schemaAt(bodyAjv, pointer);
+      // Validate what the client will receive (dates as strings, toJSON applied, undefined dropped)
+      const payload = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+      if (validate(payload)) return json(body);
+
+      const responseErrors = formatErrors(validate.errors, 'response');
+      logger.error('Response does not match the API specification', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        errors: responseErrors
+      });
+
+      res.status(500);
+      return json(formatError(new AppError('Response does not match the API specification', {
+        code: 'RESPONSE_VALIDATION_FAILED',
+        details: { errors: responseErrors }
+      })));
+    };
+
+    next();
+  };
+};
+
+module.exports = createOpenApiValidator;
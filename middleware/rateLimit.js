@@ -0,0 +1,54 @@
+// middleware/rateLimit.js
+// Per-IP request rate limits for the public auth endpoints
+// Windows and limits come from config.rateLimit (RATE_LIMIT_<NAME>_WINDOW_MINUTES and RATE_LIMIT_<NAME>_MAX)
+// Counters live in memory, so each server process enforces its own limits
+
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const { logger } = require('../services/logger');
+const { TooManyRequestsError } = require('../utils/errors');
+
+const createRateLimiter = (name, { windowMinutes, max, message }) => {
+  const windowMs = windowMinutes * 60 * 1000;
+
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    // RATE_LIMIT_ENABLED=false turns every limiter off (local scripts, load tests)
+    skip: () => !config.rateLimit.enabled,
+    handler: (req, res, next) => {
+      logger.warn('Rate limit exceeded', { limiter: name, ip: req.ip, path: req.originalUrl.split('?')[0] });
+      next(new TooManyRequestsError(message, { details: { retryAfter: Math.ceil(windowMs / 1000) } }));
+    }
+  });
+};
+
+const loginLimiter = createRateLimiter('LOGIN', {
+  ...config.rateLimit.login,
+  message: 'Too many login attempts. Please try again later.'
+});
+
+const registerLimiter = createRateLimiter('REGISTER', {
+  ...config.rateLimit.register,
+  message: 'Too many registration attempts. Please try again later.'
+});
+
+const forgotPasswordLimiter = createRateLimiter('FORGOT_PASSWORD', {
+  ...config.rateLimit.forgotPassword,
+  message: 'Too many password reset requests. Please try again later.'
+});
+
+const magicLinkLimiter = createRateLimiter('MAGIC_LINK', {
+  ...config.rateLimit.magicLink,
+  message: 'Too many sign-in link requests. Please try again later.'
+});
+
+module.exports = {
+  createRateLimiter,
+  loginLimiter,
+  registerLimiter,
+  forgotPasswordLimiter,
+  magicLinkLimiter
+};
@@ -0,0 +1,52 @@
+// middleware/requestContext.js
+// Gives every request an ID and logs it once it completes
+// - the ID comes from a well-formed X-Request-Id header (set by a proxy or the client) or is generated,
+//   is returned in the X-Request-Id response header and added to every log line written for the request
+// - JSON error responses (status >= 400) carry it as `requestId` so a report can be matched to the logs
+
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../services/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const createRequestContext = () => (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json({ ...body, requestId });
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+    // Path only: query strings can carry tokens (magic links, email verification)
+    const fields = {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      ip: req.ip,
+      ...(req.user && { userId: req.user.id }),
+      ...(req.user && req.user.apiKeyId && { apiKeyId: req.user.apiKeyId })
+    };
+
+    if (status >= 500) logger.error('Request failed', fields);
+    else if (status >= 400) logger.warn('Request rejected', fields);
+    else logger.info('Request completed', fields);
+  });
+
+  runWithContext({ requestId }, next);
+};
+
+module.exports = createRequestContext;
+module.exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
@@ -0,0 +1,42 @@
+// middleware/requirePermission.js
+// Route guard: the user's role (narrowed by API key scopes) must grant at least one of the listed permissions
+// Must run after the auth middleware. Usage: requirePermission('property:read:own', 'property:read:any')
+
+const { getPermissionsForUser } = require('../services/permissions');
+const { WILDCARD, isKnownPermission } = require('../config/permissions');
+const { logger } = require('../services/logger');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const requirePermission = (...permissions) => {
+  // Catch typos at startup rather than silently denying every request
+  permissions.forEach(permission => {
+    if (!isKnownPermission(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new UnauthorizedError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
+      }
+
+      req.permissions = await getPermissionsForUser(req.user);
+
+      const allowed = req.permissions.has(WILDCARD) ||
+        permissions.some(permission => req.permissions.has(permission));
+
+      if (!allowed) {
+        logger.warn('Permission denied', { userId: req.user.id, role: req.user.role, permissions });
+        return next(new ForbiddenError('Access denied', { code: 'PERMISSION_DENIED', details: { requiredPermissions: permissions } }));
+      }
+
+      next();
+
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,37 @@
+// middleware/requireVerifiedEmail.js
+// Route guard that only lets users with a verified email address through
+// Must run after the auth middleware
+
+const User = require('../models/User');
+const { logger } = require('../services/logger');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new UnauthorizedError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
+    }
+    
+    let user = await User.findById(req.user.id);
+    if (!user) {
+      return next(new UnauthorizedError('User account not found or inactive', { code: 'ACCOUNT_INACTIVE' }));
+    }
+    
+    // Firebase may have verified the address (e.g. via its own email link) before we did
+    if (!user.emailVerified && req.user.firebaseEmailVerified) {
+      logger.info('Syncing email verification from Firebase', { userId: user.id });
+      user = await User.markEmailVerified(user.id);
+    }
+    
+    if (!user.emailVerified) {
+      return next(new ForbiddenError('Please verify your email address before continuing', { code: 'EMAIL_NOT_VERIFIED', details: { emailVerified: false } }));
+    }
+    
+    next();
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = requireVerifiedEmail;
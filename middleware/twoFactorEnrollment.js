@@ -0,0 +1,45 @@
+// middleware/twoFactorEnrollment.js
+// Lets 2FA setup routes be called either with a normal access token or,
+// during a login where 2FA is mandatory but not yet set up, with the enrollment challenge token
+
+const User = require('../models/User');
+const authMiddleware = require('./auth');
+const twoFactor = require('../services/twoFactor');
+const { logger } = require('../services/logger');
+const { UnauthorizedError } = require('../utils/errors');
+
+const twoFactorEnrollment = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  
+  if (!challengeToken) {
+    return authMiddleware(req, res, next);
+  }
+  
+  try {
+    const challenge = twoFactor.verifyChallengeToken(challengeToken, twoFactor.CHALLENGE_ENROLLMENT);
+    if (!challenge) {
+      return next(new UnauthorizedError('Invalid or expired challenge token', { code: 'INVALID_CHALLENGE_TOKEN' }));
+    }
+    
+    const user = await User.findById(challenge.id);
+    if (!user) {
+      return next(new UnauthorizedError('User account not found or inactive', { code: 'ACCOUNT_INACTIVE' }));
+    }
+    
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role
+    };
+    req.authMethod = '2fa-enrollment';
+    req.twoFactorEnrollment = true;
+    
+    next();
+    
+  } catch (error) {
+    logger.error('Two-factor enrollment middleware error', { err: error });
+    return next(new UnauthorizedError('Authentication failed', { code: 'INVALID_TOKEN' }));
+  }
+};
+
+module.exports = twoFactorEnrollment;
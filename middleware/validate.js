@@ -0,0 +1,42 @@
+// middleware/validate.js
+// Validates req.body against a joi schema (see validation/) before the route handler runs
+// The handler gets the validated value: unknown fields dropped, defaults applied and form strings converted
+// ("40" -> 40). Every invalid field is reported at once, in the same shape as the OpenAPI validator's errors.
+// Usage: router.post('/', validate(schemas.create), controller.create)
+
+const { ValidationError } = require('../utils/errors');
+
+const OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+// joi path (['roomTypes', 0, 'name']) -> JSON pointer (/roomTypes/0/name)
+const toPointer = (path) => `/${path.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+
+const validate = (schema) => (req, res, next) => {
+  const { value, error } = schema.validate(req.body || {}, OPTIONS);
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      location: 'body',
+      path: toPointer(detail.path),
+      message: detail.message
+    }));
+
+    // Top-level fields left out entirely, as the signup form reports them
+    const missingFields = error.details
+      .filter(detail => detail.type === 'any.required' && detail.path.length === 1)
+      .map(detail => detail.path[0]);
+
+    return next(new ValidationError('Request validation failed', {
+      details: { errors, ...(missingFields.length > 0 && { missingFields }) }
+    }));
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,585 @@
+// migrations/0001_baseline.js
+// Baseline schema: every table the API uses.
+// Safe to run against databases created before migrations existed (by the old startup
+// initializeDatabase): tables are created only if missing and later columns are added in place
+
+const { getColumn, addColumnIfMissing, addIndexIfMissing } = require('./helpers');
+const { logger } = require('../services/logger');
+
+// Creation order respects foreign keys; down() drops in reverse
+const TABLES = [
+  // Hotels (user_id records the creator; access goes through property_members)
+  ['properties', `
+    CREATE TABLE IF NOT EXISTS properties (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      corporate_entity TEXT,
+      hotel_name VARCHAR(255) NOT NULL,
+      category VARCHAR(100) NOT NULL,
+      type VARCHAR(100) NOT NULL,
+      street_address TEXT NOT NULL,
+      city VARCHAR(255) NOT NULL,
+      postcode VARCHAR(20) NOT NULL,
+      suburb VARCHAR(255),
+      country VARCHAR(100) NOT NULL,
+      phone VARCHAR(50) NOT NULL,
+      fax VARCHAR(50),
+      total_rooms INT NOT NULL,
+      latitude DECIMAL(10, 8),
+      longitude DECIMAL(11, 8),
+      contact_name VARCHAR(255) NOT NULL,
+      contact_email VARCHAR(255) NOT NULL,
+      reservation_email VARCHAR(255),
+      website_url TEXT,
+      ownership_breakdown TEXT,
+      state VARCHAR(100),
+      currency VARCHAR(10),
+      organization_id INT NULL,
+      status ENUM('pending', 'active', 'inactive') DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_user_id (user_id),
+      INDEX idx_hotel_name (hotel_name),
+      INDEX idx_city (city),
+      INDEX idx_country (country),
+      INDEX idx_status (status),
+      INDEX idx_organization_id (organization_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Amenities chosen during onboarding
+  ['property_amenities', `
+    CREATE TABLE IF NOT EXISTS property_amenities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      amenity_name VARCHAR(255) NOT NULL,
+      amenity_type VARCHAR(100),
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_property_id (property_id),
+      INDEX idx_amenity_type (amenity_type)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Primary, reservation and other property contacts
+  ['property_contacts', `
+    CREATE TABLE IF NOT EXISTS property_contacts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      contact_type ENUM('primary', 'reservation', 'sales', 'management', 'billing') NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      phone VARCHAR(50),
+      title VARCHAR(255),
+      department VARCHAR(100),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_property_id (property_id),
+      INDEX idx_contact_type (contact_type),
+      INDEX idx_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Onboarding: room types, rates and meal plans
+  ['property_room_types', `
+    CREATE TABLE IF NOT EXISTS property_room_types (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      bedding_config_1 BOOLEAN DEFAULT FALSE,
+      bedding_config_2 BOOLEAN DEFAULT FALSE,
+      minimum_rate DECIMAL(10, 2) DEFAULT 0,
+      maximum_rate DECIMAL(10, 2) DEFAULT 0,
+      max_capacity INT DEFAULT 2,
+      guests_included INT DEFAULT 2,
+      extra_adult_rate DECIMAL(10, 2) DEFAULT 0,
+      total_rooms_in_type INT DEFAULT 1,
+      room_size DECIMAL(10, 2) DEFAULT 0,
+      charge_type VARCHAR(50) DEFAULT 'per room',
+      room_only BOOLEAN DEFAULT FALSE,
+      bed_breakfast BOOLEAN DEFAULT FALSE,
+      half_board BOOLEAN DEFAULT FALSE,
+      full_board BOOLEAN DEFAULT FALSE,
+      all_inclusive BOOLEAN DEFAULT FALSE,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_property_id (property_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Onboarding: PMS, booking engine, channel manager, GDS and RMS details
+  ['property_systems', `
+    CREATE TABLE IF NOT EXISTS property_systems (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      system_type VARCHAR(50) NOT NULL,
+      system_name VARCHAR(255) NOT NULL,
+      system_url TEXT,
+      client_id VARCHAR(255),
+      setup_username VARCHAR(255),
+      setup_email VARCHAR(255),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_property_id (property_id),
+      INDEX idx_system_type (system_type)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Onboarding: tax configuration (latest active row wins)
+  ['property_tax_config', `
+    CREATE TABLE IF NOT EXISTS property_tax_config (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      federal_chargeable BOOLEAN DEFAULT FALSE,
+      tax_rate DECIMAL(6, 3) DEFAULT 0,
+      tax_concessions TEXT,
+      local_tax DECIMAL(6, 3) DEFAULT 0,
+      tourism_tax DECIMAL(6, 3) DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_property_id (property_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Onboarding: public, corporate and group cancellation policies
+  ['property_cancellation_policies', `
+    CREATE TABLE IF NOT EXISTS property_cancellation_policies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      policy_type ENUM('public', 'corporate', 'group') NOT NULL,
+      policy_description TEXT NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_property_id (property_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Onboarding: image metadata (files are uploaded separately)
+  ['property_images', `
+    CREATE TABLE IF NOT EXISTS property_images (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      image_category VARCHAR(100) NOT NULL,
+      image_name VARCHAR(255) NOT NULL,
+      file_size INT DEFAULT 0,
+      file_type VARCHAR(100),
+      image_url TEXT,
+      upload_status ENUM('pending', 'uploaded', 'failed') NOT NULL DEFAULT 'pending',
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_property_category (property_id, image_category)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // One row per completed onboarding submission
+  ['onboarding_completions', `
+    CREATE TABLE IF NOT EXISTS onboarding_completions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      property_id INT NOT NULL,
+      room_types_count INT DEFAULT 0,
+      amenities_count INT DEFAULT 0,
+      systems_configured INT DEFAULT 0,
+      images_uploaded INT DEFAULT 0,
+      completed_at DATETIME NOT NULL,
+      source VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      INDEX idx_user_id (user_id),
+      INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Accounts (MySQL is the source of truth; firebase_uid links the Firebase account)
+  ['users', `
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      firebase_uid VARCHAR(128) NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      display_name VARCHAR(255),
+      hotel_name VARCHAR(255),
+      role VARCHAR(50) NOT NULL DEFAULT 'hoteluser',
+      is_active BOOLEAN DEFAULT TRUE,
+      is_deleted BOOLEAN DEFAULT FALSE,
+      email_verified BOOLEAN DEFAULT FALSE,
+      last_login DATETIME NULL,
+      login_count INT NOT NULL DEFAULT 0,
+      phone VARCHAR(50),
+      avatar_url TEXT,
+      timezone VARCHAR(64),
+      language VARCHAR(10),
+      auth_provider ENUM('email', 'firebase', 'oidc') NOT NULL DEFAULT 'email',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_email (email),
+      UNIQUE KEY uq_firebase_uid (firebase_uid),
+      INDEX idx_role (role),
+      INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Password reset tokens (hashes only)
+  ['password_reset_tokens', `
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      requested_ip VARCHAR(45),
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_token_hash (token_hash),
+      INDEX idx_user_id (user_id),
+      INDEX idx_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Login sessions backing refresh tokens
+  ['user_sessions', `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id CHAR(36) PRIMARY KEY,
+      user_id INT NOT NULL,
+      refresh_token_hash CHAR(64) NOT NULL,
+      previous_token_hash CHAR(64),
+      device VARCHAR(255),
+      user_agent VARCHAR(512),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      revoked_reason VARCHAR(50),
+      UNIQUE KEY uq_refresh_token_hash (refresh_token_hash),
+      INDEX idx_previous_token_hash (previous_token_hash),
+      INDEX idx_user_id (user_id),
+      INDEX idx_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Email verification tokens (hashes only)
+  ['email_verification_tokens', `
+    CREATE TABLE IF NOT EXISTS email_verification_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_token_hash (token_hash),
+      INDEX idx_user_id (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Passwordless sign-in links (hashes only)
+  ['magic_link_tokens', `
+    CREATE TABLE IF NOT EXISTS magic_link_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      requested_ip VARCHAR(45),
+      user_agent_hash CHAR(64),
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_token_hash (token_hash),
+      INDEX idx_user_id (user_id),
+      INDEX idx_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // TOTP secrets, encrypted at rest
+  ['user_two_factor', `
+    CREATE TABLE IF NOT EXISTS user_two_factor (
+      user_id INT PRIMARY KEY,
+      secret_encrypted TEXT NOT NULL,
+      enabled_at DATETIME NULL,
+      last_used_step BIGINT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Hashed one-time 2FA recovery codes
+  ['user_recovery_codes', `
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_code (user_id, code_hash)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Roles and their permissions
+  ['roles', `
+    CREATE TABLE IF NOT EXISTS roles (
+      name VARCHAR(50) PRIMARY KEY,
+      description VARCHAR(255),
+      is_system BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      updated_by INT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  ['role_permissions', `
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role_name VARCHAR(50) NOT NULL,
+      permission VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (role_name, permission),
+      FOREIGN KEY (role_name) REFERENCES roles(name) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Permissions the database has seen (so newly added permissions can be granted once)
+  ['permissions', `
+    CREATE TABLE IF NOT EXISTS permissions (
+      name VARCHAR(100) PRIMARY KEY,
+      description VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Per-property team roles
+  ['property_members', `
+    CREATE TABLE IF NOT EXISTS property_members (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      user_id INT NOT NULL,
+      role ENUM('owner', 'manager', 'viewer') NOT NULL DEFAULT 'viewer',
+      invited_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_property_user (property_id, user_id),
+      INDEX idx_user_id (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Property team invitations
+  ['property_invitations', `
+    CREATE TABLE IF NOT EXISTS property_invitations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      property_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      role ENUM('owner', 'manager', 'viewer') NOT NULL DEFAULT 'viewer',
+      token_hash CHAR(64) NOT NULL,
+      invited_by INT NULL,
+      status ENUM('pending', 'accepted', 'declined', 'revoked') NOT NULL DEFAULT 'pending',
+      expires_at DATETIME NOT NULL,
+      responded_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_token_hash (token_hash),
+      INDEX idx_property_status (property_id, status),
+      INDEX idx_email_status (email, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Every password login attempt, per account and per IP
+  ['login_attempts', `
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      user_id INT NULL,
+      ip_address VARCHAR(45),
+      user_agent VARCHAR(512),
+      success BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_email_created (email, created_at),
+      INDEX idx_ip_created (ip_address, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Temporary lockouts of an account email or an IP address
+  ['login_lockouts', `
+    CREATE TABLE IF NOT EXISTS login_lockouts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope ENUM('account', 'ip') NOT NULL,
+      identifier VARCHAR(255) NOT NULL,
+      failed_attempts INT NOT NULL DEFAULT 0,
+      locked_until DATETIME NOT NULL,
+      unlocked_at DATETIME NULL,
+      unlocked_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_scope_identifier (scope, identifier, locked_until)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Who did what to which record through the admin API
+  ['admin_audit_log', `
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NOT NULL,
+      action VARCHAR(100) NOT NULL,
+      target_type VARCHAR(50) NOT NULL,
+      target_id VARCHAR(255),
+      details JSON,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_target (target_type, target_id),
+      INDEX idx_admin_id (admin_id),
+      INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Support staff viewing the app as another user
+  ['impersonation_sessions', `
+    CREATE TABLE IF NOT EXISTS impersonation_sessions (
+      id CHAR(36) PRIMARY KEY,
+      admin_id INT NOT NULL,
+      user_id INT NOT NULL,
+      admin_session_id CHAR(36) NOT NULL,
+      reason VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(45),
+      expires_at DATETIME NOT NULL,
+      ended_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_admin_id (admin_id),
+      INDEX idx_user_id (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Machine-to-machine access; only a SHA-256 hash of each key is stored
+  ['api_keys', `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      organization_id INT NULL,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(20) NOT NULL,
+      key_hash CHAR(64) NOT NULL,
+      scopes JSON NOT NULL,
+      expires_at DATETIME NOT NULL,
+      last_used_at DATETIME NULL,
+      last_used_ip VARCHAR(45),
+      revoked_at DATETIME NULL,
+      revoked_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_key_prefix (key_prefix),
+      INDEX idx_user_id (user_id),
+      INDEX idx_organization_id (organization_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // External identity provider accounts linked to users
+  ['user_identities', `
+    CREATE TABLE IF NOT EXISTS user_identities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      last_login_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_provider_subject (provider, subject),
+      INDEX idx_user_id (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // PKCE verifier and nonce between the OIDC redirect and the callback
+  ['oidc_login_states', `
+    CREATE TABLE IF NOT EXISTS oidc_login_states (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      state_hash CHAR(64) NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      code_verifier VARCHAR(128) NOT NULL,
+      nonce VARCHAR(64) NOT NULL,
+      redirect_uri VARCHAR(500) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_state_hash (state_hash),
+      INDEX idx_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Ownership groups / management companies that hotels belong to
+  ['organizations', `
+    CREATE TABLE IF NOT EXISTS organizations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      slug VARCHAR(100) NOT NULL,
+      type ENUM('management_company', 'ownership_group', 'hotel_group') NOT NULL DEFAULT 'management_company',
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_slug (slug)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `],
+
+  // Organization membership (a user belongs to at most one organization)
+  ['organization_members', `
+    CREATE TABLE IF NOT EXISTS organization_members (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      organization_id INT NOT NULL,
+      user_id INT NOT NULL,
+      role ENUM('admin', 'member') NOT NULL DEFAULT 'member',
+      added_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_user (user_id),
+      INDEX idx_organization_id (organization_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `]
+];
+
+exports.up = async (connection) => {
+  for (const [, sql] of TABLES) {
+    await connection.query(sql);
+  }
+
+  // Columns that older databases are missing
+  await addColumnIfMissing(connection, 'properties', 'state', 'VARCHAR(100) NULL AFTER ownership_breakdown');
+  await addColumnIfMissing(connection, 'properties', 'currency', 'VARCHAR(10) NULL AFTER state');
+  await addColumnIfMissing(connection, 'properties', 'organization_id', 'INT NULL');
+  await addIndexIfMissing(connection, 'properties', 'idx_organization_id', 'organization_id');
+  await addColumnIfMissing(connection, 'api_keys', 'organization_id', 'INT NULL AFTER user_id');
+  await addIndexIfMissing(connection, 'api_keys', 'idx_organization_id', 'organization_id');
+
+  // SSO users are provisioned with auth_provider = 'oidc'; add it if users.auth_provider is an ENUM without it
+  const authProviderColumn = await getColumn(connection, 'users', 'auth_provider');
+  if (authProviderColumn && /^enum\(/i.test(authProviderColumn.column_type) && !authProviderColumn.column_type.includes("'oidc'")) {
+    const columnType = authProviderColumn.column_type.replace(/\)$/, ",'oidc')");
+    const columnDefault = authProviderColumn.column_default === null ? '' : ` DEFAULT '${String(authProviderColumn.column_default).replace(/^'|'$/g, '')}'`;
+    const nullable = authProviderColumn.is_nullable === 'YES' ? 'NULL' : 'NOT NULL';
+
+    await connection.query(`ALTER TABLE users MODIFY auth_provider ${columnType} ${nullable}${columnDefault}`);
+    logger.info("Added 'oidc' to users.auth_provider");
+  }
+
+  // Existing single-owner properties become owner memberships
+  await connection.query(`
+    INSERT IGNORE INTO property_members (property_id, user_id, role, created_at)
+    SELECT id, CAST(user_id AS UNSIGNED), 'owner', created_at
+    FROM properties
+    WHERE user_id REGEXP '^[0-9]+$'
+  `);
+};
+
+exports.down = async (connection) => {
+  for (const [name] of [...TABLES].reverse()) {
+    await connection.query(`DROP TABLE IF EXISTS \`${name}\``);
+  }
+};
@@ -0,0 +1,29 @@
+// migrations/0002_organization_invitations.js
+// Email invitations to join an organization (members join by accepting, never by being added directly)
+
+exports.up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS organization_invitations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      organization_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      role ENUM('admin', 'member') NOT NULL DEFAULT 'member',
+      token_hash CHAR(64) NOT NULL,
+      invited_by INT NULL,
+      status ENUM('pending', 'accepted', 'declined', 'revoked') NOT NULL DEFAULT 'pending',
+      expires_at DATETIME NOT NULL,
+      responded_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_token_hash (token_hash),
+      INDEX idx_organization_status (organization_id, status),
+      INDEX idx_email_status (email, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+exports.down = async (connection) => {
+  await connection.query(`
+    DROP TABLE IF EXISTS organization_invitations
+  `);
+};
@@ -0,0 +1,69 @@
+// migrations/helpers.js
+// Schema inspection helpers for migrations (MySQL DDL can't say "ADD COLUMN IF NOT EXISTS")
+
+const { logger } = require('../services/logger');
+
+// Whether a table exists in the current database
+const tableExists = async (connection, table) => {
+  const [rows] = await connection.execute(
+    `SELECT 1 FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return rows.length > 0;
+};
+
+// Column details from information_schema, or null if the column doesn't exist
+const getColumn = async (connection, table, column) => {
+  const [rows] = await connection.execute(
+    `SELECT COLUMN_TYPE AS column_type, COLUMN_DEFAULT AS column_default, IS_NULLABLE AS is_nullable
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows[0] || null;
+};
+
+// Whether an index exists on a table
+const indexExists = async (connection, table, index) => {
+  const [rows] = await connection.execute(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+};
+
+// Add a column unless it is already there; returns true if it was added
+const addColumnIfMissing = async (connection, table, column, definition) => {
+  if (await getColumn(connection, table, column)) return false;
+
+  await connection.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  logger.info('Column added', { table, column });
+  return true;
+};
+
+// Drop a column if it exists; returns true if it was dropped
+const dropColumnIfExists = async (connection, table, column) => {
+  if (!(await getColumn(connection, table, column))) return false;
+
+  await connection.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  return true;
+};
+
+// Add an index unless one with the same name exists; returns true if it was added
+const addIndexIfMissing = async (connection, table, index, columns) => {
+  if (await indexExists(connection, table, index)) return false;
+
+  await connection.query(`ALTER TABLE \`${table}\` ADD INDEX \`${index}\` (${columns})`);
+  return true;
+};
+
+module.exports = {
+  tableExists,
+  getColumn,
+  indexExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing
+};
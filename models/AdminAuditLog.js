@@ -0,0 +1,76 @@
+// models/AdminAuditLog.js
+// Record of actions taken through the admin API, with the acting admin's ID
+
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+
+class AdminAuditLog {
+  constructor(row) {
+    this.id = row.id;
+    this.adminId = row.admin_id;
+    this.adminEmail = row.admin_email;
+    this.action = row.action;
+    this.targetType = row.target_type;
+    this.targetId = row.target_id;
+    this.details = typeof row.details === 'string' ? JSON.parse(row.details) : row.details;
+    this.ipAddress = row.ip_address;
+    this.createdAt = row.created_at;
+  }
+
+  // Record an admin action (e.g. 'user.role_changed' on target 'user' 42)
+  static async record({ adminId, action, targetType, targetId = null, details = null, ipAddress = null }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `INSERT INTO admin_audit_log (
+          admin_id, action, target_type, target_id, details, ip_address, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          adminId,
+          action,
+          targetType,
+          targetId === null ? null : String(targetId),
+          details ? JSON.stringify(details) : null,
+          ipAddress
+        ]
+      );
+
+      logger.info('Admin action', { adminId, action, targetType, targetId });
+
+    } catch (error) {
+      logger.error('Record admin action error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Latest actions taken on a record
+  static async findByTarget(targetType, targetId, limit = 50) {
+    const connection = await pool.getConnection();
+
+    try {
+      // query(), not execute(): prepared statements send numbers as DOUBLE, which MySQL rejects for LIMIT
+      const [rows] = await connection.query(
+        `SELECT l.*, u.email as admin_email
+         FROM admin_audit_log l
+         LEFT JOIN users u ON u.id = l.admin_id
+         WHERE l.target_type = ? AND l.target_id = ?
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT ?`,
+        [targetType, String(targetId), limit]
+      );
+
+      return rows.map(row => new AdminAuditLog(row));
+
+    } catch (error) {
+      logger.error('Find admin actions error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = AdminAuditLog;
@@ -0,0 +1,266 @@
+// models/ApiKey.js
+// API keys for machine-to-machine access (X-API-Key header)
+// Keys look like nvho_<8-char id>_<secret>; only the id part and a SHA-256 hash of the
+// whole key are stored, so a key can be looked up by prefix but never recovered.
+// A key is tied to the organization its owner belonged to when it was created; that organization's admins
+// can list and revoke it, and it is revoked when the owner leaves (see OrganizationMember.remove)
+
+const crypto = require('crypto');
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const KEY_PREFIX = 'nvho_';
+const TOUCH_INTERVAL_MINUTES = 5;
+
+const DEFAULT_TTL_DAYS = config.apiKeys.defaultTtlDays;
+const MAX_TTL_DAYS = config.apiKeys.maxTtlDays;
+
+// Split a raw key into its lookup prefix (nvho_<id>); null if it isn't shaped like one of ours
+const parseKey = (rawKey) => {
+  const match = /^(nvho_[a-f0-9]{8})_[a-f0-9]{48}$/.exec(String(rawKey || ''));
+  return match ? match[1] : null;
+};
+
+class ApiKey {
+  constructor(row) {
+    this.id = row.id;
+    this.userId = row.user_id;
+    this.organizationId = row.organization_id || null;
+    this.name = row.name;
+    this.keyPrefix = row.key_prefix;
+    this.keyHash = row.key_hash;
+    this.scopes = typeof row.scopes === 'string' ? JSON.parse(row.scopes) : (row.scopes || []);
+    this.expiresAt = row.expires_at;
+    this.lastUsedAt = row.last_used_at;
+    this.lastUsedIp = row.last_used_ip;
+    this.revokedAt = row.revoked_at;
+    this.revokedBy = row.revoked_by;
+    this.createdAt = row.created_at;
+    this.ownerEmail = row.owner_email;
+  }
+
+  get isActive() {
+    return !this.revokedAt && new Date(this.expiresAt) > new Date();
+  }
+
+  // Create a key and return it along with the raw value (the only time it is available)
+  static async create(userId, { name, scopes, expiresInDays = DEFAULT_TTL_DAYS, organizationId = null }) {
+    const connection = await pool.getConnection();
+
+    try {
+      const keyPrefix = KEY_PREFIX + generateSecureToken(4);
+      const key = `${keyPrefix}_${generateSecureToken(24)}`;
+      const days = Math.min(Math.max(parseInt(expiresInDays) || DEFAULT_TTL_DAYS, 1), MAX_TTL_DAYS);
+
+      const [result] = await connection.execute(
+        `INSERT INTO api_keys (
+          user_id, organization_id, name, key_prefix, key_hash, scopes, expires_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+        [userId, organizationId, name, keyPrefix, hashToken(key), JSON.stringify(scopes), days]
+      );
+
+      logger.info('API key created', { keyPrefix, userId, scopes });
+
+      return {
+        apiKey: await ApiKey.findById(result.insertId),
+        key
+      };
+
+    } catch (error) {
+      logger.error('Create API key error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  static async findById(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM api_keys WHERE id = ?',
+        [id]
+      );
+
+      return rows.length > 0 ? new ApiKey(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find API key error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find the active key matching a raw key value (null if unknown, revoked or expired)
+  static async findActiveByKey(rawKey) {
+    const keyPrefix = parseKey(rawKey);
+    if (!keyPrefix) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM api_keys
+         WHERE key_prefix = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+        [keyPrefix]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const expected = Buffer.from(rows[0].key_hash, 'hex');
+      const actual = Buffer.from(hashToken(rawKey), 'hex');
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+      }
+
+      return new ApiKey(rows[0]);
+
+    } catch (error) {
+      logger.error('Find API key by value error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // List a user's keys, newest first (revoked and expired keys included)
+  static async findByUserId(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+        [userId]
+      );
+
+      return rows.map(row => new ApiKey(row));
+
+    } catch (error) {
+      logger.error('Find API keys error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // List the keys issued for an organization with their owners, newest first (revoked and expired keys included)
+  static async findByOrganizationId(organizationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT k.*, u.email as owner_email
+         FROM api_keys k
+         JOIN users u ON u.id = k.user_id
+         WHERE k.organization_id = ?
+         ORDER BY k.created_at DESC, k.id DESC`,
+        [organizationId]
+      );
+
+      return rows.map(row => new ApiKey(row));
+
+    } catch (error) {
+      logger.error('Find organization API keys error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Revoke one of a user's keys; returns false if it doesn't exist or is already revoked
+  static async revoke(id, userId, revokedBy) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE api_keys SET revoked_at = NOW(), revoked_by = ?
+         WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+        [revokedBy, id, userId]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info('API key revoked', { apiKeyId: id, revokedBy });
+      }
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Revoke API key error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Revoke a key issued for an organization (org admins); returns false if it doesn't exist or is already revoked
+  static async revokeForOrganization(id, organizationId, revokedBy) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE api_keys SET revoked_at = NOW(), revoked_by = ?
+         WHERE id = ? AND organization_id = ? AND revoked_at IS NULL`,
+        [revokedBy, id, organizationId]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info('API key revoked', { apiKeyId: id, organizationId, revokedBy });
+      }
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Revoke organization API key error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Record use of a key (throttled)
+  static async touch(id, ipAddress) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+         WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))`,
+        [ipAddress, id, TOUCH_INTERVAL_MINUTES]
+      );
+    } catch (error) {
+      logger.error('Touch API key error', { err: error });
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The hash never leaves the server
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      ...(this.ownerEmail !== undefined && { ownerEmail: this.ownerEmail }),
+      name: this.name,
+      keyPrefix: this.keyPrefix,
+      organizationId: this.organizationId,
+      scopes: this.scopes,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      lastUsedIp: this.lastUsedIp,
+      revokedAt: this.revokedAt,
+      createdAt: this.createdAt,
+      isActive: this.isActive
+    };
+  }
+}
+
+ApiKey.DEFAULT_TTL_DAYS = DEFAULT_TTL_DAYS;
+ApiKey.MAX_TTL_DAYS = MAX_TTL_DAYS;
+
+module.exports = ApiKey;
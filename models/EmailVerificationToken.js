@@ -0,0 +1,116 @@
+// models/EmailVerificationToken.js
+// Single-use, expiring email verification tokens bound to the address they were sent to
+
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const DEFAULT_TTL_HOURS = config.tokenTtl.emailVerificationHours;
+
+class EmailVerificationToken {
+  // Issue a new verification token for a user's current email and return the raw token
+  static async create(userId, email, { expiresInHours = DEFAULT_TTL_HOURS } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      const token = generateSecureToken();
+
+      await connection.execute(
+        `INSERT INTO email_verification_tokens (
+          user_id, email, token_hash, expires_at, created_at
+        ) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+        [userId, email.toLowerCase().trim(), hashToken(token), expiresInHours]
+      );
+
+      logger.info('Email verification token issued', { userId });
+
+      return { token, expiresInHours };
+
+    } catch (error) {
+      logger.error('Create email verification token error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark a token as used and return { userId, email }, or null if invalid/expired/already used
+  static async consume(token) {
+    if (!token) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT id, user_id, email FROM email_verification_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const [result] = await connection.execute(
+        'UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [rows[0].id]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return { userId: rows[0].user_id, email: rows[0].email };
+
+    } catch (error) {
+      logger.error('Consume email verification token error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Count tokens issued to a user recently (used to throttle resends)
+  static async countRecent(userId, withinMinutes) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT COUNT(*) as count FROM email_verification_tokens
+         WHERE user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [userId, withinMinutes]
+      );
+
+      return rows[0].count;
+
+    } catch (error) {
+      logger.error('Count email verification tokens error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Invalidate every outstanding token for a user
+  static async invalidateAllForUser(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+
+      return result.affectedRows;
+
+    } catch (error) {
+      logger.error('Invalidate email verification tokens error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = EmailVerificationToken;
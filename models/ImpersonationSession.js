@@ -0,0 +1,104 @@
+// models/ImpersonationSession.js
+// An admin viewing the app as another user. Tied to the admin's own login session,
+// short-lived, and can be ended early
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+
+const DEFAULT_TTL_MINUTES = config.tokenTtl.impersonationMinutes;
+
+class ImpersonationSession {
+  constructor(row) {
+    this.id = row.id;
+    this.adminId = row.admin_id;
+    this.adminEmail = row.admin_email;
+    this.userId = row.user_id;
+    this.adminSessionId = row.admin_session_id;
+    this.reason = row.reason;
+    this.ipAddress = row.ip_address;
+    this.expiresAt = row.expires_at;
+    this.endedAt = row.ended_at;
+    this.createdAt = row.created_at;
+  }
+
+  // Start an impersonation and return it
+  static async create({ adminId, userId, adminSessionId, reason, ipAddress = null, expiresInMinutes = DEFAULT_TTL_MINUTES }) {
+    const connection = await pool.getConnection();
+
+    try {
+      const id = uuidv4();
+
+      await connection.execute(
+        `INSERT INTO impersonation_sessions (
+          id, admin_id, user_id, admin_session_id, reason, ip_address, expires_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [id, adminId, userId, adminSessionId, reason, ipAddress, expiresInMinutes]
+      );
+
+      logger.info('Impersonation started', { impersonationId: id, adminId, userId });
+
+      return ImpersonationSession.findActive(id);
+
+    } catch (error) {
+      logger.error('Create impersonation session error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find an impersonation that has neither ended nor expired
+  static async findActive(id) {
+    if (!id) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT i.*, a.email as admin_email
+         FROM impersonation_sessions i
+         LEFT JOIN users a ON a.id = i.admin_id
+         WHERE i.id = ? AND i.ended_at IS NULL AND i.expires_at > NOW()`,
+        [id]
+      );
+
+      return rows.length > 0 ? new ImpersonationSession(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find impersonation session error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // End an impersonation early; false if it had already ended
+  static async end(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'UPDATE impersonation_sessions SET ended_at = NOW() WHERE id = ? AND ended_at IS NULL',
+        [id]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info('Impersonation ended', { impersonationId: id });
+      }
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('End impersonation session error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+ImpersonationSession.DEFAULT_TTL_MINUTES = DEFAULT_TTL_MINUTES;
+
+module.exports = ImpersonationSession;
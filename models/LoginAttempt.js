@@ -0,0 +1,82 @@
+// models/LoginAttempt.js
+// Password login attempts, used for per-account and per-IP brute-force protection
+
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+
+class LoginAttempt {
+  // Record a login attempt (email is stored even when no such user exists)
+  static async record({ email, userId = null, ipAddress = null, userAgent = null, success = false }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `INSERT INTO login_attempts (
+          email, user_id, ip_address, user_agent, success, created_at
+        ) VALUES (?, ?, ?, ?, ?, NOW())`,
+        [
+          email.toLowerCase().trim(),
+          userId,
+          ipAddress,
+          userAgent ? String(userAgent).substring(0, 512) : null,
+          success
+        ]
+      );
+
+    } catch (error) {
+      logger.error('Record login attempt error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Count failed attempts for an email or IP within the window, ignoring anything before `since`
+  static async countRecentFailures(field, value, withinMinutes, since = null) {
+    if (!['email', 'ip_address'].includes(field)) {
+      throw new Error(`Invalid login attempt field: ${field}`);
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT COUNT(*) as count FROM login_attempts
+         WHERE ${field} = ? AND success = FALSE
+           AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+           AND created_at > ?`,
+        [value, withinMinutes, since || new Date(0)]
+      );
+
+      return rows[0].count;
+
+    } catch (error) {
+      logger.error('Count login attempts error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Time of the last successful login for an email (a success resets the account counter)
+  static async getLastSuccessAt(email) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        'SELECT MAX(created_at) as last_success FROM login_attempts WHERE email = ? AND success = TRUE',
+        [email.toLowerCase().trim()]
+      );
+
+      return rows[0].last_success;
+
+    } catch (error) {
+      logger.error('Find last successful login error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = LoginAttempt;
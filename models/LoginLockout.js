@@ -0,0 +1,163 @@
+// models/LoginLockout.js
+// Temporary login lockouts of an account (by email) or an IP address
+
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+
+class LoginLockout {
+  constructor(row) {
+    this.id = row.id;
+    this.scope = row.scope;
+    this.identifier = row.identifier;
+    this.failedAttempts = row.failed_attempts;
+    this.lockedUntil = row.locked_until;
+    this.unlockedAt = row.unlocked_at;
+    this.unlockedBy = row.unlocked_by;
+    this.createdAt = row.created_at;
+  }
+
+  // Lock an account or IP for a number of minutes
+  static async create(scope, identifier, { failedAttempts, durationMinutes }) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO login_lockouts (
+          scope, identifier, failed_attempts, locked_until, created_at
+        ) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [scope, identifier, failedAttempts, durationMinutes]
+      );
+
+      return result.insertId;
+
+    } catch (error) {
+      logger.error('Create login lockout error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Current lockout for an account or IP, or null
+  static async findActive(scope, identifier) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM login_lockouts
+         WHERE scope = ? AND identifier = ? AND unlocked_at IS NULL AND locked_until > NOW()
+         ORDER BY locked_until DESC LIMIT 1`,
+        [scope, identifier]
+      );
+
+      return rows.length > 0 ? new LoginLockout(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find login lockout error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Every lockout currently in force
+  static async findAllActive() {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM login_lockouts
+         WHERE unlocked_at IS NULL AND locked_until > NOW()
+         ORDER BY created_at DESC`
+      );
+
+      return rows.map(row => new LoginLockout(row));
+
+    } catch (error) {
+      logger.error('Find active login lockouts error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Latest point the failure counter restarts from (a lockout starting or being lifted)
+  static async getLastResetAt(scope, identifier) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT MAX(GREATEST(created_at, COALESCE(unlocked_at, created_at))) as last_reset
+         FROM login_lockouts WHERE scope = ? AND identifier = ?`,
+        [scope, identifier]
+      );
+
+      return rows[0].last_reset;
+
+    } catch (error) {
+      logger.error('Find login lockout reset error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Count lockouts started recently (repeat offenders are locked for longer)
+  static async countRecent(scope, identifier, withinHours) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT COUNT(*) as count FROM login_lockouts
+         WHERE scope = ? AND identifier = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+        [scope, identifier, withinHours]
+      );
+
+      return rows[0].count;
+
+    } catch (error) {
+      logger.error('Count login lockouts error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Lift every active lockout for an account or IP; returns the number lifted
+  static async unlock(scope, identifier, unlockedBy = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE login_lockouts SET unlocked_at = NOW(), unlocked_by = ?
+         WHERE scope = ? AND identifier = ? AND unlocked_at IS NULL AND locked_until > NOW()`,
+        [unlockedBy, scope, identifier]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info('Login unlocked', { scope, identifier, unlockedBy });
+      }
+
+      return result.affectedRows;
+
+    } catch (error) {
+      logger.error('Unlock login error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      scope: this.scope,
+      identifier: this.identifier,
+      failedAttempts: this.failedAttempts,
+      lockedUntil: this.lockedUntil,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = LoginLockout;
@@ -0,0 +1,119 @@
+// models/MagicLinkToken.js
+// Single-use, short-lived passwordless sign-in links (only the SHA-256 hash is stored)
+// The requesting IP and a hash of the User-Agent are kept so links can be bound to them
+
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const DEFAULT_TTL_MINUTES = config.tokenTtl.magicLinkMinutes;
+
+class MagicLinkToken {
+  // Issue a link token (replacing any outstanding ones) and return the raw token
+  static async create(userId, { requestedIp = null, userAgent = null, expiresInMinutes = DEFAULT_TTL_MINUTES } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      const token = generateSecureToken();
+
+      // Only the newest link works
+      await connection.execute(
+        'UPDATE magic_link_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+
+      await connection.execute(
+        `INSERT INTO magic_link_tokens (
+          user_id, token_hash, requested_ip, user_agent_hash, expires_at, created_at
+        ) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [userId, hashToken(token), requestedIp, userAgent ? hashToken(userAgent) : null, expiresInMinutes]
+      );
+
+      logger.info('Magic link issued', { userId });
+
+      return { token, expiresInMinutes };
+
+    } catch (error) {
+      logger.error('Create magic link token error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Look up an unused, unexpired token: { id, userId, requestedIp, userAgentHash } or null
+  static async findValid(token) {
+    if (!token) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT id, user_id, requested_ip, user_agent_hash FROM magic_link_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return {
+        id: rows[0].id,
+        userId: rows[0].user_id,
+        requestedIp: rows[0].requested_ip,
+        userAgentHash: rows[0].user_agent_hash
+      };
+
+    } catch (error) {
+      logger.error('Find magic link token error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark a token as used; false if it was used concurrently
+  static async markUsed(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'UPDATE magic_link_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [id]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Use magic link token error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Count links issued to a user recently (used to throttle requests per account)
+  static async countRecent(userId, withinMinutes) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT COUNT(*) as count FROM magic_link_tokens
+         WHERE user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [userId, withinMinutes]
+      );
+
+      return rows[0].count;
+
+    } catch (error) {
+      logger.error('Count magic link tokens error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = MagicLinkToken;
@@ -0,0 +1,79 @@
+// models/OidcLoginState.js
+// Single-use OIDC login state: holds the PKCE verifier and nonce between the redirect to the
+// identity provider and the callback (only the SHA-256 hash of the state value is stored)
+
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const TTL_MINUTES = config.tokenTtl.oidcLoginStateMinutes;
+
+class OidcLoginState {
+  // Store a new login attempt and return the raw state value to send to the provider
+  static async create({ provider, codeVerifier, nonce, redirectUri }) {
+    const connection = await pool.getConnection();
+
+    try {
+      const state = generateSecureToken(24);
+
+      await connection.execute(
+        `INSERT INTO oidc_login_states (
+          state_hash, provider, code_verifier, nonce, redirect_uri, expires_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [hashToken(state), provider, codeVerifier, nonce, redirectUri, TTL_MINUTES]
+      );
+
+      return state;
+
+    } catch (error) {
+      logger.error('Create OIDC login state error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark a state as used and return { codeVerifier, nonce, redirectUri }, or null if invalid/expired/used
+  static async consume(state, provider) {
+    if (!state) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM oidc_login_states
+         WHERE state_hash = ? AND provider = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(state), provider]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      // Conditional update so a replayed callback cannot use the same state twice
+      const [result] = await connection.execute(
+        'UPDATE oidc_login_states SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [rows[0].id]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return {
+        codeVerifier: rows[0].code_verifier,
+        nonce: rows[0].nonce,
+        redirectUri: rows[0].redirect_uri
+      };
+
+    } catch (error) {
+      logger.error('Consume OIDC login state error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = OidcLoginState;
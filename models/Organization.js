@@ -0,0 +1,193 @@
+// models/Organization.js
+// Ownership groups and management companies; users and properties are attached through
+// organization_members and properties.organization_id
+
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+const { ConflictError } = require('../utils/errors');
+
+const ORGANIZATION_TYPES = ['management_company', 'ownership_group', 'hotel_group'];
+
+// Helper function to turn a name into a URL-safe slug
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 100);
+
+class Organization {
+  constructor(row) {
+    this.id = row.id;
+    this.name = row.name;
+    this.slug = row.slug;
+    this.type = row.type;
+    this.isActive = !!row.is_active;
+    this.createdBy = row.created_by;
+    this.memberCount = row.member_count;
+    this.propertyCount = row.property_count;
+    this.createdAt = row.created_at;
+    this.updatedAt = row.updated_at;
+  }
+
+  // Create an organization; throws ConflictError (ORGANIZATION_EXISTS) when the slug is taken
+  static async create({ name, slug, type = 'management_company' }, createdBy) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO organizations (name, slug, type, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [name.trim(), slugify(slug || name), type, createdBy]
+      );
+
+      logger.info('Organization created', { organizationId: result.insertId, name, createdBy });
+
+      return await Organization.findById(result.insertId);
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('An organization with this slug already exists', { code: 'ORGANIZATION_EXISTS' });
+      }
+      logger.error('Create organization error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find an organization with its member and property counts
+  static async findById(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT o.*,
+          (SELECT COUNT(*) FROM organization_members om WHERE om.organization_id = o.id) as member_count,
+          (SELECT COUNT(*) FROM properties p WHERE p.organization_id = o.id) as property_count
+         FROM organizations o
+         WHERE o.id = ?`,
+        [id]
+      );
+
+      return rows.length > 0 ? new Organization(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find organization error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // List every organization (platform staff)
+  static async getAll(limit = 50, offset = 0) {
+    const connection = await pool.getConnection();
+
+    try {
+      // query(), not execute(): prepared statements send numbers as DOUBLE, which MySQL rejects for LIMIT
+      const [rows] = await connection.query(
+        `SELECT o.*,
+          (SELECT COUNT(*) FROM organization_members om WHERE om.organization_id = o.id) as member_count,
+          (SELECT COUNT(*) FROM properties p WHERE p.organization_id = o.id) as property_count
+         FROM organizations o
+         ORDER BY o.name
+         LIMIT ? OFFSET ?`,
+        [limit, offset]
+      );
+
+      return rows.map(row => new Organization(row));
+
+    } catch (error) {
+      logger.error('List organizations error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Update name, type or active flag; returns the updated organization (null if not found)
+  static async update(id, { name, type, isActive }) {
+    const connection = await pool.getConnection();
+
+    try {
+      const fields = [];
+      const params = [];
+
+      if (name !== undefined) {
+        fields.push('name = ?');
+        params.push(name.trim());
+      }
+      if (type !== undefined) {
+        fields.push('type = ?');
+        params.push(type);
+      }
+      if (isActive !== undefined) {
+        fields.push('is_active = ?');
+        params.push(!!isActive);
+      }
+
+      if (fields.length > 0) {
+        await connection.execute(
+          `UPDATE organizations SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+          [...params, id]
+        );
+      }
+
+      return await Organization.findById(id);
+
+    } catch (error) {
+      logger.error('Update organization error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Attach a property to an organization (or detach it with null); returns false if the property doesn't exist
+  static async setPropertyOrganization(propertyId, organizationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'UPDATE properties SET organization_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [organizationId, propertyId]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info(organizationId ? 'Property attached to organization' : 'Property detached from its organization', {
+          propertyId,
+          organizationId
+        });
+      }
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Set property organization error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      slug: this.slug,
+      type: this.type,
+      isActive: this.isActive,
+      memberCount: this.memberCount,
+      propertyCount: this.propertyCount,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Organization.TYPES = ORGANIZATION_TYPES;
+Organization.slugify = slugify;
+
+module.exports = Organization;
@@ -0,0 +1,198 @@
+// models/OrganizationInvitation.js
+// Email invitations to join an organization (accept/decline via single-use token)
+
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const DEFAULT_TTL_DAYS = config.tokenTtl.organizationInvitationDays;
+
+class OrganizationInvitation {
+  constructor(row) {
+    this.id = row.id;
+    this.organizationId = row.organization_id;
+    this.organizationName = row.organization_name;
+    this.email = row.email;
+    this.role = row.role;
+    this.status = row.status;
+    this.invitedBy = row.invited_by;
+    this.invitedByName = row.invited_by_name;
+    this.expiresAt = row.expires_at;
+    this.respondedAt = row.responded_at;
+    this.createdAt = row.created_at;
+    this.expired = row.expires_at ? new Date(row.expires_at) <= new Date() : false;
+  }
+
+  // Create an invitation (replaces any pending invitation for the same email) and return the raw token
+  static async create(organizationId, email, role, invitedBy, { expiresInDays = DEFAULT_TTL_DAYS } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      const token = generateSecureToken();
+      const normalizedEmail = email.toLowerCase().trim();
+
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `UPDATE organization_invitations SET status = 'revoked', responded_at = NOW()
+         WHERE organization_id = ? AND email = ? AND status = 'pending'`,
+        [organizationId, normalizedEmail]
+      );
+
+      const [result] = await connection.execute(
+        `INSERT INTO organization_invitations (
+          organization_id, email, role, token_hash, invited_by, status, expires_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, 'pending', DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+        [organizationId, normalizedEmail, role, hashToken(token), invitedBy, expiresInDays]
+      );
+
+      await connection.commit();
+
+      logger.info('Organization invitation created', { invitationId: result.insertId, email: normalizedEmail, organizationId });
+
+      return { id: result.insertId, token, expiresInDays };
+
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Create organization invitation error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Look up an invitation by its raw token
+  static async findByToken(token) {
+    if (!token) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT oi.*, o.name as organization_name, u.display_name as invited_by_name
+         FROM organization_invitations oi
+         JOIN organizations o ON o.id = oi.organization_id
+         LEFT JOIN users u ON u.id = oi.invited_by
+         WHERE oi.token_hash = ?`,
+        [hashToken(token)]
+      );
+
+      return rows.length > 0 ? new OrganizationInvitation(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find organization invitation error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Pending (unexpired) invitations for an organization
+  static async findPendingByOrganizationId(organizationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT oi.*, u.display_name as invited_by_name
+         FROM organization_invitations oi
+         LEFT JOIN users u ON u.id = oi.invited_by
+         WHERE oi.organization_id = ? AND oi.status = 'pending' AND oi.expires_at > NOW()
+         ORDER BY oi.created_at DESC`,
+        [organizationId]
+      );
+
+      return rows.map(row => new OrganizationInvitation(row));
+
+    } catch (error) {
+      logger.error('Find pending organization invitations error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Pending (unexpired) invitations sent to an email address
+  static async findPendingByEmail(email) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT oi.*, o.name as organization_name, u.display_name as invited_by_name
+         FROM organization_invitations oi
+         JOIN organizations o ON o.id = oi.organization_id
+         LEFT JOIN users u ON u.id = oi.invited_by
+         WHERE oi.email = ? AND oi.status = 'pending' AND oi.expires_at > NOW()
+         ORDER BY oi.created_at DESC`,
+        [email.toLowerCase().trim()]
+      );
+
+      return rows.map(row => new OrganizationInvitation(row));
+
+    } catch (error) {
+      logger.error('Find organization invitations by email error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Move a pending invitation to accepted/declined/revoked; returns false if it was no longer pending
+  static async respond(invitationId, status, existingConnection = null) {
+    const connection = existingConnection || await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE organization_invitations SET status = ?, responded_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [status, invitationId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Update organization invitation error', { err: error });
+      throw error;
+    } finally {
+      if (!existingConnection) connection.release();
+    }
+  }
+
+  // Revoke a pending invitation belonging to an organization
+  static async revoke(organizationId, invitationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE organization_invitations SET status = 'revoked', responded_at = NOW()
+         WHERE id = ? AND organization_id = ? AND status = 'pending'`,
+        [invitationId, organizationId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Revoke organization invitation error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      organizationId: this.organizationId,
+      organizationName: this.organizationName,
+      email: this.email,
+      role: this.role,
+      status: this.status === 'pending' && this.expired ? 'expired' : this.status,
+      invitedBy: this.invitedBy,
+      invitedByName: this.invitedByName,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = OrganizationInvitation;
@@ -0,0 +1,248 @@
+// models/OrganizationMember.js
+// Organization membership (admin, member); a user belongs to at most one organization
+
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+// Organization-level roles, most to least privileged
+const MEMBER_ROLES = ['admin', 'member'];
+
+class OrganizationMember {
+  constructor(row) {
+    this.organizationId = row.organization_id;
+    this.organizationName = row.organization_name;
+    this.organizationIsActive = row.organization_is_active === undefined ? undefined : !!row.organization_is_active;
+    this.userId = row.user_id;
+    this.role = row.role;
+    this.addedBy = row.added_by;
+    this.email = row.email;
+    this.displayName = row.display_name;
+    this.createdAt = row.created_at;
+    this.updatedAt = row.updated_at;
+  }
+
+  // Get the organization a user belongs to (null if none)
+  static async findByUserId(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT om.*, o.name as organization_name, o.is_active as organization_is_active
+         FROM organization_members om
+         JOIN organizations o ON o.id = om.organization_id
+         WHERE om.user_id = ?`,
+        [userId]
+      );
+
+      return rows.length > 0 ? new OrganizationMember(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find organization membership error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // List members of an organization with basic user details
+  static async findByOrganizationId(organizationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT om.*, u.email, u.display_name
+         FROM organization_members om
+         JOIN users u ON u.id = om.user_id
+         WHERE om.organization_id = ?
+         ORDER BY FIELD(om.role, 'admin', 'member'), om.created_at`,
+        [organizationId]
+      );
+
+      return rows.map(row => new OrganizationMember(row));
+
+    } catch (error) {
+      logger.error('Find organization members error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Add a user to an organization; throws ConflictError (ALREADY_IN_ORGANIZATION) if they have one
+  static async add(organizationId, userId, role, addedBy = null, existingConnection = null) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new ValidationError(`Invalid organization role: ${role}`);
+    }
+
+    const connection = existingConnection || await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `INSERT INTO organization_members (organization_id, user_id, role, added_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [organizationId, userId, role, addedBy]
+      );
+
+      logger.info('Organization member role set', { userId, role, organizationId });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('This user already belongs to an organization', { code: 'ALREADY_IN_ORGANIZATION' });
+      }
+      logger.error('Add organization member error', { err: error });
+      throw error;
+    } finally {
+      if (!existingConnection) connection.release();
+    }
+  }
+
+  // Change a member's role; returns false if the user is not a member
+  static async updateRole(organizationId, userId, role) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new ValidationError(`Invalid organization role: ${role}`);
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'UPDATE organization_members SET role = ?, updated_at = NOW() WHERE organization_id = ? AND user_id = ?',
+        [role, organizationId, userId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Update organization member error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Remove a member along with their places on the organization's property teams, and revoke the API keys
+  // they created for it. Returns false if the user is not a member
+  static async remove(organizationId, userId, removedBy = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        'DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?',
+        [organizationId, userId]
+      );
+
+      if (result.affectedRows > 0) {
+        await connection.execute(
+          `DELETE pm FROM property_members pm
+           JOIN properties p ON p.id = pm.property_id
+           WHERE pm.user_id = ? AND p.organization_id = ?`,
+          [userId, organizationId]
+        );
+        const [revoked] = await connection.execute(
+          `UPDATE api_keys SET revoked_at = NOW(), revoked_by = ?
+           WHERE user_id = ? AND organization_id = ? AND revoked_at IS NULL`,
+          [removedBy, userId, organizationId]
+        );
+        logger.info('Organization member removed', { userId, organizationId, revokedApiKeys: revoked.affectedRows });
+      }
+
+      await connection.commit();
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Remove organization member error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Count admins so the last one cannot be removed or demoted
+  static async countAdmins(organizationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        "SELECT COUNT(*) as count FROM organization_members WHERE organization_id = ? AND role = 'admin'",
+        [organizationId]
+      );
+
+      return rows[0].count;
+
+    } catch (error) {
+      logger.error('Count organization admins error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Properties of other organizations the user is on the team of (these block joining an organization)
+  // With organizationId = null every property that belongs to an organization counts
+  static async findForeignPropertyMemberships(userId, organizationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT p.id, p.hotel_name
+         FROM property_members pm
+         JOIN properties p ON p.id = pm.property_id
+         WHERE pm.user_id = ? AND p.organization_id IS NOT NULL AND NOT (p.organization_id <=> ?)`,
+        [userId, organizationId]
+      );
+
+      return rows.map(row => ({ id: row.id, hotelName: row.hotel_name }));
+
+    } catch (error) {
+      logger.error('Find foreign property memberships error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Team members of a property who belong to a different organization (these block attaching it)
+  static async findForeignTeamMembers(propertyId, organizationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT pm.user_id, u.email
+         FROM property_members pm
+         JOIN organization_members om ON om.user_id = pm.user_id
+         JOIN users u ON u.id = pm.user_id
+         WHERE pm.property_id = ? AND om.organization_id <> ?`,
+        [propertyId, organizationId]
+      );
+
+      return rows.map(row => ({ userId: row.user_id, email: row.email }));
+
+    } catch (error) {
+      logger.error('Find foreign team members error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      organizationId: this.organizationId,
+      ...(this.organizationName !== undefined && { organizationName: this.organizationName }),
+      userId: this.userId,
+      email: this.email,
+      displayName: this.displayName,
+      role: this.role,
+      addedBy: this.addedBy,
+      joinedAt: this.createdAt
+    };
+  }
+}
+
+OrganizationMember.ROLES = MEMBER_ROLES;
+
+module.exports = OrganizationMember;
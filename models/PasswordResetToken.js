@@ -0,0 +1,96 @@
+// models/PasswordResetToken.js
+// Single-use, expiring password reset tokens (only the SHA-256 hash is stored)
+
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const DEFAULT_TTL_MINUTES = config.tokenTtl.passwordResetMinutes;
+
+class PasswordResetToken {
+  // Issue a new reset token for a user and return the raw token (only time it is available)
+  static async create(userId, { expiresInMinutes = DEFAULT_TTL_MINUTES, requestedIp = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      const token = generateSecureToken();
+
+      await connection.execute(
+        `INSERT INTO password_reset_tokens (
+          user_id, token_hash, requested_ip, expires_at, created_at
+        ) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [userId, hashToken(token), requestedIp, expiresInMinutes]
+      );
+
+      logger.info('Password reset token issued', { userId });
+
+      return { token, expiresInMinutes };
+
+    } catch (error) {
+      logger.error('Create password reset token error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark a token as used and return the owning user ID, or null if invalid/expired/already used
+  static async consume(token) {
+    if (!token) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT id, user_id FROM password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      // Conditional update so two concurrent requests cannot both consume the token
+      const [result] = await connection.execute(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [rows[0].id]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return rows[0].user_id;
+
+    } catch (error) {
+      logger.error('Consume password reset token error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Invalidate every outstanding token for a user
+  static async invalidateAllForUser(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+
+      return result.affectedRows;
+
+    } catch (error) {
+      logger.error('Invalidate password reset tokens error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = PasswordResetToken;
@@ -1,9 +1,31 @@
 // models/Property.js
+// Access is authorized through property_members (owner, manager, viewer); properties.user_id
+// records the creator for reference only. Admins of the property's organization may edit it too
 const { pool } = require('../config/database');
+const PropertyMember = require('./PropertyMember');
+const { logger } = require('../services/logger');
+const { NotFoundError } = require('../utils/errors');
+
+// SQL fragment: the user (second placeholder) holds one of the given property roles
+const memberCondition = (roles) => `EXISTS (
+  SELECT 1 FROM property_members pm
+  WHERE pm.property_id = properties.id AND pm.user_id = ?
+  AND pm.role IN (${roles.map(() => '?').join(', ')})
+)`;
+
+// SQL fragment: the user (placeholder) is an admin of the active organization the property belongs to
+const organizationAdminCondition = `EXISTS (
+  SELECT 1 FROM organization_members om
+  JOIN organizations o ON o.id = om.organization_id AND o.is_active = TRUE
+  WHERE om.organization_id = properties.organization_id AND om.user_id = ? AND om.role = 'admin'
+)`;
+
+// SQL fragment: the user may edit the property (owner/manager or organization admin)
+const editorCondition = () => `(${memberCondition(PropertyMember.EDITOR_ROLES)} OR ${organizationAdminCondition})`;
 
 class Property {
-  // Create a new property
-  static async create(propertyData, userId) {
+  // Create a new property (optionally inside the creator's organization)
+  static async create(propertyData, userId, organizationId = null) {
     const connection = await pool.getConnection();
     
     try {
@@ -16,8 +38,8 @@ class Property {
           street_address, city, postcode, suburb, country, 
           phone, fax, total_rooms, latitude, longitude, 
           contact_name, contact_email, reservation_email, 
-          website_url, ownership_breakdown, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+          website_url, ownership_breakdown, state, currency, organization_id, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
       `;
       
       const propertyValues = [
@@ -40,7 +62,10 @@ class Property {
         propertyData.contactEmail,
         propertyData.reservationEmail || null,
         propertyData.websiteUrl || null,
-        propertyData.ownershipBreakdown || null
+        propertyData.ownershipBreakdown || null,
+        propertyData.state || null,
+        propertyData.currency || null,
+        organizationId
       ];
       
       const [propertyResult] = await connection.execute(insertPropertyQuery, propertyValues);
@@ -60,6 +85,9 @@ class Property {
         propertyData.phone
       ]);
       
+      // Creator becomes the owner of the property team
+      await PropertyMember.add(propertyId, userId, 'owner', null, connection);
+      
       // Insert reservation contact if different
       if (propertyData.reservationEmail && propertyData.reservationEmail !== propertyData.contactEmail) {
         const insertReservationContactQuery = `
@@ -82,13 +110,14 @@ class Property {
         id: propertyId,
         ...propertyData,
         userId,
+        organizationId,
         status: 'pending',
         createdAt: new Date().toISOString()
       };
       
     } catch (error) {
       await connection.rollback();
-      console.error('Error creating property:', error);
+      logger.error('Error creating property', { err: error });
       throw error;
     } finally {
       connection.release();
@@ -123,14 +152,14 @@ class Property {
       return property;
       
     } catch (error) {
-      console.error('Error finding property by ID:', error);
+      logger.error('Error finding property by ID', { err: error });
       throw error;
     } finally {
       connection.release();
     }
   }
   
-  // Get properties by user ID
+  // Get properties the user is a team member of (with their property role)
   static async findByUserId(userId) {
     const connection = await pool.getConnection();
     
@@ -138,13 +167,14 @@ class Property {
       const query = `
         SELECT 
           p.*,
+          MAX(pm.role) as member_role,
           GROUP_CONCAT(
             CONCAT(pc.contact_type, ':', pc.name, ':', pc.email, ':', IFNULL(pc.phone, ''))
             SEPARATOR '|'
           ) as contacts
         FROM properties p
+        JOIN property_members pm ON pm.property_id = p.id AND pm.user_id = ?
         LEFT JOIN property_contacts pc ON p.id = pc.property_id AND pc.is_active = TRUE
-        WHERE p.user_id = ?
         GROUP BY p.id
         ORDER BY p.created_at DESC
       `;
@@ -154,7 +184,7 @@ class Property {
       return rows.map(row => this.formatPropertyData(row));
       
     } catch (error) {
-      console.error('Error finding properties by user ID:', error);
+      logger.error('Error finding properties by user ID', { err: error });
       throw error;
     } finally {
       connection.release();
@@ -175,8 +205,8 @@ class Property {
           street_address = ?, city = ?, postcode = ?, suburb = ?, country = ?,
           phone = ?, fax = ?, total_rooms = ?, latitude = ?, longitude = ?,
           contact_name = ?, contact_email = ?, reservation_email = ?,
-          website_url = ?, ownership_breakdown = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ? AND user_id = ?
+          website_url = ?, ownership_breakdown = ?, state = ?, currency = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND ${editorCondition()}
       `;
       
       const updateValues = [
@@ -199,14 +229,18 @@ class Property {
         propertyData.reservationEmail || null,
         propertyData.websiteUrl || null,
         propertyData.ownershipBreakdown || null,
+        propertyData.state || null,
+        propertyData.currency || null,
         propertyId,
+        userId,
+        ...PropertyMember.EDITOR_ROLES,
         userId
       ];
       
       const [result] = await connection.execute(updateQuery, updateValues);
       
       if (result.affectedRows === 0) {
-        throw new Error('Property not found or access denied');
+        throw new NotFoundError('Property not found or access denied', { code: 'PROPERTY_NOT_FOUND' });
       }
       
       await connection.commit();
@@ -216,36 +250,36 @@ class Property {
       
     } catch (error) {
       await connection.rollback();
-      console.error('Error updating property:', error);
+      logger.error('Error updating property', { err: error });
       throw error;
     } finally {
       connection.release();
     }
   }
   
-  // Delete property
+  // Delete property (owners only)
   static async delete(propertyId, userId) {
     const connection = await pool.getConnection();
     
     try {
-      const deleteQuery = 'DELETE FROM properties WHERE id = ? AND user_id = ?';
-      const [result] = await connection.execute(deleteQuery, [propertyId, userId]);
+      const deleteQuery = `DELETE FROM properties WHERE id = ? AND ${memberCondition(['owner'])}`;
+      const [result] = await connection.execute(deleteQuery, [propertyId, userId, 'owner']);
       
       if (result.affectedRows === 0) {
-        throw new Error('Property not found or access denied');
+        throw new NotFoundError('Property not found or access denied', { code: 'PROPERTY_NOT_FOUND' });
       }
       
       return { message: 'Property deleted successfully' };
       
     } catch (error) {
-      console.error('Error deleting property:', error);
+      logger.error('Error deleting property', { err: error });
       throw error;
     } finally {
       connection.release();
     }
   }
   
-  // Get all properties (admin function)
+  // Get all properties (admin function); filters.organizationId limits the list to one tenant
   static async getAll(limit = 50, offset = 0, filters = {}) {
     const connection = await pool.getConnection();
     
@@ -265,6 +299,11 @@ class Property {
       const whereConditions = [];
       
       // Add filters
+      if (filters.organizationId) {
+        whereConditions.push('p.organization_id = ?');
+        queryParams.push(filters.organizationId);
+      }
+      
       if (filters.country) {
         whereConditions.push('p.country = ?');
         queryParams.push(filters.country);
@@ -292,12 +331,13 @@ class Property {
       query += ' GROUP BY p.id ORDER BY p.created_at DESC LIMIT ? OFFSET ?';
       queryParams.push(limit, offset);
       
-      const [rows] = await connection.execute(query, queryParams);
+      // query(), not execute(): prepared statements send numbers as DOUBLE, which MySQL rejects for LIMIT
+      const [rows] = await connection.query(query, queryParams);
       
       return rows.map(row => this.formatPropertyData(row));
       
     } catch (error) {
-      console.error('Error getting all properties:', error);
+      logger.error('Error getting all properties', { err: error });
       throw error;
     } finally {
       connection.release();
@@ -312,28 +352,119 @@ class Property {
       let query = 'UPDATE properties SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
       let params = [status, propertyId];
       
-      // If userId is provided, ensure user owns the property
+      // If userId is provided, ensure the user is an owner or manager (or organization admin) of the property
       if (userId) {
-        query += ' AND user_id = ?';
-        params.push(userId);
+        query += ` AND ${editorCondition()}`;
+        params.push(userId, ...PropertyMember.EDITOR_ROLES, userId);
       }
+
       
       const [result] = await connection.execute(query, params);
       
       if (result.affectedRows === 0) {
-        throw new Error('Property not found or access denied');
+        throw new NotFoundError('Property not found or access denied', { code: 'PROPERTY_NOT_FOUND' });
       }
       
       return await this.findById(propertyId);
       
     } catch (error) {
-      console.error('Error updating property status:', error);
+      logger.error('Error updating property status', { err: error });
       throw error;
     } finally {
       connection.release();
     }
   }
   
+  // Portfolio statistics, for every property or only one organization's
+  static async getStats(organizationId = null) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const scope = organizationId ? 'organization_id = ?' : '1 = 1';
+      const params = organizationId ? [organizationId] : [];
+      
+      // Get basic statistics
+      const [statsRows] = await connection.execute(`
+        SELECT 
+          COUNT(*) as total_properties,
+          COUNT(CASE WHEN status = 'active' THEN 1 END) as active_properties,
+          COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_properties,
+          COUNT(CASE WHEN status = 'inactive' THEN 1 END) as inactive_properties,
+          AVG(total_rooms) as avg_rooms,
+          SUM(total_rooms) as total_rooms_all
+        FROM properties
+        WHERE ${scope}
+      `, params);
+      
+      // Get properties by category
+      const [categoryRows] = await connection.execute(`
+        SELECT category, COUNT(*) as count 
+        FROM properties 
+        WHERE ${scope} AND category IS NOT NULL
+        GROUP BY category 
+        ORDER BY count DESC
+      `, params);
+      
+      // Get properties by country
+      const [countryRows] = await connection.execute(`
+        SELECT country, COUNT(*) as count 
+        FROM properties 
+        WHERE ${scope}
+        GROUP BY country 
+        ORDER BY count DESC 
+        LIMIT 10
+      `, params);
+      
+      // Get properties by state/province
+      const [stateRows] = await connection.execute(`
+        SELECT state, country, COUNT(*) as count 
+        FROM properties 
+        WHERE ${scope} AND state IS NOT NULL
+        GROUP BY state, country 
+        ORDER BY count DESC 
+        LIMIT 10
+      `, params);
+      
+      // Get properties by currency
+      const [currencyRows] = await connection.execute(`
+        SELECT currency, COUNT(*) as count 
+        FROM properties 
+        WHERE ${scope} AND currency IS NOT NULL
+        GROUP BY currency 
+        ORDER BY count DESC
+      `, params);
+      
+      // Get recent properties
+      const [recentRows] = await connection.execute(`
+        SELECT hotel_name, city, state, country, created_at, status
+        FROM properties 
+        WHERE ${scope}
+        ORDER BY created_at DESC 
+        LIMIT 5
+      `, params);
+      
+      return {
+        stats: statsRows[0],
+        byCategory: categoryRows,
+        byCountry: countryRows,
+        byState: stateRows,
+        byCurrency: currencyRows,
+        recent: recentRows
+      };
+      
+    } catch (error) {
+      logger.error('Error getting property stats', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+  
+  // Get the user's role on a property's team (null if not a member)
+  static async getMemberRole(propertyId, userId) {
+    return PropertyMember.findRole(propertyId, userId);
+  }
+  
   // Helper method to format property data
   static formatPropertyData(row) {
     const property = {
@@ -347,7 +478,9 @@ class Property {
       city: row.city,
       postcode: row.postcode,
       suburb: row.suburb,
+      state: row.state,
       country: row.country,
+      currency: row.currency,
       phone: row.phone,
       fax: row.fax,
       totalRooms: row.total_rooms,
@@ -358,7 +491,9 @@ class Property {
       reservationEmail: row.reservation_email,
       websiteUrl: row.website_url,
       ownershipBreakdown: row.ownership_breakdown,
+      organizationId: row.organization_id || null,
       status: row.status,
+      ...(row.member_role && { memberRole: row.member_role }),
       createdAt: row.created_at,
       updatedAt: row.updated_at,
       contacts: []
@@ -0,0 +1,198 @@
+// models/PropertyInvitation.js
+// Email invitations to join a property team (accept/decline via single-use token)
+
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const DEFAULT_TTL_DAYS = config.tokenTtl.propertyInvitationDays;
+
+class PropertyInvitation {
+  constructor(row) {
+    this.id = row.id;
+    this.propertyId = row.property_id;
+    this.hotelName = row.hotel_name;
+    this.email = row.email;
+    this.role = row.role;
+    this.status = row.status;
+    this.invitedBy = row.invited_by;
+    this.invitedByName = row.invited_by_name;
+    this.expiresAt = row.expires_at;
+    this.respondedAt = row.responded_at;
+    this.createdAt = row.created_at;
+    this.expired = row.expires_at ? new Date(row.expires_at) <= new Date() : false;
+  }
+
+  // Create an invitation (replaces any pending invitation for the same email) and return the raw token
+  static async create(propertyId, email, role, invitedBy, { expiresInDays = DEFAULT_TTL_DAYS } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      const token = generateSecureToken();
+      const normalizedEmail = email.toLowerCase().trim();
+
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `UPDATE property_invitations SET status = 'revoked', responded_at = NOW()
+         WHERE property_id = ? AND email = ? AND status = 'pending'`,
+        [propertyId, normalizedEmail]
+      );
+
+      const [result] = await connection.execute(
+        `INSERT INTO property_invitations (
+          property_id, email, role, token_hash, invited_by, status, expires_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, 'pending', DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+        [propertyId, normalizedEmail, role, hashToken(token), invitedBy, expiresInDays]
+      );
+
+      await connection.commit();
+
+      logger.info('Invitation created', { invitationId: result.insertId, email: normalizedEmail, propertyId });
+
+      return { id: result.insertId, token, expiresInDays };
+
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Create property invitation error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Look up an invitation by its raw token
+  static async findByToken(token) {
+    if (!token) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT pi.*, p.hotel_name, u.display_name as invited_by_name
+         FROM property_invitations pi
+         JOIN properties p ON p.id = pi.property_id
+         LEFT JOIN users u ON u.id = pi.invited_by
+         WHERE pi.token_hash = ?`,
+        [hashToken(token)]
+      );
+
+      return rows.length > 0 ? new PropertyInvitation(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find property invitation error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Pending (unexpired) invitations for a property
+  static async findPendingByPropertyId(propertyId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT pi.*, u.display_name as invited_by_name
+         FROM property_invitations pi
+         LEFT JOIN users u ON u.id = pi.invited_by
+         WHERE pi.property_id = ? AND pi.status = 'pending' AND pi.expires_at > NOW()
+         ORDER BY pi.created_at DESC`,
+        [propertyId]
+      );
+
+      return rows.map(row => new PropertyInvitation(row));
+
+    } catch (error) {
+      logger.error('Find pending invitations error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Pending (unexpired) invitations sent to an email address
+  static async findPendingByEmail(email) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT pi.*, p.hotel_name, u.display_name as invited_by_name
+         FROM property_invitations pi
+         JOIN properties p ON p.id = pi.property_id
+         LEFT JOIN users u ON u.id = pi.invited_by
+         WHERE pi.email = ? AND pi.status = 'pending' AND pi.expires_at > NOW()
+         ORDER BY pi.created_at DESC`,
+        [email.toLowerCase().trim()]
+      );
+
+      return rows.map(row => new PropertyInvitation(row));
+
+    } catch (error) {
+      logger.error('Find invitations by email error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Move a pending invitation to accepted/declined/revoked; returns false if it was no longer pending
+  static async respond(invitationId, status, existingConnection = null) {
+    const connection = existingConnection || await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE property_invitations SET status = ?, responded_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [status, invitationId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Update property invitation error', { err: error });
+      throw error;
+    } finally {
+      if (!existingConnection) connection.release();
+    }
+  }
+
+  // Revoke a pending invitation belonging to a property
+  static async revoke(propertyId, invitationId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE property_invitations SET status = 'revoked', responded_at = NOW()
+         WHERE id = ? AND property_id = ? AND status = 'pending'`,
+        [invitationId, propertyId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Revoke property invitation error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      propertyId: this.propertyId,
+      hotelName: this.hotelName,
+      email: this.email,
+      role: this.role,
+      status: this.status === 'pending' && this.expired ? 'expired' : this.status,
+      invitedBy: this.invitedBy,
+      invitedByName: this.invitedByName,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = PropertyInvitation;
@@ -0,0 +1,201 @@
+// models/PropertyMember.js
+// Per-property team membership (owner, manager, viewer)
+
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+const { ValidationError } = require('../utils/errors');
+
+// Property-level roles, most to least privileged
+const MEMBER_ROLES = ['owner', 'manager', 'viewer'];
+
+// Roles allowed to edit property details and status
+const EDITOR_ROLES = ['owner', 'manager'];
+
+class PropertyMember {
+  constructor(row) {
+    this.propertyId = row.property_id;
+    this.userId = row.user_id;
+    this.role = row.role;
+    this.invitedBy = row.invited_by;
+    this.email = row.email;
+    this.displayName = row.display_name;
+    this.createdAt = row.created_at;
+    this.updatedAt = row.updated_at;
+  }
+
+  // Get a user's role on a property, or null if they are not a member
+  static async findRole(propertyId, userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        'SELECT role FROM property_members WHERE property_id = ? AND user_id = ?',
+        [propertyId, userId]
+      );
+
+      return rows.length > 0 ? rows[0].role : null;
+
+    } catch (error) {
+      logger.error('Find property member role error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // List members of a property with basic user details
+  static async findByPropertyId(propertyId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT pm.*, u.email, u.display_name
+         FROM property_members pm
+         JOIN users u ON u.id = pm.user_id
+         WHERE pm.property_id = ?
+         ORDER BY FIELD(pm.role, 'owner', 'manager', 'viewer'), pm.created_at`,
+        [propertyId]
+      );
+
+      return rows.map(row => new PropertyMember(row));
+
+    } catch (error) {
+      logger.error('Find property members error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Add a member (or change the role of an existing one)
+  // Accepts an optional connection so it can join a caller's transaction
+  static async add(propertyId, userId, role, invitedBy = null, existingConnection = null) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new ValidationError(`Invalid property role: ${role}`);
+    }
+
+    const connection = existingConnection || await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `INSERT INTO property_members (property_id, user_id, role, invited_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE role = VALUES(role), updated_at = NOW()`,
+        [propertyId, userId, role, invitedBy]
+      );
+
+      logger.info('Property member role set', { userId, role, propertyId });
+
+    } catch (error) {
+      logger.error('Add property member error', { err: error });
+      throw error;
+    } finally {
+      if (!existingConnection) connection.release();
+    }
+  }
+
+  // Change a member's role; returns false if the user is not a member
+  static async updateRole(propertyId, userId, role) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new ValidationError(`Invalid property role: ${role}`);
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'UPDATE property_members SET role = ?, updated_at = NOW() WHERE property_id = ? AND user_id = ?',
+        [role, propertyId, userId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Update property member error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Remove a member; returns false if the user is not a member
+  static async remove(propertyId, userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        'DELETE FROM property_members WHERE property_id = ? AND user_id = ?',
+        [propertyId, userId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Remove property member error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Count owners so the last one cannot be removed or demoted
+  static async countOwners(propertyId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        "SELECT COUNT(*) as count FROM property_members WHERE property_id = ? AND role = 'owner'",
+        [propertyId]
+      );
+
+      return rows[0].count;
+
+    } catch (error) {
+      logger.error('Count property owners error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Properties where the user is the only owner but not the only member (they would be left without an owner)
+  static async findSoleOwnedSharedProperties(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT p.id, p.hotel_name
+         FROM property_members pm
+         JOIN properties p ON p.id = pm.property_id
+         WHERE pm.user_id = ? AND pm.role = 'owner'
+           AND (SELECT COUNT(*) FROM property_members o WHERE o.property_id = pm.property_id AND o.role = 'owner') = 1
+           AND (SELECT COUNT(*) FROM property_members m WHERE m.property_id = pm.property_id) > 1`,
+        [userId]
+      );
+
+      return rows.map(row => ({ id: row.id, hotelName: row.hotel_name }));
+
+    } catch (error) {
+      logger.error('Find sole-owned properties error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      userId: this.userId,
+      email: this.email,
+      displayName: this.displayName,
+      role: this.role,
+      invitedBy: this.invitedBy,
+      joinedAt: this.createdAt
+    };
+  }
+}
+
+PropertyMember.ROLES = MEMBER_ROLES;
+PropertyMember.EDITOR_ROLES = EDITOR_ROLES;
+
+module.exports = PropertyMember;
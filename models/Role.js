@@ -0,0 +1,179 @@
+// models/Role.js
+// Roles and their permission mappings stored in MySQL
+
+const { pool } = require('../config/database');
+const { PERMISSIONS, ROLES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { logger } = require('../services/logger');
+const { NotFoundError } = require('../utils/errors');
+
+class Role {
+  // Seed built-in roles and their default permissions, and grant newly introduced permissions
+  // to the roles whose defaults include them. Permissions already known to the database are
+  // never re-granted, so edits made through the admin API are not overwritten
+  static async ensureDefaults() {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const [name, description] of Object.entries(ROLES)) {
+        const [existing] = await connection.execute('SELECT name FROM roles WHERE name = ?', [name]);
+        if (existing.length > 0) continue;
+
+        await connection.execute(
+          'INSERT INTO roles (name, description, is_system, created_at) VALUES (?, ?, TRUE, NOW())',
+          [name, description]
+        );
+
+        for (const permission of DEFAULT_ROLE_PERMISSIONS[name] || []) {
+          await connection.execute(
+            'INSERT IGNORE INTO role_permissions (role_name, permission, created_at) VALUES (?, ?, NOW())',
+            [name, permission]
+          );
+        }
+
+        logger.info('Seeded default permissions', { role: name });
+      }
+
+      const [knownRows] = await connection.execute('SELECT name FROM permissions');
+      const known = new Set(knownRows.map(row => row.name));
+
+      for (const [permission, description] of Object.entries(PERMISSIONS)) {
+        if (known.has(permission)) continue;
+
+        await connection.execute(
+          'INSERT INTO permissions (name, description, created_at) VALUES (?, ?, NOW())',
+          [permission, description]
+        );
+
+        // Skip on first run: the role seeding above already granted everything
+        if (known.size === 0) continue;
+
+        for (const [roleName, defaults] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+          if (!defaults.includes(permission)) continue;
+
+          await connection.execute(
+            'INSERT IGNORE INTO role_permissions (role_name, permission, created_at) VALUES (?, ?, NOW())',
+            [roleName, permission]
+          );
+          logger.info('Granted new permission to role', { permission, role: roleName });
+        }
+      }
+
+      await connection.commit();
+
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Seed roles error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Get every role with its permissions
+  static async findAll() {
+    const connection = await pool.getConnection();
+
+    try {
+      const [roles] = await connection.execute(
+        'SELECT name, description, is_system, updated_at, updated_by FROM roles ORDER BY name'
+      );
+      const [permissions] = await connection.execute(
+        'SELECT role_name, permission FROM role_permissions ORDER BY permission'
+      );
+
+      return roles.map(role => ({
+        name: role.name,
+        description: role.description,
+        isSystem: !!role.is_system,
+        updatedAt: role.updated_at,
+        updatedBy: role.updated_by,
+        permissions: permissions
+          .filter(row => row.role_name === role.name)
+          .map(row => row.permission)
+      }));
+
+    } catch (error) {
+      logger.error('Find roles error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Get the role -> permissions map used for authorization checks
+  static async getPermissionMap() {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute('SELECT role_name, permission FROM role_permissions');
+
+      return rows.reduce((map, row) => {
+        if (!map[row.role_name]) map[row.role_name] = [];
+        map[row.role_name].push(row.permission);
+        return map;
+      }, {});
+
+    } catch (error) {
+      logger.error('Load role permissions error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Check whether a role exists
+  static async exists(name) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute('SELECT name FROM roles WHERE name = ?', [name]);
+      return rows.length > 0;
+    } catch (error) {
+      logger.error('Find role error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Replace the permissions of a role
+  static async setPermissions(name, permissions, updatedBy = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        'UPDATE roles SET updated_at = NOW(), updated_by = ? WHERE name = ?',
+        [updatedBy, name]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new NotFoundError('Role not found', { code: 'ROLE_NOT_FOUND' });
+      }
+
+      await connection.execute('DELETE FROM role_permissions WHERE role_name = ?', [name]);
+
+      for (const permission of permissions) {
+        await connection.execute(
+          'INSERT INTO role_permissions (role_name, permission, created_at) VALUES (?, ?, NOW())',
+          [name, permission]
+        );
+      }
+
+      await connection.commit();
+      logger.info('Role permissions updated', { role: name, updatedBy });
+
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Update role permissions error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = Role;
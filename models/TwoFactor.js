@@ -0,0 +1,209 @@
+// models/TwoFactor.js
+// TOTP enrollment and recovery codes per user (secrets are encrypted, recovery codes hashed)
+
+const { pool } = require('../config/database');
+const { encryptValue, decryptValue, hashToken } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+class TwoFactor {
+  constructor(row) {
+    this.userId = row.user_id;
+    this.secret = decryptValue(row.secret_encrypted);
+    this.enabled = !!row.enabled_at;
+    this.enabledAt = row.enabled_at;
+    this.lastUsedStep = row.last_used_step !== null ? Number(row.last_used_step) : null;
+    this.createdAt = row.created_at;
+    this.updatedAt = row.updated_at;
+  }
+
+  // Get the 2FA record for a user (enabled or pending enrollment)
+  static async findByUserId(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM user_two_factor WHERE user_id = ?',
+        [userId]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return new TwoFactor(rows[0]);
+
+    } catch (error) {
+      logger.error('Find two-factor record error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Check whether 2FA is switched on for a user
+  static async isEnabled(userId) {
+    const record = await TwoFactor.findByUserId(userId);
+    return !!(record && record.enabled);
+  }
+
+  // Store a new (not yet enabled) secret, replacing any pending enrollment
+  static async savePendingSecret(userId, secret) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `INSERT INTO user_two_factor (user_id, secret_encrypted, enabled_at, last_used_step, created_at, updated_at)
+         VALUES (?, ?, NULL, NULL, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE
+           secret_encrypted = VALUES(secret_encrypted),
+           enabled_at = NULL,
+           last_used_step = NULL,
+           updated_at = NOW()`,
+        [userId, encryptValue(secret)]
+      );
+    } catch (error) {
+      logger.error('Save two-factor secret error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Activate 2FA after the first code has been confirmed
+  static async enable(userId, usedStep) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE user_two_factor SET enabled_at = NOW(), last_used_step = ?, updated_at = NOW()
+         WHERE user_id = ?`,
+        [usedStep, userId]
+      );
+
+      logger.info('Two-factor authentication enabled', { userId });
+
+    } catch (error) {
+      logger.error('Enable two-factor error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Record the last accepted time step so a code cannot be replayed
+  // Returns false if an equal or later step was already used
+  static async markStepUsed(userId, step) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE user_two_factor SET last_used_step = ?, updated_at = NOW()
+         WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+        [step, userId, step]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Mark two-factor step error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Remove 2FA and all recovery codes for a user
+  static async disable(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+      await connection.execute('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+      await connection.commit();
+
+      logger.info('Two-factor authentication disabled', { userId });
+
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Disable two-factor error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Replace a user's recovery codes (raw codes are only returned to the caller once)
+  static async replaceRecoveryCodes(userId, codes) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+      for (const code of codes) {
+        await connection.execute(
+          'INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, NOW())',
+          [userId, hashToken(TwoFactor.normalizeRecoveryCode(code))]
+        );
+      }
+
+      await connection.commit();
+
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Replace recovery codes error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Use up a recovery code; returns true if it was valid and unused
+  static async consumeRecoveryCode(userId, code) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE user_recovery_codes SET used_at = NOW()
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, hashToken(TwoFactor.normalizeRecoveryCode(code))]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Consume recovery code error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Count unused recovery codes
+  static async countRemainingRecoveryCodes(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+
+      return rows[0].count;
+
+    } catch (error) {
+      logger.error('Count recovery codes error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Recovery codes are case-insensitive and may be typed with or without the dash
+  static normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+}
+
+module.exports = TwoFactor;
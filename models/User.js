@@ -4,6 +4,8 @@
 
 const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
 class User {
   constructor(userData) {
@@ -17,6 +19,7 @@ class User {
     this.hotelName = userData.hotel_name;
     this.role = userData.role;
     this.isActive = userData.is_active;
+    this.isDeleted = userData.is_deleted;
     this.emailVerified = userData.email_verified;
     this.lastLogin = userData.last_login;
     this.loginCount = userData.login_count;
@@ -41,12 +44,14 @@ class User {
         lastName,
         displayName,
         hotelName = '',
-        role = 'hoteluser'
+        role = 'hoteluser',
+        authProvider = 'email',
+        emailVerified = false
       } = userData;
 
       // Validate required fields
       if (!email || !firstName || !lastName) {
-        throw new Error('Email, first name, and last name are required');
+        throw new ValidationError('Email, first name, and last name are required');
       }
 
       // Check if user already exists by email
@@ -56,7 +61,7 @@ class User {
       );
 
       if (existingUsers.length > 0) {
-        throw new Error('User already exists');
+        throw new ConflictError('User already exists', { code: 'USER_EXISTS' });
       }
 
       // Hash password if provided and valid
@@ -84,8 +89,8 @@ class User {
           role,
           hotelName,
           true, // is_active
-          'email', // auth_provider (using 'email' to match database enum)
-          false // email_verified (will be updated after Firebase)
+          authProvider, // 'email' unless provisioned by single sign-on ('oidc')
+          !!emailVerified // email_verified (will be updated after Firebase)
         ]
       );
 
@@ -103,7 +108,7 @@ class User {
         throw new Error('Failed to create user');
       }
 
-      console.log('✅ User created in MySQL with ID:', userId, 'for email:', email);
+      logger.info('User created in MySQL', { userId, email });
       
       // Return user without password
       const userInstance = new User(newUsers[0]);
@@ -112,13 +117,14 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ MySQL user creation error:', error);
+      logger.error('MySQL user creation error', { err: error });
       throw error;
     }
   }
 
   // Update user with Firebase UID after Firebase account creation
-  static async updateFirebaseUid(userId, firebaseUid) {
+  // emailVerified mirrors the Firebase account's state; leave undefined to keep the current value
+  static async updateFirebaseUid(userId, firebaseUid, { emailVerified } = {}) {
     const connection = await pool.getConnection();
     
     try {
@@ -127,15 +133,15 @@ class User {
         `UPDATE users SET 
          firebase_uid = ?, 
          auth_provider = 'firebase', 
-         email_verified = TRUE,
+         email_verified = COALESCE(?, email_verified),
          updated_at = NOW() 
          WHERE id = ?`,
-        [firebaseUid, userId]
+        [firebaseUid, emailVerified === undefined ? null : !!emailVerified, userId]
       );
 
       if (result.affectedRows === 0) {
         connection.release();
-        throw new Error('User not found for Firebase UID update');
+        throw new NotFoundError('User not found for Firebase UID update', { code: 'USER_NOT_FOUND' });
       }
 
       // Fetch updated user
@@ -147,10 +153,10 @@ class User {
       connection.release();
 
       if (users.length === 0) {
-        throw new Error('User not found after Firebase UID update');
+        throw new NotFoundError('User not found after Firebase UID update', { code: 'USER_NOT_FOUND' });
       }
 
-      console.log('✅ Firebase UID updated for user:', userId);
+      logger.info('Firebase UID updated', { userId });
       
       // Return updated user without password
       const userInstance = new User(users[0]);
@@ -159,7 +165,7 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ Firebase UID update error:', error);
+      logger.error('Firebase UID update error', { err: error });
       throw error;
     }
   }
@@ -184,7 +190,7 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ Find user by email error:', error);
+      logger.error('Find user by email error', { err: error });
       return null;
     }
   }
@@ -209,7 +215,7 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ Find user by ID error:', error);
+      logger.error('Find user by ID error', { err: error });
       return null;
     }
   }
@@ -236,7 +242,7 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ Find user by Firebase UID error:', error);
+      logger.error('Find user by Firebase UID error', { err: error });
       return null;
     }
   }
@@ -250,7 +256,7 @@ class User {
     try {
       return await bcrypt.compare(password, user.password);
     } catch (error) {
-      console.error('❌ Password validation error:', error);
+      logger.error('Password validation error', { err: error });
       return false;
     }
   }
@@ -272,7 +278,7 @@ class User {
 
       if (result.affectedRows === 0) {
         connection.release();
-        throw new Error('User not found');
+        throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
       }
 
       // Fetch updated user
@@ -284,7 +290,7 @@ class User {
       connection.release();
 
       if (users.length === 0) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
       }
 
       // Return user without password
@@ -294,11 +300,37 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ Update password error:', error);
+      logger.error('Update password error', { err: error });
       throw error;
     }
   }
 
+  // Mark a user's email address as verified
+  static async markEmailVerified(userId) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const [result] = await connection.execute(
+        'UPDATE users SET email_verified = TRUE, updated_at = NOW() WHERE id = ?',
+        [userId]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+      }
+
+    } catch (error) {
+      logger.error('Mark email verified error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.info('Email verified', { userId });
+
+    return await User.findById(userId);
+  }
+
   // Get all users (maintains compatibility)
   static async getAll() {
     const connection = await pool.getConnection();
@@ -319,11 +351,172 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ Get all users error:', error);
+      logger.error('Get all users error', { err: error });
       return [];
     }
   }
 
+  // Search users for the admin API (includes inactive and, on request, deleted users)
+  // filters: { search, role, authProvider, emailVerified, status: active|inactive|deleted|all }
+  static async search(filters = {}, limit = 25, offset = 0) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const whereConditions = [];
+      const queryParams = [];
+
+      if (filters.search) {
+        const term = `%${filters.search.trim()}%`;
+        whereConditions.push('(email LIKE ? OR first_name LIKE ? OR last_name LIKE ? OR display_name LIKE ? OR hotel_name LIKE ?)');
+        queryParams.push(term, term, term, term, term);
+      }
+
+      if (filters.role) {
+        whereConditions.push('role = ?');
+        queryParams.push(filters.role);
+      }
+
+      if (filters.authProvider) {
+        whereConditions.push('auth_provider = ?');
+        queryParams.push(filters.authProvider);
+      }
+
+      if (filters.emailVerified !== undefined) {
+        whereConditions.push('email_verified = ?');
+        queryParams.push(!!filters.emailVerified);
+      }
+
+      switch (filters.status || 'active') {
+        case 'active':
+          whereConditions.push('is_active = TRUE AND is_deleted = FALSE');
+          break;
+        case 'inactive':
+          whereConditions.push('is_active = FALSE AND is_deleted = FALSE');
+          break;
+        case 'deleted':
+          whereConditions.push('is_deleted = TRUE');
+          break;
+        // 'all': no condition
+      }
+
+      const whereClause = whereConditions.length > 0 ? ' WHERE ' + whereConditions.join(' AND ') : '';
+
+      const [countRows] = await connection.execute(
+        `SELECT COUNT(*) as total FROM users${whereClause}`,
+        queryParams
+      );
+
+      // query(), not execute(): prepared statements send numbers as DOUBLE, which MySQL rejects for LIMIT
+      const [users] = await connection.query(
+        `SELECT * FROM users${whereClause} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+        [...queryParams, limit, offset]
+      );
+
+      return {
+        users: users.map(userData => new User(userData)),
+        total: countRows[0].total
+      };
+
+    } catch (error) {
+      logger.error('Search users error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find user by ID regardless of active/deleted state (admin use only)
+  static async findByIdIncludingInactive(id) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const [users] = await connection.execute('SELECT * FROM users WHERE id = ?', [id]);
+      return users.length > 0 ? new User(users[0]) : null;
+
+    } catch (error) {
+      logger.error('Find user by ID error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Every user row, including inactive and deleted ones (account reconciliation)
+  static async findAllIncludingInactive() {
+    const connection = await pool.getConnection();
+    
+    try {
+      const [users] = await connection.execute('SELECT * FROM users ORDER BY id');
+      return users.map(userData => new User(userData));
+
+    } catch (error) {
+      logger.error('Find all users error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Drop a Firebase link that points at an account which no longer exists
+  static async clearFirebaseUid(userId) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const [result] = await connection.execute(
+        "UPDATE users SET firebase_uid = NULL, auth_provider = 'email', updated_at = NOW() WHERE id = ?",
+        [userId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Clear Firebase UID error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Helper for the single-column admin updates below (column names are fixed, never user input)
+  static async setColumn(userId, column, value) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const [result] = await connection.execute(
+        `UPDATE users SET ${column} = ?, updated_at = NOW() WHERE id = ?`,
+        [value, userId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Update user column error', { column, err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Change a user's role
+  static async updateRole(userId, role) {
+    return User.setColumn(userId, 'role', role);
+  }
+
+  // Activate or deactivate a user
+  static async setActive(userId, isActive) {
+    return User.setColumn(userId, 'is_active', !!isActive);
+  }
+
+  // Undo a soft delete
+  static async restore(userId) {
+    return User.setColumn(userId, 'is_deleted', false);
+  }
+
+  // Remove the local password so the user must set a new one via password reset
+  static async clearPassword(userId) {
+    return User.setColumn(userId, 'password_hash', null);
+  }
+
   // Update last login
   static async updateLastLogin(userId) {
     const connection = await pool.getConnection();
@@ -335,11 +528,11 @@ class User {
       );
 
       connection.release();
-      console.log('📊 Updated last login for user:', userId);
+      logger.info('Updated last login', { userId });
 
     } catch (error) {
       connection.release();
-      console.error('❌ Update last login error:', error);
+      logger.error('Update last login error', { err: error });
     }
   }
 
@@ -366,7 +559,7 @@ class User {
 
       if (updateFields.length === 0) {
         connection.release();
-        throw new Error('No valid fields to update');
+        throw new ValidationError('No valid fields to update');
       }
 
       updateValues.push(userId);
@@ -383,40 +576,68 @@ class User {
 
     } catch (error) {
       connection.release();
-      console.error('❌ Update profile error:', error);
+      logger.error('Update profile error', { err: error });
       throw error;
     }
   }
 
-  // Clean up orphaned users (users created in MySQL but Firebase failed)
-  static async cleanupOrphanedUsers(olderThanMinutes = 60) {
+  // Change a user's email address (the new address starts unverified)
+  static async updateEmail(userId, email) {
     const connection = await pool.getConnection();
+    const normalizedEmail = email.toLowerCase().trim();
     
     try {
-      // Mark orphaned users as deleted (users without firebase_uid older than specified time)
+      const [existingUsers] = await connection.execute(
+        'SELECT id FROM users WHERE email = ? AND id <> ?',
+        [normalizedEmail, userId]
+      );
+
+      if (existingUsers.length > 0) {
+        throw new ConflictError('Email already in use', { code: 'EMAIL_IN_USE' });
+      }
+
       const [result] = await connection.execute(
-        `UPDATE users SET 
-         is_deleted = TRUE, 
-         updated_at = NOW() 
-         WHERE firebase_uid IS NULL 
-         AND auth_provider = 'email' 
-         AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
-         AND is_deleted = FALSE`,
-        [olderThanMinutes]
+        'UPDATE users SET email = ?, email_verified = FALSE, updated_at = NOW() WHERE id = ?',
+        [normalizedEmail, userId]
       );
 
+      if (result.affectedRows === 0) {
+        throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+      }
+
+    } catch (error) {
+      logger.error('Update email error', { err: error });
+      throw error;
+    } finally {
       connection.release();
-      
+    }
+
+    logger.info('Email changed', { userId });
+
+    return await User.findById(userId);
+  }
+
+  // Soft delete a user (the row is kept so the account can be restored)
+  static async softDelete(userId) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const [result] = await connection.execute(
+        'UPDATE users SET is_deleted = TRUE, updated_at = NOW() WHERE id = ? AND is_deleted = FALSE',
+        [userId]
+      );
+
       if (result.affectedRows > 0) {
-        console.log(`🧹 Cleaned up ${result.affectedRows} orphaned users`);
+        logger.info('User soft-deleted', { userId });
       }
 
-      return result.affectedRows;
+      return result.affectedRows > 0;
 
     } catch (error) {
+      logger.error('Soft delete user error', { err: error });
+      throw error;
+    } finally {
       connection.release();
-      console.error('❌ Cleanup orphaned users error:', error);
-      return 0;
     }
   }
 
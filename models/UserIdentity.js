@@ -0,0 +1,78 @@
+// models/UserIdentity.js
+// Accounts at external identity providers (OIDC) linked to users, keyed by the provider's subject ID
+
+const { pool } = require('../config/database');
+const { logger } = require('../services/logger');
+
+class UserIdentity {
+  constructor(row) {
+    this.id = row.id;
+    this.userId = row.user_id;
+    this.provider = row.provider;
+    this.subject = row.subject;
+    this.email = row.email;
+    this.lastLoginAt = row.last_login_at;
+    this.createdAt = row.created_at;
+  }
+
+  static async findByProviderSubject(provider, subject) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        'SELECT * FROM user_identities WHERE provider = ? AND subject = ?',
+        [provider, String(subject)]
+      );
+
+      return rows.length > 0 ? new UserIdentity(rows[0]) : null;
+
+    } catch (error) {
+      logger.error('Find user identity error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Link a provider account to a user
+  static async create(userId, { provider, subject, email = null }) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at, created_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [userId, provider, String(subject), email]
+      );
+
+      logger.info('Identity linked', { provider, userId });
+
+      return result.insertId;
+
+    } catch (error) {
+      logger.error('Create user identity error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Record a sign-in (and the email the provider sent this time)
+  static async recordLogin(id, email = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        'UPDATE user_identities SET last_login_at = NOW(), email = COALESCE(?, email) WHERE id = ?',
+        [email, id]
+      );
+    } catch (error) {
+      logger.error('Record identity login error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = UserIdentity;
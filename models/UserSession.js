@@ -0,0 +1,260 @@
+// models/UserSession.js
+// Server-side login sessions backing short-lived access tokens and rotating refresh tokens
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken, describeUserAgent } = require('../utils/helpers');
+const { logger } = require('../services/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = config.jwt.refreshTokenTtlDays;
+
+// Only bump last_used_at on authenticated requests once per interval
+const TOUCH_INTERVAL_MINUTES = 5;
+
+class UserSession {
+  constructor(sessionData) {
+    this.id = sessionData.id;
+    this.userId = sessionData.user_id;
+    this.device = sessionData.device;
+    this.userAgent = sessionData.user_agent;
+    this.ipAddress = sessionData.ip_address;
+    this.createdAt = sessionData.created_at;
+    this.lastUsedAt = sessionData.last_used_at;
+    this.expiresAt = sessionData.expires_at;
+    this.revokedAt = sessionData.revoked_at;
+    this.revokedReason = sessionData.revoked_reason;
+  }
+
+  // Create a session and return it together with its raw refresh token
+  static async create(userId, { userAgent = null, ipAddress = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      const sessionId = uuidv4();
+      const refreshToken = generateSecureToken(48);
+
+      await connection.execute(
+        `INSERT INTO user_sessions (
+          id, user_id, refresh_token_hash, device, user_agent, ip_address,
+          created_at, last_used_at, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [
+          sessionId,
+          userId,
+          hashToken(refreshToken),
+          describeUserAgent(userAgent),
+          userAgent ? userAgent.substring(0, 512) : null,
+          ipAddress,
+          REFRESH_TOKEN_TTL_DAYS
+        ]
+      );
+
+      logger.info('Session created', { userId, sessionId });
+
+      return { sessionId, refreshToken };
+
+    } catch (error) {
+      logger.error('Create session error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Exchange a refresh token for a new one (rotation)
+  // Returns { session, refreshToken } or null if the token is invalid, expired or revoked
+  static async rotate(refreshToken, { ipAddress = null } = {}) {
+    if (!refreshToken) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const tokenHash = hashToken(refreshToken);
+
+      const [rows] = await connection.execute(
+        `SELECT * FROM user_sessions
+         WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+        [tokenHash]
+      );
+
+      if (rows.length === 0) {
+        // A previously rotated token being replayed means it leaked: kill the whole session
+        const [reusedRows] = await connection.execute(
+          'SELECT id, user_id FROM user_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+          [tokenHash]
+        );
+
+        if (reusedRows.length > 0) {
+          await connection.execute(
+            `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+             WHERE id = ?`,
+            [reusedRows[0].id]
+          );
+          logger.warn('Refresh token reuse detected - session revoked', { sessionId: reusedRows[0].id });
+        }
+
+        return null;
+      }
+
+      const newRefreshToken = generateSecureToken(48);
+
+      // Conditional update so a token can only be rotated once
+      const [result] = await connection.execute(
+        `UPDATE user_sessions SET
+         refresh_token_hash = ?,
+         previous_token_hash = ?,
+         ip_address = COALESCE(?, ip_address),
+         last_used_at = NOW()
+         WHERE id = ? AND refresh_token_hash = ?`,
+        [hashToken(newRefreshToken), tokenHash, ipAddress, rows[0].id, tokenHash]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return {
+        session: new UserSession(rows[0]),
+        refreshToken: newRefreshToken
+      };
+
+    } catch (error) {
+      logger.error('Rotate session error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find a session that is neither revoked nor expired
+  static async findActive(sessionId) {
+    if (!sessionId) return null;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM user_sessions
+         WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+        [sessionId]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return new UserSession(rows[0]);
+
+    } catch (error) {
+      logger.error('Find session error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Record activity on a session (throttled)
+  static async touch(sessionId) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE user_sessions SET last_used_at = NOW()
+         WHERE id = ? AND last_used_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [sessionId, TOUCH_INTERVAL_MINUTES]
+      );
+    } catch (error) {
+      logger.error('Touch session error', { err: error });
+    } finally {
+      connection.release();
+    }
+  }
+
+  // List active sessions for a user
+  static async findActiveByUserId(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [userId]
+      );
+
+      return rows.map(row => new UserSession(row));
+
+    } catch (error) {
+      logger.error('List sessions error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Revoke a single session (optionally scoped to its owner)
+  static async revoke(sessionId, { userId = null, reason = 'logout' } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      let query = `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+                   WHERE id = ? AND revoked_at IS NULL`;
+      const params = [reason, sessionId];
+
+      if (userId) {
+        query += ' AND user_id = ?';
+        params.push(userId);
+      }
+
+      const [result] = await connection.execute(query, params);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      logger.error('Revoke session error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Revoke every active session for a user (optionally keeping the current one)
+  static async revokeAllForUser(userId, reason = 'logout_all', { exceptSessionId = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+        [reason, userId, exceptSessionId || '']
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info('Sessions revoked', { userId, count: result.affectedRows });
+      }
+
+      return result.affectedRows;
+
+    } catch (error) {
+      logger.error('Revoke all sessions error', { err: error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Public representation (no token hashes)
+  toJSON() {
+    return {
+      id: this.id,
+      device: this.device,
+      ipAddress: this.ipAddress,
+      createdAt: this.createdAt,
+      lastUsedAt: this.lastUsedAt,
+      expiresAt: this.expiresAt
+    };
+  }
+}
+
+module.exports = UserSession;
@@ -0,0 +1,529 @@
+// openapi/components.js
+// Shared schemas, responses and helpers for the OpenAPI document
+// Schemas describe the JSON clients receive (dates are ISO strings, MySQL flags may be 0/1)
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+// MySQL BOOLEAN columns come back as 0/1 unless the code converts them
+const flag = { type: ['boolean', 'integer'], enum: [true, false, 0, 1] };
+const timestamp = { type: 'string', format: 'date-time' };
+// Form checkboxes are only tested for truthiness
+const checkbox = { type: ['boolean', 'integer', 'string', 'null'] };
+const id = { type: 'integer', minimum: 1 };
+
+// JSON request body
+const jsonBody = (schema, { required = true, description } = {}) => ({
+  required,
+  ...(description && { description }),
+  content: { 'application/json': { schema } }
+});
+
+// JSON response
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+// Successful { success: true, message, ... } envelope
+const success = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: {
+    success: { const: true },
+    message: { type: 'string' },
+    ...properties
+  }
+});
+
+// Standard error responses by status code, plus the catch-all default
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  413: 'PayloadTooLarge',
+  423: 'Locked',
+  429: 'TooManyRequests',
+  502: 'BadGateway',
+  503: 'ServiceUnavailable'
+};
+
+const errors = (...statuses) => ({
+  ...Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }])),
+  default: { $ref: '#/components/responses/Error' }
+});
+
+const pathParam = (name, description, schema = id) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+// Out-of-range values are clamped by the controllers rather than rejected
+const pageParams = (defaultLimit, maximum) => [
+  queryParam('page', 'Page number', { type: 'integer', default: 1 }),
+  queryParam('limit', maximum ? `Page size (at most ${maximum})` : 'Page size', { type: 'integer', default: defaultLimit })
+];
+
+// Endpoints without authentication
+const PUBLIC = [];
+// Endpoints that also accept an API key
+const BEARER_OR_API_KEY = [{ bearerAuth: [] }, { apiKey: [] }];
+
+const password = { type: 'string', minLength: 6, format: 'password' };
+const totpCode = { type: 'string', description: 'Current 6-digit authenticator code (spaces are ignored)' };
+
+const errorResponse = (description) => json(description, ref('Error'));
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'Access token from login/refresh, a Firebase ID token or an OpenID Connect ID token'
+    },
+    apiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'Scoped API key (property and onboarding endpoints only)'
+    },
+    metricsToken: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'METRICS_TOKEN, for the Prometheus scraper'
+    }
+  },
+
+  responses: {
+    BadRequest: errorResponse('Invalid request'),
+    Unauthorized: errorResponse('Missing or invalid credentials'),
+    Forbidden: errorResponse('Not allowed for this user'),
+    NotFound: errorResponse('Not found'),
+    Conflict: errorResponse('Conflicts with existing data'),
+    PayloadTooLarge: errorResponse('Upload is too large'),
+    Locked: errorResponse('Account locked after repeated failed logins (see Retry-After)'),
+    TooManyRequests: errorResponse('Rate limited or locked out (see Retry-After)'),
+    BadGateway: errorResponse('Upstream service failed'),
+    ServiceUnavailable: errorResponse('Required service is not configured or unreachable'),
+    Error: errorResponse('Error')
+  },
+
+  schemas: {
+    Error: {
+      type: 'object',
+      description: 'Error envelope sent by every endpoint (utils/helpers.formatError). Branch on `code`, not on `message`',
+      required: ['success', 'code', 'message'],
+      properties: {
+        success: { const: false },
+        code: {
+          type: 'string',
+          description: 'Stable machine-readable error code',
+          examples: ['VALIDATION_FAILED', 'INVALID_CREDENTIALS', 'PROPERTY_NOT_FOUND', 'PERMISSION_DENIED', 'AI_SERVICE_ERROR', 'INTERNAL_ERROR']
+        },
+        message: { type: 'string', description: 'Human-readable explanation (may change; do not parse)' },
+        error: { type: 'string', description: 'Underlying error message for unexpected failures (development only)' },
+        requestId: { type: 'string', description: 'Same as the X-Request-Id response header; quote it when reporting a problem' },
+        errors: {
+          type: 'array',
+          description: 'Schema violations (request validation)',
+          items: ref('ValidationIssue')
+        },
+        missingFields: { type: 'array', items: { type: 'string' }, description: 'Required body fields that were left out' },
+        locked: { type: 'boolean' },
+        retryAfter: { type: 'integer', description: 'Seconds until the lockout or rate limit ends' },
+        requiredPermissions: { type: 'array', items: { type: 'string' }, description: 'Permissions any one of which would have allowed the request' }
+      }
+    },
+
+    ValidationIssue: {
+      type: 'object',
+      required: ['location', 'path', 'message'],
+      properties: {
+        location: { enum: ['path', 'query', 'body', 'response'] },
+        path: { type: 'string', description: 'JSON pointer to the offending value' },
+        message: { type: 'string' }
+      }
+    },
+
+    User: {
+      type: 'object',
+      required: ['id', 'email', 'role'],
+      properties: {
+        id,
+        firebaseUid: nullable({ type: 'string' }),
+        email: { type: 'string' },
+        firstName: nullable({ type: 'string' }),
+        lastName: nullable({ type: 'string' }),
+        displayName: nullable({ type: 'string' }),
+        hotelName: nullable({ type: 'string' }),
+        role: { type: 'string', examples: ['hoteluser', 'hoteladmin', 'admin', 'superadmin'] },
+        isActive: flag,
+        isDeleted: flag,
+        emailVerified: flag,
+        lastLogin: nullable(timestamp),
+        loginCount: nullable({ type: 'integer' }),
+        phone: nullable({ type: 'string' }),
+        avatarUrl: nullable({ type: 'string' }),
+        timezone: nullable({ type: 'string' }),
+        language: nullable({ type: 'string' }),
+        authProvider: nullable({ type: 'string' }),
+        createdAt: timestamp,
+        updatedAt: nullable(timestamp)
+      }
+    },
+
+    AuthResult: {
+      type: 'object',
+      description: 'Either a session (user + tokens) or, for accounts with 2FA, a challenge for POST /api/auth/login/2fa ' +
+        '(or POST /api/auth/2fa/setup when enrollment is mandatory)',
+      required: ['success'],
+      properties: {
+        success: { const: true },
+        message: { type: 'string' },
+        user: ref('User'),
+        token: { type: 'string', description: 'Access token' },
+        refreshToken: { type: 'string' },
+        expiresIn: { type: 'string', description: 'Lifetime of the access token or challenge, e.g. 15m' },
+        twoFactorRequired: { const: true },
+        twoFactorSetupRequired: { const: true },
+        challengeToken: { type: 'string' }
+      }
+    },
+
+    Session: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string' },
+        device: nullable({ type: 'string' }),
+        ipAddress: nullable({ type: 'string' }),
+        createdAt: timestamp,
+        lastUsedAt: nullable(timestamp),
+        expiresAt: timestamp,
+        current: { type: 'boolean' }
+      }
+    },
+
+    PropertyFields: {
+      type: 'object',
+      description: 'Editable property fields (other fields are ignored). Blank optional fields are stored as null',
+      properties: {
+        hotelName: { type: 'string' },
+        websiteUrl: { type: ['string', 'null'], description: 'https:// is added when missing' },
+        category: { type: ['string', 'null'], description: 'CoStar classification' },
+        type: { type: ['string', 'null'], description: 'Property type' },
+        streetAddress: { type: ['string', 'null'] },
+        suburb: { type: ['string', 'null'] },
+        city: { type: ['string', 'null'] },
+        state: { type: ['string', 'null'] },
+        postcode: { type: ['string', 'null'] },
+        country: { type: ['string', 'null'] },
+        currency: { type: ['string', 'null'], examples: ['AUD'] },
+        contactName: { type: ['string', 'null'] },
+        contactEmail: { type: ['string', 'null'] },
+        reservationEmail: { type: ['string', 'null'], description: 'Defaults to contactEmail' },
+        phone: { type: ['string', 'null'] },
+        fax: { type: ['string', 'null'] },
+        totalRooms: { type: ['integer', 'string', 'null'], description: 'Whole number >= 0 (numeric strings are accepted)' },
+        corporateEntity: { type: ['string', 'null'] },
+        ownershipBreakdown: { type: ['string', 'null'] },
+        latitude: { type: ['number', 'string', 'null'], description: '-90 to 90' },
+        longitude: { type: ['number', 'string', 'null'], description: '-180 to 180' }
+      }
+    },
+
+    PropertyStatus: { enum: ['pending', 'active', 'inactive'] },
+
+    Property: {
+      type: 'object',
+      required: ['id', 'hotelName', 'status'],
+      properties: {
+        id,
+        userId: nullable({ type: 'integer' }),
+        corporateEntity: nullable({ type: 'string' }),
+        hotelName: { type: 'string' },
+        category: nullable({ type: 'string' }),
+        type: nullable({ type: 'string' }),
+        streetAddress: nullable({ type: 'string' }),
+        city: nullable({ type: 'string' }),
+        postcode: nullable({ type: 'string' }),
+        suburb: nullable({ type: 'string' }),
+        state: nullable({ type: 'string' }),
+        country: nullable({ type: 'string' }),
+        currency: nullable({ type: 'string' }),
+        phone: nullable({ type: 'string' }),
+        fax: nullable({ type: 'string' }),
+        totalRooms: { type: ['integer', 'string', 'null'] },
+        latitude: { type: ['string', 'number', 'null'], description: 'DECIMAL, serialized as a string' },
+        longitude: { type: ['string', 'number', 'null'], description: 'DECIMAL, serialized as a string' },
+        contactName: nullable({ type: 'string' }),
+        contactEmail: nullable({ type: 'string' }),
+        reservationEmail: nullable({ type: 'string' }),
+        websiteUrl: nullable({ type: 'string' }),
+        ownershipBreakdown: nullable({ type: 'string' }),
+        organizationId: nullable({ type: 'integer' }),
+        status: { type: 'string' },
+        memberRole: { anyOf: [ref('PropertyRole'), { type: 'null' }], description: 'Your role on the property team' },
+        createdAt: timestamp,
+        updatedAt: nullable(timestamp),
+        contacts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string' },
+              name: { type: 'string' },
+              email: { type: 'string' },
+              phone: nullable({ type: 'string' })
+            }
+          }
+        }
+      }
+    },
+
+    PropertyRole: { enum: ['owner', 'manager', 'viewer'] },
+
+    PropertyMember: {
+      type: 'object',
+      required: ['userId', 'role'],
+      properties: {
+        userId: id,
+        email: nullable({ type: 'string' }),
+        displayName: nullable({ type: 'string' }),
+        role: ref('PropertyRole'),
+        invitedBy: nullable({ type: 'integer' }),
+        joinedAt: timestamp
+      }
+    },
+
+    PropertyInvitation: {
+      type: 'object',
+      required: ['id', 'propertyId', 'email', 'role', 'status'],
+      properties: {
+        id,
+        propertyId: id,
+        hotelName: { type: 'string' },
+        email: { type: 'string' },
+        role: ref('PropertyRole'),
+        status: { enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'] },
+        invitedBy: nullable({ type: 'integer' }),
+        invitedByName: nullable({ type: 'string' }),
+        expiresAt: timestamp,
+        createdAt: timestamp
+      }
+    },
+
+    OnboardingSystem: {
+      type: 'object',
+      properties: {
+        systemName: { type: ['string', 'null'] },
+        systemUrl: { type: ['string', 'null'] },
+        url: { type: ['string', 'null'] },
+        clientId: { type: ['string', 'null'] },
+        setupUsername: { type: ['string', 'null'] },
+        setupEmail: { type: ['string', 'null'] }
+      }
+    },
+
+    OnboardingImage: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        size: { type: ['integer', 'null'] },
+        type: { type: 'string', examples: ['image/jpeg'] },
+        url: { type: ['string', 'null'] }
+      }
+    },
+
+    OnboardingSubmission: {
+      type: 'object',
+      description: 'Numbers may be sent as strings; blank values take their defaults and unknown fields are ignored',
+      required: ['property'],
+      properties: {
+        property: {
+          allOf: [ref('PropertyFields')],
+          required: ['hotelName', 'contactName', 'contactEmail']
+        },
+        roomTypes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: ['string', 'null'] },
+              beddingConfig1: checkbox,
+              beddingConfig2: checkbox,
+              minimumRate: { type: ['number', 'string', 'null'] },
+              maximumRate: { type: ['number', 'string', 'null'] },
+              maxCapacity: { type: ['integer', 'string', 'null'] },
+              guestsIncluded: { type: ['integer', 'string', 'null'] },
+              extraAdultRate: { type: ['number', 'string', 'null'] },
+              totalRoomsInType: { type: ['integer', 'string', 'null'] },
+              roomSize: { type: ['number', 'string', 'null'] },
+              chargeType: { type: ['string', 'null'], examples: ['per room'] },
+              mealPlans: {
+                type: 'object',
+                properties: {
+                  roomOnly: checkbox,
+                  bedBreakfast: checkbox,
+                  halfBoard: checkbox,
+                  fullBoard: checkbox,
+                  allInclusive: checkbox
+                }
+              }
+            }
+          }
+        },
+        systems: {
+          type: 'object',
+          description: 'Systems with a systemName are saved',
+          properties: Object.fromEntries(
+            ['pms', 'bookingEngine', 'channelManager', 'gds', 'rms', 'otherSystem'].map(name => [name, { anyOf: [ref('OnboardingSystem'), { type: 'null' }] }])
+          )
+        },
+        amenities: { type: 'array', items: { type: 'string' } },
+        imagery: {
+          type: 'object',
+          description: 'Image metadata by category (files are uploaded separately)',
+          additionalProperties: { type: 'array', items: ref('OnboardingImage') }
+        },
+        taxConfiguration: {
+          type: 'object',
+          properties: {
+            federalChargeable: checkbox,
+            taxRate: { type: ['number', 'string', 'null'] },
+            taxConcessions: { type: ['string', 'null'] },
+            localTax: { type: ['number', 'string', 'null'] },
+            tourismTax: { type: ['number', 'string', 'null'] }
+          }
+        },
+        cancellationPolicies: {
+          type: 'object',
+          properties: {
+            public: { type: ['string', 'null'] },
+            corporate: { type: ['string', 'null'] },
+            group: { type: ['string', 'null'] }
+          }
+        },
+        completedAt: { type: 'string', description: 'Defaults to now' },
+        source: { type: 'string', default: 'onboarding-flow' }
+      }
+    },
+
+    OnboardingSummary: {
+      type: 'object',
+      properties: {
+        roomTypes: { type: 'integer' },
+        amenities: { type: 'integer' },
+        systemsConfigured: { type: 'integer' },
+        totalRooms: { type: 'integer' },
+        imagesUploaded: { type: 'integer' }
+      }
+    },
+
+    ApiKey: {
+      type: 'object',
+      required: ['id', 'name', 'keyPrefix', 'scopes'],
+      properties: {
+        id,
+        userId: { type: 'integer', description: 'The user who created the key (the key acts as them)' },
+        ownerEmail: { type: 'string', description: 'Only in organization listings' },
+        name: { type: 'string' },
+        keyPrefix: { type: 'string' },
+        organizationId: nullable({ type: 'integer' }),
+        scopes: { type: 'array', items: { type: 'string' } },
+        expiresAt: nullable(timestamp),
+        lastUsedAt: nullable(timestamp),
+        lastUsedIp: nullable({ type: 'string' }),
+        revokedAt: nullable(timestamp),
+        createdAt: timestamp,
+        isActive: flag
+      }
+    },
+
+    Organization: {
+      type: 'object',
+      required: ['id', 'name', 'slug', 'type'],
+      properties: {
+        id,
+        name: { type: 'string' },
+        slug: { type: 'string' },
+        type: ref('OrganizationType'),
+        isActive: flag,
+        memberCount: { type: 'integer' },
+        propertyCount: { type: 'integer' },
+        createdAt: timestamp,
+        updatedAt: nullable(timestamp)
+      }
+    },
+
+    OrganizationType: { enum: ['management_company', 'ownership_group', 'hotel_group'] },
+
+    OrganizationRole: { enum: ['admin', 'member'] },
+
+    OrganizationMember: {
+      type: 'object',
+      required: ['organizationId', 'userId', 'role'],
+      properties: {
+        organizationId: id,
+        organizationName: { type: 'string' },
+        userId: id,
+        email: nullable({ type: 'string' }),
+        displayName: nullable({ type: 'string' }),
+        role: ref('OrganizationRole'),
+        addedBy: nullable({ type: 'integer' }),
+        joinedAt: timestamp
+      }
+    },
+
+    OrganizationInvitation: {
+      type: 'object',
+      required: ['id', 'organizationId', 'email', 'role', 'status'],
+      properties: {
+        id,
+        organizationId: id,
+        organizationName: { type: 'string' },
+        email: { type: 'string' },
+        role: ref('OrganizationRole'),
+        status: { enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'] },
+        invitedBy: nullable({ type: 'integer' }),
+        invitedByName: nullable({ type: 'string' }),
+        expiresAt: timestamp,
+        createdAt: timestamp
+      }
+    },
+
+    LoginLockout: {
+      type: 'object',
+      required: ['id', 'scope', 'identifier'],
+      properties: {
+        id,
+        scope: { enum: ['account', 'ip'] },
+        identifier: { type: 'string' },
+        failedAttempts: { type: 'integer' },
+        lockedUntil: timestamp,
+        createdAt: timestamp
+      }
+    }
+  }
+};
+
+module.exports = {
+  components,
+  ref,
+  nullable,
+  flag,
+  timestamp,
+  id,
+  jsonBody,
+  json,
+  success,
+  errors,
+  pathParam,
+  queryParam,
+  pageParams,
+  PUBLIC,
+  BEARER_OR_API_KEY,
+  password,
+  totpCode
+};
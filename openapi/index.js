@@ -0,0 +1,73 @@
+// openapi/index.js
+// The OpenAPI 3.1 description of the Nuvho HotelCRM API
+// Served at /api/openapi.json, browsable at /api/docs, and used to validate requests and responses
+// outside production (middleware/openapiValidator.js). Keep it in step with the routes:
+// tests/unit/openapi.test.js fails when a route is missing from the document or vice versa
+
+const { components } = require('./components');
+
+const tags = [
+  { name: 'System', description: 'Health and server information' },
+  { name: 'Authentication', description: 'Registration, sign-in, sessions, two-factor and single sign-on' },
+  { name: 'Properties', description: 'Hotel properties' },
+  { name: 'Property teams', description: 'Property members and invitations' },
+  { name: 'Onboarding', description: 'Hotel onboarding flow' },
+  { name: 'API keys', description: 'Scoped keys for integrations' },
+  { name: 'Organizations', description: 'Management companies and ownership groups' },
+  { name: 'Administration', description: 'Roles, users and lockouts' },
+  { name: 'AI', description: 'Nuvho Analyst and Manager assistants, transcription and speech' },
+  { name: 'HubSpot', description: 'CRM integration (only when installed)' }
+];
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Nuvho HotelCRM API',
+    version: '2.1.0',
+    description: 'Backend API for Nuvho HotelCRM. Most endpoints take a bearer access token; ' +
+      'property and onboarding endpoints also accept an X-API-Key. Every response carries an X-Request-Id header ' +
+      '(a well-formed one sent with the request is reused) that also appears in error bodies and in the server logs. ' +
+      'Errors share one envelope, { success: false, code, message }, where code is a stable identifier to branch on.'
+  },
+  servers: [{ url: '/' }],
+  tags,
+  security: [{ bearerAuth: [] }],
+  paths: {
+    ...require('./paths/system'),
+    ...require('./paths/auth'),
+    ...require('./paths/properties'),
+    ...require('./paths/invitations'),
+    ...require('./paths/onboarding'),
+    ...require('./paths/apiKeys'),
+    ...require('./paths/organizations'),
+    ...require('./paths/admin'),
+    ...require('./paths/ai'),
+    ...require('./paths/hubspot')
+  },
+  components
+};
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Every operation as { method, path, summary, tag }, with Express-style paths (/api/properties/:id)
+const listEndpoints = () => {
+  const endpoints = [];
+
+  for (const [path, pathItem] of Object.entries(document.paths)) {
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      endpoints.push({
+        method: method.toUpperCase(),
+        path: path.replace(/\{([^}]+)\}/g, ':$1'),
+        summary: operation.summary,
+        tag: operation.tags[0]
+      });
+    }
+  }
+
+  return endpoints;
+};
+
+module.exports = { document, listEndpoints, METHODS };
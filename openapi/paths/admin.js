@@ -0,0 +1,279 @@
+// openapi/paths/admin.js
+// /api/admin: roles & permissions, user management, impersonation, reconciliation and lockouts
+
+const {
+  ref, jsonBody, json, success, errors, pathParam, queryParam, pageParams
+} = require('../components');
+
+const tags = ['Administration'];
+
+const userId = pathParam('id', 'User id');
+
+const reasonBody = jsonBody({
+  type: 'object',
+  properties: { reason: { type: 'string', description: 'Recorded in the audit log' } }
+}, { required: false });
+
+// Write actions return the updated user (and whether Firebase was updated, for Firebase-linked users)
+const updatedUser = (description) => json(description, success({
+  user: ref('User'),
+  firebaseSynced: { type: 'boolean' }
+}, ['user']));
+
+module.exports = {
+  '/api/admin/permissions': {
+    get: {
+      tags,
+      summary: 'Permission registry',
+      responses: {
+        200: json('Every known permission', success({
+          permissions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'description'],
+              properties: { name: { type: 'string' }, description: { type: 'string' } }
+            }
+          },
+          wildcard: { type: 'string', description: 'Grants every permission' }
+        }, ['permissions', 'wildcard'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/admin/roles': {
+    get: {
+      tags,
+      summary: 'Roles and their permissions',
+      responses: {
+        200: json('Every role', success({
+          roles: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'permissions'],
+              properties: {
+                name: { type: 'string' },
+                description: { type: ['string', 'null'] },
+                permissions: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          },
+          count: { type: 'integer' }
+        }, ['roles', 'count'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/admin/roles/{role}/permissions': {
+    put: {
+      tags,
+      summary: 'Replace role permissions',
+      parameters: [pathParam('role', 'Role name', { type: 'string' })],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['permissions'],
+        properties: { permissions: { type: 'array', items: { type: 'string' } } }
+      }),
+      responses: {
+        200: json('Permissions replaced', success({
+          role: { type: 'string' },
+          permissions: { type: 'array', items: { type: 'string' } }
+        }, ['role', 'permissions'])),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/users': {
+    get: {
+      tags,
+      summary: 'Search users',
+      parameters: [
+        ...pageParams(25, 100),
+        queryParam('search', 'Matches email and names'),
+        queryParam('role', 'Filter by role'),
+        queryParam('authProvider', 'Filter by sign-in method'),
+        queryParam('emailVerified', 'true or false'),
+        queryParam('status', 'active (default), inactive, deleted or all')
+      ],
+      responses: {
+        200: json('A page of users', success({
+          users: { type: 'array', items: ref('User') },
+          count: { type: 'integer' },
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          filters: { type: 'object' }
+        }, ['users', 'count', 'total', 'page', 'limit', 'totalPages'])),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/api/admin/users/{id}': {
+    get: {
+      tags,
+      summary: 'User details and admin history',
+      parameters: [userId],
+      responses: {
+        200: json('The user', success({
+          user: ref('User'),
+          activeSessions: { type: 'integer' },
+          history: { type: 'array', items: { type: 'object' }, description: 'Admin audit log entries for this user' }
+        }, ['user', 'activeSessions', 'history'])),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/users/{id}/role': {
+    patch: {
+      tags,
+      summary: 'Change user role',
+      description: 'Signs the user out everywhere so the new role applies immediately.',
+      parameters: [userId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string' } }
+      }),
+      responses: {
+        200: updatedUser('Role changed'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/users/{id}/deactivate': {
+    post: {
+      tags,
+      summary: 'Deactivate user',
+      parameters: [userId],
+      requestBody: reasonBody,
+      responses: {
+        200: updatedUser('Deactivated and signed out everywhere'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/users/{id}/activate': {
+    post: {
+      tags,
+      summary: 'Activate user',
+      parameters: [userId],
+      responses: {
+        200: updatedUser('Activated'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/users/{id}/restore': {
+    post: {
+      tags,
+      summary: 'Restore deleted user',
+      parameters: [userId],
+      responses: {
+        200: updatedUser('Restored'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/users/{id}/force-password-reset': {
+    post: {
+      tags,
+      summary: 'Force password reset',
+      description: 'Clears the password, signs the user out and emails a reset link.',
+      parameters: [userId],
+      requestBody: reasonBody,
+      responses: {
+        200: json('Reset email sent', success({ firebaseSynced: { type: ['boolean', 'null'] } })),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/impersonate/{userId}': {
+    post: {
+      tags,
+      summary: 'Read-only impersonation (superadmin)',
+      parameters: [pathParam('userId', 'User to impersonate')],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['reason'],
+        properties: { reason: { type: 'string', description: 'Recorded in the audit log' } }
+      }),
+      responses: {
+        201: json('Impersonation token (read-only, audited)', success({
+          token: { type: 'string' },
+          expiresIn: { type: 'string' },
+          impersonation: {
+            type: 'object',
+            required: ['id', 'expiresAt'],
+            properties: {
+              id: { type: 'integer' },
+              expiresAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          user: ref('User')
+        }, ['token', 'expiresIn', 'impersonation', 'user'])),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/admin/accounts/reconcile': {
+    post: {
+      tags,
+      summary: 'MySQL/Firebase account reconciliation',
+      description: 'Reports drift between MySQL users and Firebase accounts; { "apply": true } also repairs it.',
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { apply: { type: 'boolean', default: false } }
+      }, { required: false }),
+      responses: {
+        200: json('Reconciliation report', success({ report: { type: 'object' } }, ['report'])),
+        ...errors(401, 403, 503)
+      }
+    }
+  },
+
+  '/api/admin/lockouts': {
+    get: {
+      tags,
+      summary: 'Active login lockouts',
+      responses: {
+        200: json('Active lockouts', success({
+          lockouts: { type: 'array', items: ref('LoginLockout') },
+          count: { type: 'integer' }
+        }, ['lockouts', 'count'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/admin/lockouts/unlock': {
+    post: {
+      tags,
+      summary: 'Unlock an account or IP address',
+      requestBody: jsonBody({
+        type: 'object',
+        description: 'email and/or ipAddress',
+        properties: {
+          email: { type: 'string' },
+          ipAddress: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: json('Lockouts removed', success({ unlocked: { type: 'integer' } }, ['unlocked'])),
+        ...errors(400, 401, 403)
+      }
+    }
+  }
+};
@@ -0,0 +1,148 @@
+// openapi/paths/ai.js
+// /api/ai: Nuvho assistants, transcription and speech (mounted only when the AI routes load)
+
+const { jsonBody, json, errors, PUBLIC } = require('../components');
+
+const tags = ['AI'];
+const security = PUBLIC;
+
+const timestamp = { type: 'string', format: 'date-time' };
+
+module.exports = {
+  '/api/ai/chat': {
+    post: {
+      tags,
+      security,
+      summary: 'Chat with AI assistants (Analyst/Manager)',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['message'],
+        properties: {
+          message: { type: 'string' },
+          assistantType: { enum: ['analyst', 'manager'], description: 'manager selects the Nuvho Manager', default: 'analyst' }
+        }
+      }),
+      responses: {
+        200: json('Assistant reply', {
+          type: 'object',
+          required: ['success', 'response', 'assistantType', 'timestamp'],
+          properties: {
+            success: { const: true },
+            response: { type: 'string' },
+            assistantType: { type: 'string' },
+            timestamp
+          }
+        }),
+        ...errors(400, 503)
+      }
+    }
+  },
+
+  '/api/ai/transcribe': {
+    post: {
+      tags,
+      security,
+      summary: 'Audio to text conversion',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['audio'],
+              properties: {
+                audio: { type: 'string', format: 'binary', description: 'Audio file (audio/*, up to 25MB)' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Transcript', {
+          type: 'object',
+          required: ['success', 'text', 'timestamp'],
+          properties: {
+            success: { const: true },
+            text: { type: 'string' },
+            timestamp
+          }
+        }),
+        ...errors(400, 413, 503)
+      }
+    }
+  },
+
+  '/api/ai/speak': {
+    post: {
+      tags,
+      security,
+      summary: 'Text to speech generation',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', maxLength: 4096 },
+          voice: { enum: ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'], default: 'alloy' }
+        }
+      }),
+      responses: {
+        200: {
+          description: 'MP3 audio',
+          content: { 'audio/mpeg': { schema: { type: 'string', format: 'binary' } } }
+        },
+        ...errors(400, 503)
+      }
+    }
+  },
+
+  '/api/ai/health': {
+    get: {
+      tags,
+      security,
+      summary: 'AI services status',
+      responses: {
+        200: json('Configuration and available features', {
+          type: 'object',
+          required: ['success', 'status', 'config', 'features'],
+          properties: {
+            success: { const: true },
+            status: { type: 'string' },
+            config: {
+              type: 'object',
+              properties: {
+                apiKeyConfigured: { type: 'boolean' },
+                analystAssistantId: { type: 'string' },
+                managerAssistantId: { type: 'string' }
+              }
+            },
+            features: { type: 'object', additionalProperties: { type: 'boolean' } },
+            timestamp
+          }
+        }),
+        ...errors()
+      }
+    }
+  },
+
+  '/api/ai/test': {
+    get: {
+      tags,
+      security,
+      summary: 'AI services information',
+      responses: {
+        200: json('Endpoints and required configuration', {
+          type: 'object',
+          required: ['message', 'timestamp'],
+          properties: {
+            message: { type: 'string' },
+            timestamp,
+            endpoints: { type: 'object', additionalProperties: { type: 'string' } },
+            requiredEnvVars: { type: 'object', additionalProperties: { type: 'string' } },
+            features: { type: 'array', items: { type: 'string' } }
+          }
+        }),
+        ...errors()
+      }
+    }
+  }
+};
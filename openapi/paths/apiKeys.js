@@ -0,0 +1,77 @@
+// openapi/paths/apiKeys.js
+// /api/api-keys: scoped API keys for integrations (requires apikeys:manage)
+
+const { ref, jsonBody, json, success, errors, pathParam } = require('../components');
+
+const tags = ['API keys'];
+
+module.exports = {
+  '/api/api-keys/scopes': {
+    get: {
+      tags,
+      summary: 'Scopes available for new keys',
+      responses: {
+        200: json('Scopes your role can grant', success({
+          scopes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['scope', 'description'],
+              properties: { scope: { type: 'string' }, description: { type: 'string' } }
+            }
+          },
+          defaultExpiresInDays: { type: 'integer' },
+          maxExpiresInDays: { type: 'integer' }
+        }, ['scopes'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/api-keys': {
+    get: {
+      tags,
+      summary: 'My API keys',
+      description: 'Only the key prefix is ever returned after creation.',
+      responses: {
+        200: json('Your keys', success({
+          apiKeys: { type: 'array', items: ref('ApiKey') },
+          count: { type: 'integer' }
+        }, ['apiKeys', 'count'])),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags,
+      summary: 'Create API key (shown once)',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: { type: 'string', maxLength: 100 },
+          scopes: { type: 'array', minItems: 1, items: { type: 'string' }, examples: [['properties:read']] },
+          expiresInDays: { type: ['integer', 'string'], description: 'Defaults to defaultExpiresInDays' }
+        }
+      }),
+      responses: {
+        201: json('Created; store the key now', success({
+          apiKey: ref('ApiKey'),
+          key: { type: 'string', description: 'Send as the X-API-Key header' }
+        }, ['apiKey', 'key'])),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/api/api-keys/{id}': {
+    delete: {
+      tags,
+      summary: 'Revoke API key',
+      parameters: [pathParam('id', 'API key id')],
+      responses: {
+        200: json('Key revoked', success()),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
@@ -0,0 +1,548 @@
+// openapi/paths/auth.js
+// /api/auth: registration, login (password, 2FA, magic link, SSO), sessions and the current user
+
+const {
+  ref, jsonBody, json, success, errors, pathParam, queryParam, PUBLIC, password, totpCode
+} = require('../components');
+
+const tags = ['Authentication'];
+
+const authResult = (description = 'Signed in, or a two-factor challenge') => json(description, ref('AuthResult'));
+
+const sessionResult = (description) => json(description, {
+  allOf: [ref('AuthResult')],
+  properties: {
+    firebaseUid: { type: ['string', 'null'] },
+    flow: { type: 'string', description: 'Which registration path was taken' },
+    warning: { type: 'string' }
+  }
+});
+
+const message = (description) => json(description, success());
+
+const emailBody = jsonBody({
+  type: 'object',
+  required: ['email'],
+  properties: { email: { type: 'string' } }
+});
+
+const tokenBody = (description) => jsonBody({
+  type: 'object',
+  required: ['token'],
+  properties: { token: { type: 'string', description } }
+});
+
+const firebaseSynced = { type: 'boolean', description: 'Present for Firebase-linked users' };
+
+module.exports = {
+  '/api/auth/register': {
+    post: {
+      tags,
+      summary: 'MySQL-first registration',
+      description: 'Creates the MySQL user, then a Firebase account when Firebase is available, and emails a verification link.',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'firstName', 'lastName'],
+        properties: {
+          email: { type: 'string' },
+          password: { ...password, description: 'Required unless skipFirebase is true' },
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+          displayName: { type: 'string' },
+          hotelName: { type: 'string' },
+          skipFirebase: { type: 'boolean', default: false }
+        }
+      }),
+      responses: {
+        201: sessionResult('Registered and signed in'),
+        ...errors(400, 409, 429)
+      }
+    }
+  },
+
+  '/api/auth/register-firebase': {
+    post: {
+      tags,
+      summary: 'Firebase-initiated users',
+      description: 'Signs in or creates the MySQL user for a Firebase ID token.',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['idToken'],
+        properties: {
+          idToken: { type: 'string' },
+          additionalData: {
+            type: 'object',
+            properties: {
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              displayName: { type: 'string' },
+              hotelName: { type: 'string' }
+            }
+          }
+        }
+      }),
+      responses: {
+        200: sessionResult('Existing user signed in or linked'),
+        201: sessionResult('New user created'),
+        ...errors(400, 401, 429, 503)
+      }
+    }
+  },
+
+  '/api/auth/login': {
+    post: {
+      tags,
+      summary: 'User authentication',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string' },
+          password: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: authResult(),
+        ...errors(400, 401, 423, 429)
+      }
+    }
+  },
+
+  '/api/auth/login/2fa': {
+    post: {
+      tags,
+      summary: 'Second login step (TOTP or recovery code)',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['challengeToken'],
+        properties: {
+          challengeToken: { type: 'string' },
+          code: totpCode,
+          recoveryCode: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: json('Signed in', {
+          allOf: [ref('AuthResult')],
+          properties: {
+            twoFactorMethod: { enum: ['totp', 'recovery_code'] },
+            recoveryCodesRemaining: { type: 'integer' }
+          }
+        }),
+        ...errors(400, 401, 423, 429)
+      }
+    }
+  },
+
+  '/api/auth/forgot-password': {
+    post: {
+      tags,
+      summary: 'Password recovery',
+      description: 'Always answers the same way so it does not reveal which emails are registered.',
+      security: PUBLIC,
+      requestBody: emailBody,
+      responses: {
+        200: message('Reset email sent if the account exists'),
+        ...errors(400, 429)
+      }
+    }
+  },
+
+  '/api/auth/reset-password': {
+    post: {
+      tags,
+      summary: 'Reset password with emailed token',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: { type: 'string' },
+          password
+        }
+      }),
+      responses: {
+        200: json('Password reset; every session is signed out', success({ firebaseSynced })),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/api/auth/refresh': {
+    post: {
+      tags,
+      summary: 'Rotate refresh token for a new access token',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['refreshToken'],
+        properties: { refreshToken: { type: 'string' } }
+      }),
+      responses: {
+        200: json('New token pair (the old refresh token stops working)', success({
+          token: { type: 'string' },
+          refreshToken: { type: 'string' },
+          expiresIn: { type: 'string' }
+        }, ['token', 'refreshToken'])),
+        ...errors(400, 401)
+      }
+    }
+  },
+
+  '/api/auth/magic-link': {
+    post: {
+      tags,
+      summary: 'Email a passwordless sign-in link',
+      security: PUBLIC,
+      requestBody: emailBody,
+      responses: {
+        200: message('Link sent if the account exists'),
+        ...errors(400, 429)
+      }
+    }
+  },
+
+  '/api/auth/magic-link/verify': {
+    post: {
+      tags,
+      summary: 'Sign in with a magic link',
+      security: PUBLIC,
+      requestBody: tokenBody('Token from the emailed link'),
+      responses: {
+        200: authResult(),
+        ...errors(400, 401, 429)
+      }
+    }
+  },
+
+  '/api/auth/verify-email': {
+    post: {
+      tags,
+      summary: 'Verify email with emailed token',
+      security: PUBLIC,
+      requestBody: tokenBody('Token from the verification email'),
+      responses: {
+        200: json('Email verified', success({ user: ref('User') }, ['user'])),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/api/auth/oidc/providers': {
+    get: {
+      tags,
+      summary: 'Single sign-on providers',
+      security: PUBLIC,
+      responses: {
+        200: json('Configured providers', success({
+          providers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'name'],
+              properties: { id: { type: 'string' }, name: { type: 'string' } }
+            }
+          }
+        }, ['providers'])),
+        ...errors()
+      }
+    }
+  },
+
+  '/api/auth/oidc/{provider}/authorize': {
+    get: {
+      tags,
+      summary: 'Start single sign-on',
+      security: PUBLIC,
+      parameters: [
+        pathParam('provider', 'Provider id from /api/auth/oidc/providers', { type: 'string' }),
+        queryParam('redirect', 'true redirects to the provider instead of returning the URL')
+      ],
+      responses: {
+        200: json('Provider authorization URL', success({ authorizationUrl: { type: 'string', format: 'uri' } }, ['authorizationUrl'])),
+        302: { description: 'Redirect to the provider (redirect=true)' },
+        ...errors(404, 429, 502)
+      }
+    }
+  },
+
+  '/api/auth/oidc/{provider}/callback': {
+    post: {
+      tags,
+      summary: 'Complete single sign-on',
+      security: PUBLIC,
+      parameters: [pathParam('provider', 'Provider id', { type: 'string' })],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['code', 'state'],
+        properties: {
+          code: { type: 'string' },
+          state: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: json('Signed in, or a two-factor challenge', {
+          allOf: [ref('AuthResult')],
+          properties: {
+            provider: { type: 'string' },
+            provisioned: { const: true, description: 'The account was created by this sign-in' }
+          }
+        }),
+        ...errors(400, 401, 403, 404, 409, 429)
+      }
+    }
+  },
+
+  '/api/auth/resend-verification': {
+    post: {
+      tags,
+      summary: 'Resend verification email',
+      responses: {
+        200: json('Sent, or already verified', success({ emailVerified: { type: 'boolean' } }, ['emailVerified'])),
+        ...errors(401, 404, 429, 502)
+      }
+    }
+  },
+
+  '/api/auth/me': {
+    get: {
+      tags,
+      summary: 'Current user info',
+      responses: {
+        200: json('The signed-in user', success({
+          user: ref('User'),
+          impersonation: {
+            type: 'object',
+            description: 'Present while an admin is impersonating this user',
+            properties: {
+              id: { type: 'integer' },
+              adminId: { type: 'integer' },
+              adminEmail: { type: 'string' },
+              expiresAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }, ['user'])),
+        ...errors(401, 404)
+      }
+    },
+    patch: {
+      tags,
+      summary: 'Update own profile',
+      requestBody: jsonBody({
+        type: 'object',
+        description: 'At least one field. Changing email needs currentPassword for password accounts and re-verification.',
+        properties: {
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+          displayName: { type: 'string' },
+          phone: { type: ['string', 'null'] },
+          avatarUrl: { type: ['string', 'null'] },
+          timezone: { type: ['string', 'null'] },
+          language: { type: ['string', 'null'] },
+          hotelName: { type: ['string', 'null'] },
+          email: { type: 'string' },
+          currentPassword: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: json('Updated profile', success({ user: ref('User') }, ['user'])),
+        ...errors(400, 401, 404, 409)
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Delete own account',
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { password: { type: 'string', description: 'Required for password accounts' } }
+      }, { required: false }),
+      responses: {
+        200: json('Account deleted', success({ firebaseDeleted: firebaseSynced })),
+        409: json('Sole owner of shared properties', {
+          allOf: [ref('Error')],
+          properties: { properties: { type: 'array', items: { type: 'object' } } }
+        }),
+        ...errors(401, 404)
+      }
+    }
+  },
+
+  '/api/auth/change-password': {
+    post: {
+      tags,
+      summary: 'Change password',
+      description: 'Signs out every other session.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+          currentPassword: { type: 'string' },
+          newPassword: password
+        }
+      }),
+      responses: {
+        200: json('Password changed', success({ firebaseSynced })),
+        ...errors(400, 401, 404)
+      }
+    }
+  },
+
+  '/api/auth/logout': {
+    post: {
+      tags,
+      summary: 'Revoke current session',
+      responses: {
+        200: message('Signed out'),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/auth/logout-all': {
+    post: {
+      tags,
+      summary: 'Revoke all sessions',
+      responses: {
+        200: json('Every session signed out', success({ revokedCount: { type: 'integer' } }, ['revokedCount'])),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/auth/impersonation/end': {
+    post: {
+      tags,
+      summary: 'End impersonation',
+      responses: {
+        200: message('Impersonation ended'),
+        ...errors(400, 401)
+      }
+    }
+  },
+
+  '/api/auth/sessions': {
+    get: {
+      tags,
+      summary: 'List active sessions',
+      responses: {
+        200: json('Active sessions', success({
+          sessions: { type: 'array', items: ref('Session') },
+          count: { type: 'integer' }
+        }, ['sessions', 'count'])),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/auth/sessions/{sessionId}': {
+    delete: {
+      tags,
+      summary: 'Revoke a session',
+      parameters: [pathParam('sessionId', 'Session id from /api/auth/sessions', { type: 'string' })],
+      responses: {
+        200: message('Session revoked'),
+        ...errors(401, 404)
+      }
+    }
+  },
+
+  '/api/auth/2fa/status': {
+    get: {
+      tags,
+      summary: 'Two-factor status',
+      responses: {
+        200: json('Two-factor status', success({
+          twoFactor: {
+            type: 'object',
+            required: ['enabled', 'required', 'recoveryCodesRemaining'],
+            properties: {
+              enabled: { type: 'boolean' },
+              enabledAt: { type: ['string', 'null'], format: 'date-time' },
+              required: { type: 'boolean', description: 'Mandatory for your role' },
+              recoveryCodesRemaining: { type: 'integer' }
+            }
+          }
+        }, ['twoFactor'])),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/auth/2fa/setup': {
+    post: {
+      tags,
+      summary: 'Start TOTP enrollment',
+      description: 'Also accepts the enrollment challenge token from login when 2FA is mandatory.',
+      responses: {
+        200: json('Secret for the authenticator app', success({
+          secret: { type: 'string' },
+          otpauthUri: { type: 'string' }
+        }, ['secret', 'otpauthUri'])),
+        ...errors(401, 404, 409)
+      }
+    }
+  },
+
+  '/api/auth/2fa/enable': {
+    post: {
+      tags,
+      summary: 'Confirm TOTP enrollment',
+      description: 'With an enrollment challenge token the response also signs the user in.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['code'],
+        properties: { code: totpCode }
+      }),
+      responses: {
+        200: json('Enabled; recovery codes are shown once', {
+          allOf: [ref('AuthResult')],
+          required: ['recoveryCodes'],
+          properties: { recoveryCodes: { type: 'array', items: { type: 'string' } } }
+        }),
+        ...errors(400, 401)
+      }
+    }
+  },
+
+  '/api/auth/2fa/disable': {
+    post: {
+      tags,
+      summary: 'Disable two-factor authentication',
+      requestBody: jsonBody({
+        type: 'object',
+        description: 'password (password accounts) and a code or recovery code',
+        properties: {
+          password: { type: 'string' },
+          code: totpCode,
+          recoveryCode: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: message('Disabled'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/auth/2fa/recovery-codes': {
+    post: {
+      tags,
+      summary: 'Regenerate recovery codes',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['code'],
+        properties: { code: totpCode }
+      }),
+      responses: {
+        200: json('New recovery codes (old ones stop working)', success({
+          recoveryCodes: { type: 'array', items: { type: 'string' } }
+        }, ['recoveryCodes'])),
+        ...errors(401)
+      }
+    }
+  }
+};
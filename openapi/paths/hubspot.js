@@ -0,0 +1,57 @@
+// openapi/paths/hubspot.js
+// /api/hubspot: CRM integration, mounted only when controllers/hubspotController.js is installed
+
+const { json, errors, PUBLIC } = require('../components');
+
+const tags = ['HubSpot'];
+const description = 'Only available when the HubSpot controller is installed (see HUBSPOT_ACCESS_TOKEN).';
+
+// The controller ships separately, so only the envelope is described
+const result = (summary) => json(summary, {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' }
+  }
+});
+
+module.exports = {
+  '/api/hubspot/status': {
+    get: {
+      tags,
+      security: PUBLIC,
+      description,
+      summary: 'HubSpot connection status',
+      responses: {
+        200: result('Integration status'),
+        ...errors(503)
+      }
+    }
+  },
+
+  '/api/hubspot/test-connection': {
+    get: {
+      tags,
+      security: PUBLIC,
+      description,
+      summary: 'Test HubSpot API',
+      responses: {
+        200: result('Connection test result'),
+        ...errors(502, 503)
+      }
+    }
+  },
+
+  '/api/hubspot/test-hotel': {
+    post: {
+      tags,
+      security: PUBLIC,
+      description,
+      summary: 'Test hotel data sync',
+      responses: {
+        200: result('Test hotel created in HubSpot'),
+        ...errors(502, 503)
+      }
+    }
+  }
+};
@@ -0,0 +1,125 @@
+// openapi/paths/invitations.js
+// /api/invitations: property team and organization invitations from the invitee's side
+
+const { ref, jsonBody, json, success, errors, pathParam, PUBLIC } = require('../components');
+
+const tags = ['Property teams'];
+const organizationTags = ['Organizations'];
+
+const tokenBody = jsonBody({
+  type: 'object',
+  required: ['token'],
+  properties: { token: { type: 'string', description: 'Token from the invitation email' } }
+});
+
+module.exports = {
+  '/api/invitations/organizations/mine': {
+    get: {
+      tags: organizationTags,
+      summary: 'Pending organization invitations for your email',
+      responses: {
+        200: json('Your pending organization invitations', success({
+          invitations: { type: 'array', items: ref('OrganizationInvitation') },
+          count: { type: 'integer' }
+        }, ['invitations', 'count'])),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/invitations/organizations/accept': {
+    post: {
+      tags: organizationTags,
+      summary: 'Accept an organization invitation (signed in with the invited email)',
+      requestBody: tokenBody,
+      responses: {
+        200: json('Joined the organization', success({
+          organizationId: { type: 'integer' },
+          role: ref('OrganizationRole')
+        }, ['organizationId', 'role'])),
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+
+  '/api/invitations/organizations/decline': {
+    post: {
+      tags: organizationTags,
+      summary: 'Decline an organization invitation',
+      security: PUBLIC,
+      requestBody: tokenBody,
+      responses: {
+        200: json('Invitation declined', success()),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/api/invitations/organizations/{token}': {
+    get: {
+      tags: organizationTags,
+      summary: 'Show an organization invitation (works before sign-up)',
+      security: PUBLIC,
+      parameters: [pathParam('token', 'Token from the invitation email', { type: 'string' })],
+      responses: {
+        200: json('The invitation', success({ invitation: ref('OrganizationInvitation') }, ['invitation'])),
+        ...errors(404)
+      }
+    }
+  },
+
+  '/api/invitations/mine': {
+    get: {
+      tags,
+      summary: 'Pending invitations for your email',
+      responses: {
+        200: json('Your pending invitations', success({
+          invitations: { type: 'array', items: ref('PropertyInvitation') },
+          count: { type: 'integer' }
+        }, ['invitations', 'count'])),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/invitations/accept': {
+    post: {
+      tags,
+      summary: 'Accept an invitation (signed in with the invited email)',
+      requestBody: tokenBody,
+      responses: {
+        200: json('Joined the property team', success({
+          propertyId: { type: 'integer' },
+          role: ref('PropertyRole')
+        }, ['propertyId', 'role'])),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/api/invitations/decline': {
+    post: {
+      tags,
+      summary: 'Decline an invitation',
+      security: PUBLIC,
+      requestBody: tokenBody,
+      responses: {
+        200: json('Invitation declined', success()),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/api/invitations/{token}': {
+    get: {
+      tags,
+      summary: 'Show an invitation (works before sign-up)',
+      security: PUBLIC,
+      parameters: [pathParam('token', 'Token from the invitation email', { type: 'string' })],
+      responses: {
+        200: json('The invitation', success({ invitation: ref('PropertyInvitation') }, ['invitation'])),
+        ...errors(404)
+      }
+    }
+  }
+};
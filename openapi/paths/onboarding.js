@@ -0,0 +1,189 @@
+// openapi/paths/onboarding.js
+// /api/onboarding: the three-step hotel onboarding flow
+
+const {
+  ref, jsonBody, json, success, errors, pathParam, pageParams, BEARER_OR_API_KEY
+} = require('../components');
+
+const tags = ['Onboarding'];
+const security = BEARER_OR_API_KEY;
+
+// Yes/no flags the onboarding form binds to
+const yesNo = { enum: ['yes', 'no'] };
+// Stored values come back as the database returns them (DECIMAL as a string, blank when unset)
+const stored = { type: ['string', 'number', 'null'] };
+
+module.exports = {
+  '/api/onboarding/complete': {
+    post: {
+      tags,
+      security,
+      summary: 'Complete onboarding',
+      description: 'Creates the property with its room types, systems, amenities, tax, cancellation policies and image metadata in one transaction. ' +
+        'Requires a verified email.',
+      requestBody: jsonBody(ref('OnboardingSubmission')),
+      responses: {
+        201: json('Onboarding saved', success({
+          data: {
+            type: 'object',
+            required: ['propertyId', 'property', 'summary'],
+            properties: {
+              propertyId: { type: 'integer' },
+              property: ref('Property'),
+              summary: ref('OnboardingSummary')
+            }
+          }
+        }, ['data'])),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/api/onboarding/status': {
+    get: {
+      tags,
+      security,
+      summary: 'Get onboarding status',
+      responses: {
+        200: json('Whether you have completed onboarding', success({
+          completed: { type: 'boolean' },
+          completion: {
+            type: 'object',
+            properties: {
+              propertyId: { type: 'integer' },
+              hotelName: { type: 'string' },
+              propertyStatus: { type: 'string' },
+              completedAt: { type: ['string', 'null'] },
+              summary: { type: 'object' }
+            }
+          }
+        }, ['completed'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/onboarding/save-progress': {
+    post: {
+      tags,
+      security,
+      summary: 'Save progress',
+      description: 'Acknowledges a step of the multi-step form (progress is not stored yet).',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['step', 'data'],
+        properties: {
+          step: { type: ['integer', 'string'] },
+          data: { type: 'object', description: 'Form values for the step' }
+        }
+      }),
+      responses: {
+        200: json('Progress acknowledged', success({
+          step: { type: ['integer', 'string'] },
+          savedAt: { type: 'string', format: 'date-time' }
+        }, ['step', 'savedAt'])),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/api/onboarding/test': {
+    get: {
+      tags,
+      security,
+      summary: 'Test endpoint',
+      responses: {
+        200: json('Echoes the authenticated caller', success({
+          user: { type: 'object' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }, ['timestamp'])),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/onboarding/property/{propertyId}': {
+    get: {
+      tags,
+      security,
+      summary: 'Get onboarding data for editing',
+      description: 'Flattened in the shape the onboarding form binds to; cancellation policies appear as <type>Cancellation keys.',
+      parameters: [pathParam('propertyId', 'Property id (you must be on its team)')],
+      responses: {
+        200: json('Saved onboarding data', success({
+          data: {
+            type: 'object',
+            properties: {
+              totalRooms: { type: ['integer', 'null'] },
+              roomTypes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'integer' },
+                    name: { type: ['string', 'null'] },
+                    beddingConfig1: { type: 'boolean' },
+                    beddingConfig2: { type: 'boolean' },
+                    minimumRate: stored,
+                    maximumRate: stored,
+                    maxCapacity: { type: 'string' },
+                    guestsIncluded: { type: 'string' },
+                    extraAdultRate: stored,
+                    totalRoomsInType: stored,
+                    roomSize: stored,
+                    chargeType: { type: ['string', 'null'] },
+                    roomOnly: yesNo,
+                    bedBreakfast: yesNo,
+                    halfBoard: yesNo,
+                    fullBoard: yesNo,
+                    allInclusive: yesNo
+                  }
+                }
+              },
+              ...Object.fromEntries(
+                ['pms', 'bookingEngine', 'channelManager', 'gds', 'rms', 'otherSystem'].map(name => [name, ref('OnboardingSystem')])
+              ),
+              amenities: { type: 'array', items: { type: 'string' } },
+              imagery: {
+                type: 'object',
+                additionalProperties: { type: 'array', items: ref('OnboardingImage') }
+              },
+              federalChargeable: yesNo,
+              taxRate: stored,
+              taxConcessions: stored,
+              localTax: stored,
+              tourismTax: stored
+            }
+          }
+        }, ['data'])),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/onboarding/admin/completions': {
+    get: {
+      tags,
+      security,
+      summary: 'Review onboarding completions (requires onboarding:review)',
+      description: 'Organization staff only see their organization\'s hotels.',
+      parameters: pageParams(20),
+      responses: {
+        200: json('A page of completions', success({
+          completions: { type: 'array', items: { type: 'object' } },
+          pagination: {
+            type: 'object',
+            required: ['page', 'limit', 'total', 'pages'],
+            properties: {
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              total: { type: 'integer' },
+              pages: { type: 'integer' }
+            }
+          }
+        }, ['completions', 'pagination'])),
+        ...errors(401, 403)
+      }
+    }
+  }
+};
@@ -0,0 +1,286 @@
+// openapi/paths/organizations.js
+// /api/organizations: tenants (management companies, ownership groups) with their members and properties
+
+const {
+  ref, jsonBody, json, success, errors, pathParam, queryParam, pageParams
+} = require('../components');
+
+const tags = ['Organizations'];
+
+const organizationId = pathParam('id', 'Organization id');
+const userId = pathParam('userId', 'Member user id');
+
+const organization = (description, extra = {}) => json(description, success({
+  organization: ref('Organization'),
+  ...extra
+}, ['organization']));
+
+const message = (description) => json(description, success());
+
+const memberRole = {
+  type: 'object',
+  required: ['userId', 'role'],
+  properties: {
+    userId: { type: 'integer' },
+    email: { type: 'string' },
+    role: ref('OrganizationRole')
+  }
+};
+
+module.exports = {
+  '/api/organizations/mine': {
+    get: {
+      tags,
+      summary: 'My organization',
+      responses: {
+        200: json('Your organization and role (both null when you are not in one)', success({
+          organization: { anyOf: [ref('Organization'), { type: 'null' }] },
+          role: { anyOf: [ref('OrganizationRole'), { type: 'null' }] }
+        }, ['organization', 'role'])),
+        ...errors(401)
+      }
+    }
+  },
+
+  '/api/organizations': {
+    get: {
+      tags,
+      summary: 'List organizations (platform staff)',
+      parameters: pageParams(50, 200),
+      responses: {
+        200: json('A page of organizations', success({
+          organizations: { type: 'array', items: ref('Organization') },
+          count: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' }
+        }, ['organizations', 'count'])),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags,
+      summary: 'Create organization (platform staff)',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          type: { ...ref('OrganizationType'), default: 'management_company' },
+          slug: { type: 'string', description: 'Generated from the name when omitted' },
+          adminEmail: { type: 'string', description: 'Existing user to make the first organization admin' }
+        }
+      }),
+      responses: {
+        201: organization('Organization created'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/api/organizations/{id}': {
+    parameters: [organizationId],
+    get: {
+      tags,
+      summary: 'Organization details',
+      responses: {
+        200: organization('The organization', { yourRole: { type: ['string', 'null'] } }),
+        ...errors(401, 403, 404)
+      }
+    },
+    patch: {
+      tags,
+      summary: 'Update organization (org admins)',
+      description: 'Only platform staff can change isActive.',
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: ref('OrganizationType'),
+          isActive: { type: 'boolean' }
+        }
+      }),
+      responses: {
+        200: organization('Updated organization'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/members': {
+    parameters: [organizationId],
+    get: {
+      tags,
+      summary: 'Organization members (org admins)',
+      responses: {
+        200: json('Members', success({
+          members: { type: 'array', items: ref('OrganizationMember') },
+          count: { type: 'integer' }
+        }, ['members', 'count'])),
+        ...errors(401, 403, 404)
+      }
+    },
+    post: {
+      tags,
+      summary: 'Add member by email (platform staff; org admins send invitations)',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string' },
+          role: { ...ref('OrganizationRole'), default: 'member' }
+        }
+      }),
+      responses: {
+        201: json('Member added', success({ member: memberRole }, ['member'])),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/invitations': {
+    parameters: [organizationId],
+    get: {
+      tags,
+      summary: 'Pending invitations (org admins)',
+      responses: {
+        200: json('Pending invitations', success({
+          invitations: { type: 'array', items: ref('OrganizationInvitation') },
+          count: { type: 'integer' }
+        }, ['invitations', 'count'])),
+        ...errors(401, 403, 404)
+      }
+    },
+    post: {
+      tags,
+      summary: 'Invite someone to the organization (org admins)',
+      description: 'The user joins only by accepting the emailed invitation (POST /api/invitations/organizations/accept).',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string' },
+          role: { ...ref('OrganizationRole'), default: 'member' }
+        }
+      }),
+      responses: {
+        201: json('Invitation sent', success({ invitation: ref('OrganizationInvitation') }, ['invitation'])),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/invitations/{invitationId}': {
+    parameters: [organizationId, pathParam('invitationId', 'Invitation id')],
+    delete: {
+      tags,
+      summary: 'Revoke a pending invitation (org admins)',
+      responses: {
+        200: message('Invitation revoked'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/members/{userId}': {
+    parameters: [organizationId, userId],
+    patch: {
+      tags,
+      summary: 'Change member role (org admins)',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: ref('OrganizationRole') }
+      }),
+      responses: {
+        200: json('Role changed', success({ member: memberRole }, ['member'])),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Remove member or leave organization',
+      responses: {
+        200: message('Member removed'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/api-keys': {
+    parameters: [organizationId],
+    get: {
+      tags,
+      summary: 'API keys issued for the organization (org admins)',
+      description: 'Every member\'s keys for this organization, revoked and expired ones included. Only prefixes are returned.',
+      responses: {
+        200: json('The organization\'s keys', success({
+          apiKeys: { type: 'array', items: ref('ApiKey') },
+          count: { type: 'integer' }
+        }, ['apiKeys', 'count'])),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/api-keys/{apiKeyId}': {
+    parameters: [organizationId, pathParam('apiKeyId', 'API key id')],
+    delete: {
+      tags,
+      summary: 'Revoke an API key issued for the organization (org admins)',
+      responses: {
+        200: message('API key revoked'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/properties': {
+    parameters: [organizationId],
+    get: {
+      tags,
+      summary: 'Organization properties (org admins)',
+      parameters: [
+        ...pageParams(50),
+        queryParam('status', 'Filter by status (pending, active or inactive)'),
+        queryParam('country', 'Filter by country')
+      ],
+      responses: {
+        200: json('A page of properties', success({
+          properties: { type: 'array', items: ref('Property') },
+          count: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' }
+        }, ['properties', 'count'])),
+        ...errors(401, 403, 404)
+      }
+    },
+    post: {
+      tags,
+      summary: 'Attach property',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['propertyId'],
+        properties: { propertyId: { type: ['integer', 'string'] } }
+      }),
+      responses: {
+        200: json('Property attached', success({
+          propertyId: { type: 'integer' },
+          organizationId: { type: 'integer' }
+        }, ['propertyId', 'organizationId'])),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/api/organizations/{id}/properties/{propertyId}': {
+    parameters: [organizationId, pathParam('propertyId', 'Property id')],
+    delete: {
+      tags,
+      summary: 'Detach property (platform staff)',
+      responses: {
+        200: message('Property detached'),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
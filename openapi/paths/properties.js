@@ -0,0 +1,261 @@
+// openapi/paths/properties.js
+// /api/properties: property CRUD, portfolio stats and property teams
+
+const {
+  ref, jsonBody, json, success, errors, pathParam, queryParam, pageParams, BEARER_OR_API_KEY
+} = require('../components');
+
+const tags = ['Properties'];
+const teamTags = ['Property teams'];
+const security = BEARER_OR_API_KEY;
+
+const propertyId = pathParam('id', 'Property id');
+const userId = pathParam('userId', 'Team member user id');
+
+const property = (description) => json(description, success({ property: ref('Property') }, ['property']));
+const message = (description) => json(description, success());
+
+const countRows = (field) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      [field]: { type: ['string', 'null'] },
+      count: { type: 'integer' }
+    }
+  }
+});
+
+module.exports = {
+  '/api/properties': {
+    post: {
+      tags,
+      security,
+      summary: 'Create property',
+      description: 'Requires a verified email. The property joins your organization, if any.',
+      requestBody: jsonBody({
+        allOf: [ref('PropertyFields')],
+        required: ['hotelName', 'city', 'state', 'postcode', 'country', 'contactName', 'contactEmail']
+      }),
+      responses: {
+        201: json('Property created', success({
+          property: ref('Property'),
+          propertyId: { type: 'integer' }
+        }, ['property', 'propertyId'])),
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+
+  '/api/properties/my-properties': {
+    get: {
+      tags,
+      security,
+      summary: 'Get user properties',
+      description: 'Properties you are a team member of, with your role.',
+      responses: {
+        200: json('Your properties', success({
+          properties: { type: 'array', items: ref('Property') },
+          count: { type: 'integer' }
+        }, ['properties', 'count'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/properties/all': {
+    get: {
+      tags,
+      security,
+      summary: 'Get all properties (requires property:read:any)',
+      description: 'Organization staff only see their organization\'s properties.',
+      parameters: [
+        ...pageParams(50),
+        queryParam('country', 'Filter by country'),
+        queryParam('category', 'Filter by category'),
+        queryParam('type', 'Filter by property type'),
+        queryParam('status', 'Filter by status (pending, active or inactive)'),
+        queryParam('state', 'Filter by state'),
+        queryParam('currency', 'Filter by currency'),
+        queryParam('organizationId', 'Filter by organization (platform staff)', { type: 'integer' })
+      ],
+      responses: {
+        200: json('A page of properties', success({
+          properties: { type: 'array', items: ref('Property') },
+          count: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          filters: { type: 'object' }
+        }, ['properties', 'count', 'page', 'limit'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/properties/stats': {
+    get: {
+      tags,
+      security,
+      summary: 'Get property statistics (requires property:stats)',
+      description: 'Organization staff get their organization\'s portfolio.',
+      parameters: [queryParam('organizationId', 'Limit to an organization (platform staff)', { type: 'integer' })],
+      responses: {
+        200: json('Portfolio statistics', success({
+          stats: {
+            type: 'object',
+            description: 'Counts and room totals (aggregates may be serialized as strings)',
+            properties: {
+              total_properties: { type: ['integer', 'string'] },
+              active_properties: { type: ['integer', 'string'] },
+              pending_properties: { type: ['integer', 'string'] },
+              inactive_properties: { type: ['integer', 'string'] },
+              avg_rooms: { type: ['number', 'string', 'null'] },
+              total_rooms_all: { type: ['number', 'string', 'null'] }
+            }
+          },
+          byCategory: countRows('category'),
+          byCountry: countRows('country'),
+          byState: countRows('state'),
+          byCurrency: countRows('currency'),
+          recent: { type: 'array', items: { type: 'object' } },
+          organizationId: { type: 'integer' }
+        }, ['stats'])),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/api/properties/{id}': {
+    parameters: [propertyId],
+    get: {
+      tags,
+      security,
+      summary: 'Get specific property',
+      responses: {
+        200: property('The property, with your team role'),
+        ...errors(401, 403, 404)
+      }
+    },
+    put: {
+      tags,
+      security,
+      summary: 'Update property',
+      requestBody: jsonBody(ref('PropertyFields')),
+      responses: {
+        200: property('Updated property'),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags,
+      security,
+      summary: 'Delete property',
+      responses: {
+        200: message('Property deleted'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/properties/{id}/status': {
+    parameters: [propertyId],
+    patch: {
+      tags,
+      security,
+      summary: 'Update property status',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status'],
+        properties: { status: ref('PropertyStatus') }
+      }),
+      responses: {
+        200: property('Updated property'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/properties/{id}/members': {
+    parameters: [propertyId],
+    get: {
+      tags: teamTags,
+      security,
+      summary: 'List property team and pending invitations',
+      responses: {
+        200: json('Team members and invitations', success({
+          members: { type: 'array', items: ref('PropertyMember') },
+          invitations: { type: 'array', items: ref('PropertyInvitation') },
+          yourRole: { anyOf: [ref('PropertyRole'), { type: 'null' }] }
+        }, ['members', 'invitations'])),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/api/properties/{id}/members/{userId}': {
+    parameters: [propertyId, userId],
+    patch: {
+      tags: teamTags,
+      security,
+      summary: 'Change a member\'s property role (owners)',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: ref('PropertyRole') }
+      }),
+      responses: {
+        200: json('Role changed', success({
+          member: {
+            type: 'object',
+            required: ['userId', 'role'],
+            properties: { userId: { type: 'integer' }, role: ref('PropertyRole') }
+          }
+        }, ['member'])),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags: teamTags,
+      security,
+      summary: 'Remove a member (owners) or leave the property',
+      responses: {
+        200: message('Member removed'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/api/properties/{id}/invitations': {
+    parameters: [propertyId],
+    post: {
+      tags: teamTags,
+      security,
+      summary: 'Invite someone to the property team',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string' },
+          role: { ...ref('PropertyRole'), default: 'viewer' }
+        }
+      }),
+      responses: {
+        201: json('Invitation sent', success({ invitation: ref('PropertyInvitation') }, ['invitation'])),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/api/properties/{id}/invitations/{invitationId}': {
+    parameters: [propertyId, pathParam('invitationId', 'Invitation id')],
+    delete: {
+      tags: teamTags,
+      security,
+      summary: 'Revoke a pending invitation',
+      responses: {
+        200: message('Invitation revoked'),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
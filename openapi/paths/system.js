@@ -0,0 +1,195 @@
+// openapi/paths/system.js
+// Health, server information and this API description
+
+const { json, errors, PUBLIC } = require('../components');
+
+const tags = ['System'];
+const security = PUBLIC;
+
+const health = (description) => json(description, {
+  type: 'object',
+  required: ['status', 'timestamp', 'version', 'database'],
+  properties: {
+    status: { enum: ['OK', 'ERROR'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    version: { type: 'string' },
+    database: { type: 'string' },
+    firebase: { type: 'string' },
+    authSystem: { type: 'string' },
+    aiServices: { type: 'string' },
+    httpsEnabled: { type: 'boolean' },
+    features: { type: 'object', additionalProperties: { type: 'boolean' } },
+    error: { type: 'string' }
+  }
+});
+
+const check = {
+  type: 'object',
+  required: ['status', 'critical', 'durationMs'],
+  properties: {
+    status: { enum: ['up', 'down', 'disabled'] },
+    critical: { type: 'boolean', description: 'When down, the server is unavailable rather than degraded' },
+    durationMs: { type: 'number' },
+    error: { type: 'string' }
+  },
+  additionalProperties: true
+};
+
+const readiness = (description) => json(description, {
+  type: 'object',
+  required: ['status', 'timestamp', 'version', 'checks'],
+  properties: {
+    status: { enum: ['ok', 'degraded', 'unavailable'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    version: { type: 'string' },
+    checks: {
+      type: 'object',
+      required: ['database', 'migrations', 'firebase', 'openai', 'hubspot'],
+      properties: {
+        database: {
+          ...check,
+          properties: {
+            ...check.properties,
+            latencyMs: { type: 'number' },
+            pool: {
+              type: 'object',
+              description: 'Counts read from mysql2 internals; null when the installed mysql2 does not expose one',
+              properties: {
+                active: { type: ['integer', 'null'] },
+                idle: { type: ['integer', 'null'] },
+                queued: { type: ['integer', 'null'] },
+                limit: { type: 'integer' }
+              }
+            }
+          }
+        },
+        migrations: {
+          ...check,
+          properties: {
+            ...check.properties,
+            current: { type: 'integer', description: 'Latest applied migration version' },
+            latest: { type: 'integer', description: 'Latest migration version in this release' },
+            pending: { type: 'integer' },
+            modified: { type: 'integer' },
+            missing: { type: 'integer' }
+          }
+        },
+        firebase: check,
+        openai: check,
+        hubspot: check
+      }
+    }
+  }
+});
+
+module.exports = {
+  '/api/health/live': {
+    get: {
+      tags,
+      security,
+      summary: 'Liveness check',
+      description: 'Answers as long as the process serves requests; no dependency is checked.',
+      responses: {
+        200: json('Process is up', {
+          type: 'object',
+          required: ['status', 'timestamp', 'uptimeSeconds'],
+          properties: {
+            status: { const: 'ok' },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptimeSeconds: { type: 'integer' }
+          }
+        })
+      }
+    }
+  },
+
+  '/api/health/ready': {
+    get: {
+      tags,
+      security,
+      summary: 'Readiness check',
+      description: 'Checks MySQL (query latency), the schema version, Firebase Admin, OpenAI and HubSpot, each within ' +
+        'HEALTH_CHECK_TIMEOUT_MS. Firebase, OpenAI and HubSpot are only called with HEALTH_PROBE_EXTERNAL=true. ' +
+        'A non-critical dependency that is down makes the status degraded (200); MySQL or pending migrations make ' +
+        'it unavailable (503).',
+      responses: {
+        200: readiness('Ready (ok or degraded)'),
+        503: readiness('MySQL unreachable or migrations pending')
+      }
+    }
+  },
+
+  '/api/health': {
+    get: {
+      tags,
+      security,
+      summary: 'Server health check',
+      responses: {
+        200: health('Server and database are up'),
+        503: health('Database unreachable')
+      }
+    }
+  },
+
+  '/api/test': {
+    get: {
+      tags,
+      security,
+      summary: 'Server information',
+      responses: {
+        200: json('Version, enabled features and the endpoint list', {
+          type: 'object',
+          required: ['message', 'version', 'endpoints'],
+          properties: {
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            authSystem: { type: 'string' },
+            version: { type: 'string' },
+            features: { type: 'object', additionalProperties: { type: 'boolean' } },
+            endpoints: { type: 'array', items: { type: 'string' } },
+            registrationFlow: { type: 'array', items: { type: 'string' } },
+            aiAssistants: { type: ['object', 'null'] }
+          }
+        }),
+        ...errors()
+      }
+    }
+  },
+
+  '/api/openapi.json': {
+    get: {
+      tags,
+      security,
+      summary: 'OpenAPI document',
+      responses: {
+        200: json('This document', { type: 'object', required: ['openapi', 'info', 'paths'] })
+      }
+    }
+  },
+
+  '/api/docs': {
+    get: {
+      tags,
+      security,
+      summary: 'API documentation (Swagger UI)',
+      responses: {
+        200: { description: 'Documentation page', content: { 'text/html': { schema: { type: 'string' } } } }
+      }
+    }
+  },
+
+  '/metrics': {
+    get: {
+      tags,
+      // The token is only checked when METRICS_TOKEN is configured
+      security: [{}, { metricsToken: [] }],
+      summary: 'Prometheus metrics',
+      description: 'Request latency by route, MySQL pool, OpenAI and Firebase calls and business counters, ' +
+        'in the Prometheus text format. Served unless METRICS_ENABLED=false.',
+      responses: {
+        200: { description: 'Metrics', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...errors(401)
+      }
+    }
+  }
+};
@@ -0,0 +1,41 @@
+// routes/admin.js
+// Administration endpoints (users, impersonation, roles, permissions and login lockouts)
+
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const lockoutController = require('../controllers/lockoutController');
+const adminUserController = require('../controllers/adminUserController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+// All routes require authentication
+router.use(auth);
+
+// Permission registry
+router.get('/permissions', requirePermission('roles:read', 'roles:manage'), roleController.listPermissions);
+
+// Roles and their permissions
+router.get('/roles', requirePermission('roles:read', 'roles:manage'), roleController.listRoles);
+router.put('/roles/:role/permissions', requirePermission('roles:manage'), roleController.updateRolePermissions);
+
+// Users
+router.get('/users', requirePermission('users:read', 'users:manage'), adminUserController.listUsers);
+router.get('/users/:id', requirePermission('users:read', 'users:manage'), adminUserController.getUser);
+router.patch('/users/:id/role', requirePermission('users:manage'), adminUserController.updateUserRole);
+router.post('/users/:id/deactivate', requirePermission('users:manage'), adminUserController.deactivateUser);
+router.post('/users/:id/activate', requirePermission('users:manage'), adminUserController.activateUser);
+router.post('/users/:id/restore', requirePermission('users:manage'), adminUserController.restoreUser);
+router.post('/users/:id/force-password-reset', requirePermission('users:manage'), adminUserController.forcePasswordReset);
+
+// Impersonation (read-only, audited)
+router.post('/impersonate/:userId', requirePermission('users:impersonate'), adminUserController.impersonateUser);
+
+// MySQL <-> Firebase account reconciliation
+router.post('/accounts/reconcile', requirePermission('system:maintenance'), adminUserController.reconcileAccounts);
+
+// Login lockouts (brute-force protection)
+router.get('/lockouts', requirePermission('users:unlock'), lockoutController.listLockouts);
+router.post('/lockouts/unlock', requirePermission('users:unlock'), lockoutController.unlock);
+
+module.exports = router;
@@ -3,6 +3,8 @@ const express = require('express');
 const multer = require('multer');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/ai');
 
 // Configure multer for audio file uploads
 const upload = multer({ 
@@ -22,7 +24,7 @@ const upload = multer({
 
 // Chat with AI Assistant
 // POST /api/ai/chat
-router.post('/chat', aiController.chat);
+router.post('/chat', validate(schemas.chat), aiController.chat);
 
 // Transcribe audio to text
 // POST /api/ai/transcribe
@@ -30,7 +32,7 @@ router.post('/transcribe', upload.single('audio'), aiController.transcribe);
 
 // Convert text to speech
 // POST /api/ai/speak
-router.post('/speak', aiController.speak);
+router.post('/speak', validate(schemas.speak), aiController.speak);
 
 // AI services health check
 // GET /api/ai/health
@@ -0,0 +1,19 @@
+// routes/apiKeys.js
+// Self-service API key management (API keys themselves are not accepted here)
+
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+// All routes require authentication and the apikeys:manage permission
+router.use(auth);
+router.use(requirePermission('apikeys:manage'));
+
+router.get('/scopes', apiKeyController.listScopes);
+router.get('/', apiKeyController.listApiKeys);
+router.post('/', apiKeyController.createApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
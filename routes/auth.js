@@ -2,30 +2,62 @@
 // Enhanced auth routes with MySQL-first registration and Firebase debug
 
 const express = require('express');
+const config = require('../config');
+const { logger } = require('../services/logger');
+const { formatError } = require('../utils/helpers');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const oidcController = require('../controllers/oidcController');
 
 // Middleware for authentication (JWT or Firebase token verification)
 const authMiddleware = require('../middleware/auth');
+const twoFactorEnrollment = require('../middleware/twoFactorEnrollment');
+const { loginLimiter, registerLimiter, forgotPasswordLimiter, magicLinkLimiter } = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/auth');
 
 // Public routes
-router.post('/register', authController.register);
-router.post('/register-firebase', authController.registerFirebaseUser);
-router.post('/login', authController.login);
-router.post('/forgot-password', authController.forgotPassword);
+router.post('/register', registerLimiter, validate(schemas.register), authController.register);
+router.post('/register-firebase', registerLimiter, validate(schemas.registerFirebase), authController.registerFirebaseUser);
+router.post('/login', loginLimiter, validate(schemas.login), authController.login);
+router.post('/login/2fa', loginLimiter, authController.loginTwoFactor);
+router.post('/forgot-password', forgotPasswordLimiter, authController.forgotPassword);
+router.post('/magic-link', magicLinkLimiter, authController.requestMagicLink);
+router.post('/magic-link/verify', loginLimiter, authController.verifyMagicLink);
+router.post('/reset-password', authController.resetPassword);
+router.post('/refresh', authController.refreshToken);
+router.post('/verify-email', authController.verifyEmail);
+
+// Single sign-on (OpenID Connect)
+router.get('/oidc/providers', oidcController.listProviders);
+router.get('/oidc/:provider/authorize', loginLimiter, oidcController.authorize);
+router.post('/oidc/:provider/callback', loginLimiter, oidcController.callback);
 
 // Protected routes
 router.get('/me', authMiddleware, authController.getCurrentUser);
+router.patch('/me', authMiddleware, authController.updateCurrentUser);
+router.delete('/me', authMiddleware, authController.deleteCurrentUser);
+router.post('/change-password', authMiddleware, authController.changePassword);
+router.post('/resend-verification', authMiddleware, authController.resendVerification);
+router.post('/logout', authMiddleware, authController.logout);
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+router.post('/impersonation/end', authMiddleware, authController.endImpersonation);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions/:sessionId', authMiddleware, authController.revokeSession);
 
-// Utility routes
-router.delete('/cleanup-orphaned', authController.cleanupOrphanedUsers);
+// Two-factor authentication (setup/enable also accept an enrollment challenge token)
+router.get('/2fa/status', authMiddleware, authController.getTwoFactorStatus);
+router.post('/2fa/setup', twoFactorEnrollment, authController.setupTwoFactor);
+router.post('/2fa/enable', twoFactorEnrollment, authController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, authController.regenerateRecoveryCodes);
 
 // Debug routes (development only)
-if (process.env.NODE_ENV === 'development') {
+if (config.isDevelopment) {
   router.get('/debug/firebase', authController.debugFirebase);
   
   // Test registration endpoint with detailed logging
-  router.post('/debug/test-registration', async (req, res) => {
+  router.post('/debug/test-registration', async (req, res, next) => {
     try {
       const testData = {
         email: `test-${Date.now()}@nuvho.com`,
@@ -34,14 +66,10 @@ if (process.env.NODE_ENV === 'development') {
         lastName: 'User',
         displayName: 'Test User',
         hotelName: 'Test Hotel',
-        role: 'hoteluser',
         ...req.body
       };
       
-      console.log('🧪 Starting test registration with data:', {
-        ...testData,
-        password: '[REDACTED]'
-      });
+      logger.info('Starting test registration', { testData });
       
       // Create mock request/response for controller
       const mockReq = { body: testData };
@@ -54,7 +82,7 @@ if (process.env.NODE_ENV === 'development') {
         },
         json: (data) => {
           responseData.data = data;
-          console.log('🧪 Test registration result:', {
+          logger.info('Test registration result', {
             status: responseData.status,
             success: data.success,
             flow: data.flow,
@@ -75,14 +103,11 @@ if (process.env.NODE_ENV === 'development') {
         }
       };
       
-      await authController.register(mockReq, mockRes);
+      // Errors the controller forwards are reported in the result like any other response
+      await authController.register(mockReq, mockRes, (error) => mockRes.status(error.status || 500).json(formatError(error)));
       
     } catch (error) {
-      console.error('🧪 Test registration failed:', error);
-      res.status(500).json({
-        testStatus: 'failed',
-        error: error.message
-      });
+      next(error);
     }
   });
 }
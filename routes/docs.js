@@ -0,0 +1,55 @@
+// routes/docs.js
+// API description: the OpenAPI document and a Swagger UI page to browse it (assets served locally, no CDN)
+// GET /api/openapi.json
+// GET /api/docs
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const router = express.Router();
+const { document } = require('../openapi');
+
+const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${document.info.title}</title>
+  <link rel="stylesheet" href="/api/docs/swagger-ui.css">
+  <link rel="icon" type="image/png" href="/api/docs/favicon-32x32.png" sizes="32x32">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/swagger-ui-bundle.js"></script>
+  <script src="/api/docs/swagger-ui-standalone-preset.js"></script>
+  <script src="/api/docs/swagger-initializer.js"></script>
+</body>
+</html>
+`;
+
+// Replaces the petstore initializer that ships with swagger-ui-dist
+const initializer = `window.onload = () => {
+  window.ui = SwaggerUIBundle({
+    url: '/api/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`;
+
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+router.get('/docs', (req, res) => {
+  res.type('html').send(page);
+});
+
+router.get('/docs/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(initializer);
+});
+
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,92 @@
+// routes/health.js
+// Health endpoints (services/health.js)
+// GET /api/health/live: the process is up and serving requests (restart it if not); touches no dependency
+// GET /api/health/ready: dependency checks; 503 only when MySQL or the schema is not usable, so load
+// balancers stop routing here, while a 'degraded' 200 keeps traffic flowing when an optional service is down
+// GET /api/health: summary kept for existing monitors
+
+const express = require('express');
+const config = require('../config');
+const { runCheck, checkReadiness } = require('../services/health');
+const { getFirebaseAdmin } = require('../services/firebaseAdmin');
+
+const router = express.Router();
+
+const VERSION = '2.1.0';
+
+// Health answers must never come from a cache
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
+router.get('/ready', async (req, res, next) => {
+  try {
+    const { status, checks } = await checkReadiness();
+
+    res.status(status === 'unavailable' ? 503 : 200).json({
+      status,
+      timestamp: new Date().toISOString(),
+      version: VERSION,
+      checks
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/', async (req, res, next) => {
+  try {
+    // Firebase availability can change after start-up (tests swap in a fake), so read it per request
+    const firebaseEnabled = !!getFirebaseAdmin();
+    const database = await runCheck('database');
+
+    if (database.status !== 'up') {
+      return res.status(503).json({
+        status: 'ERROR',
+        timestamp: new Date().toISOString(),
+        version: VERSION,
+        database: 'Connection Failed',
+        firebase: firebaseEnabled ? 'Available' : 'Not Available',
+        authSystem: 'Unavailable',
+        error: database.error
+      });
+    }
+
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      version: VERSION,
+      database: 'Connected',
+      firebase: firebaseEnabled ? 'Available' : 'Not Available',
+      authSystem: firebaseEnabled ? 'MySQL-First + Firebase Backup' : 'MySQL-Only',
+      aiServices: config.openai.enabled ? 'Available' : 'Not Configured',
+      httpsEnabled: config.ssl.enabled,
+      features: {
+        mysqlFirst: true,
+        firebaseBackup: firebaseEnabled,
+        accountReconciliation: true,
+        hybridAuthentication: firebaseEnabled,
+        aiChat: config.openai.enabled,
+        voiceTranscription: config.openai.enabled,
+        textToSpeech: config.openai.enabled,
+        nuvhoAnalyst: !!config.openai.assistantId,
+        nuvhoManager: !!config.openai.managerAssistantId
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
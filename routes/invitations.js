@@ -0,0 +1,26 @@
+// routes/invitations.js
+// Responding to property team and organization invitations
+
+const express = require('express');
+const router = express.Router();
+const propertyTeamController = require('../controllers/propertyTeamController');
+const organizationController = require('../controllers/organizationController');
+const auth = require('../middleware/auth');
+
+// Organization invitations (before /:token so the paths are not read as property tokens)
+router.get('/organizations/mine', auth, organizationController.getMyInvitations);
+router.post('/organizations/accept', auth, organizationController.acceptInvitation);
+router.post('/organizations/decline', organizationController.declineInvitation);
+router.get('/organizations/:token', organizationController.getInvitation);
+
+// Pending invitations for the signed-in user
+router.get('/mine', auth, propertyTeamController.getMyInvitations);
+
+// Accept requires signing in with the invited email address
+router.post('/accept', auth, propertyTeamController.acceptInvitation);
+
+// Public: the token from the email is enough to view or decline
+router.post('/decline', propertyTeamController.declineInvitation);
+router.get('/:token', propertyTeamController.getInvitation);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// routes/metrics.js
+// GET /metrics: Prometheus scrape endpoint (services/metrics.js)
+// When METRICS_TOKEN is set the scraper must send it as a bearer token
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const { registry, CONTENT_TYPE } = require('../services/metrics');
+const { UnauthorizedError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Compare digests so the check takes the same time whatever the presented token
+const tokenMatches = (presented) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(config.metrics.token));
+};
+
+router.get('/', async (req, res, next) => {
+  try {
+    if (config.metrics.token) {
+      const header = req.get('Authorization') || '';
+      const presented = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+      if (!presented || !tokenMatches(presented)) {
+        return next(new UnauthorizedError('A valid metrics token is required', { code: 'INVALID_METRICS_TOKEN' }));
+      }
+    }
+
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(await registry.render());
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
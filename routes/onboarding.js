@@ -1,86 +1,55 @@
 // routes/onboarding.js
 const express = require('express');
+const { logger } = require('../services/logger');
+const { NotFoundError } = require('../utils/errors');
+const { formatSuccess } = require('../utils/helpers');
 const router = express.Router();
 const onboardingController = require('../controllers/onboardingController');
 const auth = require('../middleware/auth');
-
-// Add logging middleware for debugging
-router.use((req, res, next) => {
-  console.log(`🛣️ Onboarding route: ${req.method} ${req.path}`);
-  console.log('📊 Headers:', req.headers);
-  next();
-});
+const requirePermission = require('../middleware/requirePermission');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/onboarding');
+const tenancy = require('../services/tenancy');
 
 // All routes require authentication (except OPTIONS which is handled by auth middleware)
 router.use(auth);
 
-// Complete onboarding submission (handles all 3 steps)
-router.post('/complete', (req, res, next) => {
-  console.log('📝 POST /complete called');
-  console.log('👤 User:', req.user);
-  console.log('📦 Body keys:', Object.keys(req.body));
-  onboardingController.completeOnboarding(req, res, next);
-});
+// Complete onboarding submission (handles all 3 steps); creates a property, so like POST /api/properties it needs a verified email
+router.post('/complete', requirePermission('onboarding:complete'), requireVerifiedEmail, validate(schemas.complete), onboardingController.completeOnboarding);
 
 // Get onboarding status for current user
-router.get('/status', (req, res, next) => {
-  console.log('📊 GET /status called');
-  console.log('👤 User:', req.user);
-  onboardingController.getOnboardingStatus(req, res, next);
-});
+router.get('/status', requirePermission('onboarding:read:own'), onboardingController.getOnboardingStatus);
 
 // Save onboarding progress (for multi-step persistence)
-router.post('/save-progress', async (req, res) => {
+router.post('/save-progress', requirePermission('onboarding:complete'), validate(schemas.saveProgress), async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { step, data } = req.body;
 
-    console.log(`💾 Saving progress for user ${userId}, step ${step}`);
-
-    if (!step || !data) {
-      return res.status(400).json({
-        success: false,
-        message: 'Step and data are required'
-      });
-    }
+    logger.debug('Saving onboarding progress', { userId, step });
 
     // In a real implementation, you'd save this to a temporary storage table
-    console.log(`💾 Progress saved for user ${userId}, step ${step}`);
+    logger.info('Onboarding progress saved', { userId, step });
     
-    res.json({
-      success: true,
-      message: 'Progress saved successfully',
-      step,
-      savedAt: new Date().toISOString()
-    });
+    res.json(formatSuccess({ step, savedAt: new Date().toISOString() }, 'Progress saved successfully'));
 
   } catch (error) {
-    console.error('❌ Save progress error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error saving progress',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
 // Test endpoint for debugging
 router.get('/test', (req, res) => {
-  console.log('🧪 Test endpoint called');
-  console.log('👤 User:', req.user);
-  
-  res.json({
-    success: true,
-    message: 'Onboarding endpoint is working!',
-    user: req.user,
-    timestamp: new Date().toISOString()
-  });
+  logger.debug('Onboarding test endpoint called', { userId: req.user.id });
+
+  res.json(formatSuccess({ user: req.user, timestamp: new Date().toISOString() }, 'Onboarding endpoint is working!'));
 });
 
 module.exports = router;
 
 // Get onboarding data for a specific property (for editing)
-router.get('/property/:propertyId', async (req, res) => {
+router.get('/property/:propertyId', requirePermission('onboarding:read:own'), async (req, res, next) => {
   try {
     const userId = req.user.id;
     const propertyId = req.params.propertyId;
@@ -91,15 +60,13 @@ router.get('/property/:propertyId', async (req, res) => {
     try {
       // Get property basic info
       const [propertyRows] = await connection.execute(`
-        SELECT * FROM properties 
-        WHERE id = ? AND (user_id = ? OR user_id_int = ?)
-      `, [propertyId, userId, userId]);
+        SELECT p.* FROM properties p
+        JOIN property_members pm ON pm.property_id = p.id AND pm.user_id = ?
+        WHERE p.id = ?
+      `, [userId, propertyId]);
 
       if (propertyRows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Property not found or access denied'
-        });
+        return next(new NotFoundError('Property not found or access denied', { code: 'PROPERTY_NOT_FOUND' }));
       }
 
       const property = propertyRows[0];
@@ -177,8 +144,7 @@ router.get('/property/:propertyId', async (req, res) => {
 
       const taxConfig = taxRows.length > 0 ? taxRows[0] : {};
 
-      res.json({
-        success: true,
+      res.json(formatSuccess({
         data: {
           // Property info
           totalRooms: property.total_rooms,
@@ -237,33 +203,20 @@ router.get('/property/:propertyId', async (req, res) => {
           // Cancellation policies
           ...cancellationPolicies
         }
-      });
+      }));
 
     } finally {
       connection.release();
     }
 
   } catch (error) {
-    console.error('❌ Get onboarding data error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error loading onboarding data',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
 // Admin endpoint to get all onboarding completions
-router.get('/admin/completions', async (req, res) => {
+router.get('/admin/completions', requirePermission('onboarding:review'), async (req, res, next) => {
   try {
-    // Check admin permissions
-    if (!['superadmin', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
-
     const { pool } = require('../config/database');
     const connection = await pool.getConnection();
 
@@ -272,7 +225,13 @@ router.get('/admin/completions', async (req, res) => {
       const limit = parseInt(req.query.limit) || 20;
       const offset = (page - 1) * limit;
 
-      const [completionsRows] = await connection.execute(`
+      // Organization staff only review their own organization's hotels
+      const tenantId = await tenancy.getTenantId(req);
+      const tenantCondition = tenantId ? 'WHERE p.organization_id = ?' : '';
+      const tenantParams = tenantId ? [tenantId] : [];
+
+      // query(), not execute(): prepared statements send numbers as DOUBLE, which MySQL rejects for LIMIT
+      const [completionsRows] = await connection.query(`
         SELECT 
           oc.*,
           p.hotel_name,
@@ -285,17 +244,20 @@ router.get('/admin/completions', async (req, res) => {
         FROM onboarding_completions oc
         JOIN properties p ON oc.property_id = p.id
         JOIN users u ON oc.user_id = u.id
+        ${tenantCondition}
         ORDER BY oc.created_at DESC
         LIMIT ? OFFSET ?
-      `, [limit, offset]);
+      `, [...tenantParams, limit, offset]);
 
       // Get total count
       const [countRows] = await connection.execute(`
-        SELECT COUNT(*) as total FROM onboarding_completions
-      `);
+        SELECT COUNT(*) as total
+        FROM onboarding_completions oc
+        JOIN properties p ON oc.property_id = p.id
+        ${tenantCondition}
+      `, tenantParams);
 
-      res.json({
-        success: true,
+      res.json(formatSuccess({
         completions: completionsRows,
         pagination: {
           page,
@@ -303,19 +265,14 @@ router.get('/admin/completions', async (req, res) => {
           total: countRows[0].total,
           pages: Math.ceil(countRows[0].total / limit)
         }
-      });
+      }));
 
     } finally {
       connection.release();
     }
 
   } catch (error) {
-    console.error('❌ Get completions error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error loading completions',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
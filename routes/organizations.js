@@ -0,0 +1,45 @@
+// routes/organizations.js
+// Organizations (ownership groups / management companies), their members and properties
+// Access is checked in the controller: platform staff (organizations:manage) or the organization's own admins
+
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+// All routes require authentication
+router.use(auth);
+
+// The signed-in user's organization
+router.get('/mine', organizationController.getMyOrganization);
+
+// Platform staff
+router.get('/', requirePermission('organizations:manage'), organizationController.listOrganizations);
+router.post('/', requirePermission('organizations:manage'), organizationController.createOrganization);
+
+// A single organization
+router.get('/:id', organizationController.getOrganization);
+router.patch('/:id', organizationController.updateOrganization);
+
+// Members
+router.get('/:id/members', organizationController.listMembers);
+router.post('/:id/members', organizationController.addMember);
+router.patch('/:id/members/:userId', organizationController.updateMemberRole);
+router.delete('/:id/members/:userId', organizationController.removeMember);
+
+// Invitations (members join by accepting one; see routes/invitations.js)
+router.get('/:id/invitations', organizationController.listInvitations);
+router.post('/:id/invitations', organizationController.inviteMember);
+router.delete('/:id/invitations/:invitationId', organizationController.revokeInvitation);
+
+// API keys issued for the organization (members manage their own under /api/api-keys)
+router.get('/:id/api-keys', organizationController.listApiKeys);
+router.delete('/:id/api-keys/:apiKeyId', organizationController.revokeApiKey);
+
+// Properties
+router.get('/:id/properties', organizationController.listProperties);
+router.post('/:id/properties', organizationController.attachProperty);
+router.delete('/:id/properties/:propertyId', requirePermission('organizations:manage'), organizationController.detachProperty);
+
+module.exports = router;
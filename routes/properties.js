@@ -2,34 +2,46 @@
 const express = require('express');
 const router = express.Router();
 const propertyController = require('../controllers/propertyController');
+const propertyTeamController = require('../controllers/propertyTeamController');
 // Use simple auth middleware for testing
 const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/properties');
 
 // All routes require authentication
 router.use(auth);
 
 // Create a new property (onboarding)
-router.post('/', propertyController.createProperty);
+router.post('/', requirePermission('property:create'), requireVerifiedEmail, validate(schemas.create), propertyController.createProperty);
 
 // Get user's properties
-router.get('/my-properties', propertyController.getUserProperties);
+router.get('/my-properties', requirePermission('property:read:own'), propertyController.getUserProperties);
 
-// Get all properties (admin only)
-router.get('/all', propertyController.getAllProperties);
+// Get all properties
+router.get('/all', requirePermission('property:read:any'), propertyController.getAllProperties);
 
-// Get property statistics (admin only)
-router.get('/stats', propertyController.getPropertyStats);
+// Get property statistics
+router.get('/stats', requirePermission('property:stats'), propertyController.getPropertyStats);
 
 // Get specific property by ID
-router.get('/:id', propertyController.getProperty);
+router.get('/:id', requirePermission('property:read:own', 'property:read:any'), propertyController.getProperty);
 
 // Update property
-router.put('/:id', propertyController.updateProperty);
+router.put('/:id', requirePermission('property:update:own'), validate(schemas.update), propertyController.updateProperty);
 
 // Update property status
-router.patch('/:id/status', propertyController.updatePropertyStatus);
+router.patch('/:id/status', requirePermission('property:status:own', 'property:status:any'), validate(schemas.status), propertyController.updatePropertyStatus);
 
 // Delete property
-router.delete('/:id', propertyController.deleteProperty);
+router.delete('/:id', requirePermission('property:delete:own'), propertyController.deleteProperty);
+
+// Property team (members and invitations)
+router.get('/:id/members', requirePermission('property:read:own', 'property:read:any'), propertyTeamController.listMembers);
+router.patch('/:id/members/:userId', requirePermission('property:members:manage'), propertyTeamController.updateMemberRole);
+router.delete('/:id/members/:userId', requirePermission('property:read:own'), propertyTeamController.removeMember);
+router.post('/:id/invitations', requirePermission('property:members:manage'), propertyTeamController.inviteMember);
+router.delete('/:id/invitations/:invitationId', requirePermission('property:members:manage'), propertyTeamController.revokeInvitation);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// scripts/checkConfig.js
+// Validate the configuration for the current environment and print it with secrets redacted
+//
+// Usage:
+//   node scripts/checkConfig.js          # human-readable
+//   node scripts/checkConfig.js --json   # JSON, e.g. for deployment checks
+//
+// Exits with 1 (listing every problem) if the configuration is invalid
+
+const config = require('../config');
+const { redactConfig } = require('../config/environment');
+
+const redacted = redactConfig(config);
+
+if (process.argv.includes('--json')) {
+  console.log(JSON.stringify(redacted, null, 2));
+} else {
+  console.log(`✅ Configuration is valid (${config.env})`);
+  console.log(`📄 Loaded files: ${config.files.length > 0 ? config.files.join(', ') : 'none (environment only)'}`);
+  console.log(JSON.stringify(redacted, null, 2));
+}
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// scripts/initDatabase.js
+// Create the database if needed, apply every pending migration and seed the built-in roles
+// (what the server does on startup, without starting it)
+//
+// Usage:
+//   node scripts/initDatabase.js
+
+const { ensureDatabase, closePool } = require('../config/database');
+const { migrateUp } = require('../services/migrations');
+const Role = require('../models/Role');
+
+const main = async () => {
+  await ensureDatabase();
+
+  const applied = await migrateUp();
+  console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+
+  await Role.ensureDefaults();
+  console.log('🎉 Database initialized');
+};
+
+main()
+  .then(async () => {
+    await closePool();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Database initialization failed:', error.message);
+    await closePool();
+    process.exit(1);
+  });
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// scripts/migrate.js
+// Versioned schema migrations (files in migrations/, applied versions in schema_migrations)
+//
+// Usage:
+//   node scripts/migrate.js status               List migrations: applied, pending, modified or missing
+//   node scripts/migrate.js up                   Apply every pending migration
+//   node scripts/migrate.js up --to 3            Apply pending migrations up to version 3
+//   node scripts/migrate.js down                 Roll back the latest migration
+//   node scripts/migrate.js down --steps 2       Roll back the latest 2 migrations
+//   node scripts/migrate.js down --to 1          Roll back everything above version 1 (--to 0 = everything)
+//   node scripts/migrate.js create add_room_view Create migrations/NNNN_add_room_view.js
+//
+// Rolling back in production (NODE_ENV=production) also requires --yes
+
+const path = require('path');
+const { ensureDatabase, closePool } = require('../config/database');
+const migrations = require('../services/migrations');
+
+const args = process.argv.slice(2);
+const command = args[0] || 'status';
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const parseVersion = (value, option) => {
+  if (value === undefined) return null;
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${option} must be a migration version number`);
+  }
+  return parseInt(value, 10);
+};
+
+const STATUS_ICONS = {
+  applied: '✅',
+  pending: '⏳',
+  modified: '⚠️',
+  missing: '❓'
+};
+
+const printStatus = (items) => {
+  console.log('\n📜 Schema migrations');
+
+  if (items.length === 0) {
+    console.log('   No migrations found');
+    return;
+  }
+
+  items.forEach(item => {
+    const appliedAt = item.appliedAt ? new Date(item.appliedAt).toISOString() : '';
+    console.log(`   ${STATUS_ICONS[item.status]} ${String(item.version).padStart(4, '0')}_${item.name.padEnd(40)} ${item.status.padEnd(8)} ${appliedAt}`);
+  });
+
+  const pending = items.filter(item => item.status === 'pending').length;
+  const problems = items.filter(item => item.status === 'modified' || item.status === 'missing').length;
+  console.log(`\n   ${pending} pending` + (problems > 0 ? `, ${problems} modified or missing` : ''));
+};
+
+const main = async () => {
+  switch (command) {
+    case 'status': {
+      await ensureDatabase();
+      const items = await migrations.getStatus();
+      printStatus(items);
+      return items.some(item => item.status === 'modified') ? 1 : 0;
+    }
+
+    case 'up': {
+      await ensureDatabase();
+      const applied = await migrations.migrateUp({ to: parseVersion(getOption('--to'), '--to') });
+      console.log(applied.length > 0 ? `\n🎉 Applied ${applied.length} migration(s)` : '\n✅ Nothing to migrate');
+      return 0;
+    }
+
+    case 'down': {
+      if (process.env.NODE_ENV === 'production' && !args.includes('--yes')) {
+        throw new Error('Rolling back in production requires --yes');
+      }
+
+      const to = parseVersion(getOption('--to'), '--to');
+      const steps = to === null ? parseVersion(getOption('--steps'), '--steps') || 1 : null;
+      const rolledBack = await migrations.migrateDown({ steps, to });
+      console.log(rolledBack.length > 0 ? `\n🎉 Rolled back ${rolledBack.length} migration(s)` : '\n✅ Nothing to roll back');
+      return 0;
+    }
+
+    case 'create': {
+      const filePath = migrations.createMigration(args.slice(1).join(' '));
+      console.log(`📝 Created ${path.relative(process.cwd(), filePath)}`);
+      return 0;
+    }
+
+    default:
+      console.error(`Unknown command: ${command} (expected status, up, down or create)`);
+      return 1;
+  }
+};
+
+main()
+  .then(async (exitCode) => {
+    await closePool();
+    process.exit(exitCode);
+  })
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await closePool();
+    process.exit(1);
+  });
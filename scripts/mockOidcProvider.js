@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// scripts/mockOidcProvider.js
+// Minimal local OpenID Connect provider for developing and testing single sign-on
+// Supports discovery, JWKS, authorization code + PKCE (S256) and RS256 ID tokens.
+// There is no login page: /authorize signs in the user picked by ?login_hint=<email> (default: the first user)
+//
+// Usage:
+//   node scripts/mockOidcProvider.js                     Listen on port 4010 with a built-in user list
+//   node scripts/mockOidcProvider.js --port 4020 --users users.json
+//       users.json: [{ sub, email, email_verified, name, given_name, family_name, groups, amr }]
+//
+// In tests: const idp = await createMockOidcProvider({ users }).start();  ...  await idp.close();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_USERS = [
+  {
+    sub: 'mock-admin',
+    email: 'it.admin@example-hotels.com',
+    email_verified: true,
+    name: 'Ada Admin',
+    groups: ['nuvho-admins']
+  },
+  {
+    sub: 'mock-manager',
+    email: 'manager@example-hotels.com',
+    email_verified: true,
+    name: 'Morgan Manager',
+    groups: ['hotel-managers']
+  },
+  {
+    sub: 'mock-staff',
+    email: 'staff@example-hotels.com',
+    email_verified: true,
+    name: 'Sam Staff',
+    groups: []
+  }
+];
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const createMockOidcProvider = ({ users = DEFAULT_USERS, clientId = 'nuvho-hub', clientSecret = null } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = base64url(crypto.randomBytes(8));
+  const codes = new Map();
+  const app = express();
+  let issuer = null;
+  let server = null;
+
+  app.use(express.urlencoded({ extended: false }));
+
+  // Sign an ID token for a user (also handy for testing the bearer ID token path directly)
+  const issueIdToken = (user, { nonce, audience = clientId, expiresIn = '1h' } = {}) => {
+    const { sub, ...claims } = user;
+    return jwt.sign(
+      { ...claims, ...(nonce && { nonce }) },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience, subject: String(sub), expiresIn }
+    );
+  };
+
+  const oauthError = (res, status, error, description) => {
+    res.status(status).json({ error, error_description: description });
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+      scopes_supported: ['openid', 'email', 'profile', 'groups']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== clientId) return oauthError(res, 400, 'unauthorized_client', 'Unknown client_id');
+    if (!redirect_uri) return oauthError(res, 400, 'invalid_request', 'redirect_uri is required');
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return oauthError(res, 400, 'invalid_request', 'PKCE with S256 is required');
+    }
+
+    const user = login_hint ? users.find(candidate => candidate.email === login_hint) : users[0];
+    const redirect = new URL(redirect_uri);
+
+    if (!user) {
+      redirect.searchParams.set('error', 'access_denied');
+    } else {
+      const code = base64url(crypto.randomBytes(16));
+      codes.set(code, { user, nonce, redirectUri: redirect_uri, codeChallenge: code_challenge });
+      redirect.searchParams.set('code', code);
+    }
+    if (state) redirect.searchParams.set('state', state);
+
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let requestClientId = req.body.client_id;
+    let requestSecret = null;
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(authorization.substring(6), 'base64').toString().split(':');
+      requestClientId = decodeURIComponent(id);
+      requestSecret = decodeURIComponent(secret || '');
+    }
+
+    if (requestClientId !== clientId || (clientSecret && requestSecret !== clientSecret)) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    if (req.body.grant_type !== 'authorization_code') {
+      return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+      return oauthError(res, 400, 'invalid_grant', 'Unknown code or redirect_uri mismatch');
+    }
+
+    const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+    if (challenge !== grant.codeChallenge) {
+      return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    res.json({
+      access_token: base64url(crypto.randomBytes(24)),
+      token_type: 'Bearer',
+      expires_in: 3600,
+      id_token: issueIdToken(grant.user, { nonce: grant.nonce })
+    });
+  });
+
+  return {
+    app,
+    issueIdToken,
+    get issuer() {
+      return issuer;
+    },
+    // Listen (port 0 = any free port); resolves once the issuer URL is known
+    start(port = 0) {
+      return new Promise((resolve) => {
+        server = app.listen(port, () => {
+          issuer = `http://localhost:${server.address().port}`;
+          resolve(this);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getOption = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const usersPath = getOption('--users');
+  const users = usersPath ? JSON.parse(fs.readFileSync(path.resolve(usersPath), 'utf8')) : DEFAULT_USERS;
+
+  createMockOidcProvider({ users, clientId: getOption('--client-id') || 'nuvho-hub' })
+    .start(parseInt(getOption('--port')) || 4010)
+    .then((idp) => {
+      console.log(`🪪 Mock OIDC provider listening at ${idp.issuer}`);
+      console.log('   Users: ' + users.map(user => user.email).join(', '));
+      console.log('\n   Example configuration:');
+      console.log(`   OIDC_PROVIDERS='${JSON.stringify([{
+        id: 'mock',
+        name: 'Mock IdP',
+        issuer: idp.issuer,
+        clientId: getOption('--client-id') || 'nuvho-hub',
+        roleMapping: [
+          { group: 'nuvho-admins', role: 'admin' },
+          { group: 'hotel-managers', role: 'hoteladmin' }
+        ],
+        defaultRole: 'hoteluser'
+      }])}'`);
+    });
+}
+
+module.exports = { createMockOidcProvider, DEFAULT_USERS };
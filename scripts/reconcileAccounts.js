@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// scripts/reconcileAccounts.js
+// Compare MySQL users with Firebase accounts and report (or repair) drift
+//
+// Usage:
+//   node scripts/reconcileAccounts.js                  Dry run, prints a summary and every drift item
+//   node scripts/reconcileAccounts.js --apply          Link/repair accounts (never deletes anything)
+//   node scripts/reconcileAccounts.js --json           Print the full report as JSON
+//   node scripts/reconcileAccounts.js --page-size 500  Firebase listUsers page size (max 1000)
+//   node scripts/reconcileAccounts.js --firebase-fixture accounts.json
+//       Run against an in-memory Firebase loaded from a JSON array of { uid, email, disabled, emailVerified }
+
+const fs = require('fs');
+const path = require('path');
+const { closePool } = require('../config/database');
+const { getFirebaseAdmin, createInMemoryFirebaseAdmin } = require('../services/firebaseAdmin');
+const { reconcile } = require('../services/accountReconciliation');
+
+const args = process.argv.slice(2);
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const printReport = (report) => {
+  console.log(`\n🔁 Account reconciliation - ${report.mode}`);
+  console.log(`   MySQL users: ${report.mysqlUsers}, Firebase accounts: ${report.firebaseAccounts}`);
+
+  Object.entries(report.summary).forEach(([type, count]) => {
+    console.log(`   ${type.padEnd(20)} ${count}`);
+  });
+
+  if (report.items.length > 0) {
+    console.log('');
+    report.items.forEach(item => {
+      const status = item.applied === true ? '✅' : item.applied === false ? `❌ ${item.error}` : '';
+      console.log(`   [${item.type}] user=${item.userId || '-'} uid=${item.firebaseUid || '-'} ${item.email || ''} -> ${item.action || 'report only'} ${status}`);
+    });
+  }
+
+  console.log(`\n   Fixable: ${report.fixable}` + (report.mode === 'apply' ? `, applied: ${report.applied}, failed: ${report.failed}` : ' (run with --apply to repair)'));
+};
+
+const main = async () => {
+  const fixturePath = getOption('--firebase-fixture');
+  const firebase = fixturePath
+    ? createInMemoryFirebaseAdmin(JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8')))
+    : getFirebaseAdmin();
+
+  const report = await reconcile({
+    apply: args.includes('--apply'),
+    firebase,
+    pageSize: parseInt(getOption('--page-size')) || 1000
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  return report.mode === 'apply' && report.failed > 0 ? 1 : 0;
+};
+
+main()
+  .then(async (exitCode) => {
+    await closePool();
+    process.exit(exitCode);
+  })
+  .catch(async (error) => {
+    console.error('❌ Account reconciliation failed:', error.message);
+    await closePool();
+    process.exit(1);
+  });
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// scripts/seed.js
+// Fill a development database with demo users and fully onboarded properties (see services/seeder.js)
+//
+// Usage:
+//   node scripts/seed.js                       Seed with the default seed value
+//   node scripts/seed.js --seed 42             Reproducible data for another seed value
+//   node scripts/seed.js --properties 30       Number of properties to generate (default 12)
+//   node scripts/seed.js --password Secret123! Password for the demo users
+//   node scripts/seed.js --dry-run             Print what the seed generates without writing anything
+//
+// Existing users (by email) and properties (by hotel name) are skipped, so re-running is safe.
+// Refuses to run with NODE_ENV=production.
+
+const config = require('../config');
+const { closePool } = require('../config/database');
+const { getStatus } = require('../services/migrations');
+const Role = require('../models/Role');
+const seeder = require('../services/seeder');
+
+const args = process.argv.slice(2);
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const main = async () => {
+  if (config.isProduction) {
+    console.error('❌ Refusing to seed demo data with NODE_ENV=production');
+    return 1;
+  }
+
+  const properties = getOption('--properties') !== undefined ? parseInt(getOption('--properties')) : seeder.DEFAULT_PROPERTY_COUNT;
+  if (!Number.isInteger(properties) || properties < 0) {
+    console.error('❌ --properties must be a non-negative number');
+    return 1;
+  }
+
+  const options = {
+    seed: getOption('--seed') || seeder.DEFAULT_SEED,
+    properties,
+    password: getOption('--password') || seeder.DEFAULT_PASSWORD
+  };
+
+  if (args.includes('--dry-run')) {
+    const dataset = seeder.buildDataset(options);
+    dataset.users.forEach(user => console.log(`👤 ${user.email} (${user.role}) ${user.firstName} ${user.lastName}`));
+    dataset.properties.forEach(plan => {
+      console.log(`🏨 ${plan.property.hotelName} - ${plan.property.city}, ${plan.property.country} (${plan.property.currency}), ` +
+        `${plan.roomTypes.length} room types, owner ${plan.ownerKey}, ${plan.status}`);
+    });
+    return 0;
+  }
+
+  const pending = (await getStatus()).filter(item => item.status !== 'applied');
+  if (pending.length > 0) {
+    console.error('❌ The schema is not up to date; run npm run db:migrate -- up first');
+    return 1;
+  }
+
+  await Role.ensureDefaults();
+
+  console.log(`🌱 Seeding with seed "${options.seed}"`);
+  const summary = await seeder.seed(options);
+
+  console.log(`\n✅ Users: ${summary.usersCreated} created, ${summary.usersExisting} already present`);
+  console.log(`✅ Properties: ${summary.propertiesCreated} created, ${summary.propertiesExisting} already present`);
+  console.log(`\n🔑 Demo logins (password: ${options.password}):`);
+  summary.users.forEach(user => console.log(`   ${user.role.padEnd(11)} ${user.email}`));
+  return 0;
+};
+
+main()
+  .then(async (exitCode) => {
+    await closePool();
+    process.exit(exitCode);
+  })
+  .catch(async (error) => {
+    console.error('❌ Seeding failed:', error.message);
+    await closePool();
+    process.exit(1);
+  });
@@ -0,0 +1,226 @@
+// services/accountReconciliation.js
+// Compares MySQL users with Firebase accounts and reports (or repairs) drift
+// MySQL is the source of truth; nothing is ever deleted on either side
+
+const User = require('../models/User');
+const { getFirebaseAdmin } = require('./firebaseAdmin');
+const { logger } = require('./logger');
+
+// Drift types
+const DRIFT = {
+  MISSING_IN_FIREBASE: 'missing_in_firebase', // MySQL links a UID that Firebase doesn't have
+  NOT_LINKED: 'not_linked',                   // MySQL user without UID, Firebase account with the same email
+  MYSQL_ONLY: 'mysql_only',                   // MySQL user without UID or matching Firebase account
+  MISSING_IN_MYSQL: 'missing_in_mysql',       // Firebase account no MySQL user links to or shares an email with
+  EMAIL_MISMATCH: 'email_mismatch',           // Linked, but the emails differ
+  DISABLED_MISMATCH: 'disabled_mismatch',     // Firebase disabled flag doesn't match is_active / is_deleted
+  CONFLICT: 'conflict'                        // Email matches a Firebase account already linked to another user
+};
+
+// Repair actions (null action = report only)
+const ACTIONS = {
+  LINK: 'link',
+  UNLINK: 'unlink',
+  UPDATE_FIREBASE_EMAIL: 'update_firebase_email',
+  UPDATE_FIREBASE_DISABLED: 'update_firebase_disabled'
+};
+
+const normalizeEmail = (email) => (email ? String(email).toLowerCase().trim() : null);
+
+// Page through every Firebase account
+const loadFirebaseAccounts = async (firebase, pageSize) => {
+  const accounts = [];
+  let pageToken = null;
+
+  do {
+    const page = await firebase.listUsers(pageToken, pageSize);
+    if (!page.success) {
+      throw new Error(`Failed to list Firebase users: ${page.error}`);
+    }
+
+    accounts.push(...page.users);
+    pageToken = page.pageToken;
+  } while (pageToken);
+
+  return accounts;
+};
+
+// Work out the drift between the two sides (pure, no I/O)
+const findDrift = (mysqlUsers, firebaseAccounts) => {
+  const items = [];
+  const accountsByUid = new Map(firebaseAccounts.map(account => [account.uid, account]));
+  const accountsByEmail = new Map(
+    firebaseAccounts.filter(account => account.email).map(account => [normalizeEmail(account.email), account])
+  );
+  const linkedUids = new Set(mysqlUsers.filter(user => user.firebaseUid).map(user => user.firebaseUid));
+  const mysqlEmails = new Set(mysqlUsers.map(user => normalizeEmail(user.email)));
+
+  // An account is free to link when no MySQL user points at it yet
+  const unclaimedByEmail = (email) => {
+    const account = accountsByEmail.get(normalizeEmail(email));
+    return account && !linkedUids.has(account.uid) ? account : null;
+  };
+
+  mysqlUsers.forEach(user => {
+    const base = { userId: user.id, email: user.email };
+
+    if (user.firebaseUid) {
+      const account = accountsByUid.get(user.firebaseUid);
+
+      if (!account) {
+        const replacement = unclaimedByEmail(user.email);
+        items.push({
+          ...base,
+          type: DRIFT.MISSING_IN_FIREBASE,
+          firebaseUid: user.firebaseUid,
+          action: replacement ? ACTIONS.LINK : ACTIONS.UNLINK,
+          ...(replacement && { linkTo: replacement.uid })
+        });
+        return;
+      }
+
+      if (normalizeEmail(account.email) !== normalizeEmail(user.email)) {
+        items.push({
+          ...base,
+          type: DRIFT.EMAIL_MISMATCH,
+          firebaseUid: account.uid,
+          firebaseEmail: account.email,
+          action: ACTIONS.UPDATE_FIREBASE_EMAIL
+        });
+      }
+
+      const shouldBeDisabled = !user.isActive || !!user.isDeleted;
+      if (account.disabled !== shouldBeDisabled) {
+        items.push({
+          ...base,
+          type: DRIFT.DISABLED_MISMATCH,
+          firebaseUid: account.uid,
+          firebaseDisabled: account.disabled,
+          expectedDisabled: shouldBeDisabled,
+          action: ACTIONS.UPDATE_FIREBASE_DISABLED
+        });
+      }
+      return;
+    }
+
+    // Deleted users without a Firebase account are expected
+    if (user.isDeleted) return;
+
+    const account = accountsByEmail.get(normalizeEmail(user.email));
+    if (!account) {
+      items.push({ ...base, type: DRIFT.MYSQL_ONLY, firebaseUid: null, action: null });
+    } else if (linkedUids.has(account.uid)) {
+      items.push({ ...base, type: DRIFT.CONFLICT, firebaseUid: account.uid, action: null });
+    } else {
+      items.push({ ...base, type: DRIFT.NOT_LINKED, firebaseUid: null, linkTo: account.uid, action: ACTIONS.LINK });
+    }
+  });
+
+  firebaseAccounts.forEach(account => {
+    if (linkedUids.has(account.uid)) return;
+    if (account.email && mysqlEmails.has(normalizeEmail(account.email))) return; // reported from the MySQL side
+
+    items.push({
+      type: DRIFT.MISSING_IN_MYSQL,
+      userId: null,
+      email: account.email,
+      firebaseUid: account.uid,
+      action: null
+    });
+  });
+
+  return items;
+};
+
+// Carry out the repair for one drift item (throws when the repair fails)
+const applyFix = async (item, firebase, accountsByUid) => {
+  switch (item.action) {
+    case ACTIONS.LINK: {
+      const account = accountsByUid.get(item.linkTo);
+      // Only ever upgrade email_verified from Firebase, never downgrade it
+      await User.updateFirebaseUid(item.userId, item.linkTo, { emailVerified: account && account.emailVerified ? true : undefined });
+      return;
+    }
+
+    case ACTIONS.UNLINK:
+      await User.clearFirebaseUid(item.userId);
+      return;
+
+    case ACTIONS.UPDATE_FIREBASE_EMAIL:
+    case ACTIONS.UPDATE_FIREBASE_DISABLED: {
+      const updates = item.action === ACTIONS.UPDATE_FIREBASE_EMAIL
+        ? { email: item.email }
+        : { disabled: item.expectedDisabled };
+      const result = await firebase.updateUser(item.firebaseUid, updates);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown reconciliation action: ${item.action}`);
+  }
+};
+
+// Run a reconciliation. Dry run (default) only reports; apply also repairs every fixable item
+const reconcile = async ({ apply = false, firebase = getFirebaseAdmin(), pageSize = 1000 } = {}) => {
+  if (!firebase) {
+    throw new Error('Firebase is not configured');
+  }
+
+  const startedAt = new Date();
+  const [mysqlUsers, firebaseAccounts] = await Promise.all([
+    User.findAllIncludingInactive(),
+    loadFirebaseAccounts(firebase, pageSize)
+  ]);
+
+  const items = findDrift(mysqlUsers, firebaseAccounts);
+
+  if (apply) {
+    const accountsByUid = new Map(firebaseAccounts.map(account => [account.uid, account]));
+
+    for (const item of items.filter(entry => entry.action)) {
+      try {
+        await applyFix(item, firebase, accountsByUid);
+        item.applied = true;
+      } catch (error) {
+        logger.error('Reconciliation action failed', { action: item.action, email: item.email, error: error.message });
+        item.applied = false;
+        item.error = error.message;
+      }
+    }
+  }
+
+  const summary = Object.values(DRIFT).reduce((counts, type) => {
+    counts[type] = items.filter(item => item.type === type).length;
+    return counts;
+  }, {});
+
+  const report = {
+    mode: apply ? 'apply' : 'dry-run',
+    startedAt,
+    finishedAt: new Date(),
+    mysqlUsers: mysqlUsers.length,
+    firebaseAccounts: firebaseAccounts.length,
+    summary,
+    fixable: items.filter(item => item.action).length,
+    ...(apply && {
+      applied: items.filter(item => item.applied).length,
+      failed: items.filter(item => item.applied === false).length
+    }),
+    items
+  };
+
+  logger.info('Account reconciliation', { mode: report.mode, driftItems: items.length, fixable: report.fixable });
+
+  return report;
+};
+
+module.exports = {
+  DRIFT,
+  ACTIONS,
+  findDrift,
+  loadFirebaseAccounts,
+  reconcile
+};
@@ -0,0 +1,163 @@
+// services/emailTemplates.js
+// Plain text + HTML bodies for transactional emails
+
+const config = require('../config');
+
+const APP_NAME = 'Nuvho HotelHub';
+
+// Base URL of the frontend that hosts the account pages
+const getFrontendUrl = () => {
+  return config.frontendUrl;
+};
+
+const buildLink = (pathname, params) => {
+  const query = new URLSearchParams(params).toString();
+  return `${getFrontendUrl()}${pathname}?${query}`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const greeting = (user) => `Hi ${user.firstName || user.displayName || 'there'},`;
+
+// Password reset email
+const passwordReset = (user, { token, expiresInMinutes }) => {
+  const link = buildLink('/reset-password', { token });
+
+  return {
+    subject: `Reset your ${APP_NAME} password`,
+    text: [
+      greeting(user),
+      '',
+      `We received a request to reset the password for your ${APP_NAME} account.`,
+      `Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      '',
+      link,
+      '',
+      'If you did not request a password reset, you can safely ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>${escapeHtml(greeting(user))}</p>
+      <p>We received a request to reset the password for your ${APP_NAME} account.</p>
+      <p><a href="${escapeHtml(link)}">Reset your password</a></p>
+      <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you did not request a password reset, you can safely ignore this email.</p>
+    `
+  };
+};
+
+// Email address verification
+const emailVerification = (user, { token, expiresInHours }) => {
+  const link = buildLink('/verify-email', { token });
+
+  return {
+    subject: `Verify your ${APP_NAME} email address`,
+    text: [
+      greeting(user),
+      '',
+      `Please confirm that this is the email address for your ${APP_NAME} account.`,
+      `The link below expires in ${expiresInHours} hours.`,
+      '',
+      link,
+      '',
+      'If you did not create an account, you can safely ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>${escapeHtml(greeting(user))}</p>
+      <p>Please confirm that this is the email address for your ${APP_NAME} account.</p>
+      <p><a href="${escapeHtml(link)}">Verify your email address</a></p>
+      <p>This link expires in ${expiresInHours} hours.</p>
+      <p>If you did not create an account, you can safely ignore this email.</p>
+    `
+  };
+};
+
+// Passwordless sign-in link
+const magicLink = (user, { token, expiresInMinutes }) => {
+  const link = buildLink('/magic-link', { token });
+
+  return {
+    subject: `Your ${APP_NAME} sign-in link`,
+    text: [
+      greeting(user),
+      '',
+      `Use the link below to sign in to ${APP_NAME}. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      '',
+      link,
+      '',
+      'If you did not request this link, you can safely ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>${escapeHtml(greeting(user))}</p>
+      <p>Use the link below to sign in to ${APP_NAME}.</p>
+      <p><a href="${escapeHtml(link)}">Sign in to ${APP_NAME}</a></p>
+      <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you did not request this link, you can safely ignore this email.</p>
+    `
+  };
+};
+
+// Invitation to join a property team
+const propertyInvitation = ({ inviterName, hotelName, role, token, expiresInDays }) => {
+  const link = buildLink('/invitations', { token });
+  const who = inviterName || 'A colleague';
+
+  return {
+    subject: `${who} invited you to ${hotelName} on ${APP_NAME}`,
+    text: [
+      'Hi there,',
+      '',
+      `${who} has invited you to join the ${hotelName} team on ${APP_NAME} as ${role}.`,
+      `Use the link below to accept or decline. It expires in ${expiresInDays} days.`,
+      '',
+      link,
+      '',
+      'If you don\'t have an account yet, sign up with this email address first.'
+    ].join('\n'),
+    html: `
+      <p>Hi there,</p>
+      <p>${escapeHtml(who)} has invited you to join the <strong>${escapeHtml(hotelName)}</strong> team on ${APP_NAME} as ${escapeHtml(role)}.</p>
+      <p><a href="${escapeHtml(link)}">View invitation</a></p>
+      <p>This invitation expires in ${expiresInDays} days. If you don't have an account yet, sign up with this email address first.</p>
+    `
+  };
+};
+
+const organizationInvitation = ({ inviterName, organizationName, role, token, expiresInDays }) => {
+  const link = buildLink('/organization-invitations', { token });
+  const who = inviterName || 'A colleague';
+
+  return {
+    subject: `${who} invited you to ${organizationName} on ${APP_NAME}`,
+    text: [
+      'Hi there,',
+      '',
+      `${who} has invited you to join the ${organizationName} organization on ${APP_NAME} as ${role}.`,
+      `Use the link below to accept or decline. It expires in ${expiresInDays} days.`,
+      '',
+      link,
+      '',
+      'If you don\'t have an account yet, sign up with this email address first.'
+    ].join('\n'),
+    html: `
+      <p>Hi there,</p>
+      <p>${escapeHtml(who)} has invited you to join the <strong>${escapeHtml(organizationName)}</strong> organization on ${APP_NAME} as ${escapeHtml(role)}.</p>
+      <p><a href="${escapeHtml(link)}">View invitation</a></p>
+      <p>This invitation expires in ${expiresInDays} days. If you don't have an account yet, sign up with this email address first.</p>
+    `
+  };
+};
+
+module.exports = {
+  getFrontendUrl,
+  buildLink,
+  escapeHtml,
+  passwordReset,
+  emailVerification,
+  magicLink,
+  propertyInvitation,
+  organizationInvitation
+};
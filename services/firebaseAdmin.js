@@ -0,0 +1,211 @@
+// services/firebaseAdmin.js
+// Wrapper around the Firebase Admin auth API (null when Firebase is not configured)
+// Every method resolves to { success, ... } instead of throwing
+
+const { logger } = require('./logger');
+const { firebaseCalls } = require('./metrics');
+
+// Plain account shape shared by the real wrapper and the in-memory fake
+const toAccount = (userRecord) => ({
+  uid: userRecord.uid,
+  email: userRecord.email || null,
+  emailVerified: !!userRecord.emailVerified,
+  disabled: !!userRecord.disabled,
+  displayName: userRecord.displayName || null
+});
+
+// Count every call of the real wrapper by outcome: success, failure ({ success: false }) or error (thrown)
+const withMetrics = (client) => Object.fromEntries(Object.entries(client).map(([operation, method]) => [
+  operation,
+  async (...args) => {
+    try {
+      const result = await method(...args);
+      firebaseCalls.inc({ operation, outcome: result && result.success ? 'success' : 'failure' });
+      return result;
+    } catch (error) {
+      firebaseCalls.inc({ operation, outcome: 'error' });
+      throw error;
+    }
+  }
+]));
+
+let firebaseAdmin = null;
+try {
+  // Use the proper Firebase admin service
+  const { initializeFirebase, admin } = require('../config/firebase');
+  
+  // Initialize Firebase
+  const firebaseApp = initializeFirebase();
+  if (firebaseApp) {
+    firebaseAdmin = withMetrics({
+      createUser: async (email, password, displayName) => {
+        try {
+          logger.info('Creating Firebase user', { email });
+          
+          const userRecord = await admin.auth().createUser({
+            email: email,
+            password: password,
+            displayName: displayName,
+            emailVerified: false
+          });
+          
+          logger.info('Firebase user created successfully', { uid: userRecord.uid });
+          return { success: true, uid: userRecord.uid };
+        } catch (error) {
+          logger.error('Firebase user creation failed', { err: error });
+          
+          // Handle specific Firebase errors
+          if (error.code === 'auth/email-already-exists') {
+            return { success: false, error: 'Email already exists in Firebase', code: 'email-exists' };
+          } else if (error.code === 'auth/weak-password') {
+            return { success: false, error: 'Password too weak for Firebase', code: 'weak-password' };
+          } else if (error.code === 'auth/invalid-email') {
+            return { success: false, error: 'Invalid email format for Firebase', code: 'invalid-email' };
+          }
+          
+          return { success: false, error: error.message, code: error.code };
+        }
+      },
+
+      deleteUser: async (uid) => {
+        try {
+          await admin.auth().deleteUser(uid);
+          logger.info('Firebase user deleted', { uid });
+          return { success: true };
+        } catch (error) {
+          logger.error('Firebase user deletion failed', { err: error });
+          return { success: false, error: error.message };
+        }
+      },
+
+      verifyIdToken: async (idToken) => {
+        try {
+          const decodedToken = await admin.auth().verifyIdToken(idToken);
+          return {
+            success: true,
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            emailVerified: !!decodedToken.email_verified
+          };
+        } catch (error) {
+          logger.error('Firebase token verification failed', { err: error });
+          return { success: false, error: error.message };
+        }
+      },
+
+      updateUser: async (uid, updates) => {
+        try {
+          await admin.auth().updateUser(uid, updates);
+          logger.info('Firebase user updated', { uid });
+          return { success: true };
+        } catch (error) {
+          logger.error('Firebase user update failed', { err: error });
+          return { success: false, error: error.message };
+        }
+      },
+
+      // One page of accounts; pass the returned pageToken to get the next page (null = last page)
+      listUsers: async (pageToken, maxResults = 1000) => {
+        try {
+          const result = await admin.auth().listUsers(maxResults, pageToken || undefined);
+          return {
+            success: true,
+            users: result.users.map(toAccount),
+            pageToken: result.pageToken || null
+          };
+        } catch (error) {
+          logger.error('Firebase user listing failed', { err: error });
+          return { success: false, error: error.message };
+        }
+      }
+    });
+    
+    logger.info('Firebase Admin service initialized successfully');
+  } else {
+    logger.warn('Firebase Admin initialization failed');
+  }
+} catch (error) {
+  logger.info('Firebase Admin not available', { error: error.message });
+}
+
+// In-memory stand-in with the same methods, for local runs and tests
+// ID tokens it accepts look like "fake-token:<uid>"
+const createInMemoryFirebaseAdmin = (accounts = []) => {
+  const users = new Map();
+  let nextId = 1;
+
+  accounts.forEach(account => users.set(account.uid, toAccount(account)));
+
+  const emailTaken = (email, exceptUid = null) => {
+    const normalized = String(email).toLowerCase();
+    return [...users.values()].some(user => user.uid !== exceptUid && user.email && user.email.toLowerCase() === normalized);
+  };
+
+  return {
+    users,
+
+    createUser: async (email, password, displayName) => {
+      if (emailTaken(email)) {
+        return { success: false, error: 'Email already exists in Firebase', code: 'email-exists' };
+      }
+
+      const uid = `fake-uid-${nextId++}`;
+      users.set(uid, toAccount({ uid, email, displayName }));
+      return { success: true, uid };
+    },
+
+    deleteUser: async (uid) => {
+      return users.delete(uid) ? { success: true } : { success: false, error: 'User not found' };
+    },
+
+    verifyIdToken: async (idToken) => {
+      const uid = String(idToken).replace(/^fake-token:/, '');
+      const user = users.get(uid);
+
+      if (!user || user.disabled || !String(idToken).startsWith('fake-token:')) {
+        return { success: false, error: 'Invalid ID token' };
+      }
+      return { success: true, uid, email: user.email, emailVerified: user.emailVerified };
+    },
+
+    updateUser: async (uid, updates) => {
+      const user = users.get(uid);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+      if (updates.email && emailTaken(updates.email, uid)) {
+        return { success: false, error: 'Email already exists in Firebase' };
+      }
+
+      const { password, ...fields } = updates;
+      Object.assign(user, fields);
+      return { success: true };
+    },
+
+    listUsers: async (pageToken, maxResults = 1000) => {
+      const all = [...users.values()].sort((a, b) => a.uid.localeCompare(b.uid));
+      const start = parseInt(pageToken) || 0;
+      const end = start + maxResults;
+
+      return {
+        success: true,
+        users: all.slice(start, end).map(user => ({ ...user })),
+        pageToken: end < all.length ? String(end) : null
+      };
+    }
+  };
+};
+
+// Current wrapper, or null when Firebase is unavailable
+const getFirebaseAdmin = () => firebaseAdmin;
+
+// Swap the wrapper (tests and tools use a fake with the same methods)
+const setFirebaseAdmin = (client) => {
+  firebaseAdmin = client;
+};
+
+module.exports = {
+  getFirebaseAdmin,
+  setFirebaseAdmin,
+  createInMemoryFirebaseAdmin
+};
@@ -0,0 +1,126 @@
+// services/health.js
+// Dependency checks behind GET /api/health/ready (routes/health.js)
+// Each check resolves to { status: 'up' | 'down' | 'disabled', critical, durationMs, ...detail, error? } and is
+// given at most HEALTH_CHECK_TIMEOUT_MS. MySQL and the schema version are critical: without them the server
+// is 'unavailable' (503). Firebase, OpenAI and HubSpot only make it 'degraded' (200), since the API still
+// answers without them. Those three are called only with HEALTH_PROBE_EXTERNAL=true; otherwise their
+// configuration is reported, so frequent load balancer checks cost nothing upstream.
+
+const fetch = require('node-fetch');
+const config = require('../config');
+const { pool, getPoolStats } = require('../config/database');
+const { getSchemaVersion } = require('./migrations');
+const { getFirebaseAdmin } = require('./firebaseAdmin');
+const { getOpenAI } = require('./openai');
+
+const HUBSPOT_API_URL = 'https://api.hubapi.com';
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// A check returns detail fields ({ status: 'disabled' } when the dependency is not configured) or throws when down
+const CHECKS = {
+  database: {
+    critical: true,
+    run: async () => {
+      const startedAt = process.hrtime.bigint();
+      await pool.query('SELECT 1');
+      return {
+        latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        pool: getPoolStats()
+      };
+    }
+  },
+
+  // Code newer than the schema is down; applied migrations without a file (an older release) are not
+  migrations: {
+    critical: true,
+    run: async () => {
+      const version = await getSchemaVersion();
+      if (version.pending > 0) {
+        throw Object.assign(new Error(`${version.pending} pending migration(s)`), { detail: version });
+      }
+      return version;
+    }
+  },
+
+  firebase: {
+    critical: false,
+    run: async ({ probe }) => {
+      const firebase = getFirebaseAdmin();
+      if (!firebase) return { status: 'disabled' };
+      if (!probe) return { probed: false };
+
+      const result = await firebase.listUsers(null, 1);
+      if (!result.success) throw new Error(result.error || 'Firebase Admin call failed');
+      return { probed: true };
+    }
+  },
+
+  // The probe retrieves each configured assistant, so a wrong ID is caught as well as a bad key
+  openai: {
+    critical: false,
+    run: async ({ probe, timeoutMs }) => {
+      const openai = getOpenAI();
+      if (!openai) return { status: 'disabled' };
+      if (!probe) return { probed: false };
+
+      const assistantIds = [config.openai.assistantId, config.openai.managerAssistantId].filter(Boolean);
+      await Promise.all(assistantIds.map(id => openai.probeAssistant(id, { timeoutMs })));
+      return { probed: true, assistants: assistantIds.length };
+    }
+  },
+
+  hubspot: {
+    critical: false,
+    run: async ({ probe, timeoutMs }) => {
+      if (!config.hubspot.enabled) return { status: 'disabled' };
+      if (!probe) return { probed: false };
+
+      const response = await fetch(`${HUBSPOT_API_URL}/account-info/v3/details`, {
+        headers: { Authorization: `Bearer ${config.hubspot.accessToken}` },
+        timeout: timeoutMs
+      });
+      if (!response.ok) throw new Error(`HubSpot API returned ${response.status}`);
+      return { probed: true };
+    }
+  }
+};
+
+// Run one check; never throws
+const runCheck = async (name, { timeoutMs = config.health.checkTimeoutMs, probe = config.health.probeExternal } = {}) => {
+  const { critical, run } = CHECKS[name];
+  const startedAt = Date.now();
+
+  try {
+    const result = await withTimeout(run({ probe, timeoutMs }), timeoutMs);
+    return { status: 'up', critical, durationMs: Date.now() - startedAt, ...result };
+  } catch (error) {
+    return { status: 'down', critical, durationMs: Date.now() - startedAt, ...error.detail, error: error.message };
+  }
+};
+
+// Every check in parallel; status is 'ok', 'degraded' (a non-critical dependency is down) or 'unavailable'
+const checkReadiness = async (options) => {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => runCheck(name, options)));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+  const down = results.filter(result => result.status === 'down');
+
+  let status = 'ok';
+  if (down.some(result => result.critical)) status = 'unavailable';
+  else if (down.length > 0) status = 'degraded';
+
+  return { status, checks };
+};
+
+module.exports = {
+  CHECKS,
+  runCheck,
+  checkReadiness
+};
@@ -0,0 +1,150 @@
+// services/logger.js
+// Structured logger: leveled, one JSON object per line in production (readable lines elsewhere),
+// with the current request ID attached and credentials redacted before anything is written
+// LOG_LEVEL (error | warn | info | debug) and LOG_FORMAT (json | pretty) override the defaults
+//
+//   const { logger } = require('../services/logger');
+//   logger.info('Organization created', { organizationId, createdBy });
+//   logger.error('Create organization error', { err: error });
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { SECRET_PATHS } = require('../config/environment');
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const REDACTED = '[redacted]';
+
+// Field names whose values are never written (passwords, tokens, keys, system setup credentials)
+const SENSITIVE_KEY = /(pass(word|wd)?|secret|token|api[-_]?key|private[-_]?key|recovery[-_]?codes?|credentials?)(s|[-_]?hash)?$|^(authorization|cookie|set-cookie|otp|totp)$|setup[-_]?(username|email)/i;
+
+// Credentials that can appear inside strings (messages, error text, URLs)
+const SENSITIVE_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  [/\bnvho_[A-Za-z0-9]+_[A-Za-z0-9]+/g, REDACTED],
+  [/([?&](?:token|code|key|secret|password|state)=)[^&\s#]+/gi, `$1${REDACTED}`]
+];
+
+// Values of configured secrets (database password, JWT secret, provider keys) are masked wherever they appear
+const secretValues = () => SECRET_PATHS
+  .map(secretPath => secretPath.split('.').reduce((node, key) => (node ? node[key] : undefined), config))
+  .filter(value => typeof value === 'string' && value.length >= 8);
+
+const redactString = (value, secrets) => {
+  let result = secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  SENSITIVE_PATTERNS.forEach(([pattern, replacement]) => {
+    result = result.replace(pattern, replacement);
+  });
+  return result;
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack,
+  ...(error.cause instanceof Error && { cause: serializeError(error.cause) })
+});
+
+// Copy of a value safe to write: errors flattened, sensitive keys and strings redacted, cycles cut
+const redact = (value, secrets = secretValues(), seen = new WeakSet(), depth = 0) => {
+  if (typeof value === 'string') return redactString(value, secrets);
+  if (typeof value === 'bigint') return value.toString();
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= 8) return '[Truncated]';
+  seen.add(value);
+
+  if (value instanceof Error) return redact(serializeError(value), secrets, seen, depth + 1);
+  if (Array.isArray(value)) return value.map(item => redact(item, secrets, seen, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : redact(item, secrets, seen, depth + 1)
+  ]));
+};
+
+// Request-scoped context (request ID and anything added with setContext), carried across awaits
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, callback) => storage.run({ ...context }, callback);
+
+const getContext = () => storage.getStore() || {};
+
+const setContext = (fields) => {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+const getRequestId = () => getContext().requestId;
+
+// `pretty` for people: time, level, request ID, message, then the fields as JSON
+const formatPretty = ({ time, level, message, requestId, ...fields }) => [
+  time.slice(11, 23),
+  level.toUpperCase().padEnd(5),
+  ...(requestId ? [`[${requestId}]`] : []),
+  message,
+  ...(Object.keys(fields).length > 0 ? [JSON.stringify(fields)] : [])
+].join(' ');
+
+const WRITERS = {
+  error: (line) => console.error(line),
+  warn: (line) => console.warn(line),
+  info: (line) => console.log(line),
+  debug: (line) => console.log(line)
+};
+
+const createLogger = ({
+  level = config.logging.level,
+  format = config.logging.format,
+  bindings = {}
+} = {}) => {
+  const threshold = LEVELS.indexOf(level);
+
+  const write = (entryLevel, message, fields = {}) => {
+    if (LEVELS.indexOf(entryLevel) > threshold) return;
+
+    // `err` (or a bare Error as the fields) is flattened into name, message, code and stack
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      message: String(message),
+      ...getContext(),
+      ...bindings,
+      ...extra
+    });
+
+    WRITERS[entryLevel](format === 'json' ? JSON.stringify(entry) : formatPretty(entry));
+  };
+
+  const logger = Object.fromEntries(LEVELS.map(entryLevel => [
+    entryLevel,
+    (message, fields) => write(entryLevel, message, fields)
+  ]));
+
+  logger.level = level;
+  logger.isLevelEnabled = (entryLevel) => LEVELS.indexOf(entryLevel) <= threshold;
+  // Logger that adds fixed fields (e.g. { module: 'mailer' }) to every line
+  logger.child = (childBindings) => createLogger({ level, format, bindings: { ...bindings, ...childBindings } });
+
+  return logger;
+};
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  runWithContext,
+  getContext,
+  setContext,
+  getRequestId,
+  LEVELS
+};
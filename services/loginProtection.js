@@ -0,0 +1,118 @@
+// services/loginProtection.js
+// Brute-force protection for password logins: progressive delays and temporary lockouts
+// tracked per account (email) and per IP address in MySQL
+
+const config = require('../config');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginLockout = require('../models/LoginLockout');
+const { logger } = require('./logger');
+
+// Account and IP thresholds (failed attempts within the window), the first lockout length (doubling for
+// every further lockout within 24 hours, capped) and the per-failure delay (doubling, capped)
+const settings = config.loginProtection;
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// Failures counted since the last reset (successful login, lockout start or admin unlock)
+const countAccountFailures = async (email) => {
+  const [lastSuccess, lastReset] = await Promise.all([
+    LoginAttempt.getLastSuccessAt(email),
+    LoginLockout.getLastResetAt('account', email)
+  ]);
+  const since = [lastSuccess, lastReset].filter(Boolean).sort((a, b) => new Date(b) - new Date(a))[0];
+
+  return LoginAttempt.countRecentFailures('email', email, settings.windowMinutes, since);
+};
+
+// A successful login on one account must not reset the IP counter
+const countIpFailures = async (ipAddress) => {
+  const lastReset = await LoginLockout.getLastResetAt('ip', ipAddress);
+  return LoginAttempt.countRecentFailures('ip_address', ipAddress, settings.windowMinutes, lastReset);
+};
+
+const getDelayMs = (failures) => {
+  if (failures <= 0) return 0;
+  return Math.min(settings.delayBaseMs * Math.pow(2, failures - 1), settings.delayMaxMs);
+};
+
+const lockFor = async (scope, identifier, failedAttempts) => {
+  const previousLockouts = await LoginLockout.countRecent(scope, identifier, 24);
+  const durationMinutes = Math.min(
+    settings.lockoutMinutes * Math.pow(2, previousLockouts),
+    settings.maxLockoutMinutes
+  );
+
+  await LoginLockout.create(scope, identifier, { failedAttempts, durationMinutes });
+  return durationMinutes;
+};
+
+// Check whether a login may proceed
+// Returns { locked, scope, retryAfterSeconds } when locked, otherwise { locked: false, delayMs }
+const assess = async ({ email, ipAddress }) => {
+  email = normalizeEmail(email);
+
+  const accountLock = await LoginLockout.findActive('account', email);
+  if (accountLock) {
+    return { locked: true, scope: 'account', retryAfterSeconds: secondsUntil(accountLock.lockedUntil) };
+  }
+
+  if (ipAddress) {
+    const ipLock = await LoginLockout.findActive('ip', ipAddress);
+    if (ipLock) {
+      return { locked: true, scope: 'ip', retryAfterSeconds: secondsUntil(ipLock.lockedUntil) };
+    }
+  }
+
+  return { locked: false, delayMs: getDelayMs(await countAccountFailures(email)) };
+};
+
+// Wait out the progressive delay before checking credentials
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Record a failed attempt and lock the account and/or IP once a threshold is reached
+const recordFailure = async ({ email, userId = null, ipAddress = null, userAgent = null }) => {
+  email = normalizeEmail(email);
+
+  await LoginAttempt.record({ email, userId, ipAddress, userAgent, success: false });
+
+  const accountFailures = await countAccountFailures(email);
+  if (accountFailures >= settings.accountThreshold) {
+    const minutes = await lockFor('account', email, accountFailures);
+    logger.warn('Account locked after failed logins', { email, failures: accountFailures, minutes });
+  }
+
+  if (ipAddress) {
+    const ipFailures = await countIpFailures(ipAddress);
+    if (ipFailures >= settings.ipThreshold) {
+      const minutes = await lockFor('ip', ipAddress, ipFailures);
+      logger.warn('IP locked after failed logins', { ip: ipAddress, failures: ipFailures, minutes });
+    }
+  }
+};
+
+// Record a successful login (resets the account's failure counter)
+const recordSuccess = async ({ email, userId = null, ipAddress = null, userAgent = null }) => {
+  await LoginAttempt.record({ email: normalizeEmail(email), userId, ipAddress, userAgent, success: true });
+};
+
+// Lift lockouts for an account email and/or IP address; returns the number lifted
+const unlock = async ({ email, ipAddress }, unlockedBy) => {
+  let unlocked = 0;
+
+  if (email) unlocked += await LoginLockout.unlock('account', normalizeEmail(email), unlockedBy);
+  if (ipAddress) unlocked += await LoginLockout.unlock('ip', ipAddress, unlockedBy);
+
+  return unlocked;
+};
+
+module.exports = {
+  settings,
+  assess,
+  delay,
+  getDelayMs,
+  recordFailure,
+  recordSuccess,
+  unlock
+};
@@ -0,0 +1,115 @@
+// services/mailer.js
+// Pluggable mail transport for transactional emails
+// Select a transport with MAIL_TRANSPORT (console | file | webhook) or register your own
+// Settings come from config.mail
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const config = require('../config');
+const { logger } = require('./logger');
+
+// Built-in transport factories
+const transportFactories = {
+  // Development stand-in: prints the message to the console
+  // (directly, not through the logger: the sign-in and reset links in the body must stay readable)
+  console: () => ({
+    name: 'console',
+    send: async (message) => {
+      console.log('📧 [console mail] To:', message.to);
+      console.log('📧 [console mail] Subject:', message.subject);
+      console.log(message.text);
+      return { success: true, id: `console-${Date.now()}` };
+    }
+  }),
+
+  // Development stand-in: writes each message as a JSON file into an outbox directory
+  file: () => {
+    const outboxDir = path.resolve(process.cwd(), config.mail.outboxDir);
+
+    return {
+      name: 'file',
+      send: async (message) => {
+        fs.mkdirSync(outboxDir, { recursive: true });
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const filePath = path.join(outboxDir, `${id}.json`);
+        fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        logger.info('Mail written to outbox', { filePath });
+        return { success: true, id };
+      }
+    };
+  },
+
+  // Production: POST the message as JSON to a mail relay (e.g. a transactional email provider webhook)
+  webhook: () => {
+    const url = config.mail.webhookUrl;
+    if (!url) {
+      throw new Error('MAIL_WEBHOOK_URL is required for the webhook mail transport');
+    }
+
+    return {
+      name: 'webhook',
+      send: async (message) => {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(config.mail.webhookToken && { Authorization: `Bearer ${config.mail.webhookToken}` })
+          },
+          body: JSON.stringify(message)
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Mail webhook error: ${response.status} - ${errorText}`);
+        }
+
+        return { success: true, id: response.headers.get('x-message-id') || null };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+// Register an additional transport factory (e.g. SMTP or SES adapter)
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Replace the active transport directly (useful for tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = config.mail.transport;
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+    logger.info('Mail transport initialized', { transport: activeTransport.name || name });
+  }
+
+  return activeTransport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html, from = config.mail.from }) => {
+  if (!to || !subject) {
+    throw new Error('Mail recipient and subject are required');
+  }
+
+  return getTransport().send({ from, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport
+};
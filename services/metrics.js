@@ -0,0 +1,262 @@
+// services/metrics.js
+// Prometheus metrics served by GET /metrics (routes/metrics.js)
+// A small registry of counters, gauges and histograms rendered in the text exposition format (0.0.4),
+// plus the application's metrics:
+//   - http_request_duration_seconds{method,route,status}     middleware/metrics.js
+//   - mysql_pool_connections{state}, mysql_pool_queued_requests, mysql_pool_connection_limit  config/database.js
+//   - openai_requests_total{operation,outcome}, openai_request_duration_seconds{operation}  services/openai.js
+//   - firebase_calls_total{operation,outcome}                 services/firebaseAdmin.js
+//   - nuvho_registrations_total{method}, nuvho_properties_created_total{source}, nuvho_onboardings_completed_total
+
+const { getPoolStats } = require('../config/database');
+const { logger } = require('./logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers fast lookups up to slow assistant runs
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+  if (Number.isFinite(value)) return String(value);
+  if (Number.isNaN(value)) return 'NaN';
+  return value > 0 ? '+Inf' : '-Inf';
+};
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Shared by every metric type: one series per combination of label values
+const createSeries = (name, labelNames) => {
+  const series = new Map();
+
+  const get = (labels, create) => {
+    Object.keys(labels).forEach(label => {
+      if (!labelNames.includes(label)) throw new Error(`Metric ${name} has no label "${label}"`);
+    });
+
+    // Label order is fixed by labelNames so { a, b } and { b, a } are the same series
+    const values = Object.fromEntries(labelNames.map(label => [label, labels[label] === undefined ? '' : String(labels[label])]));
+    const key = JSON.stringify(values);
+    if (!series.has(key)) series.set(key, { labels: values, ...create() });
+    return series.get(key);
+  };
+
+  return { get, entries: () => [...series.values()], clear: () => series.clear() };
+};
+
+const createRegistry = () => {
+  const metrics = new Map();
+
+  const register = (metric) => {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) throw new Error(`Invalid metric name: ${metric.name}`);
+    if (metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    metrics.set(metric.name, metric);
+    return metric;
+  };
+
+  // Monotonic count (requests, failures, ...)
+  const counter = ({ name, help, labelNames = [] }) => {
+    const series = createSeries(name, labelNames);
+
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc: (labels = {}, value = 1) => {
+        if (value < 0) throw new Error(`Counter ${name} cannot be decreased`);
+        series.get(labels, () => ({ value: 0 })).value += value;
+      },
+      // A counter without labels is reported as 0 before its first increment
+      samples: () => (series.entries().length === 0 && labelNames.length === 0
+        ? [{ name, labels: {}, value: 0 }]
+        : series.entries().map(entry => ({ name, labels: entry.labels, value: entry.value }))),
+      reset: series.clear
+    });
+  };
+
+  // Current value; `collect` (optional, may be async) refreshes it right before each scrape
+  const gauge = ({ name, help, labelNames = [], collect }) => {
+    const series = createSeries(name, labelNames);
+    const gaugeMetric = {
+      name,
+      help,
+      type: 'gauge',
+      set: (labels, value) => {
+        series.get(labels, () => ({ value: 0 })).value = value;
+      },
+      inc: (labels = {}, value = 1) => {
+        series.get(labels, () => ({ value: 0 })).value += value;
+      },
+      dec: (labels = {}, value = 1) => {
+        series.get(labels, () => ({ value: 0 })).value -= value;
+      },
+      collect: collect && (() => collect(gaugeMetric)),
+      samples: () => series.entries().map(entry => ({ name, labels: entry.labels, value: entry.value })),
+      reset: series.clear
+    };
+
+    return register(gaugeMetric);
+  };
+
+  // Distribution of observed values (durations in seconds) in cumulative buckets
+  const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = createSeries(name, labelNames);
+
+    const observe = (labels, value) => {
+      const entry = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    };
+
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe,
+      // Returns a function that records the seconds elapsed since the call; labels known only at the end can be passed to it
+      startTimer: (labels = {}) => {
+        const startedAt = process.hrtime.bigint();
+        return (endLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+          observe({ ...labels, ...endLabels }, seconds);
+          return seconds;
+        };
+      },
+      samples: () => series.entries().flatMap(entry => [
+        ...bounds.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...entry.labels, le: formatValue(bound) }, value: entry.counts[index] })),
+        { name: `${name}_bucket`, labels: { ...entry.labels, le: '+Inf' }, value: entry.count },
+        { name: `${name}_sum`, labels: entry.labels, value: entry.sum },
+        { name: `${name}_count`, labels: entry.labels, value: entry.count }
+      ]),
+      reset: series.clear
+    });
+  };
+
+  // Text exposition of every metric; a failing collect() is skipped rather than failing the scrape
+  const render = async () => {
+    const blocks = [];
+
+    for (const metric of metrics.values()) {
+      if (metric.collect) {
+        try {
+          await metric.collect();
+        } catch (error) {
+          logger.warn('Metric collection failed', { metric: metric.name, err: error });
+          continue;
+        }
+      }
+
+      const lines = [`# HELP ${metric.name} ${escapeHelp(metric.help)}`, `# TYPE ${metric.name} ${metric.type}`];
+      metric.samples().forEach(sample => {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      });
+      blocks.push(lines.join('\n'));
+    }
+
+    return `${blocks.join('\n')}\n`;
+  };
+
+  // Clear every series (tests)
+  const reset = () => metrics.forEach(metric => metric.reset());
+
+  return { counter, gauge, histogram, render, reset, get: (name) => metrics.get(name) };
+};
+
+const registry = createRegistry();
+
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds, by route template',
+  labelNames: ['method', 'route', 'status']
+});
+
+// Pool figures are read at scrape time; a figure getPoolStats cannot read (null) is left out
+const setIfKnown = (gauge, labels, value) => {
+  if (value !== null) gauge.set(labels, value);
+};
+
+registry.gauge({
+  name: 'mysql_pool_connections',
+  help: 'MySQL pool connections by state (active = checked out, idle = open and free)',
+  labelNames: ['state'],
+  collect: (gauge) => {
+    const stats = getPoolStats();
+    gauge.reset();
+    setIfKnown(gauge, { state: 'active' }, stats.active);
+    setIfKnown(gauge, { state: 'idle' }, stats.idle);
+  }
+});
+
+registry.gauge({
+  name: 'mysql_pool_queued_requests',
+  help: 'Requests waiting for a free MySQL connection',
+  collect: (gauge) => {
+    gauge.reset();
+    setIfKnown(gauge, {}, getPoolStats().queued);
+  }
+});
+
+registry.gauge({
+  name: 'mysql_pool_connection_limit',
+  help: 'Maximum number of MySQL connections (DB_CONNECTION_LIMIT)',
+  collect: (gauge) => gauge.set({}, getPoolStats().limit)
+});
+
+const openaiRequests = registry.counter({
+  name: 'openai_requests_total',
+  help: 'OpenAI API requests by operation and outcome (success or error)',
+  labelNames: ['operation', 'outcome']
+});
+
+const openaiRequestDuration = registry.histogram({
+  name: 'openai_request_duration_seconds',
+  help: 'OpenAI API request duration in seconds',
+  labelNames: ['operation']
+});
+
+const firebaseCalls = registry.counter({
+  name: 'firebase_calls_total',
+  help: 'Firebase Admin calls by operation and outcome (success, failure or error)',
+  labelNames: ['operation', 'outcome']
+});
+
+const registrations = registry.counter({
+  name: 'nuvho_registrations_total',
+  help: 'New user accounts by sign-up method (password, firebase, sso)',
+  labelNames: ['method']
+});
+
+const propertiesCreated = registry.counter({
+  name: 'nuvho_properties_created_total',
+  help: 'Properties created, by source (api or onboarding)',
+  labelNames: ['source']
+});
+
+const onboardingsCompleted = registry.counter({
+  name: 'nuvho_onboardings_completed_total',
+  help: 'Completed onboarding submissions'
+});
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry,
+  httpRequestDuration,
+  openaiRequests,
+  openaiRequestDuration,
+  firebaseCalls,
+  registrations,
+  propertiesCreated,
+  onboardingsCompleted
+};
@@ -0,0 +1,288 @@
+// services/migrations.js
+// Versioned schema migrations. Each file in migrations/ is named NNNN_description.js and exports
+// async up(connection) / down(connection). Applied versions are recorded in schema_migrations with
+// a SHA-256 checksum of the file, so edits to an already-applied migration are detected.
+// A MySQL named lock keeps two servers (or a server and the CLI) from migrating at the same time.
+// MySQL commits DDL implicitly, so a migration that fails half-way is not rolled back: keep them
+// small and idempotent where possible (CREATE TABLE IF NOT EXISTS, migrations/helpers.js)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+const LOCK_NAME = 'nuvho_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const MIGRATION_TEMPLATE = `// migrations/{filename}
+// {description}
+
+exports.up = async (connection) => {
+  await connection.query(\`
+  \`);
+};
+
+exports.down = async (connection) => {
+  await connection.query(\`
+  \`);
+};
+`;
+
+// Checksum of a migration file (line endings normalized so checkouts on Windows match)
+const checksumFile = (filePath) => {
+  const contents = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+  return crypto.createHash('sha256').update(contents).digest('hex');
+};
+
+// Migration files on disk, in version order
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  if (!fs.existsSync(directory)) return [];
+
+  const migrations = fs.readdirSync(directory)
+    .filter(filename => MIGRATION_FILE_PATTERN.test(filename))
+    .map(filename => {
+      const [, version, name] = MIGRATION_FILE_PATTERN.exec(filename);
+      const filePath = path.join(directory, filename);
+      const migration = require(filePath);
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${filename} must export up() and down()`);
+      }
+
+      return {
+        version: parseInt(version, 10),
+        name,
+        filename,
+        checksum: checksumFile(filePath),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].filename}, ${migration.filename}`);
+    }
+  });
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INT NOT NULL DEFAULT 0,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const getAppliedMigrations = async (connection) => {
+  const [rows] = await connection.query('SELECT * FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+// Compare files with the schema_migrations table
+// status: applied | pending | modified (checksum changed since it ran) | missing (applied, file gone)
+const buildStatus = (migrations, appliedRows) => {
+  const applied = new Map(appliedRows.map(row => [row.version, row]));
+
+  const items = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    let status = 'pending';
+    if (row) {
+      status = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      status,
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+
+  const known = new Set(migrations.map(migration => migration.version));
+  appliedRows
+    .filter(row => !known.has(row.version))
+    .forEach(row => items.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at }));
+
+  return items.sort((a, b) => a.version - b.version);
+};
+
+// Run fn with a dedicated connection holding the migration lock
+const withMigrationLock = async (fn) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (acquired !== 1) {
+      throw new Error('Another process is running migrations (lock timeout)');
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await fn(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+// Status of every migration (files and database)
+const getStatus = async ({ directory } = {}) => {
+  const migrations = loadMigrations(directory);
+  const connection = await pool.getConnection();
+
+  try {
+    await ensureMigrationsTable(connection);
+    return buildStatus(migrations, await getAppliedMigrations(connection));
+  } finally {
+    connection.release();
+  }
+};
+
+// Schema version for health checks: read-only (a missing schema_migrations table means nothing is applied)
+// and through pool.query, so a caller that stops waiting does not leave a connection checked out
+const getSchemaVersion = async ({ directory } = {}) => {
+  const migrations = loadMigrations(directory);
+
+  let rows = [];
+  try {
+    [rows] = await pool.query('SELECT * FROM schema_migrations ORDER BY version');
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+  }
+
+  const status = buildStatus(migrations, rows);
+  const count = (value) => status.filter(item => item.status === value).length;
+
+  return {
+    current: rows.length > 0 ? rows[rows.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    pending: count('pending'),
+    modified: count('modified'),
+    missing: count('missing')
+  };
+};
+
+// Apply pending migrations in order (up to and including `to`, when given)
+// Refuses to run if an applied migration has been edited since
+const migrateUp = async ({ to = null, directory } = {}) => {
+  const migrations = loadMigrations(directory);
+
+  return withMigrationLock(async (connection) => {
+    const status = buildStatus(migrations, await getAppliedMigrations(connection));
+
+    const modified = status.filter(item => item.status === 'modified');
+    if (modified.length > 0) {
+      throw new Error(`Applied migrations were modified: ${modified.map(item => `${item.version}_${item.name}`).join(', ')}. ` +
+        'Add a new migration instead of editing one that has run');
+    }
+
+    const appliedVersions = new Set(status.filter(item => item.status !== 'pending').map(item => item.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) && (to === null || migration.version <= to)
+    );
+
+    const applied = [];
+    for (const migration of pending) {
+      logger.info('Applying migration', { migration: migration.filename });
+      const startedAt = Date.now();
+
+      try {
+        await migration.up(connection);
+      } catch (error) {
+        error.message = `Migration ${migration.filename} failed: ${error.message}`;
+        throw error;
+      }
+
+      const executionMs = Date.now() - startedAt;
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms, applied_at) VALUES (?, ?, ?, ?, NOW())',
+        [migration.version, migration.name, migration.checksum, executionMs]
+      );
+
+      logger.info('Migration applied', { migration: migration.filename, executionMs });
+      applied.push({ version: migration.version, name: migration.name, executionMs });
+    }
+
+    return applied;
+  });
+};
+
+// Roll back the most recent migrations: `steps` of them, or every one above version `to`
+const migrateDown = async ({ steps = 1, to = null, directory } = {}) => {
+  const migrations = loadMigrations(directory);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (connection) => {
+    const appliedRows = (await getAppliedMigrations(connection)).reverse();
+    const targets = to === null
+      ? appliedRows.slice(0, Math.max(parseInt(steps) || 0, 0))
+      : appliedRows.filter(row => row.version > to);
+
+    const rolledBack = [];
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.version}_${row.name}: migration file not found`);
+      }
+
+      logger.info('Rolling back migration', { migration: migration.filename });
+
+      try {
+        await migration.down(connection);
+      } catch (error) {
+        error.message = `Rollback of ${migration.filename} failed: ${error.message}`;
+        throw error;
+      }
+
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+
+      logger.info('Migration rolled back', { migration: migration.filename });
+      rolledBack.push({ version: migration.version, name: migration.name });
+    }
+
+    return rolledBack;
+  });
+};
+
+// Create a new migration file with the next version number; returns its path
+const createMigration = (description, { directory = MIGRATIONS_DIR } = {}) => {
+  const name = String(description || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!name) {
+    throw new Error('Migration name must contain letters or numbers');
+  }
+
+  const migrations = loadMigrations(directory);
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const filename = `${String(version).padStart(4, '0')}_${name}.js`;
+  const filePath = path.join(directory, filename);
+
+  fs.writeFileSync(filePath, MIGRATION_TEMPLATE
+    .replace('{filename}', filename)
+    .replace('{description}', description));
+
+  return filePath;
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  buildStatus,
+  getStatus,
+  getSchemaVersion,
+  migrateUp,
+  migrateDown,
+  createMigration
+};
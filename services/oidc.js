@@ -0,0 +1,263 @@
+// services/oidc.js
+// OpenID Connect relying party: provider configuration, discovery, authorization-code + PKCE,
+// ID token validation against the provider's JWKS, and IdP group -> Nuvho role mapping
+//
+// Providers come from config.oidc.providers (OIDC_PROVIDERS, a JSON array validated at start-up) of:
+//   { id, name, issuer, clientId, clientSecret?, redirectUri?, scopes?, groupsClaim?,
+//     roleMapping?: [{ group, role }], defaultRole?, allowedDomains?: [], syncRoles? }
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const OidcLoginState = require('../models/OidcLoginState');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_INTERVAL_MS = 30 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Only asymmetric algorithms: ID tokens must be verifiable with the provider's public keys
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Authentication methods (RFC 8176 "amr") that mean the IdP already performed multi-factor auth
+const MFA_METHODS = ['mfa', 'otp', 'hwk', 'swk', 'sms', 'fpt', 'face'];
+
+let providers = null;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const defaultRedirectUri = () => {
+  return config.frontendUrl + '/auth/oidc/callback';
+};
+
+// Fill in defaults for one configured provider
+const normalizeProvider = (settings) => ({
+  id: settings.id,
+  name: settings.name || settings.id,
+  issuer: settings.issuer,
+  clientId: settings.clientId,
+  clientSecret: settings.clientSecret || null,
+  redirectUri: settings.redirectUri || defaultRedirectUri(),
+  scopes: settings.scopes || 'openid email profile',
+  groupsClaim: settings.groupsClaim || 'groups',
+  roleMapping: settings.roleMapping || [],
+  defaultRole: settings.defaultRole === undefined ? 'hoteluser' : settings.defaultRole,
+  allowedDomains: (settings.allowedDomains || []).map(domain => domain.toLowerCase()),
+  syncRoles: settings.syncRoles !== false
+});
+
+// Configured providers
+const getProviders = () => {
+  if (!providers) {
+    providers = config.oidc.providers.map(normalizeProvider);
+  }
+
+  return providers;
+};
+
+const getProvider = (id) => getProviders().find(provider => provider.id === id) || null;
+
+const findProviderByIssuer = (issuer) => getProviders().find(provider => provider.issuer === issuer) || null;
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { timeout: HTTP_TIMEOUT_MS, ...options });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`${url} responded ${response.status}${detail ? ': ' + detail : ''}`);
+  }
+
+  return body;
+};
+
+// Provider metadata from /.well-known/openid-configuration (cached for an hour)
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(provider.issuer.replace(/\/+$/, '') + '/.well-known/openid-configuration');
+
+  if (metadata.issuer !== provider.issuer) {
+    throw new Error(`Discovery issuer mismatch for ${provider.id}: expected ${provider.issuer}, got ${metadata.issuer}`);
+  }
+
+  discoveryCache.set(provider.id, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Public key for an ID token header; the JWKS is re-fetched when an unknown key ID shows up (key rotation)
+const getSigningKey = async (provider, header) => {
+  const metadata = await discover(provider);
+  let cached = jwksCache.get(provider.id);
+
+  const findKey = () => cached && cached.keys.find(key =>
+    (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig')
+  );
+
+  if (!findKey() && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_INTERVAL_MS)) {
+    const jwks = await fetchJson(metadata.jwks_uri);
+    cached = { keys: jwks.keys || [], fetchedAt: Date.now() };
+    jwksCache.set(provider.id, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key ${header.kid || ''} in JWKS for ${provider.id}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Start a login: store PKCE verifier + nonce and build the provider's authorization URL
+const createAuthorizationRequest = async (provider) => {
+  const metadata = await discover(provider);
+
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(16));
+  const state = await OidcLoginState.create({
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    redirectUri: provider.redirectUri
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', base64url(crypto.createHash('sha256').update(codeVerifier).digest()));
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { authorizationUrl: url.toString(), state };
+};
+
+// Validate an ID token: signature (JWKS), issuer, audience, expiry and, when given, the nonce
+const verifyIdToken = async (provider, idToken, { nonce } = {}) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed ID token');
+  }
+
+  if (!SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error(`Unsupported ID token algorithm: ${decoded.header.alg}`);
+  }
+
+  const key = await getSigningKey(provider, decoded.header);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: SUPPORTED_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+// Finish a login: exchange the authorization code (with the PKCE verifier) and validate the ID token
+const completeAuthorization = async (provider, { code, state }) => {
+  const loginState = await OidcLoginState.consume(state, provider.id);
+  if (!loginState) {
+    throw new Error('Invalid or expired login state');
+  }
+
+  const metadata = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: loginState.redirectUri,
+    code_verifier: loginState.codeVerifier,
+    client_id: provider.clientId
+  });
+
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  // Confidential clients authenticate with HTTP Basic (the OIDC default); public clients rely on PKCE alone
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = 'Basic ' + Buffer.from(credentials).toString('base64');
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response has no id_token');
+  }
+
+  return verifyIdToken(provider, tokens.id_token, { nonce: loginState.nonce });
+};
+
+// Groups from the configured claim (array or space/comma separated string)
+const getGroups = (provider, claims) => {
+  const value = claims[provider.groupsClaim];
+  if (!value) return [];
+  return Array.isArray(value) ? value.map(String) : String(value).split(/[\s,]+/).filter(Boolean);
+};
+
+// First roleMapping entry whose group the user belongs to, else the provider's defaultRole (null = no access)
+const resolveRole = (provider, claims) => {
+  const groups = getGroups(provider, claims);
+  const match = provider.roleMapping.find(mapping => groups.includes(String(mapping.group)));
+  return match ? match.role : provider.defaultRole;
+};
+
+// Whether the IdP says it performed multi-factor authentication
+const isMultiFactor = (claims) => {
+  return Array.isArray(claims.amr) && claims.amr.some(method => MFA_METHODS.includes(method));
+};
+
+// Whether an email domain is allowed to sign in through the provider (no list = any domain)
+const isAllowedDomain = (provider, email) => {
+  if (provider.allowedDomains.length === 0) return true;
+  const domain = String(email || '').split('@')[1];
+  return !!domain && provider.allowedDomains.includes(domain.toLowerCase());
+};
+
+// Drop cached discovery documents and keys (tests / config changes)
+const clearCache = () => {
+  discoveryCache.clear();
+  jwksCache.clear();
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  findProviderByIssuer,
+  discover,
+  createAuthorizationRequest,
+  completeAuthorization,
+  verifyIdToken,
+  getGroups,
+  resolveRole,
+  isMultiFactor,
+  isAllowedDomain,
+  clearCache
+};
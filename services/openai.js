@@ -0,0 +1,206 @@
+// services/openai.js
+// Wrapper around the OpenAI REST API used by the AI endpoints (null when OPENAI_API_KEY is not set)
+// Methods throw UpstreamServiceError (AI_SERVICE_ERROR) on non-2xx responses; the OpenAI status and body are its cause
+
+const fetch = require('node-fetch');
+const FormData = require('form-data');
+const { Readable } = require('stream');
+const config = require('../config');
+const { UpstreamServiceError } = require('../utils/errors');
+const { openaiRequests, openaiRequestDuration } = require('./metrics');
+
+// Metric label for an endpoint: IDs are replaced so every thread shares one series (/threads/:id/runs)
+const operationOf = (endpoint) => endpoint
+  .split('/')
+  .map(segment => (/^[a-z]+_\w+$/.test(segment) ? ':id' : segment))
+  .join('/');
+
+// Clients only see a generic message; the OpenAI response is kept for the logs
+const aiServiceError = (detail) => new UpstreamServiceError('AI service error', {
+  service: 'openai',
+  code: 'AI_SERVICE_ERROR',
+  cause: new Error(`OpenAI API Error: ${detail}`)
+});
+
+const createOpenAIClient = ({ apiKey, apiUrl }) => {
+  const send = async (endpoint, options = {}) => {
+    const response = await fetch(`${apiUrl}${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        ...options.headers
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw aiServiceError(`${response.status} - ${errorText}`);
+    }
+
+    return response;
+  };
+
+  // Every call is counted and timed (openai_requests_total, openai_request_duration_seconds)
+  const request = async (endpoint, options = {}) => {
+    const operation = `${options.method || 'GET'} ${operationOf(endpoint)}`;
+    const endTimer = openaiRequestDuration.startTimer({ operation });
+    let outcome = 'error';
+
+    try {
+      const response = await send(endpoint, options);
+      outcome = 'success';
+      return response;
+    } finally {
+      endTimer();
+      openaiRequests.inc({ operation, outcome });
+    }
+  };
+
+  // Assistants API calls (JSON in, JSON out)
+  const assistantsRequest = async (endpoint, method, body) => {
+    const response = await request(endpoint, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'OpenAI-Beta': 'assistants=v2'
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return response.json();
+  };
+
+  return {
+    createThread: () => assistantsRequest('/threads', 'POST'),
+
+    addMessage: (threadId, content) => assistantsRequest(`/threads/${threadId}/messages`, 'POST', { role: 'user', content }),
+
+    createRun: (threadId, assistantId) => assistantsRequest(`/threads/${threadId}/runs`, 'POST', { assistant_id: assistantId }),
+
+    getRun: (threadId, runId) => assistantsRequest(`/threads/${threadId}/runs/${runId}`, 'GET'),
+
+    listMessages: (threadId) => assistantsRequest(`/threads/${threadId}/messages`, 'GET'),
+
+    // Readiness probe (services/health.js): bounded by its own timeout and left out of the request metrics,
+    // so health polling does not show up as API traffic
+    probeAssistant: async (assistantId, { timeoutMs } = {}) => {
+      const response = await send(`/assistants/${assistantId}`, {
+        headers: { 'OpenAI-Beta': 'assistants=v2' },
+        timeout: timeoutMs
+      });
+      return response.json();
+    },
+
+    // Speech to text (Whisper); resolves to the transcript
+    transcribe: async (audio, { filename = 'audio.webm', contentType } = {}) => {
+      const formData = new FormData();
+      formData.append('file', audio, { filename, contentType });
+      formData.append('model', 'whisper-1');
+
+      const response = await request('/audio/transcriptions', {
+        method: 'POST',
+        headers: formData.getHeaders(),
+        body: formData
+      });
+      const data = await response.json();
+      return data.text || '';
+    },
+
+    // Text to speech; resolves to a readable MP3 stream
+    speech: async (text, voice = 'alloy') => {
+      const response = await request('/audio/speech', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'tts-1', input: text, voice, response_format: 'mp3' })
+      });
+      return response.body;
+    }
+  };
+};
+
+// In-memory stand-in with the same methods, for local runs and tests
+// reply(message, assistantId) produces the assistant's answer; requests are recorded in `calls`
+const createFakeOpenAI = ({
+  reply = (message) => `Echo: ${message}`,
+  transcript = 'Fake transcript',
+  audio = Buffer.from('fake-mp3-audio'),
+  runStatus = 'completed'
+} = {}) => {
+  const threads = new Map();
+  const calls = [];
+  let nextId = 1;
+
+  const getThread = (threadId) => {
+    const thread = threads.get(threadId);
+    if (!thread) throw aiServiceError(`404 - No thread found with id '${threadId}'`);
+    return thread;
+  };
+
+  return {
+    calls,
+
+    createThread: async () => {
+      const id = `thread_fake_${nextId++}`;
+      threads.set(id, { messages: [], runs: new Map() });
+      calls.push({ method: 'createThread', threadId: id });
+      return { id };
+    },
+
+    addMessage: async (threadId, content) => {
+      getThread(threadId).messages.unshift({ role: 'user', content: [{ type: 'text', text: { value: content } }] });
+      calls.push({ method: 'addMessage', threadId, content });
+      return { id: `msg_fake_${nextId++}` };
+    },
+
+    createRun: async (threadId, assistantId) => {
+      const thread = getThread(threadId);
+      const run = { id: `run_fake_${nextId++}`, status: runStatus, assistant_id: assistantId };
+      thread.runs.set(run.id, run);
+
+      if (runStatus === 'completed') {
+        const lastMessage = thread.messages[0].content[0].text.value;
+        thread.messages.unshift({ role: 'assistant', content: [{ type: 'text', text: { value: reply(lastMessage, assistantId) } }] });
+      }
+
+      calls.push({ method: 'createRun', threadId, assistantId });
+      return { ...run };
+    },
+
+    getRun: async (threadId, runId) => ({ ...getThread(threadId).runs.get(runId) }),
+
+    listMessages: async (threadId) => ({ data: getThread(threadId).messages.map(message => ({ ...message })) }),
+
+    probeAssistant: async (assistantId) => {
+      calls.push({ method: 'probeAssistant', assistantId });
+      return { id: assistantId, object: 'assistant' };
+    },
+
+    transcribe: async (audioBuffer, options = {}) => {
+      calls.push({ method: 'transcribe', size: audioBuffer.length, contentType: options.contentType });
+      return transcript;
+    },
+
+    speech: async (text, voice = 'alloy') => {
+      calls.push({ method: 'speech', text, voice });
+      return Readable.from([audio]);
+    }
+  };
+};
+
+let openai = config.openai.enabled
+  ? createOpenAIClient({ apiKey: config.openai.apiKey, apiUrl: config.openai.apiUrl })
+  : null;
+
+// Current client, or null when OpenAI is not configured
+const getOpenAI = () => openai;
+
+// Swap the client (tests use the in-memory fake)
+const setOpenAI = (client) => {
+  openai = client;
+};
+
+module.exports = {
+  createOpenAIClient,
+  createFakeOpenAI,
+  getOpenAI,
+  setOpenAI
+};
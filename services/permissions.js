@@ -0,0 +1,89 @@
+// services/permissions.js
+// Resolves role permissions (cached from MySQL) and answers "can this user do X?"
+
+const Role = require('../models/Role');
+const { WILDCARD, PRIVILEGED_PERMISSIONS, API_KEY_SCOPES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedMap = null;
+let cachedAt = 0;
+
+// Load the role -> permissions map, falling back to the built-in defaults if the DB is empty
+const getPermissionMap = async () => {
+  if (cachedMap && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedMap;
+  }
+
+  const map = await Role.getPermissionMap();
+
+  cachedMap = Object.keys(map).length > 0 ? map : DEFAULT_ROLE_PERMISSIONS;
+  cachedAt = Date.now();
+
+  return cachedMap;
+};
+
+// Drop the cache after role permissions change
+const invalidateCache = () => {
+  cachedMap = null;
+  cachedAt = 0;
+};
+
+// Permissions granted to a role (as a Set)
+const getPermissionsForRole = async (role) => {
+  const map = await getPermissionMap();
+  return new Set(map[role] || []);
+};
+
+// Permissions unlocked by a list of API key scopes (as a Set)
+const getPermissionsForScopes = (scopes = []) => {
+  return new Set(scopes.flatMap(scope => (API_KEY_SCOPES[scope] ? API_KEY_SCOPES[scope].permissions : [])));
+};
+
+// Permissions in effect for an authenticated user. API key requests only get what both
+// the key's scopes and the owner's role allow
+const getPermissionsForUser = async (user) => {
+  const rolePermissions = await getPermissionsForRole(user.role);
+  if (!user.apiKeyId) return rolePermissions;
+
+  const scopePermissions = [...getPermissionsForScopes(user.scopes)];
+  return new Set(rolePermissions.has(WILDCARD)
+    ? scopePermissions
+    : scopePermissions.filter(permission => rolePermissions.has(permission)));
+};
+
+// Check a permission against a granted set (the wildcard grants everything)
+const setAllows = (granted, permission) => granted.has(WILDCARD) || granted.has(permission);
+
+// Check whether a role holds a permission
+const roleHasPermission = async (role, permission) => {
+  return setAllows(await getPermissionsForRole(role), permission);
+};
+
+// Whether a role holds any platform or admin permission (see PRIVILEGED_PERMISSIONS)
+const isPrivilegedRole = async (role) => {
+  const granted = await getPermissionsForRole(role);
+  return PRIVILEGED_PERMISSIONS.some(permission => setAllows(granted, permission));
+};
+
+// Check a permission for the current request (uses permissions loaded by requirePermission when present)
+const can = async (req, permission) => {
+  if (!req.user) return false;
+
+  if (!req.permissions) {
+    req.permissions = await getPermissionsForUser(req.user);
+  }
+
+  return setAllows(req.permissions, permission);
+};
+
+module.exports = {
+  getPermissionMap,
+  invalidateCache,
+  getPermissionsForRole,
+  getPermissionsForScopes,
+  getPermissionsForUser,
+  roleHasPermission,
+  isPrivilegedRole,
+  can
+};
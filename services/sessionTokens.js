@@ -0,0 +1,62 @@
+// services/sessionTokens.js
+// Access tokens (short-lived JWTs bound to a server-side session) and session start-up
+// Shared by every login flow: password, 2FA, Firebase and OIDC
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const UserSession = require('../models/UserSession');
+
+// Access tokens are short-lived; long-lived access comes from rotating refresh tokens
+const ACCESS_TOKEN_TTL = config.jwt.accessTokenTtl;
+
+// Generate a JWT access token bound to a server-side session
+const generateToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId
+    },
+    config.jwt.secret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Generate a token for an admin impersonating a user. "act" (the actor, RFC 8693) marks it as an
+// impersonation; it is bound to the admin's session and the impersonation record, and has no refresh token
+const generateImpersonationToken = (user, admin, impersonation, expiresInMinutes) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sid: impersonation.adminSessionId,
+      imp: impersonation.id,
+      act: { id: admin.id, email: admin.email }
+    },
+    config.jwt.secret,
+    { expiresIn: `${expiresInMinutes}m` }
+  );
+};
+
+// Start a session and issue an access + refresh token pair
+const issueTokens = async (user, req) => {
+  const { sessionId, refreshToken } = await UserSession.create(user.id, {
+    userAgent: (req.headers && req.headers['user-agent']) || null,
+    ipAddress: req.ip || null
+  });
+
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  generateToken,
+  generateImpersonationToken,
+  issueTokens
+};
@@ -0,0 +1,53 @@
+// services/tenancy.js
+// Organization (tenant) isolation. Users who belong to an organization only see that organization's
+// properties, even when their role grants an "any" permission; platform staff (no organization) see all
+
+const OrganizationMember = require('../models/OrganizationMember');
+
+// The caller's organization membership, cached on the request (null = not in an organization)
+const getMembership = async (req) => {
+  if (req.organizationMembership === undefined) {
+    req.organizationMembership = req.user ? await OrganizationMember.findByUserId(req.user.id) : null;
+  }
+
+  return req.organizationMembership;
+};
+
+// Organization the caller's "any" access is limited to (null = platform-wide)
+const getTenantId = async (req) => {
+  const membership = await getMembership(req);
+  return membership ? membership.organizationId : null;
+};
+
+// Whether "any" access reaches a resource of the given organization (null = not in an organization)
+const canAccessOrganization = async (req, organizationId) => {
+  const tenantId = await getTenantId(req);
+  return tenantId === null || tenantId === organizationId;
+};
+
+// Whether the caller is an admin of the given (active) organization
+const isOrganizationAdmin = async (req, organizationId) => {
+  if (!organizationId) return false;
+
+  const membership = await getMembership(req);
+  return !!membership &&
+    membership.organizationId === Number(organizationId) &&
+    membership.role === 'admin' &&
+    membership.organizationIsActive;
+};
+
+// Whether a user may join the team of a property in the given organization without crossing tenants
+const canJoinPropertyTeam = async (userId, propertyOrganizationId) => {
+  if (!propertyOrganizationId) return true;
+
+  const membership = await OrganizationMember.findByUserId(userId);
+  return !membership || membership.organizationId === propertyOrganizationId;
+};
+
+module.exports = {
+  getMembership,
+  getTenantId,
+  canAccessOrganization,
+  isOrganizationAdmin,
+  canJoinPropertyTeam
+};
@@ -0,0 +1,151 @@
+// services/twoFactor.js
+// Two-factor authentication policy, login challenges and code verification
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const TwoFactor = require('../models/TwoFactor');
+const totp = require('../utils/totp');
+const { logger } = require('./logger');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must use 2FA when the policy switch is on
+const PRIVILEGED_ROLES = ['admin', 'superadmin'];
+
+// Challenge token purposes
+const CHALLENGE_LOGIN = '2fa_challenge';
+const CHALLENGE_ENROLLMENT = '2fa_enrollment';
+
+// Policy switch: TWO_FACTOR_REQUIRED=true makes 2FA mandatory for admin/superadmin
+const isRequiredForRole = (role) => {
+  return config.twoFactor.required && PRIVILEGED_ROLES.includes(role);
+};
+
+// An identity provider's multi-factor authentication stands in for ours only where 2FA is optional for the role
+const acceptsIdentityProviderMfa = (role) => !isRequiredForRole(role);
+
+// Short-lived token proving the password step succeeded (never accepted as an access token)
+const createChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { id: user.id, purpose },
+    config.jwt.secret,
+    { expiresIn: config.twoFactor.challengeTtl }
+  );
+};
+
+// Verify a challenge token for the expected purpose; returns the payload or null
+const verifyChallengeToken = (token, purpose) => {
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, config.jwt.secret);
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Decide whether a password-authenticated user still needs a second step
+// Returns null (no 2FA needed) or the challenge payload to send back instead of tokens
+const getLoginChallenge = async (user) => {
+  if (await TwoFactor.isEnabled(user.id)) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user, CHALLENGE_LOGIN),
+      expiresIn: config.twoFactor.challengeTtl
+    };
+  }
+
+  if (isRequiredForRole(user.role)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: createChallengeToken(user, CHALLENGE_ENROLLMENT),
+      expiresIn: config.twoFactor.challengeTtl
+    };
+  }
+
+  return null;
+};
+
+// Start (or restart) enrollment: returns the secret and otpauth URI for the authenticator app
+const beginEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+  await TwoFactor.savePendingSecret(user.id, secret);
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email, issuer: config.twoFactor.issuer })
+  };
+};
+
+// Generate a fresh set of recovery codes (formatted xxxxx-xxxxx)
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Confirm the first code from a pending enrollment and switch 2FA on
+// Returns the recovery codes, or null if the code is wrong / no enrollment is pending
+const completeEnrollment = async (userId, code) => {
+  const record = await TwoFactor.findByUserId(userId);
+  if (!record || record.enabled) {
+    return null;
+  }
+
+  const step = totp.verifyCode(record.secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  await TwoFactor.enable(userId, step);
+
+  const recoveryCodes = generateRecoveryCodes();
+  await TwoFactor.replaceRecoveryCodes(userId, recoveryCodes);
+
+  return recoveryCodes;
+};
+
+// Verify a TOTP code or a recovery code for a user with 2FA enabled
+// Returns { valid, method }
+const verifyUserCode = async (userId, { code, recoveryCode } = {}) => {
+  const record = await TwoFactor.findByUserId(userId);
+  if (!record || !record.enabled) {
+    return { valid: false, method: null };
+  }
+
+  if (code) {
+    const step = totp.verifyCode(record.secret, code);
+    if (step !== null && await TwoFactor.markStepUsed(userId, step)) {
+      return { valid: true, method: 'totp' };
+    }
+    return { valid: false, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const valid = await TwoFactor.consumeRecoveryCode(userId, recoveryCode);
+    if (valid) {
+      logger.info('Recovery code used', { userId });
+    }
+    return { valid, method: 'recovery_code' };
+  }
+
+  return { valid: false, method: null };
+};
+
+module.exports = {
+  CHALLENGE_LOGIN,
+  CHALLENGE_ENROLLMENT,
+  PRIVILEGED_ROLES,
+  isRequiredForRole,
+  acceptsIdentityProviderMfa,
+  createChallengeToken,
+  verifyChallengeToken,
+  getLoginChallenge,
+  beginEnrollment,
+  generateRecoveryCodes,
+  completeEnrollment,
+  verifyUserCode
+};
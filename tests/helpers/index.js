@@ -0,0 +1,121 @@
+// tests/helpers/index.js
+// Shared helpers for the integration tests: the app under test, users and fixtures
+
+const crypto = require('crypto');
+const supertest = require('supertest');
+const { createApp } = require('../../app');
+const User = require('../../models/User');
+
+const DEFAULT_PASSWORD = 'Password123!';
+
+let app = null;
+
+// supertest client for a single app instance per test file
+const api = () => {
+  if (!app) app = createApp();
+  return supertest(app);
+};
+
+// Email address no other test (or earlier run against the same database) uses
+const uniqueEmail = (prefix = 'user') => `${prefix}-${crypto.randomBytes(6).toString('hex')}@test.nuvho.test`;
+
+// Create a user directly in the database
+const createUser = async ({
+  email = uniqueEmail(),
+  password = DEFAULT_PASSWORD,
+  role = 'hoteluser',
+  emailVerified = true,
+  firstName = 'Test',
+  lastName = 'User'
+} = {}) => {
+  const user = await User.create({ email, password, firstName, lastName, role });
+  return emailVerified ? User.markEmailVerified(user.id) : user;
+};
+
+// Sign in through the API; resolves to the response body ({ user, token, refreshToken, ... })
+const login = async (email, password = DEFAULT_PASSWORD) => {
+  const response = await api().post('/api/auth/login').send({ email, password }).expect(200);
+  return response.body;
+};
+
+// Create a user and sign them in: { user, token, refreshToken, auth } (auth = Authorization header value)
+const createSignedInUser = async (options = {}) => {
+  const user = await createUser(options);
+  const session = await login(user.email, options.password);
+  return { ...session, user, auth: `Bearer ${session.token}` };
+};
+
+// Minimal valid body for POST /api/properties
+const propertyPayload = (overrides = {}) => ({
+  hotelName: `Test Hotel ${crypto.randomBytes(4).toString('hex')}`,
+  websiteUrl: 'testhotel.example',
+  category: 'Upscale',
+  type: 'Hotel',
+  streetAddress: '1 George Street',
+  city: 'Sydney',
+  state: 'NSW',
+  postcode: '2000',
+  country: 'Australia',
+  currency: 'AUD',
+  phone: '+61 2 9000 0000',
+  contactName: 'Test Contact',
+  contactEmail: 'contact@testhotel.example',
+  totalRooms: 40,
+  ...overrides
+});
+
+// Body for POST /api/onboarding/complete (the three onboarding steps)
+const onboardingPayload = (overrides = {}) => ({
+  property: propertyPayload(),
+  roomTypes: [
+    {
+      name: 'Deluxe King',
+      beddingConfig1: true,
+      beddingConfig2: false,
+      minimumRate: 180,
+      maximumRate: 320,
+      maxCapacity: '2',
+      guestsIncluded: '2',
+      extraAdultRate: 40,
+      totalRoomsInType: '25',
+      roomSize: '32',
+      chargeType: 'per room',
+      mealPlans: { roomOnly: true, bedBreakfast: true }
+    },
+    {
+      name: 'Twin Room',
+      beddingConfig1: false,
+      beddingConfig2: true,
+      minimumRate: 150,
+      maximumRate: 260,
+      maxCapacity: '2',
+      guestsIncluded: '2',
+      extraAdultRate: 35,
+      totalRoomsInType: '15',
+      roomSize: '28',
+      chargeType: 'per room',
+      mealPlans: { roomOnly: true, bedBreakfast: false }
+    }
+  ],
+  systems: {
+    pms: { systemName: 'Mews', systemUrl: 'https://mews.example', clientId: 'c-1', setupUsername: 'setup', setupEmail: 'setup@testhotel.example' }
+  },
+  amenities: ['Free WiFi', 'Restaurant'],
+  imagery: {
+    external: [{ name: 'front.jpg', size: 1024, type: 'image/jpeg', url: 'https://cdn.example/front.jpg' }]
+  },
+  taxConfiguration: { federalChargeable: true, taxRate: '10' },
+  cancellationPolicies: { public: 'Free cancellation up to 24 hours before arrival' },
+  ...overrides
+});
+
+module.exports = {
+  DEFAULT_PASSWORD,
+  api,
+  uniqueEmail,
+  createUser,
+  login,
+  createSignedInUser,
+  propertyPayload,
+  onboardingPayload
+};
@@ -0,0 +1,36 @@
+// tests/helpers/mail.js
+// Captures outgoing email instead of sending it
+
+const mailer = require('../../services/mailer');
+
+const outbox = [];
+
+const install = () => {
+  mailer.setTransport({
+    name: 'test',
+    send: async (message) => {
+      outbox.push(message);
+      return { success: true, id: `test-${outbox.length}` };
+    }
+  });
+};
+
+// Most recent message sent to an address (null when none)
+const lastMailTo = (email) => {
+  const normalized = email.toLowerCase();
+  const messages = outbox.filter(message => String(message.to).toLowerCase() === normalized);
+  return messages.length > 0 ? messages[messages.length - 1] : null;
+};
+
+// The token query parameter of the link in an email (links look like <FRONTEND_URL>/<page>?token=...)
+const extractToken = (message) => {
+  const match = message && /[?&]token=([^\s&"<]+)/.exec(message.text);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+module.exports = {
+  outbox,
+  install,
+  lastMailTo,
+  extractToken
+};
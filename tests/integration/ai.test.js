@@ -0,0 +1,117 @@
+// tests/integration/ai.test.js
+// /api/ai against the in-memory OpenAI fake (no network, no API key)
+
+const { setOpenAI, createFakeOpenAI } = require('../../services/openai');
+const config = require('../../config');
+const { api } = require('../helpers');
+
+let openai;
+
+beforeEach(() => {
+  openai = createFakeOpenAI({ reply: (message, assistantId) => `${assistantId}: ${message}` });
+  setOpenAI(openai);
+});
+
+describe('POST /api/ai/chat', () => {
+  it('answers with the analyst assistant by default', async () => {
+    const response = await api().post('/api/ai/chat').send({ message: 'What was our occupancy?' }).expect(200);
+
+    expect(response.body).toMatchObject({
+      success: true,
+      assistantType: 'analyst',
+      response: `${config.openai.assistantId}: What was our occupancy?`
+    });
+    expect(openai.calls.map(call => call.method)).toEqual(['createThread', 'addMessage', 'createRun']);
+  });
+
+  it('uses the manager assistant when asked', async () => {
+    const response = await api()
+      .post('/api/ai/chat')
+      .send({ message: 'Plan next week', assistantType: 'manager' })
+      .expect(200);
+
+    expect(response.body.response).toBe(`${config.openai.managerAssistantId}: Plan next week`);
+  });
+
+  it('requires a message', async () => {
+    await api().post('/api/ai/chat').send({}).expect(400);
+  });
+
+  it('reports failed runs', async () => {
+    setOpenAI(createFakeOpenAI({ runStatus: 'failed' }));
+
+    const response = await api().post('/api/ai/chat').send({ message: 'Hello' }).expect(502);
+    expect(response.body.success).toBe(false);
+  });
+
+  it('is unavailable without an OpenAI client', async () => {
+    setOpenAI(null);
+    await api().post('/api/ai/chat').send({ message: 'Hello' }).expect(503);
+  });
+});
+
+describe('POST /api/ai/transcribe', () => {
+  it('transcribes an uploaded audio file', async () => {
+    const response = await api()
+      .post('/api/ai/transcribe')
+      .attach('audio', Buffer.from('fake-audio'), { filename: 'note.webm', contentType: 'audio/webm' })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ success: true, text: 'Fake transcript' });
+    expect(openai.calls).toEqual([{ method: 'transcribe', size: 10, contentType: 'audio/webm' }]);
+  });
+
+  it('requires an audio file', async () => {
+    await api().post('/api/ai/transcribe').expect(400);
+  });
+
+  it('is unavailable without an OpenAI client', async () => {
+    setOpenAI(null);
+    await api()
+      .post('/api/ai/transcribe')
+      .attach('audio', Buffer.from('fake-audio'), { filename: 'note.webm', contentType: 'audio/webm' })
+      .expect(503);
+  });
+});
+
+describe('POST /api/ai/speak', () => {
+  it('streams the generated speech as MP3', async () => {
+    const response = await api()
+      .post('/api/ai/speak')
+      .send({ text: 'Welcome to the hotel', voice: 'nova' })
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('audio/mpeg');
+    expect(response.body.toString()).toBe('fake-mp3-audio');
+    expect(openai.calls).toEqual([{ method: 'speech', text: 'Welcome to the hotel', voice: 'nova' }]);
+  });
+
+  it('requires text', async () => {
+    await api().post('/api/ai/speak').send({}).expect(400);
+  });
+});
+
+describe('GET /api/ai/health', () => {
+  it('reports which features are available', async () => {
+    const available = await api().get('/api/ai/health').expect(200);
+    expect(available.body.features).toMatchObject({ chat: true, transcription: true, textToSpeech: true });
+
+    setOpenAI(null);
+    const unavailable = await api().get('/api/ai/health').expect(200);
+    expect(unavailable.body.config.apiKeyConfigured).toBe(false);
+    expect(unavailable.body.features).toMatchObject({ chat: false, transcription: false, textToSpeech: false });
+  });
+});
+
+describe('GET /api/ai/test', () => {
+  it('describes the AI endpoints', async () => {
+    const response = await api().get('/api/ai/test').expect(200);
+    expect(Object.keys(response.body.endpoints)).toEqual(['chat', 'transcribe', 'speak', 'health']);
+  });
+});
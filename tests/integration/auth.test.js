@@ -0,0 +1,434 @@
+// tests/integration/auth.test.js
+// /api/auth: registration, sign-in flows, tokens and sessions, profile, 2FA
+
+const { getFirebaseAdmin } = require('../../services/firebaseAdmin');
+const totp = require('../../utils/totp');
+const User = require('../../models/User');
+const LoginLockout = require('../../models/LoginLockout');
+const Role = require('../../models/Role');
+const permissions = require('../../services/permissions');
+const mail = require('../helpers/mail');
+const {
+  DEFAULT_PASSWORD,
+  api,
+  uniqueEmail,
+  createUser,
+  createSignedInUser,
+  login
+} = require('../helpers');
+
+describe('POST /api/auth/register', () => {
+  it('creates the MySQL user, links a Firebase account and emails a verification link', async () => {
+    const email = uniqueEmail('register');
+
+    const response = await api()
+      .post('/api/auth/register')
+      .send({ email, password: DEFAULT_PASSWORD, firstName: 'Ada', lastName: 'Lovelace', hotelName: 'The Test Hotel' })
+      .expect(201);
+
+    expect(response.body).toMatchObject({
+      success: true,
+      flow: 'mysql-firebase-complete',
+      user: { email, firstName: 'Ada', lastName: 'Lovelace' }
+    });
+    expect(response.body.user.emailVerified).toBeFalsy();
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(response.body.refreshToken).toEqual(expect.any(String));
+    expect(getFirebaseAdmin().users.get(response.body.firebaseUid)).toMatchObject({ email });
+    expect(mail.extractToken(mail.lastMailTo(email))).toEqual(expect.any(String));
+  });
+
+  it('rejects missing fields and short passwords', async () => {
+    await api().post('/api/auth/register').send({ email: uniqueEmail() }).expect(400);
+    await api()
+      .post('/api/auth/register')
+      .send({ email: uniqueEmail(), password: '123', firstName: 'A', lastName: 'B' })
+      .expect(400);
+  });
+
+  it('refuses an email that is already registered', async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .post('/api/auth/register')
+      .send({ email: user.email, password: DEFAULT_PASSWORD, firstName: 'A', lastName: 'B' })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+  });
+});
+
+describe('POST /api/auth/register-firebase', () => {
+  it('creates a user for a new Firebase account and signs an existing one in', async () => {
+    const email = uniqueEmail('firebase');
+    const { uid } = await getFirebaseAdmin().createUser(email, DEFAULT_PASSWORD, 'Grace Hopper');
+    const idToken = `fake-token:${uid}`;
+
+    const created = await api()
+      .post('/api/auth/register-firebase')
+      .send({ idToken, additionalData: { firstName: 'Grace', lastName: 'Hopper', role: 'superadmin' } })
+      .expect(201);
+
+    expect(created.body).toMatchObject({ flow: 'firebase-mysql-complete', user: { email, firebaseUid: uid, role: 'hoteluser' } });
+
+    const existing = await api().post('/api/auth/register-firebase').send({ idToken }).expect(200);
+    expect(existing.body).toMatchObject({ flow: 'existing-firebase-user', user: { id: created.body.user.id } });
+  });
+
+  it('requires a valid ID token', async () => {
+    await api().post('/api/auth/register-firebase').send({}).expect(400);
+    await api().post('/api/auth/register-firebase').send({ idToken: 'fake-token:nobody' }).expect(401);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns tokens for valid credentials', async () => {
+    const user = await createUser();
+
+    const body = await login(user.email);
+
+    expect(body).toMatchObject({ success: true, user: { id: user.id, email: user.email } });
+    expect(body.user.password).toBeUndefined();
+    expect(body.token).toEqual(expect.any(String));
+  });
+
+  it('rejects a wrong password and missing fields', async () => {
+    const user = await createUser();
+
+    await api().post('/api/auth/login').send({ email: user.email, password: 'wrong-password' }).expect(401);
+    await api().post('/api/auth/login').send({ email: uniqueEmail(), password: DEFAULT_PASSWORD }).expect(401);
+    await api().post('/api/auth/login').send({ email: user.email }).expect(400);
+  });
+});
+
+describe('two-factor authentication', () => {
+  it('enrolls, challenges at login and can be switched off again', async () => {
+    const { user, auth } = await createSignedInUser();
+
+    const status = await api().get('/api/auth/2fa/status').set('Authorization', auth).expect(200);
+    expect(status.body.twoFactor).toMatchObject({ enabled: false, required: false });
+
+    // POST /2fa/setup + /2fa/enable
+    const setup = await api().post('/api/auth/2fa/setup').set('Authorization', auth).expect(200);
+    const { secret } = setup.body;
+    expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+    await api().post('/api/auth/2fa/enable').set('Authorization', auth).send({ code: '000000x' }).expect(400);
+    const currentStep = totp.getTimeStep();
+    const enabled = await api()
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', auth)
+      .send({ code: totp.generateCode(secret, currentStep) })
+      .expect(200);
+    expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+    await api().post('/api/auth/2fa/setup').set('Authorization', auth).expect(409);
+
+    // POST /2fa/recovery-codes (codes are single use, so this one comes from the next time step)
+    const regenerated = await api()
+      .post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', auth)
+      .send({ code: totp.generateCode(secret, currentStep + 1) })
+      .expect(200);
+    const [firstCode, secondCode] = regenerated.body.recoveryCodes;
+
+    // POST /login now returns a challenge, completed with POST /login/2fa
+    const challenge = await login(user.email);
+    expect(challenge.twoFactorRequired).toBe(true);
+    expect(challenge.token).toBeUndefined();
+
+    await api()
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: challenge.challengeToken, recoveryCode: enabled.body.recoveryCodes[0] })
+      .expect(401);
+
+    const completed = await api()
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: challenge.challengeToken, recoveryCode: firstCode })
+      .expect(200);
+    expect(completed.body).toMatchObject({ twoFactorMethod: 'recovery_code', recoveryCodesRemaining: 9 });
+
+    // The challenge token is not an access token
+    await api().get('/api/auth/me').set('Authorization', `Bearer ${challenge.challengeToken}`).expect(401);
+
+    // POST /2fa/disable
+    await api()
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', auth)
+      .send({ password: 'wrong-password', recoveryCode: secondCode })
+      .expect(401);
+    await api()
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', auth)
+      .send({ password: DEFAULT_PASSWORD, recoveryCode: secondCode })
+      .expect(200);
+
+    const relogin = await login(user.email);
+    expect(relogin.token).toEqual(expect.any(String));
+  });
+});
+
+describe('password reset', () => {
+  it('emails a reset link that sets a new password once', async () => {
+    const user = await createUser();
+
+    const unknown = await api().post('/api/auth/forgot-password').send({ email: uniqueEmail() }).expect(200);
+    const known = await api().post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+    expect(known.body.message).toBe(unknown.body.message);
+
+    const token = mail.extractToken(mail.lastMailTo(user.email));
+    expect(token).toEqual(expect.any(String));
+
+    await api().post('/api/auth/reset-password').send({ token, password: 'short' }).expect(400);
+    await api().post('/api/auth/reset-password').send({ token, password: 'NewPassword456!' }).expect(200);
+    await api().post('/api/auth/reset-password').send({ token, password: 'OtherPassword789!' }).expect(400);
+
+    await api().post('/api/auth/login').send({ email: user.email, password: DEFAULT_PASSWORD }).expect(401);
+    await login(user.email, 'NewPassword456!');
+  });
+
+  it('lifts an account lockout', async () => {
+    const user = await createUser();
+    await LoginLockout.create('account', user.email, { failedAttempts: 5, durationMinutes: 15 });
+    await api().post('/api/auth/login').send({ email: user.email, password: DEFAULT_PASSWORD }).expect(423);
+
+    await api().post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+    const token = mail.extractToken(mail.lastMailTo(user.email));
+    await api().post('/api/auth/reset-password').send({ token, password: 'NewPassword456!' }).expect(200);
+
+    await login(user.email, 'NewPassword456!');
+  });
+
+  it('requires an email', async () => {
+    await api().post('/api/auth/forgot-password').send({}).expect(400);
+  });
+});
+
+describe('magic links', () => {
+  it('signs in with an emailed link that only works once', async () => {
+    const user = await createUser({ emailVerified: false });
+
+    await api().post('/api/auth/magic-link').send({ email: user.email }).expect(200);
+    const token = mail.extractToken(mail.lastMailTo(user.email));
+
+    const response = await api().post('/api/auth/magic-link/verify').send({ token }).expect(200);
+    expect(response.body).toMatchObject({ success: true, user: { id: user.id } });
+    expect(response.body.user.emailVerified).toBeTruthy();
+    expect(response.body.token).toEqual(expect.any(String));
+
+    await api().post('/api/auth/magic-link/verify').send({ token }).expect(400);
+  });
+
+  it('gives the same answer for unknown addresses and rejects bad tokens', async () => {
+    await api().post('/api/auth/magic-link').send({ email: uniqueEmail() }).expect(200);
+    await api().post('/api/auth/magic-link').send({}).expect(400);
+    await api().post('/api/auth/magic-link/verify').send({ token: 'not-a-token' }).expect(400);
+  });
+});
+
+describe('POST /api/auth/verify-email and /resend-verification', () => {
+  it('verifies the address from the emailed token', async () => {
+    const { user, auth } = await createSignedInUser({ emailVerified: false });
+
+    await api().post('/api/auth/resend-verification').set('Authorization', auth).expect(200);
+    const token = mail.extractToken(mail.lastMailTo(user.email));
+
+    const response = await api().post('/api/auth/verify-email').send({ token }).expect(200);
+    expect(response.body.user.emailVerified).toBeTruthy();
+
+    await api().post('/api/auth/verify-email').send({ token }).expect(400);
+
+    const resend = await api().post('/api/auth/resend-verification').set('Authorization', auth).expect(200);
+    expect(resend.body.emailVerified).toBe(true);
+  });
+
+  it('requires a token', async () => {
+    await api().post('/api/auth/verify-email').send({}).expect(400);
+  });
+});
+
+describe('tokens and sessions', () => {
+  it('rotates refresh tokens', async () => {
+    const { refreshToken } = await createSignedInUser();
+
+    const response = await api().post('/api/auth/refresh').send({ refreshToken }).expect(200);
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(response.body.refreshToken).not.toBe(refreshToken);
+
+    await api().post('/api/auth/refresh').send({ refreshToken }).expect(401);
+    await api().post('/api/auth/refresh').send({}).expect(400);
+  });
+
+  it('lists and revokes sessions', async () => {
+    const { user, auth } = await createSignedInUser();
+    const other = await login(user.email);
+
+    const list = await api().get('/api/auth/sessions').set('Authorization', auth).expect(200);
+    expect(list.body.count).toBe(2);
+    const otherSession = list.body.sessions.find(session => !session.current);
+
+    await api().delete(`/api/auth/sessions/${otherSession.id}`).set('Authorization', auth).expect(200);
+    await api().delete(`/api/auth/sessions/${otherSession.id}`).set('Authorization', auth).expect(404);
+    await api().get('/api/auth/me').set('Authorization', `Bearer ${other.token}`).expect(401);
+  });
+
+  it('logs out the current session or every session', async () => {
+    const { user, auth } = await createSignedInUser();
+    const second = await login(user.email);
+    const third = await login(user.email);
+
+    await api().post('/api/auth/logout').set('Authorization', auth).expect(200);
+    await api().get('/api/auth/me').set('Authorization', auth).expect(401);
+
+    const response = await api().post('/api/auth/logout-all').set('Authorization', `Bearer ${second.token}`).expect(200);
+    expect(response.body.revokedCount).toBe(2);
+    await api().get('/api/auth/me').set('Authorization', `Bearer ${third.token}`).expect(401);
+  });
+
+  it('refuses to end an impersonation that is not running', async () => {
+    const { auth } = await createSignedInUser();
+    await api().post('/api/auth/impersonation/end').set('Authorization', auth).expect(400);
+  });
+
+  it('only lets superadmins impersonate, even when another role is granted users:impersonate', async () => {
+    const adminPermissions = (await permissions.getPermissionMap()).admin;
+    const staff = await createSignedInUser({ role: 'admin' });
+    const { user } = await createSignedInUser();
+
+    await Role.setPermissions('admin', [...adminPermissions, 'users:impersonate']);
+    permissions.invalidateCache();
+
+    try {
+      const response = await api()
+        .post(`/api/admin/impersonate/${user.id}`)
+        .set('Authorization', staff.auth)
+        .send({ reason: 'Support ticket' })
+        .expect(403);
+      expect(response.body.code).toBe('SUPERADMIN_REQUIRED');
+    } finally {
+      await Role.setPermissions('admin', adminPermissions);
+      permissions.invalidateCache();
+    }
+  });
+});
+
+describe('/api/auth/me', () => {
+  it('requires a token', async () => {
+    await api().get('/api/auth/me').expect(401);
+    await api().get('/api/auth/me').set('Authorization', 'Bearer not-a-token').expect(401);
+  });
+
+  it('returns the current user', async () => {
+    const { user, auth } = await createSignedInUser();
+
+    const response = await api().get('/api/auth/me').set('Authorization', auth).expect(200);
+    expect(response.body.user).toMatchObject({ id: user.id, email: user.email });
+  });
+
+  it('accepts Firebase ID tokens', async () => {
+    const email = uniqueEmail('firebase');
+    const { uid } = await getFirebaseAdmin().createUser(email, DEFAULT_PASSWORD, 'Firebase User');
+    await api().post('/api/auth/register-firebase').send({ idToken: `fake-token:${uid}` }).expect(201);
+
+    const response = await api().get('/api/auth/me').set('Authorization', `Bearer fake-token:${uid}`).expect(200);
+    expect(response.body.user.email).toBe(email);
+  });
+
+  it('updates the profile and changes the email with the current password', async () => {
+    const { user, auth } = await createSignedInUser();
+
+    const profile = await api()
+      .patch('/api/auth/me')
+      .set('Authorization', auth)
+      .send({ firstName: ' Grace ', timezone: 'Australia/Sydney' })
+      .expect(200);
+    expect(profile.body.user).toMatchObject({ firstName: 'Grace', timezone: 'Australia/Sydney' });
+
+    await api().patch('/api/auth/me').set('Authorization', auth).send({ role: 'superadmin' }).expect(400);
+    await api().patch('/api/auth/me').set('Authorization', auth).send({ lastName: '' }).expect(400);
+
+    const newEmail = uniqueEmail('changed');
+    await api().patch('/api/auth/me').set('Authorization', auth).send({ email: newEmail }).expect(401);
+
+    const changed = await api()
+      .patch('/api/auth/me')
+      .set('Authorization', auth)
+      .send({ email: newEmail, currentPassword: DEFAULT_PASSWORD })
+      .expect(200);
+    expect(changed.body.user.email).toBe(newEmail);
+    expect(changed.body.user.emailVerified).toBeFalsy();
+    expect(mail.lastMailTo(newEmail)).not.toBeNull();
+
+    const other = await createUser();
+    await api()
+      .patch('/api/auth/me')
+      .set('Authorization', auth)
+      .send({ email: other.email, currentPassword: DEFAULT_PASSWORD })
+      .expect(409);
+
+    expect((await User.findById(user.id)).role).toBe('hoteluser');
+  });
+
+  it('deletes the account after confirming the password', async () => {
+    const { user, auth } = await createSignedInUser();
+
+    await api().delete('/api/auth/me').set('Authorization', auth).send({ password: 'wrong-password' }).expect(401);
+    await api().delete('/api/auth/me').set('Authorization', auth).send({ password: DEFAULT_PASSWORD }).expect(200);
+
+    await api().get('/api/auth/me').set('Authorization', auth).expect(401);
+    await api().post('/api/auth/login').send({ email: user.email, password: DEFAULT_PASSWORD }).expect(401);
+  });
+});
+
+describe('POST /api/auth/change-password', () => {
+  it('changes the password and keeps only the current session', async () => {
+    const { user, auth } = await createSignedInUser();
+    const other = await login(user.email);
+
+    await api()
+      .post('/api/auth/change-password')
+      .set('Authorization', auth)
+      .send({ currentPassword: 'wrong-password', newPassword: 'NewPassword456!' })
+      .expect(401);
+    await api()
+      .post('/api/auth/change-password')
+      .set('Authorization', auth)
+      .send({ currentPassword: DEFAULT_PASSWORD, newPassword: 'NewPassword456!' })
+      .expect(200);
+
+    await api().get('/api/auth/me').set('Authorization', auth).expect(200);
+    await api().get('/api/auth/me').set('Authorization', `Bearer ${other.token}`).expect(401);
+    await login(user.email, 'NewPassword456!');
+  });
+
+  it('validates the input', async () => {
+    const { auth } = await createSignedInUser();
+
+    await api().post('/api/auth/change-password').set('Authorization', auth).send({}).expect(400);
+    await api()
+      .post('/api/auth/change-password')
+      .set('Authorization', auth)
+      .send({ currentPassword: DEFAULT_PASSWORD, newPassword: '123' })
+      .expect(400);
+  });
+});
+
+describe('single sign-on (OIDC)', () => {
+  it('lists no providers and rejects unknown ones when none are configured', async () => {
+    const providers = await api().get('/api/auth/oidc/providers').expect(200);
+    expect(providers.body.providers).toEqual([]);
+
+    await api().get('/api/auth/oidc/unknown/authorize').expect(404);
+    await api().post('/api/auth/oidc/unknown/callback').send({ code: 'code', state: 'state' }).expect(404);
+  });
+});
+
+describe('DELETE /api/auth/cleanup-orphaned', () => {
+  it('is gone: MySQL-only users are legitimate and drift is repaired by account reconciliation', async () => {
+    const mysqlOnly = await createUser();
+    const superadmin = await createSignedInUser({ role: 'superadmin' });
+
+    await api().delete('/api/auth/cleanup-orphaned?olderThan=0').set('Authorization', superadmin.auth).expect(404);
+    expect(await User.findById(mysqlOnly.id)).not.toBeNull();
+  });
+});
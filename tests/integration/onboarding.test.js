@@ -0,0 +1,161 @@
+// tests/integration/onboarding.test.js
+// /api/onboarding: submission, status, saved data and the admin review list
+
+const crypto = require('crypto');
+const Organization = require('../../models/Organization');
+const OrganizationMember = require('../../models/OrganizationMember');
+const Property = require('../../models/Property');
+const { api, createSignedInUser, onboardingPayload, propertyPayload } = require('../helpers');
+
+describe('POST /api/onboarding/complete', () => {
+  it('creates the property with its rooms, systems, amenities, policies and images', async () => {
+    const owner = await createSignedInUser();
+
+    const response = await api()
+      .post('/api/onboarding/complete')
+      .set('Authorization', owner.auth)
+      .send(onboardingPayload())
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({
+      propertyId: expect.any(Number),
+      summary: { roomTypes: 2, amenities: 2, systemsConfigured: 1, totalRooms: 40, imagesUploaded: 1 }
+    });
+  });
+
+  it('puts the property in the organization of the user', async () => {
+    const owner = await createSignedInUser();
+    const organization = await Organization.create({ name: `Onboarding Group ${crypto.randomBytes(4).toString('hex')}` }, owner.user.id);
+    await OrganizationMember.add(organization.id, owner.user.id, 'member');
+
+    const response = await api()
+      .post('/api/onboarding/complete')
+      .set('Authorization', owner.auth)
+      .send(onboardingPayload())
+      .expect(201);
+
+    const property = await Property.findById(response.body.data.propertyId);
+    expect(property.organizationId).toBe(organization.id);
+  });
+
+  it('requires the property contact details', async () => {
+    const owner = await createSignedInUser();
+
+    await api()
+      .post('/api/onboarding/complete')
+      .set('Authorization', owner.auth)
+      .send(onboardingPayload({ property: { hotelName: 'No Contact' } }))
+      .expect(400);
+  });
+
+  it('requires authentication and a verified email', async () => {
+    await api().post('/api/onboarding/complete').send(onboardingPayload()).expect(401);
+
+    const unverified = await createSignedInUser({ emailVerified: false });
+    const response = await api()
+      .post('/api/onboarding/complete')
+      .set('Authorization', unverified.auth)
+      .send(onboardingPayload())
+      .expect(403);
+    expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+});
+
+describe('GET /api/onboarding/status', () => {
+  it('reports whether the user has completed onboarding', async () => {
+    const owner = await createSignedInUser();
+
+    const before = await api().get('/api/onboarding/status').set('Authorization', owner.auth).expect(200);
+    expect(before.body.completed).toBe(false);
+
+    const payload = onboardingPayload();
+    const completed = await api()
+      .post('/api/onboarding/complete')
+      .set('Authorization', owner.auth)
+      .send(payload)
+      .expect(201);
+
+    const after = await api().get('/api/onboarding/status').set('Authorization', owner.auth).expect(200);
+    expect(after.body).toMatchObject({
+      completed: true,
+      completion: {
+        propertyId: completed.body.data.propertyId,
+        hotelName: payload.property.hotelName,
+        summary: { roomTypes: 2, amenities: 2, systemsConfigured: 1, imagesUploaded: 1 }
+      }
+    });
+  });
+});
+
+describe('POST /api/onboarding/save-progress', () => {
+  it('acknowledges a step and requires step data', async () => {
+    const owner = await createSignedInUser();
+
+    const response = await api()
+      .post('/api/onboarding/save-progress')
+      .set('Authorization', owner.auth)
+      .send({ step: 2, data: { amenities: ['Spa'] } })
+      .expect(200);
+    expect(response.body).toMatchObject({ success: true, step: 2 });
+
+    await api().post('/api/onboarding/save-progress').set('Authorization', owner.auth).send({ step: 2 }).expect(400);
+  });
+});
+
+describe('GET /api/onboarding/test', () => {
+  it('echoes the authenticated user', async () => {
+    const owner = await createSignedInUser();
+
+    const response = await api().get('/api/onboarding/test').set('Authorization', owner.auth).expect(200);
+    expect(response.body.user).toMatchObject({ id: owner.user.id, email: owner.user.email });
+  });
+});
+
+describe('GET /api/onboarding/property/:propertyId', () => {
+  it('returns the saved onboarding data to team members only', async () => {
+    const owner = await createSignedInUser();
+    const stranger = await createSignedInUser();
+
+    const completed = await api()
+      .post('/api/onboarding/complete')
+      .set('Authorization', owner.auth)
+      .send(onboardingPayload({ property: propertyPayload() }))
+      .expect(201);
+    const { propertyId } = completed.body.data;
+
+    const response = await api().get(`/api/onboarding/property/${propertyId}`).set('Authorization', owner.auth).expect(200);
+    expect(response.body.data).toMatchObject({
+      totalRooms: 40,
+      pms: { systemName: 'Mews', systemUrl: 'https://mews.example' },
+      amenities: expect.arrayContaining(['Free WiFi', 'Restaurant']),
+      federalChargeable: 'yes',
+      publicCancellation: 'Free cancellation up to 24 hours before arrival'
+    });
+    expect(response.body.data.roomTypes.map(room => room.name).sort()).toEqual(['Deluxe King', 'Twin Room']);
+    expect(response.body.data.imagery.external).toHaveLength(1);
+
+    await api().get(`/api/onboarding/property/${propertyId}`).set('Authorization', stranger.auth).expect(404);
+  });
+});
+
+describe('GET /api/onboarding/admin/completions', () => {
+  it('lists completions for reviewers', async () => {
+    const owner = await createSignedInUser();
+    const admin = await createSignedInUser({ role: 'admin' });
+
+    const completed = await api()
+      .post('/api/onboarding/complete')
+      .set('Authorization', owner.auth)
+      .send(onboardingPayload())
+      .expect(201);
+
+    await api().get('/api/onboarding/admin/completions').set('Authorization', owner.auth).expect(403);
+
+    const response = await api()
+      .get('/api/onboarding/admin/completions?limit=100')
+      .set('Authorization', admin.auth)
+      .expect(200);
+    expect(response.body.pagination).toMatchObject({ page: 1, limit: 100 });
+    expect(response.body.completions.map(completion => completion.property_id)).toContain(completed.body.data.propertyId);
+  });
+});
@@ -0,0 +1,167 @@
+// tests/integration/organizations.test.js
+// /api/organizations members, invitations and API keys, and responding through /api/invitations/organizations
+
+const crypto = require('crypto');
+const mail = require('../helpers/mail');
+const ApiKey = require('../../models/ApiKey');
+const Organization = require('../../models/Organization');
+const OrganizationMember = require('../../models/OrganizationMember');
+const { api, uniqueEmail, createSignedInUser } = require('../helpers');
+
+// An organization with a signed-in admin
+const createOrganizationWithAdmin = async () => {
+  const admin = await createSignedInUser();
+  const organization = await Organization.create({ name: `Test Group ${crypto.randomBytes(4).toString('hex')}` }, admin.user.id);
+  await OrganizationMember.add(organization.id, admin.user.id, 'admin');
+  return { admin, organization };
+};
+
+describe('organization members', () => {
+  it('does not let org admins attach users without an invitation', async () => {
+    const { admin, organization } = await createOrganizationWithAdmin();
+    const outsider = await createSignedInUser();
+
+    const response = await api()
+      .post(`/api/organizations/${organization.id}/members`)
+      .set('Authorization', admin.auth)
+      .send({ email: outsider.user.email })
+      .expect(403);
+
+    expect(response.body.code).toBe('INVITATION_REQUIRED');
+    expect(await OrganizationMember.findByUserId(outsider.user.id)).toBeNull();
+  });
+
+  it('lets platform staff add members directly', async () => {
+    const { organization } = await createOrganizationWithAdmin();
+    const staff = await createSignedInUser({ role: 'admin' });
+    const user = await createSignedInUser();
+
+    await api()
+      .post(`/api/organizations/${organization.id}/members`)
+      .set('Authorization', staff.auth)
+      .send({ email: user.user.email, role: 'member' })
+      .expect(201);
+
+    expect(await OrganizationMember.findByUserId(user.user.id)).toMatchObject({ organizationId: organization.id, role: 'member' });
+  });
+});
+
+describe('organization invitations', () => {
+  it('adds the user only once they accept', async () => {
+    const { admin, organization } = await createOrganizationWithAdmin();
+    const colleague = await createSignedInUser();
+
+    const invited = await api()
+      .post(`/api/organizations/${organization.id}/invitations`)
+      .set('Authorization', admin.auth)
+      .send({ email: colleague.user.email, role: 'member' })
+      .expect(201);
+    expect(invited.body.invitation).toMatchObject({ organizationId: organization.id, role: 'member', status: 'pending' });
+    expect(await OrganizationMember.findByUserId(colleague.user.id)).toBeNull();
+
+    const mine = await api().get('/api/invitations/organizations/mine').set('Authorization', colleague.auth).expect(200);
+    expect(mine.body.invitations).toEqual([expect.objectContaining({ organizationId: organization.id, organizationName: organization.name })]);
+
+    const token = mail.extractToken(mail.lastMailTo(colleague.user.email));
+    await api().get(`/api/invitations/organizations/${token}`).expect(200);
+
+    // Only the invited account can accept
+    const someoneElse = await createSignedInUser();
+    await api().post('/api/invitations/organizations/accept').set('Authorization', someoneElse.auth).send({ token }).expect(403);
+
+    const accepted = await api()
+      .post('/api/invitations/organizations/accept')
+      .set('Authorization', colleague.auth)
+      .send({ token })
+      .expect(200);
+    expect(accepted.body).toMatchObject({ organizationId: organization.id, role: 'member' });
+    expect(await OrganizationMember.findByUserId(colleague.user.id)).toMatchObject({ organizationId: organization.id });
+
+    // Single use
+    await api().post('/api/invitations/organizations/accept').set('Authorization', colleague.auth).send({ token }).expect(400);
+  });
+
+  it('refuses users who already belong to an organization', async () => {
+    const { admin, organization } = await createOrganizationWithAdmin();
+    const other = await createOrganizationWithAdmin();
+
+    const response = await api()
+      .post(`/api/organizations/${organization.id}/invitations`)
+      .set('Authorization', admin.auth)
+      .send({ email: other.admin.user.email })
+      .expect(409);
+
+    expect(response.body.code).toBe('ALREADY_IN_ORGANIZATION');
+  });
+
+  it('can be declined without signing in, and revoked by admins', async () => {
+    const { admin, organization } = await createOrganizationWithAdmin();
+    const email = uniqueEmail('invitee');
+
+    await api()
+      .post(`/api/organizations/${organization.id}/invitations`)
+      .set('Authorization', admin.auth)
+      .send({ email })
+      .expect(201);
+    const token = mail.extractToken(mail.lastMailTo(email));
+
+    await api().post('/api/invitations/organizations/decline').send({ token }).expect(200);
+    await api().post('/api/invitations/organizations/decline').send({ token }).expect(400);
+
+    const invited = await api()
+      .post(`/api/organizations/${organization.id}/invitations`)
+      .set('Authorization', admin.auth)
+      .send({ email, role: 'admin' })
+      .expect(201);
+
+    const listed = await api().get(`/api/organizations/${organization.id}/invitations`).set('Authorization', admin.auth).expect(200);
+    expect(listed.body.invitations.map(invitation => invitation.id)).toEqual([invited.body.invitation.id]);
+
+    await api()
+      .delete(`/api/organizations/${organization.id}/invitations/${invited.body.invitation.id}`)
+      .set('Authorization', admin.auth)
+      .expect(200);
+    await api()
+      .delete(`/api/organizations/${organization.id}/invitations/${invited.body.invitation.id}`)
+      .set('Authorization', admin.auth)
+      .expect(404);
+  });
+});
+
+describe('organization API keys', () => {
+  it('lets org admins list and revoke their members\' keys', async () => {
+    const { admin, organization } = await createOrganizationWithAdmin();
+    const member = await createSignedInUser();
+    await OrganizationMember.add(organization.id, member.user.id, 'member');
+    const { apiKey, key } = await ApiKey.create(member.user.id, { name: 'PMS sync', scopes: ['properties:read'], organizationId: organization.id });
+
+    // Members cannot see the organization's keys
+    await api().get(`/api/organizations/${organization.id}/api-keys`).set('Authorization', member.auth).expect(403);
+
+    const listed = await api().get(`/api/organizations/${organization.id}/api-keys`).set('Authorization', admin.auth).expect(200);
+    expect(listed.body.apiKeys).toEqual([expect.objectContaining({ id: apiKey.id, userId: member.user.id, ownerEmail: member.user.email })]);
+
+    // Admins of another organization don't see it at all
+    const other = await createOrganizationWithAdmin();
+    await api().delete(`/api/organizations/${organization.id}/api-keys/${apiKey.id}`).set('Authorization', other.admin.auth).expect(404);
+    await api().delete(`/api/organizations/${other.organization.id}/api-keys/${apiKey.id}`).set('Authorization', other.admin.auth).expect(404);
+
+    await api().delete(`/api/organizations/${organization.id}/api-keys/${apiKey.id}`).set('Authorization', admin.auth).expect(200);
+    expect(await ApiKey.findActiveByKey(key)).toBeNull();
+  });
+
+  it('revokes a member\'s keys when they leave', async () => {
+    const { organization } = await createOrganizationWithAdmin();
+    const member = await createSignedInUser();
+    await OrganizationMember.add(organization.id, member.user.id, 'member');
+    const { key } = await ApiKey.create(member.user.id, { name: 'Reports', scopes: ['properties:read'], organizationId: organization.id });
+
+    await api()
+      .delete(`/api/organizations/${organization.id}/members/${member.user.id}`)
+      .set('Authorization', member.auth)
+      .expect(200);
+
+    expect(await ApiKey.findActiveByKey(key)).toBeNull();
+    await api().get('/api/properties/my-properties').set('X-API-Key', key).expect(401);
+  });
+});
@@ -0,0 +1,266 @@
+// tests/integration/properties.test.js
+// /api/properties: CRUD, status, admin listings and the property team
+
+const mail = require('../helpers/mail');
+const { api, uniqueEmail, createSignedInUser, propertyPayload } = require('../helpers');
+
+// Create a property through the API as the given user; resolves to the created property
+const createProperty = async (owner, overrides = {}) => {
+  const response = await api()
+    .post('/api/properties')
+    .set('Authorization', owner.auth)
+    .send(propertyPayload(overrides))
+    .expect(201);
+  return response.body.property;
+};
+
+describe('POST /api/properties', () => {
+  it('creates a property owned by the caller', async () => {
+    const owner = await createSignedInUser();
+
+    const response = await api()
+      .post('/api/properties')
+      .set('Authorization', owner.auth)
+      .send(propertyPayload({ hotelName: 'Harbour House Test', websiteUrl: 'harbour.example' }))
+      .expect(201);
+
+    expect(response.body).toMatchObject({
+      success: true,
+      propertyId: expect.any(Number),
+      property: { hotelName: 'Harbour House Test', websiteUrl: 'https://harbour.example', status: 'pending' }
+    });
+  });
+
+  it('validates required fields and email addresses', async () => {
+    const owner = await createSignedInUser();
+
+    const missing = await api()
+      .post('/api/properties')
+      .set('Authorization', owner.auth)
+      .send({ hotelName: 'Incomplete' })
+      .expect(400);
+    expect(missing.body.missingFields).toEqual(expect.arrayContaining(['city', 'contactEmail']));
+
+    await api()
+      .post('/api/properties')
+      .set('Authorization', owner.auth)
+      .send(propertyPayload({ contactEmail: 'not-an-email' }))
+      .expect(400);
+    await api()
+      .post('/api/properties')
+      .set('Authorization', owner.auth)
+      .send(propertyPayload({ totalRooms: -3 }))
+      .expect(400);
+  });
+
+  it('requires authentication and a verified email', async () => {
+    await api().post('/api/properties').send(propertyPayload()).expect(401);
+
+    const unverified = await createSignedInUser({ emailVerified: false });
+    await api()
+      .post('/api/properties')
+      .set('Authorization', unverified.auth)
+      .send(propertyPayload())
+      .expect(403);
+  });
+});
+
+describe('reading properties', () => {
+  it('lists and returns the caller\'s own properties only', async () => {
+    const owner = await createSignedInUser();
+    const stranger = await createSignedInUser();
+    const property = await createProperty(owner);
+
+    const mine = await api().get('/api/properties/my-properties').set('Authorization', owner.auth).expect(200);
+    expect(mine.body.properties.map(item => item.id)).toEqual([property.id]);
+
+    const theirs = await api().get('/api/properties/my-properties').set('Authorization', stranger.auth).expect(200);
+    expect(theirs.body.count).toBe(0);
+
+    const single = await api().get(`/api/properties/${property.id}`).set('Authorization', owner.auth).expect(200);
+    expect(single.body.property).toMatchObject({ id: property.id, hotelName: property.hotelName, state: 'NSW', currency: 'AUD' });
+
+    await api().get(`/api/properties/${property.id}`).set('Authorization', stranger.auth).expect(403);
+    await api().get('/api/properties/999999999').set('Authorization', owner.auth).expect(404);
+  });
+
+  it('lets admins list every property and see statistics', async () => {
+    const owner = await createSignedInUser();
+    const admin = await createSignedInUser({ role: 'admin' });
+    const property = await createProperty(owner, { country: 'Iceland', currency: 'ISK' });
+
+    await api().get('/api/properties/all').set('Authorization', owner.auth).expect(403);
+    await api().get('/api/properties/stats').set('Authorization', owner.auth).expect(403);
+
+    const all = await api().get('/api/properties/all?country=Iceland&limit=100').set('Authorization', admin.auth).expect(200);
+    expect(all.body.properties.map(item => item.id)).toContain(property.id);
+    expect(all.body.filters).toEqual({ country: 'Iceland' });
+
+    const stats = await api().get('/api/properties/stats').set('Authorization', admin.auth).expect(200);
+    expect(stats.body.success).toBe(true);
+
+    await api().get(`/api/properties/${property.id}`).set('Authorization', admin.auth).expect(200);
+  });
+});
+
+describe('updating properties', () => {
+  it('updates details for the owner only', async () => {
+    const owner = await createSignedInUser();
+    const stranger = await createSignedInUser();
+    const property = await createProperty(owner);
+
+    const response = await api()
+      .put(`/api/properties/${property.id}`)
+      .set('Authorization', owner.auth)
+      .send({ ...propertyPayload({ hotelName: property.hotelName }), phone: '+61 2 9000 0001', totalRooms: 55 })
+      .expect(200);
+    expect(response.body.property).toMatchObject({ totalRooms: 55 });
+
+    await api()
+      .put(`/api/properties/${property.id}`)
+      .set('Authorization', owner.auth)
+      .send({ contactEmail: 'not-an-email' })
+      .expect(400);
+    await api()
+      .put(`/api/properties/${property.id}`)
+      .set('Authorization', stranger.auth)
+      .send(propertyPayload())
+      .expect(404);
+  });
+
+  it('changes the status for the owner and for admins', async () => {
+    const owner = await createSignedInUser();
+    const stranger = await createSignedInUser();
+    const admin = await createSignedInUser({ role: 'admin' });
+    const property = await createProperty(owner);
+
+    await api()
+      .patch(`/api/properties/${property.id}/status`)
+      .set('Authorization', owner.auth)
+      .send({ status: 'archived' })
+      .expect(400);
+
+    const activated = await api()
+      .patch(`/api/properties/${property.id}/status`)
+      .set('Authorization', owner.auth)
+      .send({ status: 'active' })
+      .expect(200);
+    expect(activated.body.property.status).toBe('active');
+
+    await api()
+      .patch(`/api/properties/${property.id}/status`)
+      .set('Authorization', stranger.auth)
+      .send({ status: 'inactive' })
+      .expect(404);
+
+    const deactivated = await api()
+      .patch(`/api/properties/${property.id}/status`)
+      .set('Authorization', admin.auth)
+      .send({ status: 'inactive' })
+      .expect(200);
+    expect(deactivated.body.property.status).toBe('inactive');
+  });
+
+  it('deletes the property for the owner only', async () => {
+    const owner = await createSignedInUser();
+    const stranger = await createSignedInUser();
+    const property = await createProperty(owner);
+
+    await api().delete(`/api/properties/${property.id}`).set('Authorization', stranger.auth).expect(404);
+    await api().delete(`/api/properties/${property.id}`).set('Authorization', owner.auth).expect(200);
+    await api().get(`/api/properties/${property.id}`).set('Authorization', owner.auth).expect(404);
+  });
+});
+
+describe('property team', () => {
+  it('invites, lists, promotes and removes members', async () => {
+    const owner = await createSignedInUser();
+    const colleague = await createSignedInUser();
+    const property = await createProperty(owner);
+
+    // POST /:id/invitations
+    await api()
+      .post(`/api/properties/${property.id}/invitations`)
+      .set('Authorization', owner.auth)
+      .send({ email: 'not-an-email' })
+      .expect(400);
+    await api()
+      .post(`/api/properties/${property.id}/invitations`)
+      .set('Authorization', colleague.auth)
+      .send({ email: uniqueEmail() })
+      .expect(403);
+
+    const invited = await api()
+      .post(`/api/properties/${property.id}/invitations`)
+      .set('Authorization', owner.auth)
+      .send({ email: colleague.user.email, role: 'viewer' })
+      .expect(201);
+    expect(invited.body.invitation).toMatchObject({ propertyId: property.id, role: 'viewer', status: 'pending' });
+
+    // Accept through the emailed link
+    const token = mail.extractToken(mail.lastMailTo(colleague.user.email));
+    await api().post('/api/invitations/accept').set('Authorization', colleague.auth).send({ token }).expect(200);
+
+    // GET /:id/members
+    const members = await api().get(`/api/properties/${property.id}/members`).set('Authorization', owner.auth).expect(200);
+    expect(members.body.members.map(member => member.userId).sort()).toEqual([owner.user.id, colleague.user.id].sort());
+    expect(members.body.yourRole).toBe('owner');
+
+    const asViewer = await api().get(`/api/properties/${property.id}/members`).set('Authorization', colleague.auth).expect(200);
+    expect(asViewer.body.invitations).toEqual([]);
+
+    // PATCH /:id/members/:userId
+    await api()
+      .patch(`/api/properties/${property.id}/members/${owner.user.id}`)
+      .set('Authorization', colleague.auth)
+      .send({ role: 'viewer' })
+      .expect(403);
+    await api()
+      .patch(`/api/properties/${property.id}/members/${colleague.user.id}`)
+      .set('Authorization', owner.auth)
+      .send({ role: 'manager' })
+      .expect(200);
+    await api()
+      .patch(`/api/properties/${property.id}/members/${owner.user.id}`)
+      .set('Authorization', owner.auth)
+      .send({ role: 'viewer' })
+      .expect(400);
+
+    // DELETE /:id/members/:userId
+    await api()
+      .delete(`/api/properties/${property.id}/members/${owner.user.id}`)
+      .set('Authorization', owner.auth)
+      .expect(400);
+    await api()
+      .delete(`/api/properties/${property.id}/members/${colleague.user.id}`)
+      .set('Authorization', owner.auth)
+      .expect(200);
+    await api()
+      .delete(`/api/properties/${property.id}/members/${colleague.user.id}`)
+      .set('Authorization', owner.auth)
+      .expect(404);
+  });
+
+  it('revokes pending invitations', async () => {
+    const owner = await createSignedInUser();
+    const property = await createProperty(owner);
+
+    const invited = await api()
+      .post(`/api/properties/${property.id}/invitations`)
+      .set('Authorization', owner.auth)
+      .send({ email: uniqueEmail('invitee'), role: 'manager' })
+      .expect(201);
+
+    const listed = await api().get(`/api/properties/${property.id}/members`).set('Authorization', owner.auth).expect(200);
+    expect(listed.body.invitations.map(invitation => invitation.id)).toContain(invited.body.invitation.id);
+
+    await api()
+      .delete(`/api/properties/${property.id}/invitations/${invited.body.invitation.id}`)
+      .set('Authorization', owner.auth)
+      .expect(200);
+    await api()
+      .delete(`/api/properties/${property.id}/invitations/${invited.body.invitation.id}`)
+      .set('Authorization', owner.auth)
+      .expect(404);
+  });
+});
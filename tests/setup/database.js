@@ -0,0 +1,116 @@
+// tests/setup/database.js
+// Disposable MySQL database for the integration tests, migrated from migrations/
+// - TEST_DB_HOST set (CI service container, local MySQL): a uniquely named nuvho_test_* database
+//   is created on that server and dropped afterwards (TEST_DB_PORT, TEST_DB_USER, TEST_DB_PASSWORD)
+// - otherwise: mysql-memory-server starts a throwaway mysqld (MYSQL_TEST_VERSION, default 8.4.x;
+//   downloaded from cdn.mysql.com on first use when MySQL is not installed)
+// Startup gives up after TEST_DB_STARTUP_TIMEOUT_MS (default 2 minutes) instead of hanging when no MySQL is reachable
+// Connection settings are handed to the test workers through DB_* environment variables
+
+const crypto = require('crypto');
+const mysql = require('mysql2/promise');
+
+const STARTUP_TIMEOUT_MS = parseInt(process.env.TEST_DB_STARTUP_TIMEOUT_MS) || 2 * 60 * 1000;
+
+// Helper function to fail a startup step that takes longer than STARTUP_TIMEOUT_MS
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no database after ${STARTUP_TIMEOUT_MS / 1000}s (TEST_DB_STARTUP_TIMEOUT_MS)`)), STARTUP_TIMEOUT_MS);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const startExternalDatabase = async () => {
+  const settings = {
+    host: process.env.TEST_DB_HOST,
+    port: parseInt(process.env.TEST_DB_PORT) || 3306,
+    user: process.env.TEST_DB_USER || 'root',
+    password: process.env.TEST_DB_PASSWORD || ''
+  };
+  const database = `nuvho_test_${crypto.randomBytes(4).toString('hex')}`;
+
+  const connection = await mysql.createConnection(settings);
+  try {
+    await connection.query(`CREATE DATABASE ${database} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+  } finally {
+    await connection.end();
+  }
+
+  return {
+    ...settings,
+    database,
+    stop: async () => {
+      const cleanup = await mysql.createConnection(settings);
+      try {
+        await cleanup.query(`DROP DATABASE IF EXISTS ${database}`);
+      } finally {
+        await cleanup.end();
+      }
+    }
+  };
+};
+
+const startEmbeddedDatabase = async () => {
+  const { createDB } = require('mysql-memory-server');
+  const db = await createDB({
+    version: process.env.MYSQL_TEST_VERSION || '8.4.x',
+    dbName: 'nuvho_test',
+    logLevel: 'ERROR'
+  });
+
+  return {
+    host: '127.0.0.1',
+    port: db.port,
+    user: db.username,
+    password: '',
+    database: db.dbName,
+    stop: () => db.stop()
+  };
+};
+
+// Start the database, point DB_* at it and apply every migration plus the default roles
+const startDatabase = async () => {
+  let db;
+  try {
+    db = await withTimeout(process.env.TEST_DB_HOST ? startExternalDatabase() : startEmbeddedDatabase());
+  } catch (error) {
+    // mysql-memory-server rejects with plain strings
+    throw new Error(
+      `Could not start the integration test database: ${error instanceof Error ? error.message : error}\n` +
+      'Set TEST_DB_HOST (and TEST_DB_PORT, TEST_DB_USER, TEST_DB_PASSWORD) to use an existing MySQL server, ' +
+      'or run only the unit tests with npm test',
+      { cause: error }
+    );
+  }
+
+  Object.assign(process.env, {
+    DB_HOST: db.host,
+    DB_PORT: String(db.port),
+    DB_USER: db.user,
+    DB_PASSWORD: db.password,
+    DB_NAME: db.database
+  });
+
+  // Required only now: config/database.js builds its pool from DB_* on load
+  const { closePool } = require('../../config/database');
+  const { migrateUp } = require('../../services/migrations');
+  const Role = require('../../models/Role');
+
+  try {
+    await migrateUp();
+    await Role.ensureDefaults();
+  } catch (error) {
+    await db.stop();
+    throw error;
+  } finally {
+    await closePool();
+  }
+
+  return db;
+};
+
+module.exports = {
+  startDatabase
+};
@@ -0,0 +1,25 @@
+// tests/setup/env.js
+// Environment for every test file, applied before any application module (and config) is loaded
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-that-is-at-least-32-characters';
+
+// Offline: never pick up real credentials from the environment or a .env file
+process.env.OPENAI_API_KEY = '';
+process.env.HUBSPOT_ACCESS_TOKEN = '';
+process.env.GOOGLE_APPLICATION_CREDENTIALS = '';
+process.env.OIDC_PROVIDERS = '';
+
+// The schema is migrated once by the global setup
+process.env.DB_AUTO_MIGRATE = 'false';
+
+// Per-IP limits would trip when every request comes from 127.0.0.1
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.TWO_FACTOR_REQUIRED = 'false';
+
+// The app logs every request and every handled error; TEST_VERBOSE=true shows it
+if (process.env.TEST_VERBOSE !== 'true') {
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    console[method] = () => {};
+  });
+}
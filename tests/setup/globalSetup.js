@@ -0,0 +1,15 @@
+// tests/setup/globalSetup.js
+// Runs once before the integration tests (see tests/setup/database.js)
+
+require('./env');
+const { startDatabase } = require('./database');
+
+module.exports = async () => {
+  try {
+    globalThis.__NUVHO_TEST_DB__ = await startDatabase();
+  } catch (error) {
+    // env.js silences console (Jest's own included) unless TEST_VERBOSE=true, so report it directly
+    process.stderr.write(`\n${error.message}\n\n`);
+    throw error;
+  }
+};
@@ -0,0 +1,9 @@
+// tests/setup/globalTeardown.js
+// Drops (or stops) the database created by globalSetup.js
+
+module.exports = async () => {
+  const db = globalThis.__NUVHO_TEST_DB__;
+  if (db) {
+    await db.stop();
+  }
+};
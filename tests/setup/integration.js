@@ -0,0 +1,15 @@
+// tests/setup/integration.js
+// Per test file: offline fakes for Firebase, OpenAI and mail, and a pool that is closed afterwards
+
+const { setFirebaseAdmin, createInMemoryFirebaseAdmin } = require('../../services/firebaseAdmin');
+const { setOpenAI, createFakeOpenAI } = require('../../services/openai');
+const { closePool } = require('../../config/database');
+const mail = require('../helpers/mail');
+
+setFirebaseAdmin(createInMemoryFirebaseAdmin());
+setOpenAI(createFakeOpenAI());
+mail.install();
+
+afterAll(async () => {
+  await closePool();
+});
@@ -0,0 +1,179 @@
+// tests/unit/environment.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig, loadEnvFiles, redactConfig, freeze } = require('../../config/environment');
+
+const PRODUCTION_ENV = {
+  NODE_ENV: 'production',
+  DB_HOST: 'db.internal',
+  DB_USER: 'nuvho',
+  DB_PASSWORD: 'secret',
+  CORS_ORIGINS: 'https://app.nuvho.com, https://admin.nuvho.com',
+  JWT_SECRET: 'x'.repeat(32),
+  METRICS_TOKEN: 'm'.repeat(32),
+  MAIL_TRANSPORT: 'webhook',
+  MAIL_WEBHOOK_URL: 'https://mail.nuvho.test/send'
+};
+
+describe('loadConfig', () => {
+  it('applies development defaults and warns about a missing JWT secret', () => {
+    const config = loadConfig({});
+
+    expect(config).toMatchObject({
+      env: 'development',
+      isDevelopment: true,
+      server: { port: 4000, publicUrl: null },
+      db: { host: 'localhost', user: 'root', database: 'the_hotel_collective', autoMigrate: true },
+      openai: { enabled: false, apiUrl: 'https://api.openai.com/v1' },
+      dataEncryptionKey: null,
+      logging: { level: 'debug', format: 'pretty' },
+      openapi: { validate: true }
+    });
+    expect(config.cors.origins).toContain('http://localhost:3000');
+    expect(config.jwt.secret).toHaveLength(64);
+    expect(config.warnings).toEqual([expect.stringContaining('JWT_SECRET')]);
+  });
+
+  it('treats blank values as unset', () => {
+    const config = loadConfig({ PORT: '', DB_HOST: '' });
+    expect(config.server.port).toBe(4000);
+    expect(config.db.host).toBe('localhost');
+  });
+
+  it('parses production settings', () => {
+    const config = loadConfig({ ...PRODUCTION_ENV, PUBLIC_URL: 'https://api.nuvho.com/', TRUST_PROXY: '1' });
+
+    expect(config).toMatchObject({
+      isProduction: true,
+      server: { publicUrl: 'https://api.nuvho.com', trustProxy: 1 },
+      cors: { origins: ['https://app.nuvho.com', 'https://admin.nuvho.com'] },
+      dataEncryptionKey: PRODUCTION_ENV.JWT_SECRET,
+      logging: { level: 'info', format: 'json' },
+      openapi: { validate: false },
+      warnings: []
+    });
+    expect(loadConfig({ ...PRODUCTION_ENV, LOG_LEVEL: 'DEBUG', LOG_FORMAT: 'pretty' }).logging)
+      .toEqual({ level: 'debug', format: 'pretty' });
+    expect(loadConfig({ ...PRODUCTION_ENV, OPENAPI_VALIDATION: 'true' }).openapi.validate).toBe(true);
+  });
+
+  it('warns when production metrics have no token', () => {
+    const { METRICS_TOKEN, ...env } = PRODUCTION_ENV;
+
+    expect(loadConfig(env).warnings).toEqual([expect.stringContaining('METRICS_TOKEN')]);
+    expect(loadConfig({ ...env, METRICS_ENABLED: 'false' }).warnings).toEqual([]);
+    expect(loadConfig(PRODUCTION_ENV).metrics).toEqual({ enabled: true, token: PRODUCTION_ENV.METRICS_TOKEN });
+  });
+
+  it('shapes feature settings with their defaults', () => {
+    const config = loadConfig({});
+
+    expect(config).toMatchObject({
+      rateLimit: { enabled: true, login: { windowMinutes: 15, max: 20 }, magicLink: { windowMinutes: 60, max: 5 } },
+      loginProtection: { accountThreshold: 5, ipThreshold: 20, lockoutMinutes: 15, maxLockoutMinutes: 1440 },
+      twoFactor: { required: false, issuer: 'Nuvho HotelHub', challengeTtl: '5m' },
+      mail: { transport: 'console', outboxDir: 'tmp/mail', webhookUrl: null },
+      magicLink: { bindIp: false, bindDevice: false },
+      tokenTtl: { magicLinkMinutes: 15, passwordResetMinutes: 60, emailVerificationHours: 48 },
+      apiKeys: { defaultTtlDays: 90, maxTtlDays: 365 }
+    });
+    expect(loadConfig({ RATE_LIMIT_ENABLED: 'false', RATE_LIMIT_LOGIN_MAX: '50', TWO_FACTOR_REQUIRED: 'true', MAGIC_LINK_BIND_IP: 'true' }))
+      .toMatchObject({ rateLimit: { enabled: false, login: { max: 50 } }, twoFactor: { required: true }, magicLink: { bindIp: true } });
+  });
+
+  it('rejects invalid feature settings', () => {
+    let error;
+    try {
+      loadConfig({ RATE_LIMIT_LOGIN_MAX: '0', TWO_FACTOR_CHALLENGE_TTL: 'soon', MAIL_TRANSPORT: 'webhook', API_KEY_DEFAULT_TTL_DAYS: '400' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.details).toEqual(expect.arrayContaining([
+      expect.stringContaining('RATE_LIMIT_LOGIN_MAX'),
+      expect.stringContaining('TWO_FACTOR_CHALLENGE_TTL'),
+      '"MAIL_WEBHOOK_URL" is required',
+      '"API_KEY_DEFAULT_TTL_DAYS" must not be greater than API_KEY_MAX_TTL_DAYS'
+    ]));
+  });
+
+  it('validates OIDC providers as a JSON array', () => {
+    const provider = { id: 'acme', issuer: 'https://idp.acme.test', clientId: 'hub', clientSecret: 'idp-secret' };
+
+    expect(loadConfig({}).oidc.providers).toEqual([]);
+    expect(loadConfig({ OIDC_PROVIDERS: JSON.stringify([provider]) }).oidc.providers).toEqual([provider]);
+    expect(() => loadConfig({ OIDC_PROVIDERS: '[{"id":' })).toThrow('"OIDC_PROVIDERS" must be a JSON array');
+    expect(() => loadConfig({ OIDC_PROVIDERS: JSON.stringify([{ id: 'acme', clientId: 'hub' }]) }))
+      .toThrow('"[0].issuer" is required');
+    expect(redactConfig(loadConfig({ OIDC_PROVIDERS: JSON.stringify([provider]) })).oidc.providers[0].clientSecret)
+      .toBe('[redacted]');
+  });
+
+  it('does not allow the console mail transport in production', () => {
+    expect(() => loadConfig({ ...PRODUCTION_ENV, MAIL_TRANSPORT: 'console' }))
+      .toThrow('"MAIL_TRANSPORT" cannot be console in production');
+    expect(loadConfig({ ...PRODUCTION_ENV, MAIL_TRANSPORT: 'file' }).mail.transport).toBe('file');
+  });
+
+  it('lists every problem at once', () => {
+    let error;
+    try {
+      loadConfig({ NODE_ENV: 'production', JWT_SECRET: 'short', PORT: 'abc', SSL_CERT: 'cert.pem' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.details).toEqual(expect.arrayContaining([
+      expect.stringContaining('DB_HOST'),
+      expect.stringContaining('CORS_ORIGINS'),
+      '"MAIL_TRANSPORT" is required',
+      '"JWT_SECRET" must be at least 32 characters',
+      expect.stringContaining('PORT'),
+      'SSL_CERT and SSL_KEY must be set together'
+    ]));
+  });
+});
+
+describe('loadEnvFiles', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nuvho-env-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('layers .env files without overriding real environment variables', () => {
+    fs.writeFileSync(path.join(directory, '.env'), 'PORT=4100\nDB_NAME=base\nDB_USER=base');
+    fs.writeFileSync(path.join(directory, '.env.test'), 'DB_NAME=from_test');
+    fs.writeFileSync(path.join(directory, '.env.local'), 'DB_NAME=from_local');
+    const env = { NODE_ENV: 'test', DB_USER: 'real' };
+
+    const loaded = loadEnvFiles(env, directory);
+
+    // .env.local is skipped in test so runs are reproducible
+    expect(loaded).toEqual(['.env.test', '.env']);
+    expect(env).toMatchObject({ PORT: '4100', DB_NAME: 'from_test', DB_USER: 'real' });
+  });
+});
+
+describe('redactConfig and freeze', () => {
+  it('hides secrets and makes the config read-only', () => {
+    const config = freeze(loadConfig({ ...PRODUCTION_ENV, OPENAI_API_KEY: 'sk-test', MAIL_WEBHOOK_TOKEN: 'mail-token' }));
+    const redacted = redactConfig(config);
+
+    expect(redacted.jwt.secret).toBe('[redacted]');
+    expect(redacted.db.password).toBe('[redacted]');
+    expect(redacted.openai.apiKey).toBe('[redacted]');
+    expect(redacted.mail.webhookToken).toBe('[redacted]');
+    expect(redacted.hubspot.accessToken).toBeNull();
+    expect(config.jwt.secret).toBe(PRODUCTION_ENV.JWT_SECRET);
+    expect(Object.isFrozen(config.db)).toBe(true);
+  });
+});
@@ -0,0 +1,115 @@
+// tests/unit/errors.test.js
+// Typed errors, the response envelope and the central error handler
+
+const express = require('express');
+const request = require('supertest');
+const { NotFoundError, ConflictError, TooManyRequestsError, UpstreamServiceError, AppError } = require('../../utils/errors');
+const { formatError, formatSuccess } = require('../../utils/helpers');
+const { errorHandler, notFoundHandler } = require('../../middleware/errorHandler');
+
+describe('typed errors', () => {
+  it('carry an HTTP status, a default code and optional details', () => {
+    const error = new NotFoundError('Property not found', { code: 'PROPERTY_NOT_FOUND' });
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ name: 'NotFoundError', status: 404, code: 'PROPERTY_NOT_FOUND', details: {} });
+    expect(new ConflictError('Taken')).toMatchObject({ status: 409, code: 'CONFLICT' });
+    expect(new UpstreamServiceError('AI service error', { service: 'openai' })).toMatchObject({ status: 502, service: 'openai' });
+  });
+});
+
+describe('formatError / formatSuccess', () => {
+  it('puts the code, message and details of typed errors at the top level', () => {
+    const error = new ConflictError('This user is on the team of another organization\'s properties', {
+      code: 'FOREIGN_PROPERTY_MEMBERSHIP',
+      details: { properties: [{ id: 3 }] }
+    });
+
+    expect(formatError(error)).toEqual({
+      success: false,
+      code: 'FOREIGN_PROPERTY_MEMBERSHIP',
+      message: 'This user is on the team of another organization\'s properties',
+      properties: [{ id: 3 }]
+    });
+  });
+
+  it('hides unexpected errors', () => {
+    expect(formatError(new Error('ER_BAD_FIELD_ERROR: Unknown column'))).toEqual({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    });
+  });
+
+  it('wraps success data with an optional message', () => {
+    expect(formatSuccess({ property: { id: 1 } }, 'Property updated successfully')).toEqual({
+      success: true,
+      message: 'Property updated successfully',
+      property: { id: 1 }
+    });
+    expect(formatSuccess({ count: 0 })).toEqual({ success: true, count: 0 });
+  });
+});
+
+describe('errorHandler', () => {
+  const app = express();
+  app.use(express.json());
+  app.get('/missing', (req, res, next) => next(new NotFoundError('Property not found', { code: 'PROPERTY_NOT_FOUND' })));
+  app.get('/limited', (req, res, next) => next(new TooManyRequestsError('Slow down', { details: { retryAfter: 60 } })));
+  app.get('/duplicate', (req, res, next) => next(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' })));
+  app.get('/crash', () => {
+    throw new Error('connection lost');
+  });
+  app.post('/echo', (req, res) => res.json(formatSuccess(req.body)));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  it('answers typed errors with their status and envelope', async () => {
+    const res = await request(app).get('/missing');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, code: 'PROPERTY_NOT_FOUND', message: 'Property not found' });
+    expect(consoleError).not.toHaveBeenCalled();
+  });
+
+  it('sets Retry-After from the details', async () => {
+    const res = await request(app).get('/limited');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('60');
+    expect(res.body).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 60 });
+  });
+
+  it('translates library errors', async () => {
+    expect((await request(app).get('/duplicate')).body).toMatchObject({ code: 'DUPLICATE_ENTRY' });
+
+    const badJson = await request(app).post('/echo').set('Content-Type', 'application/json').send('{"name":');
+    expect(badJson.status).toBe(400);
+    expect(badJson.body.code).toBe('INVALID_JSON');
+  });
+
+  it('logs and hides unexpected errors', async () => {
+    const res = await request(app).get('/crash');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ success: false, code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    expect(consoleError).toHaveBeenCalled();
+  });
+
+  it('reports unknown routes', async () => {
+    const res = await request(app).get('/nowhere');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, code: 'ROUTE_NOT_FOUND', message: 'Endpoint not found', method: 'GET', path: '/nowhere' });
+  });
+});
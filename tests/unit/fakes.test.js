@@ -0,0 +1,77 @@
+// tests/unit/fakes.test.js
+// The offline stand-ins used by the integration suite behave like the real clients
+
+const { createInMemoryFirebaseAdmin } = require('../../services/firebaseAdmin');
+const { createFakeOpenAI } = require('../../services/openai');
+
+describe('createInMemoryFirebaseAdmin', () => {
+  it('creates accounts and verifies their fake ID tokens', async () => {
+    const firebase = createInMemoryFirebaseAdmin();
+
+    const created = await firebase.createUser('guest@example.com', 'Password123!', 'Guest');
+    expect(created).toEqual({ success: true, uid: expect.any(String) });
+    expect(await firebase.createUser('GUEST@example.com', 'Password123!')).toMatchObject({
+      success: false,
+      code: 'email-exists'
+    });
+
+    expect(await firebase.verifyIdToken(`fake-token:${created.uid}`)).toMatchObject({
+      success: true,
+      uid: created.uid,
+      email: 'guest@example.com'
+    });
+    expect((await firebase.verifyIdToken(created.uid)).success).toBe(false);
+  });
+
+  it('updates, pages and deletes accounts', async () => {
+    const firebase = createInMemoryFirebaseAdmin([
+      { uid: 'a', email: 'a@example.com' },
+      { uid: 'b', email: 'b@example.com' },
+      { uid: 'c', email: 'c@example.com' }
+    ]);
+
+    expect((await firebase.updateUser('a', { email: 'b@example.com' })).success).toBe(false);
+    await firebase.updateUser('a', { disabled: true });
+    expect((await firebase.verifyIdToken('fake-token:a')).success).toBe(false);
+
+    const firstPage = await firebase.listUsers(undefined, 2);
+    expect(firstPage.users.map(user => user.uid)).toEqual(['a', 'b']);
+    const secondPage = await firebase.listUsers(firstPage.pageToken, 2);
+    expect(secondPage).toMatchObject({ pageToken: null, users: [expect.objectContaining({ uid: 'c' })] });
+
+    expect(await firebase.deleteUser('c')).toEqual({ success: true });
+    expect(firebase.users.has('c')).toBe(false);
+  });
+});
+
+describe('createFakeOpenAI', () => {
+  it('answers the latest message when a run completes', async () => {
+    const openai = createFakeOpenAI();
+    const thread = await openai.createThread();
+
+    await openai.addMessage(thread.id, 'Hello');
+    const run = await openai.createRun(thread.id, 'asst_test');
+    const messages = await openai.listMessages(thread.id);
+
+    expect((await openai.getRun(thread.id, run.id)).status).toBe('completed');
+    expect(messages.data[0]).toMatchObject({ role: 'assistant', content: [{ text: { value: 'Echo: Hello' } }] });
+  });
+
+  it('fails like the API for unknown threads', async () => {
+    await expect(createFakeOpenAI().addMessage('thread_missing', 'Hello')).rejects.toMatchObject({
+      status: 502,
+      code: 'AI_SERVICE_ERROR',
+      cause: expect.objectContaining({ message: expect.stringContaining('OpenAI API Error: 404') })
+    });
+  });
+
+  it('streams the configured speech audio', async () => {
+    const openai = createFakeOpenAI({ audio: Buffer.from('audio') });
+    const chunks = [];
+
+    for await (const chunk of await openai.speech('Welcome')) chunks.push(chunk);
+
+    expect(Buffer.concat(chunks).toString()).toBe('audio');
+    expect(openai.calls).toEqual([{ method: 'speech', text: 'Welcome', voice: 'alloy' }]);
+  });
+});
@@ -0,0 +1,156 @@
+// tests/unit/health.test.js
+// Readiness checks (services/health.js) and the health endpoints, with the MySQL pool mocked
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn() },
+  getPoolStats: () => ({ active: 1, idle: 2, queued: 0, limit: 10 })
+}));
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { pool } = require('../../config/database');
+const { loadMigrations } = require('../../services/migrations');
+const { checkReadiness } = require('../../services/health');
+const { getOpenAI, setOpenAI, createFakeOpenAI, createOpenAIClient } = require('../../services/openai');
+const { registry, openaiRequests } = require('../../services/metrics');
+const { getFirebaseAdmin, setFirebaseAdmin, createInMemoryFirebaseAdmin } = require('../../services/firebaseAdmin');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+// schema_migrations rows for every migration on disk
+const appliedRows = () => loadMigrations().map(migration => ({ ...migration, applied_at: new Date() }));
+
+const databaseUp = (rows = appliedRows()) => pool.query.mockImplementation(async (sql) => (
+  sql.includes('schema_migrations') ? [rows] : [[{ 1: 1 }]]
+));
+
+describe('checkReadiness', () => {
+  const originalOpenAI = getOpenAI();
+  const originalFirebase = getFirebaseAdmin();
+
+  beforeEach(() => {
+    setOpenAI(createFakeOpenAI());
+    setFirebaseAdmin(createInMemoryFirebaseAdmin());
+  });
+
+  afterAll(() => {
+    setOpenAI(originalOpenAI);
+    setFirebaseAdmin(originalFirebase);
+  });
+
+  it('is ok when every dependency answers', async () => {
+    databaseUp();
+
+    const { status, checks } = await checkReadiness({ timeoutMs: 500, probe: true });
+
+    expect(status).toBe('ok');
+    expect(checks.database).toMatchObject({ status: 'up', critical: true, pool: { active: 1, idle: 2 } });
+    expect(checks.database.latencyMs).toEqual(expect.any(Number));
+    expect(checks.migrations).toMatchObject({ status: 'up', pending: 0 });
+    expect(checks.migrations.current).toBe(checks.migrations.latest);
+    expect(checks.firebase).toMatchObject({ status: 'up', critical: false, probed: true });
+    expect(checks.openai).toMatchObject({ status: 'up', probed: true });
+    expect(checks.hubspot).toMatchObject({ status: 'disabled' });
+  });
+
+  it('is unavailable when MySQL fails or migrations are pending', async () => {
+    pool.query.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:3306'), { code: 'ECONNREFUSED' }));
+
+    const down = await checkReadiness({ timeoutMs: 500 });
+    expect(down.status).toBe('unavailable');
+    expect(down.checks.database).toMatchObject({ status: 'down', error: 'connect ECONNREFUSED 127.0.0.1:3306' });
+
+    databaseUp([]);
+    const behind = await checkReadiness({ timeoutMs: 500 });
+    expect(behind.status).toBe('unavailable');
+    expect(behind.checks.migrations).toMatchObject({ status: 'down', current: 0, error: expect.stringContaining('pending migration') });
+  });
+
+  it('is degraded when an optional service fails, and only probes it when asked', async () => {
+    databaseUp();
+    setOpenAI({ ...createFakeOpenAI(), probeAssistant: async () => { throw new Error('404 - No assistant found'); } });
+
+    const degraded = await checkReadiness({ timeoutMs: 500, probe: true });
+    expect(degraded.status).toBe('degraded');
+    expect(degraded.checks.openai).toMatchObject({ status: 'down', error: '404 - No assistant found' });
+
+    const configured = await checkReadiness({ timeoutMs: 500, probe: false });
+    expect(configured.status).toBe('ok');
+    expect(configured.checks.openai).toMatchObject({ status: 'up', probed: false });
+  });
+
+  it('probes only the configured assistants', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const actual = jest.requireActual('../../config');
+      jest.doMock('../../config', () => ({ ...actual, openai: { ...actual.openai, managerAssistantId: null } }));
+      const openai = require('../../services/openai');
+      const { runCheck } = require('../../services/health');
+      const fake = openai.createFakeOpenAI();
+      openai.setOpenAI(fake);
+
+      expect(await runCheck('openai', { timeoutMs: 500, probe: true })).toMatchObject({ status: 'up', assistants: 1 });
+      expect(fake.calls).toEqual([{ method: 'probeAssistant', assistantId: actual.openai.assistantId }]);
+    });
+  });
+
+  it('keeps probe calls out of the OpenAI request metrics', async () => {
+    const server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ id: req.url.split('/').pop(), object: 'assistant' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      registry.reset();
+      setOpenAI(createOpenAIClient({ apiKey: 'sk-test', apiUrl: `http://127.0.0.1:${server.address().port}` }));
+
+      const { checks } = await checkReadiness({ timeoutMs: 500, probe: true });
+
+      expect(checks.openai).toMatchObject({ status: 'up', probed: true, assistants: 2 });
+      expect(openaiRequests.samples()).toEqual([]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('gives up on a check that does not answer in time', async () => {
+    pool.query.mockImplementation(() => new Promise(() => {}));
+
+    const { status, checks } = await checkReadiness({ timeoutMs: 50 });
+
+    expect(status).toBe('unavailable');
+    expect(checks.database).toMatchObject({ status: 'down', error: 'Timed out after 50ms' });
+  });
+});
+
+describe('health endpoints', () => {
+  const app = express();
+  app.use('/api/health', require('../../routes/health'));
+  app.use(errorHandler);
+
+  it('reports liveness without touching the database', async () => {
+    pool.query.mockClear();
+
+    const res = await request(app).get('/api/health/live').expect(200);
+
+    expect(res.body).toMatchObject({ status: 'ok', uptimeSeconds: expect.any(Number) });
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('answers readiness with 503 when MySQL is down', async () => {
+    pool.query.mockRejectedValue(new Error('Connection lost'));
+
+    const res = await request(app).get('/api/health/ready').expect(503);
+
+    expect(res.body).toMatchObject({ status: 'unavailable', checks: { database: { status: 'down' } } });
+  });
+
+  it('no longer reports the database as connected when it is not', async () => {
+    pool.query.mockRejectedValue(new Error('Connection lost'));
+    expect((await request(app).get('/api/health').expect(503)).body).toMatchObject({ status: 'ERROR', database: 'Connection Failed' });
+
+    databaseUp();
+    expect((await request(app).get('/api/health').expect(200)).body).toMatchObject({ status: 'OK', database: 'Connected' });
+  });
+});
@@ -0,0 +1,137 @@
+// tests/unit/logger.test.js
+// Structured logger (levels, formats, redaction) and request IDs
+
+const express = require('express');
+const request = require('supertest');
+const { createLogger, redact, runWithContext } = require('../../services/logger');
+const createRequestContext = require('../../middleware/requestContext');
+
+// Lines written through console.log / console.error, parsed from JSON
+const captureLines = () => {
+  const lines = [];
+  const capture = (line) => lines.push(JSON.parse(line));
+  const spies = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(capture));
+  return { lines, restore: () => spies.forEach(spy => spy.mockRestore()) };
+};
+
+describe('createLogger', () => {
+  let output;
+
+  beforeEach(() => {
+    output = captureLines();
+  });
+
+  afterEach(() => {
+    output.restore();
+  });
+
+  it('writes one JSON object per line with the request context', () => {
+    const logger = createLogger({ level: 'info', format: 'json' });
+
+    runWithContext({ requestId: 'req-1' }, () => logger.info('Organization created', { organizationId: 7 }));
+
+    expect(output.lines).toEqual([{
+      time: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+      level: 'info',
+      message: 'Organization created',
+      requestId: 'req-1',
+      organizationId: 7
+    }]);
+  });
+
+  it('skips levels below the threshold', () => {
+    const logger = createLogger({ level: 'warn', format: 'json' });
+
+    logger.debug('hidden');
+    logger.info('hidden');
+    logger.warn('shown');
+    logger.error('shown');
+
+    expect(output.lines.map(line => line.level)).toEqual(['warn', 'error']);
+    expect(logger.isLevelEnabled('info')).toBe(false);
+  });
+
+  it('flattens errors and adds child bindings', () => {
+    const logger = createLogger({ level: 'info', format: 'json' }).child({ module: 'mailer' });
+    const error = Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+
+    logger.error('Create user error', { err: error });
+
+    expect(output.lines[0]).toMatchObject({
+      module: 'mailer',
+      err: { name: 'Error', message: 'Duplicate entry', code: 'ER_DUP_ENTRY', stack: expect.any(String) }
+    });
+  });
+});
+
+describe('redact', () => {
+  it('hides sensitive fields at any depth', () => {
+    expect(redact({
+      email: 'owner@hotel.test',
+      password: 'hunter2',
+      passwordHash: '$2a$10$abc',
+      headers: { authorization: 'Bearer abc.def.ghi', 'x-api-key': 'nvho_ab12_cdef', accept: 'application/json' },
+      session: { refreshToken: 'r1', refreshTokenTtlDays: 30 },
+      systems: [{ systemName: 'Opera', setupUsername: 'opera-admin' }],
+      apiKeyId: 4
+    })).toEqual({
+      email: 'owner@hotel.test',
+      password: '[redacted]',
+      passwordHash: '[redacted]',
+      headers: { authorization: '[redacted]', 'x-api-key': '[redacted]', accept: 'application/json' },
+      session: { refreshToken: '[redacted]', refreshTokenTtlDays: 30 },
+      systems: [{ systemName: 'Opera', setupUsername: '[redacted]' }],
+      apiKeyId: 4
+    });
+  });
+
+  it('masks credentials inside strings', () => {
+    const jwt = 'eyJhbGciOiJIUzI1NiJ9.eyJpZCI6MX0.c2lnbmF0dXJl';
+
+    expect(redact(`Authorization: Bearer ${jwt}`)).toBe('Authorization: Bearer [redacted]');
+    expect(redact(`token ${jwt} rejected`)).toBe('token [redacted] rejected');
+    expect(redact('key nvho_1a2b3c4d_0123456789abcdef is revoked')).toBe('key [redacted] is revoked');
+    expect(redact('/verify-email?token=abc123&next=/home')).toBe('/verify-email?token=[redacted]&next=/home');
+  });
+
+  it('masks configured secrets wherever they appear', () => {
+    const config = require('../../config');
+
+    expect(redact(`jwt.verify failed with ${config.jwt.secret}`)).toBe('jwt.verify failed with [redacted]');
+  });
+
+  it('survives circular structures', () => {
+    const node = { name: 'loop' };
+    node.self = node;
+
+    expect(redact(node)).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+});
+
+describe('createRequestContext', () => {
+  const app = express();
+  app.use(createRequestContext());
+  app.get('/ok', async (req, res) => {
+    await new Promise(resolve => setImmediate(resolve));
+    res.json({ success: true, requestId: req.id });
+  });
+  app.get('/missing', (req, res) => res.status(404).json({ success: false, message: 'Not found' }));
+
+  it('generates an ID and returns it in the X-Request-Id header', async () => {
+    const res = await request(app).get('/ok');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.body.requestId).toBe(res.headers['x-request-id']);
+  });
+
+  it('reuses a well-formed incoming ID and replaces anything else', async () => {
+    expect((await request(app).get('/ok').set('X-Request-Id', 'edge-4f2a.17')).headers['x-request-id']).toBe('edge-4f2a.17');
+    expect((await request(app).get('/ok').set('X-Request-Id', 'not a valid id')).headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('adds the ID to JSON error responses', async () => {
+    const res = await request(app).get('/missing').set('X-Request-Id', 'trace-404');
+
+    expect(res.body).toEqual({ success: false, message: 'Not found', requestId: 'trace-404' });
+  });
+});
@@ -0,0 +1,130 @@
+// tests/unit/metrics.test.js
+// Prometheus registry and exposition format, request metrics by route and OpenAI call metrics
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createRegistry, registry, httpRequestDuration, openaiRequests } = require('../../services/metrics');
+const createMetricsMiddleware = require('../../middleware/metrics');
+const { createOpenAIClient } = require('../../services/openai');
+const { pool, getPoolStats } = require('../../config/database');
+const config = require('../../config');
+
+describe('metrics registry', () => {
+  it('renders counters, gauges and histograms in the text format', async () => {
+    const metrics = createRegistry();
+    const logins = metrics.counter({ name: 'logins_total', help: 'Logins', labelNames: ['outcome'] });
+    const queue = metrics.gauge({ name: 'queue_depth', help: 'Jobs waiting', collect: (gauge) => gauge.set({}, 3) });
+    const latency = metrics.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] });
+
+    logins.inc({ outcome: 'success' });
+    logins.inc({ outcome: 'success' }, 2);
+    logins.inc({ outcome: 'say "hi"\n' });
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+
+    expect(queue.type).toBe('gauge');
+    expect(await metrics.render()).toBe([
+      '# HELP logins_total Logins',
+      '# TYPE logins_total counter',
+      'logins_total{outcome="success"} 3',
+      'logins_total{outcome="say \\"hi\\"\\n"} 1',
+      '# HELP queue_depth Jobs waiting',
+      '# TYPE queue_depth gauge',
+      'queue_depth 3',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{le="0.1"} 1',
+      'latency_seconds_bucket{le="1"} 2',
+      'latency_seconds_bucket{le="+Inf"} 2',
+      'latency_seconds_sum 0.55',
+      'latency_seconds_count 2',
+      ''
+    ].join('\n'));
+  });
+
+  it('rejects unknown labels, duplicate names and decreasing counters', () => {
+    const metrics = createRegistry();
+    const jobs = metrics.counter({ name: 'jobs_total', help: 'Jobs', labelNames: ['queue'] });
+
+    expect(() => jobs.inc({ priority: 'high' })).toThrow('has no label "priority"');
+    expect(() => jobs.inc({}, -1)).toThrow('cannot be decreased');
+    expect(() => metrics.counter({ name: 'jobs_total', help: 'Again' })).toThrow('already registered');
+  });
+
+  it('reports unlabelled counters before their first increment', async () => {
+    const metrics = createRegistry();
+    metrics.counter({ name: 'onboardings_total', help: 'Onboardings' });
+
+    expect(await metrics.render()).toContain('\nonboardings_total 0\n');
+  });
+});
+
+describe('request metrics', () => {
+  const app = express();
+  app.use(createMetricsMiddleware());
+  app.get('/api/properties/:id', (req, res) => res.json({}));
+  app.use((req, res) => res.status(404).json({}));
+
+  beforeEach(() => registry.reset());
+
+  it('labels requests with the documented route template', async () => {
+    await request(app).get('/api/properties/12');
+    await request(app).get('/api/properties/34');
+    await request(app).get('/api/properties/my-properties');
+    await request(app).get('/wp-login.php');
+
+    const series = httpRequestDuration.samples()
+      .filter(sample => sample.name === 'http_request_duration_seconds_count')
+      .map(sample => [sample.labels.route, sample.labels.status, sample.value]);
+
+    expect(series).toEqual(expect.arrayContaining([
+      ['/api/properties/:id', '200', 2],
+      ['/api/properties/my-properties', '200', 1],
+      ['unmatched', '404', 1]
+    ]));
+  });
+});
+
+describe('OpenAI call metrics', () => {
+  let server;
+  let apiUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.statusCode = req.url.includes('/runs/') ? 500 : 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ id: 'thread_abc123', status: 'queued' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => registry.reset());
+
+  it('counts calls by operation and outcome, without thread IDs', async () => {
+    const openai = createOpenAIClient({ apiKey: 'sk-test', apiUrl });
+
+    await openai.createThread();
+    await expect(openai.getRun('thread_abc123', 'run_def456')).rejects.toMatchObject({ code: 'AI_SERVICE_ERROR' });
+
+    expect(openaiRequests.samples()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ labels: { operation: 'POST /threads', outcome: 'success' }, value: 1 }),
+      expect.objectContaining({ labels: { operation: 'GET /threads/:id/runs/:id', outcome: 'error' }, value: 1 })
+    ]));
+  });
+});
+
+describe('MySQL pool stats', () => {
+  // Fails when a mysql2 upgrade moves the pool internals the gauges read
+  it('reads every count from the installed mysql2 pool', () => {
+    expect(getPoolStats()).toEqual({ active: 0, idle: 0, queued: 0, limit: config.db.connectionLimit });
+  });
+
+  it('reports counts it cannot read as null instead of throwing', () => {
+    expect(getPoolStats({ pool: {} })).toEqual({ active: null, idle: null, queued: null, limit: config.db.connectionLimit });
+    expect(getPoolStats({ pool: { ...pool.pool, _connectionQueue: undefined } })).toMatchObject({ active: 0, idle: 0, queued: null });
+  });
+});
@@ -0,0 +1,82 @@
+// tests/unit/migrations.test.js
+// File handling and status logic of the migration runner (no database needed)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIGRATIONS_DIR, loadMigrations, buildStatus, createMigration } = require('../../services/migrations');
+
+describe('loadMigrations', () => {
+  it('loads the repository migrations in version order', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations.length).toBeGreaterThan(0);
+    expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline', filename: '0001_baseline.js' });
+    expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    migrations.forEach((migration, index) => {
+      if (index > 0) expect(migration.version).toBeGreaterThan(migrations[index - 1].version);
+    });
+  });
+
+  it('ignores other files in the directory', () => {
+    const names = fs.readdirSync(MIGRATIONS_DIR);
+    expect(names).toContain('helpers.js');
+    expect(loadMigrations().map(migration => migration.filename)).not.toContain('helpers.js');
+  });
+});
+
+describe('buildStatus', () => {
+  const migrations = [
+    { version: 1, name: 'baseline', checksum: 'a' },
+    { version: 2, name: 'add_column', checksum: 'b' },
+    { version: 3, name: 'add_index', checksum: 'c' }
+  ];
+
+  it('compares files with the applied versions', () => {
+    const appliedAt = new Date('2026-01-01T00:00:00Z');
+    const status = buildStatus(migrations, [
+      { version: 1, name: 'baseline', checksum: 'a', applied_at: appliedAt },
+      { version: 2, name: 'add_column', checksum: 'edited', applied_at: appliedAt },
+      { version: 4, name: 'deleted_file', checksum: 'd', applied_at: appliedAt }
+    ]);
+
+    expect(status).toEqual([
+      { version: 1, name: 'baseline', status: 'applied', appliedAt },
+      { version: 2, name: 'add_column', status: 'modified', appliedAt },
+      { version: 3, name: 'add_index', status: 'pending', appliedAt: null },
+      { version: 4, name: 'deleted_file', status: 'missing', appliedAt }
+    ]);
+  });
+});
+
+describe('createMigration', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nuvho-migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('numbers new files after the latest migration', () => {
+    const first = createMigration('Add guest notes', { directory });
+    const second = createMigration('index guest notes!', { directory });
+
+    expect(path.basename(first)).toBe('0001_add_guest_notes.js');
+    expect(path.basename(second)).toBe('0002_index_guest_notes.js');
+    expect(loadMigrations(directory).map(migration => migration.version)).toEqual([1, 2]);
+  });
+
+  it('rejects names without letters or numbers', () => {
+    expect(() => createMigration('!!!', { directory })).toThrow('Migration name must contain letters or numbers');
+  });
+
+  it('refuses duplicate versions', () => {
+    createMigration('first', { directory });
+    fs.copyFileSync(path.join(directory, '0001_first.js'), path.join(directory, '0001_copy.js'));
+
+    expect(() => loadMigrations(directory)).toThrow('Duplicate migration version 1');
+  });
+});
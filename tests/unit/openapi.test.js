@@ -0,0 +1,199 @@
+// tests/unit/openapi.test.js
+// The OpenAPI document matches the Express routes, and the validator enforces it
+
+const express = require('express');
+const request = require('supertest');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { document, listEndpoints } = require('../../openapi');
+const createOpenApiValidator = require('../../middleware/openapiValidator');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { createApp } = require('../../app');
+
+// Routers mounted by app.js (HubSpot is left out: its controller is not part of this repository)
+const MOUNTS = {
+  '/api': 'docs',
+  '/api/health': 'health',
+  '/api/auth': 'auth',
+  '/api/onboarding': 'onboarding',
+  '/api/invitations': 'invitations',
+  '/api/admin': 'admin',
+  '/api/api-keys': 'apiKeys',
+  '/api/organizations': 'organizations',
+  '/api/ai': 'ai',
+  '/api/properties': 'properties',
+  '/metrics': 'metrics'
+};
+
+// Swagger UI assets (/api/docs/...) are not API endpoints
+const routesOf = (stack, prefix = '') => stack
+  .filter(layer => layer.route && layer.route.path !== '*' && !layer.route.path.startsWith('/docs/'))
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => (
+    `${method.toUpperCase()} ${layer.route.path === '/' ? prefix : prefix + layer.route.path}`
+  )));
+
+const expressRoutes = () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const app = createApp();
+  log.mockRestore();
+
+  return [
+    ...routesOf(app._router.stack),
+    ...Object.entries(MOUNTS).flatMap(([prefix, name]) => routesOf(require(`../../routes/${name}`).stack, prefix))
+  ];
+};
+
+describe('OpenAPI document', () => {
+  it('compiles every schema', () => {
+    const ajv = new Ajv2020({ strict: false });
+    addFormats(ajv);
+    ajv.addFormat('password', true);
+    ajv.addFormat('binary', true);
+    ajv.addSchema(document, 'openapi');
+
+    const pointers = [];
+    const collect = (node, pointer) => {
+      if (!node || typeof node !== 'object') return;
+      Object.entries(node).forEach(([key, value]) => {
+        const child = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+        if (key === 'schema') pointers.push(child);
+        else collect(value, child);
+      });
+    };
+    collect(document.paths, '/paths');
+    collect(document.components.responses, '/components/responses');
+
+    expect(pointers.length).toBeGreaterThan(100);
+    pointers.forEach(pointer => expect(() => ajv.compile({ $ref: `openapi#${pointer}` })).not.toThrow());
+  });
+
+  it('documents exactly the routes the app serves', () => {
+    const served = expressRoutes();
+    const documented = listEndpoints()
+      .filter(endpoint => !endpoint.path.startsWith('/api/hubspot'))
+      .map(endpoint => `${endpoint.method} ${endpoint.path}`);
+
+    expect(served.filter(route => !documented.includes(route))).toEqual([]);
+    expect(documented.filter(route => !served.includes(route))).toEqual([]);
+  });
+
+  it('lists endpoints with Express-style paths and a summary', () => {
+    expect(listEndpoints()).toEqual(expect.arrayContaining([
+      { method: 'POST', path: '/api/onboarding/complete', summary: 'Complete onboarding', tag: 'Onboarding' },
+      expect.objectContaining({ method: 'GET', path: '/api/properties/:id' })
+    ]));
+    listEndpoints().forEach(endpoint => expect(endpoint.summary).toEqual(expect.any(String)));
+  });
+});
+
+describe('createOpenApiValidator', () => {
+  const json = (schema) => ({ description: 'JSON', content: { 'application/json': { schema } } });
+
+  const testDocument = {
+    openapi: '3.1.0',
+    info: { title: 'Test', version: '1.0.0' },
+    paths: {
+      '/items': {
+        post: {
+          requestBody: json({ type: 'object', required: ['name'], properties: { name: { type: 'string' } } }),
+          responses: { 201: json({ $ref: '#/components/schemas/Item' }) }
+        }
+      },
+      '/items/mine': {
+        get: { responses: { 200: json({ type: 'array' }) } }
+      },
+      '/items/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        get: {
+          parameters: [{ name: 'verbose', in: 'query', schema: { type: 'boolean' } }],
+          responses: {
+            200: json({ $ref: '#/components/schemas/Item' }),
+            default: { $ref: '#/components/responses/Error' }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Item: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: { id: { type: 'integer' }, name: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' } }
+        }
+      },
+      responses: {
+        Error: json({ type: 'object', required: ['message'] })
+      }
+    }
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(createOpenApiValidator(testDocument));
+  app.post('/items', (req, res) => res.status(201).json({ id: 1, name: req.body.name }));
+  app.get('/items/mine', (req, res) => res.json([]));
+  app.get('/items/:id', (req, res) => {
+    if (req.params.id === '404') return res.status(404).json({ message: 'Item not found' });
+    if (req.params.id === '2') return res.json({ id: 2 });
+    res.json({ id: Number(req.params.id), name: 'Towel', createdAt: new Date() });
+  });
+  app.get('/undocumented', (req, res) => res.json({ anything: true }));
+  app.use(errorHandler);
+
+  it('passes valid requests and responses through', async () => {
+    const res = await request(app).get('/items/1?verbose=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: 1, name: 'Towel' });
+  });
+
+  it('rejects invalid JSON bodies, path and query parameters', async () => {
+    const body = await request(app).post('/items').send({ name: 42 });
+    expect(body.status).toBe(400);
+    expect(body.body).toEqual({
+      success: false,
+      code: 'VALIDATION_FAILED',
+      message: 'Request validation failed',
+      errors: [{ location: 'body', path: '/name', message: 'must be string' }]
+    });
+
+    const missing = await request(app).post('/items').send({});
+    expect(missing.body.errors).toEqual([expect.objectContaining({ location: 'body', path: '/name' })]);
+    expect(missing.body.missingFields).toEqual(['name']);
+
+    const params = await request(app).get('/items/abc?verbose=maybe');
+    expect(params.status).toBe(400);
+    expect(params.body.errors.map(error => `${error.location} ${error.path}`)).toEqual(['path /id', 'query /verbose']);
+  });
+
+  it('prefers literal paths over templated ones', async () => {
+    expect((await request(app).get('/items/mine')).status).toBe(200);
+  });
+
+  it('replaces responses that do not match the document with a 500', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app).get('/items/2');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 'RESPONSE_VALIDATION_FAILED',
+      message: 'Response does not match the API specification',
+      errors: [{ location: 'response', path: '/name' }]
+    });
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it('checks other statuses against the default response', async () => {
+    const res = await request(app).get('/items/404');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ message: 'Item not found' });
+  });
+
+  it('ignores paths the document does not describe', async () => {
+    expect((await request(app).get('/undocumented')).body).toEqual({ anything: true });
+  });
+});
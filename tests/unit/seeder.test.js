@@ -0,0 +1,37 @@
+// tests/unit/seeder.test.js
+
+const { createRandom, buildDataset } = require('../../services/seeder');
+
+// completedAt is relative to the current time, everything else depends on the seed only
+const withoutTimestamps = (dataset) => ({
+  ...dataset,
+  properties: dataset.properties.map(({ completedAt, ...plan }) => plan)
+});
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const first = createRandom('nuvho');
+    const second = createRandom('nuvho');
+    const other = createRandom('other');
+
+    const sequence = Array.from({ length: 5 }, () => first.next());
+    expect(Array.from({ length: 5 }, () => second.next())).toEqual(sequence);
+    expect(Array.from({ length: 5 }, () => other.next())).not.toEqual(sequence);
+  });
+});
+
+describe('buildDataset', () => {
+  it('is deterministic for a seed', () => {
+    expect(withoutTimestamps(buildDataset({ seed: 'demo', properties: 6 })))
+      .toEqual(withoutTimestamps(buildDataset({ seed: 'demo', properties: 6 })));
+  });
+
+  it('creates every demo role and unique hotel names', () => {
+    const dataset = buildDataset({ properties: 30 });
+
+    expect(dataset.users.filter(user => user.role === 'superadmin')).toHaveLength(1);
+    expect(new Set(dataset.users.map(user => user.email)).size).toBe(dataset.users.length);
+    expect(dataset.properties).toHaveLength(30);
+    expect(new Set(dataset.properties.map(plan => plan.property.hotelName)).size).toBe(30);
+  });
+});
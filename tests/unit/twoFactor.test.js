@@ -0,0 +1,44 @@
+// tests/unit/twoFactor.test.js
+// 2FA login challenges (services/twoFactor.js), with the TwoFactor model mocked
+
+jest.mock('../../models/TwoFactor', () => ({ isEnabled: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const TwoFactor = require('../../models/TwoFactor');
+const twoFactor = require('../../services/twoFactor');
+
+describe('getLoginChallenge', () => {
+  it('challenges users with 2FA enabled using the configured lifetime', async () => {
+    TwoFactor.isEnabled.mockResolvedValue(true);
+
+    const challenge = await twoFactor.getLoginChallenge({ id: 7, role: 'hoteluser' });
+
+    expect(challenge).toMatchObject({ twoFactorRequired: true, expiresIn: config.twoFactor.challengeTtl });
+    expect(twoFactor.verifyChallengeToken(challenge.challengeToken, twoFactor.CHALLENGE_LOGIN)).toMatchObject({ id: 7 });
+
+    const { iat, exp } = jwt.decode(challenge.challengeToken);
+    expect(exp - iat).toBe(5 * 60);
+  });
+
+  it('lets users without 2FA through when their role does not require it', async () => {
+    TwoFactor.isEnabled.mockResolvedValue(false);
+
+    expect(await twoFactor.getLoginChallenge({ id: 7, role: 'admin' })).toBeNull();
+  });
+});
+
+describe('acceptsIdentityProviderMfa', () => {
+  it('never lets an identity provider stand in for a required second factor', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const actual = jest.requireActual('../../config');
+      jest.doMock('../../config', () => ({ ...actual, twoFactor: { ...actual.twoFactor, required: true } }));
+      const required = require('../../services/twoFactor');
+
+      expect(required.acceptsIdentityProviderMfa('superadmin')).toBe(false);
+      expect(required.acceptsIdentityProviderMfa('hoteluser')).toBe(true);
+    });
+
+    expect(twoFactor.acceptsIdentityProviderMfa('superadmin')).toBe(true);
+  });
+});
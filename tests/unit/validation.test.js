@@ -0,0 +1,121 @@
+// tests/unit/validation.test.js
+// validate() middleware and the request body schemas in validation/
+
+const express = require('express');
+const request = require('supertest');
+const validate = require('../../middleware/validate');
+const { errorHandler } = require('../../middleware/errorHandler');
+const propertySchemas = require('../../validation/properties');
+const onboardingSchemas = require('../../validation/onboarding');
+const authSchemas = require('../../validation/auth');
+
+const property = {
+  hotelName: 'Harbour House',
+  city: 'Sydney',
+  state: 'NSW',
+  postcode: '2000',
+  country: 'Australia',
+  contactName: 'Jane Citizen',
+  contactEmail: 'jane@harbour.example'
+};
+
+const validOnboarding = (body) => onboardingSchemas.complete.validate(body, { stripUnknown: true });
+
+describe('validate()', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/properties', validate(propertySchemas.create), (req, res) => res.json(req.body));
+  app.use(errorHandler);
+
+  it('passes the validated body on, without unknown fields', async () => {
+    const res = await request(app)
+      .post('/properties')
+      .send({ ...property, websiteUrl: 'harbour.example', totalRooms: '40', status: 'active', userId: 7 })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ hotelName: 'Harbour House', websiteUrl: 'https://harbour.example', totalRooms: 40 });
+    expect(res.body).not.toHaveProperty('status');
+    expect(res.body).not.toHaveProperty('userId');
+  });
+
+  it('reports every invalid field with a JSON pointer', async () => {
+    const res = await request(app)
+      .post('/properties')
+      .send({ hotelName: 'Incomplete', contactEmail: 'not-an-email', totalRooms: -3 })
+      .expect(400);
+
+    expect(res.body).toMatchObject({ success: false, code: 'VALIDATION_FAILED', message: 'Request validation failed' });
+    expect(res.body.missingFields).toEqual(['city', 'state', 'postcode', 'country', 'contactName']);
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      { location: 'body', path: '/contactEmail', message: 'contactEmail must be a valid email' },
+      { location: 'body', path: '/totalRooms', message: 'totalRooms must be greater than or equal to 0' }
+    ]));
+  });
+});
+
+describe('onboarding schema', () => {
+  it('converts form values and applies the column defaults', () => {
+    const { value, error } = validOnboarding({
+      property,
+      roomTypes: [{ name: 'Deluxe King', minimumRate: '180.50', maxCapacity: '', beddingConfig1: 'yes', mealPlans: { roomOnly: 1 } }],
+      taxConfiguration: { taxRate: '10' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(value.roomTypes[0]).toMatchObject({
+      minimumRate: 180.5,
+      maximumRate: 0,
+      maxCapacity: 2,
+      totalRoomsInType: 1,
+      beddingConfig1: true,
+      chargeType: 'per room',
+      mealPlans: { roomOnly: true, halfBoard: false }
+    });
+    expect(value.taxConfiguration).toEqual({ federalChargeable: false, taxRate: 10, taxConcessions: '', localTax: 0, tourismTax: 0 });
+    expect(value).toMatchObject({ systems: {}, amenities: [], imagery: {}, source: 'onboarding-flow' });
+  });
+
+  it('rejects values that are not numbers instead of storing 0', () => {
+    const { error } = validOnboarding({ property, roomTypes: [{ name: 'Twin', minimumRate: 'cheap' }] });
+
+    expect(error.details[0]).toMatchObject({ path: ['roomTypes', 0, 'minimumRate'], type: 'number.base' });
+  });
+
+  it('requires the property name and contact details and image names', () => {
+    expect(validOnboarding({ property: { hotelName: 'No Contact' } }).error).toBeDefined();
+    expect(validOnboarding({ property, imagery: { external: [{ size: 10 }] } }).error).toBeDefined();
+  });
+});
+
+describe('register schema', () => {
+  it('never takes the role from the request', () => {
+    const { value } = authSchemas.register.validate(
+      { email: 'new@hotel.test', password: 'secret1', firstName: 'New', lastName: 'User', role: 'superadmin' },
+      { stripUnknown: true }
+    );
+
+    expect(value).not.toHaveProperty('role');
+  });
+
+  it('strips the role and unknown fields from Firebase sign-ups', () => {
+    const { value, error } = authSchemas.registerFirebase.validate(
+      { idToken: 'token', isAdmin: true, additionalData: { firstName: 'New', role: 'superadmin', permissions: ['*'] } },
+      { stripUnknown: true }
+    );
+
+    expect(error).toBeUndefined();
+    expect(value).toEqual({
+      idToken: 'token',
+      additionalData: { firstName: 'New', lastName: null, displayName: null, hotelName: null }
+    });
+    expect(authSchemas.registerFirebase.validate({}).error).toBeDefined();
+  });
+
+  it('only requires a password when Firebase is used', () => {
+    const user = { email: 'new@hotel.test', firstName: 'New', lastName: 'User' };
+
+    expect(authSchemas.register.validate(user).error).toBeDefined();
+    expect(authSchemas.register.validate({ ...user, skipFirebase: true }).error).toBeUndefined();
+    expect(authSchemas.register.validate({ ...user, password: '12345' }).error).toBeDefined();
+  });
+});
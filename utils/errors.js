@@ -0,0 +1,104 @@
+// utils/errors.js
+// Typed errors for request handlers. Throw one (or pass it to next) and the central error
+// handler turns it into the standard error envelope; `code` is the stable, machine-readable
+// identifier clients should branch on, never the message text.
+
+/**
+ * Base class for errors that map to an HTTP response
+ * @param {string} message - Human-readable message sent to the client
+ * @param {Object} options - { status, code, details, cause }; details are merged into the response body
+ */
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = {}, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Malformed or missing input
+class ValidationError extends AppError {
+  constructor(message, { code = 'VALIDATION_FAILED', ...options } = {}) {
+    super(message, { ...options, status: 400, code });
+  }
+}
+
+// Missing, invalid or expired credentials
+class UnauthorizedError extends AppError {
+  constructor(message, { code = 'UNAUTHORIZED', ...options } = {}) {
+    super(message, { ...options, status: 401, code });
+  }
+}
+
+// Authenticated but not allowed
+class ForbiddenError extends AppError {
+  constructor(message, { code = 'FORBIDDEN', ...options } = {}) {
+    super(message, { ...options, status: 403, code });
+  }
+}
+
+// The resource does not exist (or is hidden from the caller)
+class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', ...options } = {}) {
+    super(message, { ...options, status: 404, code });
+  }
+}
+
+// The request clashes with existing data
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', ...options } = {}) {
+    super(message, { ...options, status: 409, code });
+  }
+}
+
+// Request body or upload over the limit
+class PayloadTooLargeError extends AppError {
+  constructor(message, { code = 'PAYLOAD_TOO_LARGE', ...options } = {}) {
+    super(message, { ...options, status: 413, code });
+  }
+}
+
+// The account is temporarily locked
+class LockedError extends AppError {
+  constructor(message, { code = 'ACCOUNT_LOCKED', ...options } = {}) {
+    super(message, { ...options, status: 423, code });
+  }
+}
+
+// Too many attempts; clients should honour Retry-After
+class TooManyRequestsError extends AppError {
+  constructor(message, { code = 'RATE_LIMITED', ...options } = {}) {
+    super(message, { ...options, status: 429, code });
+  }
+}
+
+// A feature or dependency is not configured or not reachable
+class ServiceUnavailableError extends AppError {
+  constructor(message, { code = 'SERVICE_UNAVAILABLE', ...options } = {}) {
+    super(message, { ...options, status: 503, code });
+  }
+}
+
+// A dependency (OpenAI, the identity provider, the mail relay) failed or returned garbage
+class UpstreamServiceError extends AppError {
+  constructor(message, { service, code = 'UPSTREAM_SERVICE_ERROR', ...options } = {}) {
+    super(message, { ...options, status: 502, code });
+    this.service = service;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  LockedError,
+  TooManyRequestsError,
+  UpstreamServiceError,
+  ServiceUnavailableError
+};
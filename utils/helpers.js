@@ -1,32 +1,42 @@
 // utils/helpers.js
+const crypto = require('crypto');
+const config = require('../config');
+const { AppError } = require('./errors');
 
 /**
- * Format error response
- * @param {string} message - Error message
- * @param {number} statusCode - HTTP status code
- * @returns {Object} Formatted error object
+ * Format error response: every failed request answers with this envelope
+ * @param {Error} error - AppError (its code, message and details are sent) or anything else (hidden as INTERNAL_ERROR)
+ * @returns {Object} { success: false, code, message, ...details }
  */
-exports.formatError = (message, statusCode = 500) => {
+exports.formatError = (error) => {
+  if (error instanceof AppError) {
+    return {
+      success: false,
+      code: error.code,
+      message: error.message,
+      ...error.details
+    };
+  }
+
   return {
-    error: {
-      message,
-      status: statusCode
-    }
+    success: false,
+    code: 'INTERNAL_ERROR',
+    message: 'Internal server error',
+    ...(config.isDevelopment && error && { error: error.message })
   };
 };
 
 /**
- * Format success response
- * @param {*} data - Response data
- * @param {string} message - Success message
- * @param {number} statusCode - HTTP status code
- * @returns {Object} Formatted success object
+ * Format success response: data fields sit next to success/message, so clients read body.property etc.
+ * @param {Object} data - Response fields
+ * @param {string} message - Optional success message
+ * @returns {Object} { success: true, message?, ...data }
  */
-exports.formatSuccess = (data, message = 'Success', statusCode = 200) => {
+exports.formatSuccess = (data = {}, message) => {
   return {
-    data,
-    message,
-    status: statusCode
+    success: true,
+    ...(message && { message }),
+    ...data
   };
 };
 
@@ -65,4 +75,94 @@ exports.filterSensitiveData = (obj, fields = ['password']) => {
     }
   });
   return filtered;
-};
\ No newline at end of file
+};
+
+/**
+ * Generate a cryptographically secure random token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+exports.generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage (tokens are never stored in plain text)
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Build a short human-readable device label from a User-Agent header
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} Label such as "Chrome on Windows"
+ */
+exports.describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent.substring(0, 100);
+  }
+
+  return [browser ? browser[0] : 'Unknown browser', system ? system[0] : null]
+    .filter(Boolean)
+    .join(' on ');
+};
+
+// Key for encrypting secrets at rest (derived so any length of configured key works)
+const getEncryptionKey = () => {
+  const secret = config.dataEncryptionKey;
+  if (!secret) {
+    throw new Error('DATA_ENCRYPTION_KEY (or JWT_SECRET) must be set to encrypt secrets');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a value for storage (AES-256-GCM)
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} "iv.authTag.ciphertext" in base64 parts
+ */
+exports.encryptValue = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a value produced by encryptValue
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Plaintext
+ */
+exports.decryptValue = (payload) => {
+  const [iv, authTag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
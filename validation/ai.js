@@ -0,0 +1,27 @@
+// validation/ai.js
+// Request bodies for the AI assistant and speech endpoints
+
+const Joi = require('joi');
+
+const ASSISTANT_TYPES = ['analyst', 'manager'];
+
+// Voices offered by the OpenAI tts-1 model
+const VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+const chat = Joi.object({
+  message: Joi.string().trim().required(),
+  assistantType: Joi.string().valid(...ASSISTANT_TYPES).default('analyst')
+});
+
+// OpenAI accepts up to 4096 characters of speech input
+const speak = Joi.object({
+  text: Joi.string().trim().max(4096).required(),
+  voice: Joi.string().valid(...VOICES).default('alloy')
+});
+
+module.exports = {
+  ASSISTANT_TYPES,
+  VOICES,
+  chat,
+  speak
+};
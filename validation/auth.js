@@ -0,0 +1,42 @@
+// validation/auth.js
+// Request bodies for the registration and login endpoints
+
+const Joi = require('joi');
+const { email, optionalText } = require('./common');
+
+// Firebase rejects passwords shorter than 6 characters
+const password = Joi.string().min(6);
+
+// The role is never taken from the request: new accounts are always hotel users
+const register = Joi.object({
+  email: email.required(),
+  password: password.when('skipFirebase', { is: true, then: Joi.optional(), otherwise: Joi.required() }),
+  firstName: Joi.string().trim().max(100).required(),
+  lastName: Joi.string().trim().max(100).required(),
+  displayName: optionalText(255),
+  hotelName: optionalText(255),
+  skipFirebase: Joi.boolean().default(false)
+});
+
+// Firebase-initiated sign-ups: the ID token plus optional profile fields (again, never a role)
+const registerFirebase = Joi.object({
+  idToken: Joi.string().required(),
+  additionalData: Joi.object({
+    firstName: optionalText(100),
+    lastName: optionalText(100),
+    displayName: optionalText(255),
+    hotelName: optionalText(255)
+  }).default({})
+});
+
+// Credentials are only checked for presence; anything else is just an invalid login
+const login = Joi.object({
+  email: Joi.string().trim().required(),
+  password: Joi.string().required()
+});
+
+module.exports = {
+  register,
+  registerFirebase,
+  login
+};
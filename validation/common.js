@@ -0,0 +1,31 @@
+// validation/common.js
+// Building blocks shared by the request body schemas
+
+const Joi = require('joi');
+
+// Test and example domains (.test, .example) are valid addresses, so the TLD list is not enforced
+const email = Joi.string().trim().email({ tlds: { allow: false } }).max(255);
+
+// Optional free text; blank and null take the fallback ('' for NOT NULL columns)
+const optionalText = (max, fallback = null) => (max ? Joi.string().trim().max(max) : Joi.string().trim())
+  .empty('', null)
+  .default(fallback);
+
+// Optional number from a form field ("12.5" -> 12.5); blank and null take the fallback
+const formNumber = (fallback = 0) => Joi.number().min(0).empty('', null).default(fallback);
+const formInteger = (fallback = 0) => Joi.number().integer().min(0).empty('', null).default(fallback);
+
+// Form checkboxes and yes/no selects
+const checkbox = Joi.boolean()
+  .truthy(1, '1', 'yes', 'on')
+  .falsy(0, '0', 'no', 'off')
+  .empty('', null)
+  .default(false);
+
+module.exports = {
+  email,
+  optionalText,
+  formNumber,
+  formInteger,
+  checkbox
+};
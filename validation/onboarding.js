@@ -0,0 +1,82 @@
+// validation/onboarding.js
+// Request bodies for /api/onboarding: the three-step submission and saved progress
+
+const Joi = require('joi');
+const { email, optionalText, formNumber, formInteger, checkbox } = require('./common');
+const { propertyFields, requireFields } = require('./properties');
+
+const SYSTEM_TYPES = ['pms', 'bookingEngine', 'channelManager', 'gds', 'rms', 'otherSystem'];
+
+// Lengths follow the property_room_types table
+const roomType = Joi.object({
+  name: optionalText(255, ''),
+  beddingConfig1: checkbox,
+  beddingConfig2: checkbox,
+  minimumRate: formNumber(0),
+  maximumRate: formNumber(0),
+  maxCapacity: formInteger(2),
+  guestsIncluded: formInteger(2),
+  extraAdultRate: formNumber(0),
+  totalRoomsInType: formInteger(1),
+  roomSize: formNumber(0),
+  chargeType: optionalText(50, 'per room'),
+  mealPlans: Joi.object({
+    roomOnly: checkbox,
+    bedBreakfast: checkbox,
+    halfBoard: checkbox,
+    fullBoard: checkbox,
+    allInclusive: checkbox
+  }).default()
+});
+
+// Only systems with a systemName are saved; the edit form sends url rather than systemUrl for some
+const system = Joi.object({
+  systemName: optionalText(255),
+  systemUrl: optionalText(),
+  url: optionalText(),
+  clientId: optionalText(255),
+  setupUsername: optionalText(255),
+  setupEmail: email.empty('', null).default(null)
+}).allow(null);
+
+// Metadata only: the files themselves are uploaded separately
+const image = Joi.object({
+  name: Joi.string().trim().max(255).required(),
+  size: formInteger(0),
+  type: optionalText(100, 'image/jpeg'),
+  url: optionalText()
+});
+
+const complete = Joi.object({
+  property: requireFields(propertyFields, ['hotelName', 'contactName', 'contactEmail']).required(),
+  roomTypes: Joi.array().items(roomType).default([]),
+  systems: Joi.object(Object.fromEntries(SYSTEM_TYPES.map(type => [type, system]))).default({}),
+  amenities: Joi.array().items(Joi.string().trim().max(255)).default([]),
+  imagery: Joi.object().pattern(Joi.string().max(100), Joi.array().items(image)).default({}),
+  taxConfiguration: Joi.object({
+    federalChargeable: checkbox,
+    taxRate: formNumber(0),
+    taxConcessions: optionalText(null, ''),
+    localTax: formNumber(0),
+    tourismTax: formNumber(0)
+  }).default(),
+  cancellationPolicies: Joi.object({
+    public: optionalText(),
+    corporate: optionalText(),
+    group: optionalText()
+  }).default(),
+  completedAt: Joi.date().iso(),
+  source: Joi.string().trim().max(50).default('onboarding-flow')
+});
+
+// Form values are kept as sent: each step has its own shape and nothing is stored yet
+const saveProgress = Joi.object({
+  step: Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().trim().max(50)).required(),
+  data: Joi.object().unknown().required()
+});
+
+module.exports = {
+  SYSTEM_TYPES,
+  complete,
+  saveProgress
+};
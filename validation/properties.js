@@ -0,0 +1,60 @@
+// validation/properties.js
+// Request bodies for /api/properties (the property fields are shared with onboarding)
+
+const Joi = require('joi');
+const { email, optionalText, formInteger } = require('./common');
+
+const PROPERTY_STATUSES = ['pending', 'active', 'inactive'];
+
+// Fields that must be filled in when a property is created or replaced
+const REQUIRED_FIELDS = ['hotelName', 'city', 'state', 'postcode', 'country', 'contactName', 'contactEmail'];
+
+// https:// is assumed when the scheme is left out
+const websiteUrl = optionalText().custom(value => (/^https?:\/\//i.test(value) ? value : `https://${value}`));
+
+const coordinate = (limit) => Joi.number().min(-limit).max(limit).empty('', null).default(null);
+
+// Lengths follow the properties table; category, type, street address and phone are NOT NULL columns
+const propertyFields = Joi.object({
+  hotelName: Joi.string().trim().max(255),
+  websiteUrl,
+  category: optionalText(100, ''),
+  type: optionalText(100, ''),
+  streetAddress: optionalText(null, ''),
+  suburb: optionalText(255),
+  city: optionalText(255),
+  state: optionalText(100),
+  postcode: optionalText(20),
+  country: optionalText(100),
+  currency: optionalText(10),
+  contactName: optionalText(255),
+  contactEmail: email,
+  reservationEmail: email.empty('', null).default(null),
+  phone: optionalText(50, ''),
+  fax: optionalText(50),
+  totalRooms: formInteger(0),
+  corporateEntity: optionalText(),
+  ownershipBreakdown: optionalText(),
+  latitude: coordinate(90),
+  longitude: coordinate(180)
+});
+
+const requireFields = (schema, fields) => schema.fork(fields, field => field.required());
+
+const create = requireFields(propertyFields, REQUIRED_FIELDS);
+
+// PUT replaces every column, so an update needs the same fields as a create
+const update = create;
+
+const status = Joi.object({
+  status: Joi.string().valid(...PROPERTY_STATUSES).required()
+});
+
+module.exports = {
+  PROPERTY_STATUSES,
+  propertyFields,
+  requireFields,
+  create,
+  update,
+  status
+};